@@ -4,7 +4,14 @@ import Dashboard from './pages/Dashboard';
 import AdSearch from './pages/AdSearch';
 import AdDetails from './pages/AdDetails';
 import SuccessPatterns from './pages/SuccessPatterns';
+import AdvertiserDetails from './pages/AdvertiserDetails';
+import Collections from './pages/Collections';
+import CollectionDetails from './pages/CollectionDetails';
+import SharedCollection from './pages/SharedCollection';
+import Login from './pages/Login';
+import Account from './pages/Account';
 import Header from './components/Header';
+import RequireLogin from './components/RequireLogin';
 import Footer from './components/Footer';
 import './App.css';
 
@@ -19,6 +26,12 @@ function App() {
             <Route path="/search" element={<AdSearch />} />
             <Route path="/ad/:adId" element={<AdDetails />} />
             <Route path="/patterns" element={<SuccessPatterns />} />
+            <Route path="/advertiser/:pageId" element={<AdvertiserDetails />} />
+            <Route path="/collections" element={<RequireLogin><Collections /></RequireLogin>} />
+            <Route path="/collections/:collectionId" element={<RequireLogin><CollectionDetails /></RequireLogin>} />
+            <Route path="/shared/collections/:token" element={<SharedCollection />} />
+            <Route path="/login" element={<Login />} />
+            <Route path="/account" element={<RequireLogin><Account /></RequireLogin>} />
           </Routes>
         </main>
         <Footer />
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import api, { getAuthToken } from '../services/api';
+
+// Menu for saving an ad to an existing collection or to a new one
+function AddToCollection({ adId }) {
+  const queryClient = useQueryClient();
+  const location = useLocation();
+  const [open, setOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [savedTo, setSavedTo] = useState(null);
+
+  const collectionsQuery = useQuery('collections', () => api.get('/collections').then((res) => res.data.data), {
+    enabled: open,
+  });
+
+  const addMutation = useMutation(
+    async ({ collectionId, name }) => {
+      let id = collectionId;
+      if (!id) {
+        const created = await api.post('/collections', { name });
+        id = created.data.data._id;
+      }
+      await api.post(`/collections/${id}/items`, { adId });
+      return id;
+    },
+    {
+      onSuccess: (id) => {
+        const collection = (collectionsQuery.data || []).find((candidate) => candidate._id === id);
+        setSavedTo(collection ? collection.name : newName.trim());
+        setNewName('');
+        setOpen(false);
+        queryClient.invalidateQueries('collections');
+        queryClient.invalidateQueries(['collection', id]);
+      },
+    }
+  );
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    if (newName.trim()) {
+      addMutation.mutate({ name: newName.trim() });
+    }
+  };
+
+  // Collections belong to accounts
+  if (!getAuthToken()) {
+    return (
+      <Link to="/login" state={{ from: location.pathname }} className="text-sm text-blue-600 hover:underline">
+        Log in to save
+      </Link>
+    );
+  }
+
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="bg-blue-600 hover:bg-blue-700 text-white text-sm px-3 py-1.5 rounded-lg"
+      >
+        {savedTo ? `Saved to ${savedTo}` : 'Add to collection'}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-10 mt-2 w-64 bg-white border rounded-lg shadow-lg p-3">
+          {collectionsQuery.isLoading ? (
+            <p className="text-sm text-gray-500">Loading collections...</p>
+          ) : (
+            <ul className="max-h-48 overflow-y-auto divide-y">
+              {(collectionsQuery.data || []).map((collection) => (
+                <li key={collection._id}>
+                  <button
+                    type="button"
+                    disabled={addMutation.isLoading}
+                    onClick={() => addMutation.mutate({ collectionId: collection._id })}
+                    className="w-full text-left text-sm py-2 hover:text-blue-600"
+                  >
+                    {collection.name}
+                    <span className="text-gray-400 ml-1">({collection.itemCount})</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleCreate} className="flex mt-2 space-x-2">
+            <input
+              type="text"
+              value={newName}
+              maxLength={100}
+              onChange={(event) => setNewName(event.target.value)}
+              placeholder="New collection"
+              className="flex-1 min-w-0 border rounded px-2 py-1 text-sm"
+            />
+            <button
+              type="submit"
+              disabled={addMutation.isLoading || !newName.trim()}
+              className="text-sm text-blue-600 hover:underline disabled:text-gray-400"
+            >
+              Create
+            </button>
+          </form>
+
+          {addMutation.isError && (
+            <p className="text-sm text-red-600 mt-2">Could not save the ad. Please try again.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AddToCollection;
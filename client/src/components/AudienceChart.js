@@ -0,0 +1,51 @@
+import React from 'react';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+
+const GENDER_COLORS = {
+  female: '#db2777',
+  male: '#2563eb',
+  unknown: '#9ca3af',
+};
+
+const SKEW_LABELS = {
+  female: 'Skews female',
+  male: 'Skews male',
+  balanced: 'Balanced genders',
+};
+
+function AudienceChart({ audience }) {
+  if (!audience || audience.ageGender.length === 0) {
+    return <p className="text-sm text-gray-500">No age and gender breakdown reported.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-4 text-sm text-gray-600 mb-4">
+        <span>{SKEW_LABELS[audience.genderSkew]}</span>
+        {audience.averageAge !== null && <span>Average age {audience.averageAge}</span>}
+        {audience.dominantSegment && (
+          <span>
+            Largest segment: {audience.dominantSegment.gender} {audience.dominantSegment.age} (
+            {audience.dominantSegment.share}%)
+          </span>
+        )}
+      </div>
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={audience.ageGender}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="age" />
+            <YAxis unit="%" />
+            <Tooltip formatter={(value) => `${value}%`} />
+            <Legend />
+            {Object.entries(GENDER_COLORS).map(([gender, color]) => (
+              <Bar key={gender} dataKey={gender} name={gender} stackId="gender" fill={color} />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+export default AudienceChart;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+
+const parseTags = (value) => value.split(',').map((tag) => tag.trim()).filter(Boolean);
+
+// An ad saved in a collection; with onSave its notes and tags can be edited
+function CollectionItem({ item, onSave, saving, actions }) {
+  const ad = item.adData || {};
+  const [editing, setEditing] = useState(false);
+  const [notes, setNotes] = useState(item.notes);
+  const [tags, setTags] = useState(item.tags.join(', '));
+
+  const startEditing = () => {
+    setNotes(item.notes);
+    setTags(item.tags.join(', '));
+    setEditing(true);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    // Failures are reported by the page; the form stays open to retry
+    onSave({ notes, tags: parseTags(tags) }).then(() => setEditing(false), () => {});
+  };
+
+  return (
+    <li className="py-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <Link to={`/ad/${item.adId}`} className="font-medium text-blue-600 hover:underline">
+            {(ad.ad_creative_link_titles || [])[0] || `Ad ${item.adId}`}
+          </Link>
+          <span className="ml-2 text-sm text-gray-500">{ad.page_name || 'Unknown advertiser'}</span>
+          {(ad.ad_creative_bodies || [])[0] && (
+            <p className="text-sm text-gray-700 mt-1">{ad.ad_creative_bodies[0]}</p>
+          )}
+        </div>
+        <div className="flex items-start space-x-4 ml-4 shrink-0">
+          {item.successScore !== undefined && item.successScore !== null && (
+            <div className="text-right">
+              <div className="font-bold">{item.successScore}</div>
+              <div className="text-sm text-gray-500">Score</div>
+            </div>
+          )}
+          {actions}
+        </div>
+      </div>
+
+      {editing ? (
+        <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+          <textarea
+            value={notes}
+            maxLength={5000}
+            onChange={(event) => setNotes(event.target.value)}
+            placeholder="Why does this ad work?"
+            rows={3}
+            className="w-full border rounded px-2 py-1 text-sm"
+          />
+          <input
+            type="text"
+            value={tags}
+            onChange={(event) => setTags(event.target.value)}
+            placeholder="Tags, separated by commas"
+            className="w-full border rounded px-2 py-1 text-sm"
+          />
+          <div className="space-x-3">
+            <button type="submit" disabled={saving} className="text-sm text-blue-600 hover:underline">
+              Save
+            </button>
+            <button type="button" onClick={() => setEditing(false)} className="text-sm text-gray-500 hover:underline">
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="mt-2">
+          {item.notes && <p className="text-sm text-gray-800 whitespace-pre-line">{item.notes}</p>}
+          <div className="mt-1 flex flex-wrap gap-1">
+            {item.tags.map((tag) => (
+              <span key={tag} className="bg-blue-50 text-blue-700 px-2 py-0.5 rounded-full text-xs">
+                {tag}
+              </span>
+            ))}
+          </div>
+          {onSave && (
+            <button type="button" onClick={startEditing} className="mt-1 text-sm text-blue-600 hover:underline">
+              {item.notes || item.tags.length > 0 ? 'Edit notes and tags' : 'Add notes and tags'}
+            </button>
+          )}
+        </div>
+      )}
+    </li>
+  );
+}
+
+export default CollectionItem;
@@ -1,7 +1,10 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
+import { useCurrentUser } from '../services/auth';
 
 function Header() {
+  const { user } = useCurrentUser();
+
   return (
     <header className="bg-gradient-to-r from-blue-700 to-indigo-900 text-white shadow-md">
       <div className="container mx-auto p-4">
@@ -13,10 +16,16 @@ function Header() {
               <li><Link to="/" className="hover:text-blue-200">Home</Link></li>
               <li><Link to="/search" className="hover:text-blue-200">Ad Search</Link></li>
               <li><Link to="/patterns" className="hover:text-blue-200">Success Patterns</Link></li>
+              <li><Link to="/collections" className="hover:text-blue-200">Collections</Link></li>
             </ul>
           </nav>
           
-          <div>
+          <div className="flex items-center space-x-4">
+            {user ? (
+              <Link to="/account" className="hover:text-blue-200">{user.email}</Link>
+            ) : (
+              <Link to="/login" className="hover:text-blue-200">Log in</Link>
+            )}
             <Link to="/search" className="bg-white text-blue-700 hover:bg-blue-100 px-4 py-2 rounded-lg font-medium">
               Start Search
             </Link>
@@ -0,0 +1,35 @@
+import React from 'react';
+import { ResponsiveContainer, BarChart, Bar, Cell, XAxis, YAxis, Tooltip } from 'recharts';
+
+const MAX_REGIONS = 15;
+
+// Shade from light to dark orange by the region's share of the largest one
+const heatColor = (share, maxShare) => `rgba(234, 88, 12, ${0.2 + 0.8 * (share / maxShare)})`;
+
+function RegionHeatmap({ regions }) {
+  if (!regions || regions.length === 0) {
+    return <p className="text-sm text-gray-500">No regional breakdown reported.</p>;
+  }
+
+  const data = regions.slice(0, MAX_REGIONS);
+  const maxShare = Math.max(...data.map((region) => region.share));
+
+  return (
+    <div style={{ height: Math.max(160, data.length * 32) }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={data} layout="vertical" margin={{ left: 40 }}>
+          <XAxis type="number" unit="%" />
+          <YAxis type="category" dataKey="region" width={120} />
+          <Tooltip formatter={(value) => `${value}%`} />
+          <Bar dataKey="share" name="Share of delivery">
+            {data.map((region) => (
+              <Cell key={region.region} fill={heatColor(region.share, maxShare)} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+export default RegionHeatmap;
@@ -0,0 +1,15 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { getAuthToken } from '../services/api';
+
+// Sends logged-out visitors to the login page, and back here afterwards
+function RequireLogin({ children }) {
+  const location = useLocation();
+
+  if (!getAuthToken()) {
+    return <Navigate to="/login" state={{ from: location.pathname }} replace />;
+  }
+  return children;
+}
+
+export default RequireLogin;
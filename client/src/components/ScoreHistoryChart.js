@@ -0,0 +1,51 @@
+import React from 'react';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from 'recharts';
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+const formatCompact = (value) =>
+  new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+
+function ScoreHistoryChart({ history }) {
+  if (!history || history.length === 0) {
+    return <p className="text-sm text-gray-500">No score history recorded for this ad yet.</p>;
+  }
+
+  const data = history.map((snapshot) => ({
+    capturedAt: snapshot.capturedAt,
+    score: snapshot.totalScore,
+    spend: Math.round(snapshot.spendAmount || 0),
+    impressions: Math.round(snapshot.impressions || 0),
+  }));
+
+  return (
+    <div className="h-72">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="capturedAt" tickFormatter={formatDate} />
+          <YAxis yAxisId="score" domain={[0, 100]} />
+          <YAxis yAxisId="impressions" orientation="right" tickFormatter={formatCompact} />
+          {/* Spend is orders of magnitude below impressions, so it gets its own hidden scale */}
+          <YAxis yAxisId="spend" hide />
+          <Tooltip labelFormatter={formatDate} formatter={(value, name) => [formatCompact(value), name]} />
+          <Legend />
+          <Line yAxisId="score" type="monotone" dataKey="score" name="Success score" stroke="#2563eb" strokeWidth={2} />
+          <Line yAxisId="spend" type="stepAfter" dataKey="spend" name="Est. spend" stroke="#ea580c" />
+          <Line yAxisId="impressions" type="stepAfter" dataKey="impressions" name="Est. impressions" stroke="#16a34a" />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+export default ScoreHistoryChart;
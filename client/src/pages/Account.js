@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import api, { setAuthToken } from '../services/api';
+import { useCurrentUser } from '../services/auth';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+function Account() {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { user } = useCurrentUser();
+  const [keyName, setKeyName] = useState('');
+  const [createdKey, setCreatedKey] = useState(null);
+
+  const keysQuery = useQuery('apiKeys', () => api.get('/auth/api-keys').then((res) => res.data.data));
+
+  const createMutation = useMutation((name) => api.post('/auth/api-keys', { name }).then((res) => res.data.data), {
+    onSuccess: (apiKey) => {
+      setCreatedKey(apiKey);
+      setKeyName('');
+      queryClient.invalidateQueries('apiKeys');
+    },
+  });
+  const revokeMutation = useMutation((id) => api.delete(`/auth/api-keys/${id}`), {
+    onSuccess: () => queryClient.invalidateQueries('apiKeys'),
+  });
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    if (keyName.trim()) {
+      createMutation.mutate(keyName.trim());
+    }
+  };
+
+  const handleLogout = () => {
+    setAuthToken(null);
+    queryClient.clear();
+    navigate('/');
+  };
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6 flex justify-between items-start">
+        <div>
+          <h2 className="text-2xl font-bold">Account</h2>
+          {user && (
+            <p className="text-gray-700 mt-1">
+              {user.email} &middot; <span className="capitalize">{user.role}</span> plan
+            </p>
+          )}
+        </div>
+        <button type="button" onClick={handleLogout} className="text-red-600 hover:underline">
+          Log out
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-xl font-bold mb-2">API Keys</h2>
+        <p className="text-sm text-gray-700 mb-4">
+          Scripts can call the API with a key in the <code>X-API-Key</code> header. Requests count against your
+          plan&apos;s quota.
+        </p>
+
+        <form onSubmit={handleCreate} className="flex space-x-2 mb-4">
+          <input
+            type="text"
+            value={keyName}
+            maxLength={100}
+            onChange={(event) => setKeyName(event.target.value)}
+            placeholder="Key name, e.g. nightly export"
+            className="flex-1 border rounded-lg px-3 py-2"
+          />
+          <button
+            type="submit"
+            disabled={createMutation.isLoading || !keyName.trim()}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg disabled:bg-gray-400"
+          >
+            Create key
+          </button>
+        </form>
+
+        {createdKey && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-4">
+            <p className="text-sm text-green-800 mb-2">
+              Copy the key for &ldquo;{createdKey.name}&rdquo; now; it will not be shown again.
+            </p>
+            <input
+              type="text"
+              readOnly
+              value={createdKey.key}
+              onFocus={(event) => event.target.select()}
+              className="w-full border rounded px-2 py-1 font-mono text-sm"
+            />
+          </div>
+        )}
+
+        {(createMutation.isError || revokeMutation.isError) && (
+          <p className="text-sm text-red-600 mb-4">The last change could not be saved. Please try again.</p>
+        )}
+
+        {keysQuery.isLoading ? (
+          <p className="text-sm text-gray-500">Loading keys...</p>
+        ) : !keysQuery.data || keysQuery.data.length === 0 ? (
+          <p className="text-sm text-gray-500">No API keys yet.</p>
+        ) : (
+          <ul className="divide-y">
+            {keysQuery.data.map((apiKey) => (
+              <li key={apiKey._id} className="py-3 flex justify-between items-center">
+                <div>
+                  <div className="font-medium">{apiKey.name}</div>
+                  <div className="text-sm text-gray-500">
+                    <code>{apiKey.prefix}&hellip;</code> &middot; Created {formatDate(apiKey.createdAt)} &middot; Last
+                    used {formatDate(apiKey.lastUsedAt)}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => revokeMutation.mutate(apiKey._id)}
+                  disabled={revokeMutation.isLoading}
+                  className="text-sm text-red-600 hover:underline"
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Account;
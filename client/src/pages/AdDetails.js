@@ -1 +1,190 @@
-import React from "react"; function AdDetails() { return <div><h1>Ad Details</h1></div>; } export default AdDetails;
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import api from '../services/api';
+import ScoreHistoryChart from '../components/ScoreHistoryChart';
+import AudienceChart from '../components/AudienceChart';
+import RegionHeatmap from '../components/RegionHeatmap';
+import AddToCollection from '../components/AddToCollection';
+
+const COMPONENT_LABELS = {
+  durationScore: 'Duration',
+  spendScore: 'Spend',
+  impressionsScore: 'Impressions',
+  engagementScore: 'Engagement',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Still running');
+
+function AdDetails() {
+  const { adId } = useParams();
+  // Archived thumbnails only exist once the archiver has captured the snapshot
+  const [missingThumbnail, setMissingThumbnail] = useState(null);
+  // Serves the archived copy, or redirects to the Ad Library's while there is none
+  const snapshotUrl = `${api.defaults.baseURL}/ads/${adId}/snapshot`;
+
+  const adQuery = useQuery(['ad', adId], () => api.get(`/ads/${adId}`).then((res) => res.data.data));
+  const historyQuery = useQuery(['adHistory', adId], () =>
+    api.get(`/ads/${adId}/history`).then((res) => res.data.data)
+  );
+  const audienceQuery = useQuery(['adAudience', adId], () =>
+    api.get(`/ads/${adId}/audience`).then((res) => res.data.data)
+  );
+  const similarQuery = useQuery(['adSimilar', adId], () =>
+    api.get(`/ads/${adId}/similar`).then((res) => res.data.data)
+  );
+
+  if (adQuery.isLoading) {
+    return <div className="container mx-auto p-4 text-gray-500">Loading ad...</div>;
+  }
+
+  if (adQuery.isError || !adQuery.data) {
+    return (
+      <div className="container mx-auto p-4">
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4">
+          Could not load this ad. It may have been removed from the Ad Library.
+        </div>
+        <Link to="/search" className="mt-4 inline-block text-blue-600 hover:underline">&larr; Back to search</Link>
+      </div>
+    );
+  }
+
+  const ad = adQuery.data;
+  const bodies = ad.ad_creative_bodies || [];
+  const titles = ad.ad_creative_link_titles || [];
+
+  return (
+    <div className="container mx-auto p-4">
+      <Link to="/search" className="text-blue-600 hover:underline">&larr; Back to search</Link>
+
+      <div className="bg-white rounded-lg shadow-md p-6 mt-4 mb-6">
+        <div className="flex justify-between items-start">
+          <div>
+            <h2 className="text-2xl font-bold">
+              {ad.page_id ? (
+                <Link to={`/advertiser/${ad.page_id}`} className="hover:underline">
+                  {ad.page_name || 'Unknown advertiser'}
+                </Link>
+              ) : (
+                ad.page_name || 'Unknown advertiser'
+              )}
+            </h2>
+            <p className="text-sm text-gray-500 mt-1">
+              Ad {ad.id} &middot; {formatDate(ad.ad_delivery_start_time)} &ndash; {formatDate(ad.ad_delivery_stop_time)}
+            </p>
+          </div>
+          <div className="flex items-start space-x-6">
+            {ad.successScore !== undefined && (
+              <div className="text-center">
+                <div className="text-4xl font-bold text-blue-600">{ad.successScore}</div>
+                <div className="text-sm text-gray-500">Success Score</div>
+              </div>
+            )}
+            <AddToCollection adId={ad.id} />
+          </div>
+        </div>
+
+        {titles.length > 0 && <h3 className="font-bold text-lg mt-4">{titles[0]}</h3>}
+        {bodies.map((body, index) => (
+          <p key={index} className="text-gray-700 mt-2 whitespace-pre-line">{body}</p>
+        ))}
+
+        {missingThumbnail !== adId && (
+          <img
+            src={`${snapshotUrl}/thumbnail`}
+            alt="Ad creative"
+            className="mt-4 max-w-xs rounded border"
+            onError={() => setMissingThumbnail(adId)}
+          />
+        )}
+
+        {ad.ad_snapshot_url && (
+          <a
+            href={snapshotUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="mt-4 block text-blue-600 hover:underline"
+          >
+            View ad snapshot &rarr;
+          </a>
+        )}
+      </div>
+
+      {ad.componentScores && (
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold mb-4">Score Breakdown</h2>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {Object.entries(COMPONENT_LABELS).map(([key, label]) => (
+              <div key={key} className="border rounded-lg p-3 text-center">
+                <div className="text-2xl font-bold text-blue-600">
+                  {Math.round(ad.componentScores[key] || 0)}
+                  <span className="text-sm text-gray-400">/25</span>
+                </div>
+                <div className="text-sm text-gray-500">{label}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {audienceQuery.data && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-bold mb-4">Audience</h2>
+            <AudienceChart audience={audienceQuery.data.demographics} />
+          </div>
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-bold mb-4">Regions</h2>
+            <RegionHeatmap regions={audienceQuery.data.regions} />
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h2 className="text-xl font-bold mb-4">Score History</h2>
+        {historyQuery.isLoading ? (
+          <p className="text-sm text-gray-500">Loading history...</p>
+        ) : (
+          <ScoreHistoryChart history={historyQuery.data} />
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-xl font-bold mb-4">Similar Creatives</h2>
+        {similarQuery.isLoading ? (
+          <p className="text-sm text-gray-500">Looking for similar ads...</p>
+        ) : !similarQuery.data || similarQuery.data.length === 0 ? (
+          <p className="text-sm text-gray-500">No ads with near-identical copy were found.</p>
+        ) : (
+          <ul className="divide-y">
+            {similarQuery.data.map((similar) => (
+              <li key={similar.id} className="py-3 flex justify-between items-start">
+                <div>
+                  <Link to={`/ad/${similar.id}`} className="font-medium text-blue-600 hover:underline">
+                    {(similar.ad_creative_link_titles || [])[0] || `Ad ${similar.id}`}
+                  </Link>
+                  {!similar.samePage && (
+                    <span className="ml-2 bg-yellow-50 text-yellow-700 px-2 py-0.5 rounded-full text-xs">
+                      {similar.page_name || 'Other advertiser'}
+                    </span>
+                  )}
+                  {(similar.ad_creative_bodies || [])[0] && (
+                    <p className="text-sm text-gray-700 mt-1">{similar.ad_creative_bodies[0]}</p>
+                  )}
+                </div>
+                <div className="text-right ml-4 shrink-0">
+                  <div className="font-bold">{Math.round(similar.similarity * 100)}% similar</div>
+                  {similar.successScore !== undefined && (
+                    <div className="text-sm text-gray-500">Score {similar.successScore}</div>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdDetails;
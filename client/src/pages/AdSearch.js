@@ -1 +1,103 @@
-import React from "react"; function AdSearch() { return <div><h1>Ad Search</h1></div>; } export default AdSearch;
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useInfiniteQuery } from 'react-query';
+import api from '../services/api';
+import AddToCollection from '../components/AddToCollection';
+
+function AdSearch() {
+  const [input, setInput] = useState('');
+  const [keywords, setKeywords] = useState('');
+
+  const searchQuery = useInfiniteQuery(
+    ['adSearch', keywords],
+    ({ pageParam }) =>
+      api.get('/ads/search', { params: { keywords, cursor: pageParam } }).then((res) => res.data),
+    {
+      enabled: Boolean(keywords),
+      getNextPageParam: (lastPage) => lastPage.pagination.nextCursor || undefined,
+    }
+  );
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    setKeywords(input.trim());
+  };
+
+  const ads = (searchQuery.data ? searchQuery.data.pages : []).flatMap((page) => page.data);
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h2 className="text-2xl font-bold mb-4">Ad Search</h2>
+        <form onSubmit={handleSubmit} className="flex space-x-2">
+          <input
+            type="text"
+            value={input}
+            onChange={(event) => setInput(event.target.value)}
+            placeholder="Keywords, e.g. running shoes"
+            className="flex-1 border rounded-lg px-3 py-2"
+          />
+          <button
+            type="submit"
+            disabled={!input.trim()}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg disabled:bg-gray-400"
+          >
+            Search
+          </button>
+        </form>
+      </div>
+
+      {searchQuery.isLoading && <p className="text-gray-500">Searching...</p>}
+
+      {searchQuery.isError && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4">
+          The search failed. Please try again.
+        </div>
+      )}
+
+      {searchQuery.isSuccess && ads.length === 0 && (
+        <p className="text-gray-500">No successful ads match &ldquo;{keywords}&rdquo;.</p>
+      )}
+
+      {ads.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <ul className="divide-y">
+            {ads.map((ad) => (
+              <li key={ad.id} className="py-3 flex justify-between items-start">
+                <div>
+                  <Link to={`/ad/${ad.id}`} className="font-medium text-blue-600 hover:underline">
+                    {(ad.ad_creative_link_titles || [])[0] || `Ad ${ad.id}`}
+                  </Link>
+                  <span className="ml-2 text-sm text-gray-500">{ad.page_name || 'Unknown advertiser'}</span>
+                  {(ad.ad_creative_bodies || [])[0] && (
+                    <p className="text-sm text-gray-700 mt-1">{ad.ad_creative_bodies[0]}</p>
+                  )}
+                </div>
+                <div className="flex items-start space-x-4 ml-4 shrink-0">
+                  <div className="text-right">
+                    <div className="font-bold">{ad.successScore}</div>
+                    <div className="text-sm text-gray-500">Score</div>
+                  </div>
+                  <AddToCollection adId={ad.id} />
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          {searchQuery.hasNextPage && (
+            <button
+              type="button"
+              onClick={() => searchQuery.fetchNextPage()}
+              disabled={searchQuery.isFetchingNextPage}
+              className="mt-4 text-blue-600 hover:underline"
+            >
+              {searchQuery.isFetchingNextPage ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdSearch;
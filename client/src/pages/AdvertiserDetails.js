@@ -0,0 +1,253 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from 'recharts';
+import api from '../services/api';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Still running');
+
+const formatMoney = (value, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(value);
+
+function StatCard({ value, label, color = 'text-blue-600' }) {
+  return (
+    <div className="border rounded-lg p-3 text-center">
+      <div className={`text-2xl font-bold ${color}`}>{value}</div>
+      <div className="text-sm text-gray-500">{label}</div>
+    </div>
+  );
+}
+
+function AdvertiserDetails() {
+  const { pageId } = useParams();
+
+  const { data: advertiser, isLoading, isError } = useQuery(['advertiser', pageId], () =>
+    api.get(`/advertisers/${pageId}`).then((res) => res.data.data)
+  );
+  const experimentsQuery = useQuery(['advertiserExperiments', pageId], () =>
+    api.get(`/advertisers/${pageId}/experiments`).then((res) => res.data.data)
+  );
+
+  if (isLoading) {
+    return <div className="container mx-auto p-4 text-gray-500">Loading advertiser...</div>;
+  }
+
+  if (isError || !advertiser) {
+    return (
+      <div className="container mx-auto p-4">
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4">
+          Could not load this advertiser. No ads are known for page {pageId}.
+        </div>
+        <Link to="/search" className="mt-4 inline-block text-blue-600 hover:underline">&larr; Back to search</Link>
+      </div>
+    );
+  }
+
+  const { totals, scoreDistribution, longestRunning, spendOverTime, countries, topTerms } = advertiser;
+  const scoreBuckets = scoreDistribution.buckets.map((bucket) => ({
+    range: `${bucket.min}-${bucket.max}`,
+    count: bucket.count,
+  }));
+  // Recharts stacks areas; the band is drawn as the lower bound plus the width up to the upper bound
+  const spendData = spendOverTime.months.map((month) => ({
+    month: month.month,
+    lower: month.lower,
+    band: month.upper - month.lower,
+    estimate: month.estimate,
+  }));
+
+  return (
+    <div className="container mx-auto p-4">
+      <Link to="/search" className="text-blue-600 hover:underline">&larr; Back to search</Link>
+
+      <div className="bg-white rounded-lg shadow-md p-6 mt-4 mb-6">
+        <h2 className="text-2xl font-bold">{advertiser.pageName || 'Unknown advertiser'}</h2>
+        <p className="text-sm text-gray-500 mt-1">Page {advertiser.pageId}</p>
+        {advertiser.sources.liveError && (
+          <p className="text-sm text-yellow-700 mt-2">
+            Showing stored ads only; the Ad Library could not be reached ({advertiser.sources.liveError}).
+          </p>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6">
+          <StatCard value={totals.ads} label="Known Ads" />
+          <StatCard value={totals.activeAds} label="Active Ads" color="text-green-600" />
+          <StatCard value={totals.successfulAds} label="Successful Ads" color="text-purple-600" />
+          <StatCard value={scoreDistribution.average} label="Average Score" color="text-orange-600" />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-bold mb-4">Score Distribution</h2>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={scoreBuckets}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="range" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Bar dataKey="count" name="Ads" fill="#2563eb" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-bold mb-4">Estimated Spend ({spendOverTime.currency})</h2>
+          {spendData.length === 0 ? (
+            <p className="text-sm text-gray-500">No spend data reported for this page.</p>
+          ) : (
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <AreaChart data={spendData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="month" />
+                  <YAxis tickFormatter={(value) => formatMoney(value, spendOverTime.currency)} width={80} />
+                  <Tooltip formatter={(value) => formatMoney(value, spendOverTime.currency)} />
+                  <Legend />
+                  <Area dataKey="lower" stackId="band" stroke="none" fill="transparent" legendType="none" name="Lower bound" />
+                  <Area dataKey="band" stackId="band" stroke="none" fill="#fed7aa" name="Spend band" />
+                  <Area dataKey="estimate" stroke="#ea580c" fill="none" strokeWidth={2} name="Estimate" />
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+          {spendOverTime.unconvertedAds > 0 && (
+            <p className="text-xs text-gray-500 mt-2">
+              Leaves out {spendOverTime.unconvertedAds} ads with spend in a currency that has no exchange rate.
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h2 className="text-xl font-bold mb-4">Longest-Running Creatives</h2>
+        <ul className="divide-y">
+          {longestRunning.map((ad) => (
+            <li key={ad.id} className="py-3 flex justify-between items-start">
+              <div>
+                <Link to={`/ad/${ad.id}`} className="font-medium text-blue-600 hover:underline">
+                  {ad.title || `Ad ${ad.id}`}
+                </Link>
+                {ad.body && <p className="text-sm text-gray-700 mt-1">{ad.body}</p>}
+                <p className="text-xs text-gray-500 mt-1">
+                  {formatDate(ad.startedAt)} &ndash; {formatDate(ad.stoppedAt)}
+                </p>
+              </div>
+              <div className="text-right ml-4 shrink-0">
+                <div className="font-bold">{ad.durationDays} days</div>
+                <div className="text-sm text-gray-500">Score {ad.successScore}</div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h2 className="text-xl font-bold mb-4">A/B Experiments</h2>
+        {experimentsQuery.isLoading ? (
+          <p className="text-sm text-gray-500">Looking for experiments...</p>
+        ) : !experimentsQuery.data || experimentsQuery.data.experiments.length === 0 ? (
+          <p className="text-sm text-gray-500">No variants of the same creative were run side by side.</p>
+        ) : (
+          <div className="space-y-6">
+            {experimentsQuery.data.experiments.map((experiment) => (
+              <div key={experiment.variants.map((variant) => variant.id).join('-')} className="border rounded-lg p-4">
+                <div className="flex justify-between text-sm mb-2">
+                  <span className="font-medium">
+                    {experiment.variants.length} variants launched {formatDate(experiment.startedAt)}
+                  </span>
+                  <span className={experiment.status === 'decided' ? 'text-green-600' : 'text-gray-500'}>
+                    {experiment.status === 'decided'
+                      ? `Winner ran ${experiment.winnerLeadDays} days longer`
+                      : experiment.status === 'running'
+                        ? 'Still running'
+                        : 'No clear winner'}
+                  </span>
+                </div>
+                <ul className="divide-y">
+                  {experiment.variants.map((variant) => (
+                    <li key={variant.id} className="py-2 flex justify-between items-start text-sm">
+                      <div>
+                        <Link to={`/ad/${variant.id}`} className="text-blue-600 hover:underline">
+                          {variant.title || `Ad ${variant.id}`}
+                        </Link>
+                        {variant.id === experiment.winner && (
+                          <span className="ml-2 bg-green-50 text-green-700 px-2 py-0.5 rounded-full text-xs">Winner</span>
+                        )}
+                        {variant.body && <p className="text-gray-700 mt-1">{variant.body}</p>}
+                      </div>
+                      <div className="text-right ml-4 shrink-0 text-gray-500">
+                        {variant.durationDays} days &middot; {formatDate(variant.stoppedAt)}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+                {experiment.differences && (
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {experiment.differences.onlyInWinner.map((term) => (
+                      <span key={`+${term}`} className="bg-green-50 text-green-700 px-3 py-1 rounded-full text-sm">+ {term}</span>
+                    ))}
+                    {experiment.differences.onlyInLosers.map(({ term }) => (
+                      <span key={`-${term}`} className="bg-red-50 text-red-700 px-3 py-1 rounded-full text-sm">&minus; {term}</span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-bold mb-4">Top Terms</h2>
+          {topTerms.length === 0 ? (
+            <p className="text-sm text-gray-500">Not enough ad copy to find recurring terms.</p>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              {topTerms.map(({ term, documentCount }) => (
+                <span key={term} className="bg-blue-50 text-blue-700 px-3 py-1 rounded-full text-sm">
+                  {term} <span className="text-blue-400">&times;{documentCount}</span>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-bold mb-4">Countries Reached</h2>
+          {countries.length === 0 ? (
+            <p className="text-sm text-gray-500">No country information for this page&apos;s ads.</p>
+          ) : (
+            <ul className="divide-y">
+              {countries.map((country) => (
+                <li key={country.country} className="py-2 flex justify-between text-sm">
+                  <span className="font-medium">{country.country}</span>
+                  <span className="text-gray-500">
+                    {country.ads} ads
+                    {country.reach !== null && ` \u00b7 ${country.reach.toLocaleString()} reached`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AdvertiserDetails;
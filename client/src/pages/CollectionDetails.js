@@ -0,0 +1,268 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import api from '../services/api';
+import CollectionItem from '../components/CollectionItem';
+
+const getShareLink = (token) => `${window.location.origin}/shared/collections/${token}`;
+
+function CollectionDetails() {
+  const { collectionId } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [tag, setTag] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+
+  const { data: collection, isLoading, isError } = useQuery(['collection', collectionId, tag], () =>
+    api.get(`/collections/${collectionId}`, { params: { tag: tag || undefined } }).then((res) => res.data.data),
+    { keepPreviousData: true }
+  );
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['collection', collectionId]);
+    queryClient.invalidateQueries('collections');
+  };
+
+  const updateMutation = useMutation((changes) => api.patch(`/collections/${collectionId}`, changes), {
+    onSuccess: () => {
+      setEditing(false);
+      refresh();
+    },
+  });
+  const deleteMutation = useMutation(() => api.delete(`/collections/${collectionId}`), {
+    onSuccess: () => {
+      queryClient.invalidateQueries('collections');
+      navigate('/collections');
+    },
+  });
+  const shareMutation = useMutation(
+    (shared) => (shared ? api.post : api.delete)(`/collections/${collectionId}/share`),
+    { onSuccess: refresh }
+  );
+  const itemMutation = useMutation(
+    ({ adId, changes }) => api.patch(`/collections/${collectionId}/items/${adId}`, changes),
+    { onSuccess: refresh }
+  );
+  const removeMutation = useMutation((adId) => api.delete(`/collections/${collectionId}/items/${adId}`), {
+    onSuccess: refresh,
+  });
+  const orderMutation = useMutation((adIds) => api.put(`/collections/${collectionId}/items/order`, { adIds }), {
+    onSuccess: refresh,
+  });
+
+  if (isLoading) {
+    return <div className="container mx-auto p-4 text-gray-500">Loading collection...</div>;
+  }
+
+  if (isError || !collection) {
+    return (
+      <div className="container mx-auto p-4">
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4">
+          Could not load this collection. It may have been deleted.
+        </div>
+        <Link to="/collections" className="mt-4 inline-block text-blue-600 hover:underline">&larr; All collections</Link>
+      </div>
+    );
+  }
+
+  const startEditing = () => {
+    setName(collection.name);
+    setDescription(collection.description);
+    setEditing(true);
+  };
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    if (name.trim()) {
+      updateMutation.mutate({ name: name.trim(), description });
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${collection.name}" and the notes on its ads?`)) {
+      deleteMutation.mutate();
+    }
+  };
+
+  // Reordering needs every ad, so it is only offered without a tag filter
+  const moveItem = (index, offset) => {
+    const adIds = collection.items.map((item) => item.adId);
+    [adIds[index], adIds[index + offset]] = [adIds[index + offset], adIds[index]];
+    orderMutation.mutate(adIds);
+  };
+
+  const failed = [updateMutation, shareMutation, itemMutation, removeMutation, orderMutation].some(
+    (mutation) => mutation.isError
+  );
+
+  return (
+    <div className="container mx-auto p-4">
+      <Link to="/collections" className="text-blue-600 hover:underline">&larr; All collections</Link>
+
+      <div className="bg-white rounded-lg shadow-md p-6 mt-4 mb-6">
+        {editing ? (
+          <form onSubmit={handleRename} className="space-y-2">
+            <input
+              type="text"
+              value={name}
+              maxLength={100}
+              onChange={(event) => setName(event.target.value)}
+              className="w-full border rounded-lg px-3 py-2 text-xl font-bold"
+            />
+            <textarea
+              value={description}
+              maxLength={1000}
+              onChange={(event) => setDescription(event.target.value)}
+              placeholder="Description"
+              rows={2}
+              className="w-full border rounded-lg px-3 py-2"
+            />
+            <div className="space-x-3">
+              <button type="submit" disabled={updateMutation.isLoading || !name.trim()} className="text-blue-600 hover:underline">
+                Save
+              </button>
+              <button type="button" onClick={() => setEditing(false)} className="text-gray-500 hover:underline">
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex justify-between items-start">
+            <div>
+              <h2 className="text-2xl font-bold">{collection.name}</h2>
+              {collection.description && <p className="text-gray-700 mt-1">{collection.description}</p>}
+              <p className="text-sm text-gray-500 mt-1">
+                {collection.itemCount} {collection.itemCount === 1 ? 'ad' : 'ads'}
+              </p>
+            </div>
+            <div className="space-x-3 shrink-0">
+              <button type="button" onClick={startEditing} className="text-blue-600 hover:underline">
+                Rename
+              </button>
+              <button type="button" onClick={handleDelete} className="text-red-600 hover:underline">
+                Delete
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="mt-4 border-t pt-4">
+          {collection.shareToken ? (
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="text-sm text-gray-700">Anyone with this link can view the collection:</span>
+              <input
+                type="text"
+                readOnly
+                value={getShareLink(collection.shareToken)}
+                onFocus={(event) => event.target.select()}
+                className="flex-1 min-w-0 border rounded px-2 py-1 text-sm"
+              />
+              <button
+                type="button"
+                onClick={() => shareMutation.mutate(false)}
+                disabled={shareMutation.isLoading}
+                className="text-sm text-red-600 hover:underline"
+              >
+                Stop sharing
+              </button>
+            </div>
+          ) : (
+            <button
+              type="button"
+              onClick={() => shareMutation.mutate(true)}
+              disabled={shareMutation.isLoading}
+              className="text-sm text-blue-600 hover:underline"
+            >
+              Create a read-only share link
+            </button>
+          )}
+        </div>
+      </div>
+
+      {failed && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 mb-6">
+          The last change could not be saved. Please try again.
+        </div>
+      )}
+
+      {(collection.tags.length > 0 || tag) && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          <button
+            type="button"
+            onClick={() => setTag(null)}
+            className={`px-3 py-1 rounded-full text-sm ${tag ? 'bg-white border' : 'bg-blue-600 text-white'}`}
+          >
+            All
+          </button>
+          {collection.tags.map((candidate) => (
+            <button
+              key={candidate}
+              type="button"
+              onClick={() => setTag(candidate)}
+              className={`px-3 py-1 rounded-full text-sm ${tag === candidate ? 'bg-blue-600 text-white' : 'bg-white border'}`}
+            >
+              {candidate}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        {collection.items.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            {tag ? `No ads are tagged "${tag}".` : 'No ads yet. Add ads from search results or an ad\'s page.'}
+          </p>
+        ) : (
+          <ul className="divide-y">
+            {collection.items.map((item, index) => (
+              <CollectionItem
+                key={item.adId}
+                item={item}
+                saving={itemMutation.isLoading}
+                onSave={(changes) => itemMutation.mutateAsync({ adId: item.adId, changes })}
+                actions={
+                  <div className="flex flex-col items-end text-sm space-y-1">
+                    {!tag && (
+                      <div className="space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => moveItem(index, -1)}
+                          disabled={index === 0 || orderMutation.isLoading}
+                          className="text-gray-600 hover:text-blue-600 disabled:text-gray-300"
+                          title="Move up"
+                        >
+                          &uarr;
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => moveItem(index, 1)}
+                          disabled={index === collection.items.length - 1 || orderMutation.isLoading}
+                          className="text-gray-600 hover:text-blue-600 disabled:text-gray-300"
+                          title="Move down"
+                        >
+                          &darr;
+                        </button>
+                      </div>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => removeMutation.mutate(item.adId)}
+                      disabled={removeMutation.isLoading}
+                      className="text-red-600 hover:underline"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                }
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CollectionDetails;
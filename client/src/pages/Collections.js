@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import api from '../services/api';
+
+function Collections() {
+  const queryClient = useQueryClient();
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+
+  const { data: collections, isLoading, isError } = useQuery('collections', () =>
+    api.get('/collections').then((res) => res.data.data)
+  );
+
+  const createMutation = useMutation((collection) => api.post('/collections', collection), {
+    onSuccess: () => {
+      setName('');
+      setDescription('');
+      queryClient.invalidateQueries('collections');
+    },
+  });
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (name.trim()) {
+      createMutation.mutate({ name: name.trim(), description });
+    }
+  };
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h2 className="text-2xl font-bold mb-2">Collections</h2>
+        <p className="text-gray-700 mb-4">
+          Swipe files of ads worth learning from. Save ads from search results or an ad&apos;s page.
+        </p>
+
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-2">
+          <input
+            type="text"
+            value={name}
+            maxLength={100}
+            onChange={(event) => setName(event.target.value)}
+            placeholder="Collection name"
+            className="border rounded-lg px-3 py-2"
+          />
+          <input
+            type="text"
+            value={description}
+            maxLength={1000}
+            onChange={(event) => setDescription(event.target.value)}
+            placeholder="Description (optional)"
+            className="border rounded-lg px-3 py-2"
+          />
+          <button
+            type="submit"
+            disabled={createMutation.isLoading || !name.trim()}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg disabled:bg-gray-400"
+          >
+            Create collection
+          </button>
+        </form>
+        {createMutation.isError && <p className="text-sm text-red-600 mt-2">Could not create the collection.</p>}
+      </div>
+
+      {isLoading ? (
+        <p className="text-gray-500">Loading collections...</p>
+      ) : isError ? (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4">Could not load collections.</div>
+      ) : collections.length === 0 ? (
+        <p className="text-gray-500">No collections yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {collections.map((collection) => (
+            <Link
+              key={collection._id}
+              to={`/collections/${collection._id}`}
+              className="bg-white rounded-lg shadow-md p-4 hover:shadow-lg"
+            >
+              <h3 className="font-bold text-blue-700">{collection.name}</h3>
+              {collection.description && <p className="text-sm text-gray-700 mt-1">{collection.description}</p>}
+              <p className="text-sm text-gray-500 mt-2">
+                {collection.itemCount} {collection.itemCount === 1 ? 'ad' : 'ads'}
+                {collection.shareToken && ' · Shared'}
+              </p>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Collections;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useMutation, useQueryClient } from 'react-query';
+import api, { setAuthToken } from '../services/api';
+
+function Login() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const queryClient = useQueryClient();
+  const [registering, setRegistering] = useState(false);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+
+  const sessionMutation = useMutation(
+    (credentials) => api.post(registering ? '/auth/register' : '/auth/login', credentials).then((res) => res.data.data),
+    {
+      onSuccess: ({ user, token }) => {
+        setAuthToken(token);
+        queryClient.clear();
+        queryClient.setQueryData('currentUser', user);
+        navigate((location.state && location.state.from) || '/collections', { replace: true });
+      },
+    }
+  );
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    sessionMutation.mutate({ email, password });
+  };
+
+  const errorResponse = sessionMutation.error && sessionMutation.error.response;
+  const errorMessage = !errorResponse
+    ? 'Could not reach the server. Please try again.'
+    : Array.isArray(errorResponse.data.details)
+    ? errorResponse.data.details.map((detail) => `${detail.field}: ${detail.message}`).join('. ')
+    : errorResponse.data.details || errorResponse.data.error;
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="bg-white rounded-lg shadow-md p-6 max-w-md mx-auto">
+        <h2 className="text-2xl font-bold mb-4">{registering ? 'Create an account' : 'Log in'}</h2>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <input
+            type="email"
+            value={email}
+            onChange={(event) => setEmail(event.target.value)}
+            placeholder="Email"
+            autoComplete="email"
+            required
+            className="w-full border rounded-lg px-3 py-2"
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            placeholder={registering ? 'Password (at least 8 characters)' : 'Password'}
+            autoComplete={registering ? 'new-password' : 'current-password'}
+            minLength={registering ? 8 : undefined}
+            required
+            className="w-full border rounded-lg px-3 py-2"
+          />
+          <button
+            type="submit"
+            disabled={sessionMutation.isLoading}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg disabled:bg-gray-400"
+          >
+            {registering ? 'Create account' : 'Log in'}
+          </button>
+        </form>
+
+        {sessionMutation.isError && <p className="text-sm text-red-600 mt-3">{errorMessage}</p>}
+
+        <button
+          type="button"
+          onClick={() => {
+            setRegistering(!registering);
+            sessionMutation.reset();
+          }}
+          className="mt-4 text-sm text-blue-600 hover:underline"
+        >
+          {registering ? 'Already have an account? Log in' : 'New here? Create an account'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
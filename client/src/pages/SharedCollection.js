@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import api from '../services/api';
+import CollectionItem from '../components/CollectionItem';
+
+// Read-only view of a collection opened through its share link
+function SharedCollection() {
+  const { token } = useParams();
+  const [tag, setTag] = useState(null);
+
+  const { data: collection, isLoading, isError } = useQuery(['sharedCollection', token, tag], () =>
+    api.get(`/collections/shared/${token}`, { params: { tag: tag || undefined } }).then((res) => res.data.data),
+    { keepPreviousData: true }
+  );
+
+  if (isLoading) {
+    return <div className="container mx-auto p-4 text-gray-500">Loading collection...</div>;
+  }
+
+  if (isError || !collection) {
+    return (
+      <div className="container mx-auto p-4">
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4">
+          This link is invalid or the collection is no longer shared.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h2 className="text-2xl font-bold">{collection.name}</h2>
+        {collection.description && <p className="text-gray-700 mt-1">{collection.description}</p>}
+        <p className="text-sm text-gray-500 mt-1">
+          {collection.itemCount} {collection.itemCount === 1 ? 'ad' : 'ads'} &middot; Shared collection
+        </p>
+      </div>
+
+      {collection.tags.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          <button
+            type="button"
+            onClick={() => setTag(null)}
+            className={`px-3 py-1 rounded-full text-sm ${tag ? 'bg-white border' : 'bg-blue-600 text-white'}`}
+          >
+            All
+          </button>
+          {collection.tags.map((candidate) => (
+            <button
+              key={candidate}
+              type="button"
+              onClick={() => setTag(candidate)}
+              className={`px-3 py-1 rounded-full text-sm ${tag === candidate ? 'bg-blue-600 text-white' : 'bg-white border'}`}
+            >
+              {candidate}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        {collection.items.length === 0 ? (
+          <p className="text-sm text-gray-500">This collection has no ads.</p>
+        ) : (
+          <ul className="divide-y">
+            {collection.items.map((item) => (
+              <CollectionItem key={item.adId} item={item} />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SharedCollection;
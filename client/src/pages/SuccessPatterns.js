@@ -1 +1,81 @@
-import React from "react"; function SuccessPatterns() { return <div><h1>Success Patterns</h1></div>; } export default SuccessPatterns;
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import api from '../services/api';
+import AudienceChart from '../components/AudienceChart';
+import RegionHeatmap from '../components/RegionHeatmap';
+
+function SuccessPatterns() {
+  const [keywords, setKeywords] = useState('');
+  const [segment, setSegment] = useState({});
+
+  const audienceQuery = useQuery(['audiencePatterns', segment], () =>
+    api.get('/ads/patterns/audience', { params: segment }).then((res) => res.data.data)
+  );
+  const regionsQuery = useQuery(['regionPatterns', segment], () =>
+    api.get('/ads/patterns/regions', { params: segment }).then((res) => res.data.data)
+  );
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    setSegment(keywords.trim() ? { keywords: keywords.trim() } : {});
+  };
+
+  const audience = audienceQuery.data;
+
+  return (
+    <div className="container mx-auto p-4">
+      <h1 className="text-2xl font-bold mb-4">Success Patterns</h1>
+
+      <form onSubmit={handleSubmit} className="flex gap-2 mb-6">
+        <input
+          type="text"
+          value={keywords}
+          onChange={(event) => setKeywords(event.target.value)}
+          placeholder="Narrow to ads matching keywords"
+          className="border rounded-lg px-3 py-2 flex-grow"
+        />
+        <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">
+          Apply
+        </button>
+      </form>
+
+      {audienceQuery.isError || regionsQuery.isError ? (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4">
+          Could not load patterns for this segment.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-bold mb-1">Audience of Successful Ads</h2>
+            {audience && (
+              <p className="text-sm text-gray-500 mb-4">
+                {audience.adsWithData} of {audience.adCount} ads report demographics, weighted by {audience.weightedBy}
+              </p>
+            )}
+            {audienceQuery.isLoading ? (
+              <p className="text-sm text-gray-500">Loading audience...</p>
+            ) : (
+              <AudienceChart audience={audience} />
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-bold mb-1">Regions</h2>
+            {regionsQuery.data && (
+              <p className="text-sm text-gray-500 mb-4">
+                {regionsQuery.data.adsWithData} of {regionsQuery.data.adCount} ads report regions
+              </p>
+            )}
+            {regionsQuery.isLoading ? (
+              <p className="text-sm text-gray-500">Loading regions...</p>
+            ) : (
+              <RegionHeatmap regions={regionsQuery.data && regionsQuery.data.regions} />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SuccessPatterns;
@@ -0,0 +1,40 @@
+import axios from 'axios';
+
+const TOKEN_KEY = 'authToken';
+
+// Shared axios instance for the backend API
+const api = axios.create({
+  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
+});
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+// Send the session token, if any, with every request
+api.interceptors.request.use((config) => {
+  const token = getAuthToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Forget sessions the server no longer accepts, e.g. once they expire
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response && error.response.status === 401 && error.response.data.error === 'Invalid credentials') {
+      setAuthToken(null);
+    }
+    return Promise.reject(error);
+  }
+);
+
+export default api;
@@ -0,0 +1,13 @@
+import { useQuery } from 'react-query';
+import api, { getAuthToken } from './api';
+
+// The signed-in user, or null when logged out
+export const useCurrentUser = () => {
+  const token = getAuthToken();
+  const query = useQuery('currentUser', () => api.get('/auth/me').then((res) => res.data.data), {
+    enabled: Boolean(token),
+    retry: false,
+    staleTime: 5 * 60 * 1000,
+  });
+  return { user: token ? query.data || null : null, isLoading: Boolean(token) && query.isLoading };
+};
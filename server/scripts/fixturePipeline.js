@@ -0,0 +1,34 @@
+// scripts/fixturePipeline.js
+// Runs search -> score -> patterns against recorded Graph API fixtures, without
+// a Facebook token, MongoDB or Redis. Usage: npm run demo:fixtures -- [keywords]
+const FacebookAdLibraryAdapter = require('../src/adapters/facebookAdLibraryAdapter');
+const AdAnalysisEngine = require('../src/services/adAnalysisEngine');
+
+const run = async () => {
+  const keywords = process.argv.slice(2).join(' ') || 'fitness';
+
+  const adapter = new FacebookAdLibraryAdapter({
+    fixturesMode: 'replay',
+    fixturesDir: process.env.FB_FIXTURES_DIR
+  });
+
+  const ads = await adapter.fetchAllAds({ keywords, limit: 50 }, 200);
+  const scoredAds = await AdAnalysisEngine.processAds(ads);
+  // Without MongoDB there is no stored library, so mine this batch's successful ads directly
+  const patterns = await AdAnalysisEngine.analyzeSuccessPatterns(
+    scoredAds.filter(ad => ad.successScore >= AdAnalysisEngine.SUCCESS_THRESHOLD),
+    { cacheKey: null }
+  );
+
+  console.log(`Fetched ${ads.length} ads for "${keywords}"`);
+  scoredAds
+    .sort((a, b) => b.successScore - a.successScore)
+    .forEach(ad => console.log(`  ${String(ad.successScore).padStart(3)}  ${ad.id}  ${ad.page_name}`));
+  console.log('Success patterns:');
+  console.log(JSON.stringify(patterns, null, 2));
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,68 +1,239 @@
-// Partial fix for src/adapters/facebookAdLibraryAdapter.js
-// Focus on the searchAds method
+// src/adapters/facebookAdLibraryAdapter.js
+const axios = require('axios');
+const path = require('path');
+const FixtureHttpClient = require('./fixtureHttpClient');
+const cache = require('../services/cache');
+const logger = require('../utils/logger');
+const { CircuitBreaker, RetryPolicy } = require('../utils/retryPolicy');
+
+const DEFAULT_API_VERSION = 'v18.0';
+const GRAPH_API_URL = 'https://graph.facebook.com';
+
+// The Ad Library API allows roughly 200 calls per hour per user token
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = 200;
+
+// The Ad Library requires ad_reached_countries; searches without countries use these
+const DEFAULT_COUNTRIES = ['US'];
+
+const AD_FIELDS = [
+  'id',
+  'ad_creation_time',
+  'ad_creative_bodies',
+  'ad_creative_link_titles',
+  'ad_creative_link_descriptions',
+  'ad_creative_link_captions',
+  'ad_delivery_start_time',
+  'ad_delivery_stop_time',
+  'ad_snapshot_url',
+  'page_id',
+  'page_name',
+  'demographic_distribution',
+  'region_distribution',
+  'impressions',
+  'spend',
+  'currency',
+  // Reach per country; only reported for ads delivered in the EU and UK
+  'age_country_gender_reach_breakdown',
+  // Languages of the creative, as ISO 639-1 codes
+  'languages'
+];
+
+// Throttling applies to the whole app token, so every adapter instance shares one breaker
+const graphApiCircuitBreaker = new CircuitBreaker({ name: 'Facebook Ad Library API' });
+
+/**
+ * Map optional search filters onto Ad Library query parameters
+ * @param {Object} params - Search parameters (see parseSearchFilters)
+ * @returns {Object} - Ad Library query parameters for the filters that are set
+ */
+const toFilterParams = (params) => {
+  const filterParams = {};
+
+  if (params.deliveryDateMin) filterParams.ad_delivery_date_min = params.deliveryDateMin;
+  if (params.deliveryDateMax) filterParams.ad_delivery_date_max = params.deliveryDateMax;
+  if (params.mediaType) filterParams.media_type = params.mediaType;
+
+  // List parameters are sent as JSON arrays, as the Graph API expects
+  if (params.pageIds && params.pageIds.length) filterParams.search_page_ids = JSON.stringify(params.pageIds);
+  if (params.publisherPlatforms && params.publisherPlatforms.length) {
+    filterParams.publisher_platforms = JSON.stringify(params.publisherPlatforms);
+  }
+  if (params.languages && params.languages.length) filterParams.languages = JSON.stringify(params.languages);
+
+  return filterParams;
+};
+
+const systemClock = {
+  now: () => Date.now(),
+  sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+/**
+ * Pick the HTTP client: recorded fixtures when FB_FIXTURES_MODE is set, axios otherwise
+ * @param {Object} options - Adapter options
+ * @returns {Object} - Client with an axios-compatible `get(url, config)`
+ */
+const createHttpClient = (options) => {
+  const mode = options.fixturesMode || process.env.FB_FIXTURES_MODE;
+  if (!mode) {
+    return axios;
+  }
+
+  const dir = options.fixturesDir || process.env.FB_FIXTURES_DIR ||
+    path.join(__dirname, '..', '..', 'fixtures', 'graph-api');
+  logger.info(`Facebook Ad Library adapter using ${mode} fixtures from ${dir}`);
+
+  return new FixtureHttpClient({ dir, mode, httpClient: axios });
+};
+
+class FacebookAdLibraryAdapter {
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {string} [options.apiVersion] - Graph API version (e.g. "v18.0")
+   * @param {string} [options.accessToken] - Facebook access token
+   * @param {Object} [options.httpClient] - axios-compatible client (defaults to axios or the fixture client)
+   * @param {string} [options.fixturesMode] - "replay" or "record" (overrides FB_FIXTURES_MODE)
+   * @param {string} [options.fixturesDir] - Fixture directory (overrides FB_FIXTURES_DIR)
+   * @param {Object} [options.cache] - Cache with `get(key)` and `set(key, value, ttlSeconds)`
+   * @param {Object} [options.clock] - Clock with `now()` and `sleep(ms)`
+   * @param {RetryPolicy} [options.retryPolicy] - Retry policy for Graph API calls
+   */
+  constructor(options = {}) {
+    this.apiVersion = options.apiVersion || DEFAULT_API_VERSION;
+    this.accessToken = options.accessToken;
+    this.baseUrl = `${GRAPH_API_URL}/${this.apiVersion}/ads_archive`;
+    this.httpClient = options.httpClient || createHttpClient(options);
+    this.cache = options.cache || cache;
+    this.clock = options.clock || systemClock;
+    this.retryPolicy = options.retryPolicy || new RetryPolicy({
+      clock: this.clock,
+      circuitBreaker: options.clock ?
+        new CircuitBreaker({ name: graphApiCircuitBreaker.name, clock: this.clock }) :
+        graphApiCircuitBreaker
+    });
+
+    this.rateLimitWindow = {
+      start: this.clock.now(),
+      requests: 0,
+      maxRequests: options.maxRequestsPerWindow || RATE_LIMIT_MAX_REQUESTS,
+      windowMs: options.rateLimitWindowMs || RATE_LIMIT_WINDOW_MS
+    };
+
+    if (!this.accessToken && this.httpClient === axios) {
+      logger.warn('No Facebook access token configured; Ad Library requests will fail');
+    }
+  }
+
+  /**
+   * Report the state of the local request budget
+   * @returns {Object} - { remaining, maxRequests, resetsInMs, circuitOpen }
+   */
+  getRateLimitStatus() {
+    const now = this.clock.now();
+    const elapsed = now - this.rateLimitWindow.start;
+    const windowExpired = elapsed >= this.rateLimitWindow.windowMs;
+    const circuitBreaker = this.retryPolicy.circuitBreaker;
+
+    return {
+      remaining: windowExpired ?
+        this.rateLimitWindow.maxRequests :
+        Math.max(0, this.rateLimitWindow.maxRequests - this.rateLimitWindow.requests),
+      maxRequests: this.rateLimitWindow.maxRequests,
+      resetsInMs: windowExpired ? 0 : this.rateLimitWindow.windowMs - elapsed,
+      circuitOpen: Boolean(circuitBreaker && circuitBreaker.isOpen()),
+      circuitRetryAfter: circuitBreaker ? circuitBreaker.retryAfterSeconds() : 0
+    };
+  }
+
+  /**
+   * Ensure the local request budget for the current window is not exhausted
+   * @throws {Error} - With `status` 503 and `retryAfter` (seconds) when the budget is spent
+   */
+  checkRateLimits() {
+    const now = this.clock.now();
+
+    // Start a new window once the current one has elapsed
+    if (now - this.rateLimitWindow.start >= this.rateLimitWindow.windowMs) {
+      this.rateLimitWindow.start = now;
+      this.rateLimitWindow.requests = 0;
+    }
+
+    if (this.rateLimitWindow.requests >= this.rateLimitWindow.maxRequests) {
+      const retryAfter = Math.ceil((this.rateLimitWindow.start + this.rateLimitWindow.windowMs - now) / 1000);
+      logger.warn(`Facebook Ad Library request budget exhausted, resets in ${retryAfter}s`);
+
+      const error = new Error('Facebook Ad Library request budget exhausted for this window');
+      error.status = 503;
+      error.retryAfter = retryAfter;
+      throw error;
+    }
+  }
+
+  /**
+   * Make a Graph API GET request under the retry policy and local request budget
+   * @param {string} url - Endpoint URL
+   * @param {Object} params - Query parameters (the access token is added here)
+   * @param {string} description - Operation name for logs
+   * @returns {Promise<Object>} - HTTP response
+   * @private
+   */
+  requestGraph(url, params, description) {
+    return this.retryPolicy.execute(() => {
+      // Every attempt, including retries, counts against the request budget
+      this.checkRateLimits();
+      this.rateLimitWindow.requests++;
+      
+      return this.httpClient.get(url, {
+        params: { access_token: this.accessToken, ...params },
+        timeout: 30000 // 30-second timeout for API calls
+      });
+    }, description);
+  }
 
   /**
-   * Search for ads based on keywords and filters
-   * @param {Object} params - Search parameters
+   * Search for ads based on keywords and filters (a single page of results)
+   * @param {Object} params - Search parameters; `after` selects the page following that cursor
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.bypassCache] - Fetch fresh results (and re-cache them), e.g. for
+   *   scheduled crawls that must see changes sooner than the cache expires
    * @returns {Promise<Object>} - Search results
    */
-  async searchAds(params) {
-    if (!params || !params.keywords) {
-      throw new Error('Keywords are required for ad search');
+  async searchAds(params, options = {}) {
+    if (!params || (!params.keywords && !(params.pageIds && params.pageIds.length))) {
+      throw new Error('Keywords or page IDs are required for ad search');
     }
 
     const cacheKey = `fb_ads_${JSON.stringify(params)}`;
     
     // Try to get from cache first
     try {
-      const redisClient = await this.redisClient;
-      const cachedData = await redisClient.get(cacheKey);
+      const cachedData = options.bypassCache ? null : await this.cache.get(cacheKey);
       if (cachedData) {
         logger.info('Cache hit for ad search');
         return JSON.parse(cachedData);
       }
-    } catch (redisError) {
-      logger.warn('Redis error when fetching cache', redisError);
+    } catch (cacheError) {
+      logger.warn('Cache error when fetching ad search', cacheError);
       // Continue with API call if cache fails
     }
     
-    // Check rate limits before proceeding
-    await this.checkRateLimits();
-    
     try {
       // Convert country parameter to array if needed
       const countries = params.countries ? 
         (Array.isArray(params.countries) ? params.countries : [params.countries]) : 
-        ['US'];
+        DEFAULT_COUNTRIES;
       
-      const response = await axios.get(this.baseUrl, {
-        params: {
-          access_token: this.accessToken,
-          search_terms: params.keywords,
-          ad_type: params.adType || 'ALL', // Allow flexible ad types instead of hardcoding
-          ad_reached_countries: countries,
-          ad_active_status: params.activeStatus || 'ALL',
-          fields: [
-            'id',
-            'ad_creation_time',
-            'ad_creative_bodies',
-            'ad_creative_link_titles',
-            'ad_creative_link_descriptions',
-            'ad_creative_link_captions',
-            'ad_delivery_start_time',
-            'ad_delivery_stop_time',
-            'ad_snapshot_url',
-            'page_id',
-            'page_name',
-            'demographic_distribution',
-            'region_distribution',
-            'impressions',
-            'spend'
-          ].join(','),
-          limit: Math.min(1000, params.limit || 25) // Cap limit at 1000 to prevent abuse
-        },
-        timeout: 30000 // 30-second timeout for API calls
-      });
+      const response = await this.requestGraph(this.baseUrl, {
+        ...(params.keywords ? { search_terms: params.keywords } : {}),
+        ad_type: params.adType || 'ALL', // Allow flexible ad types instead of hardcoding
+        ad_reached_countries: JSON.stringify(countries),
+        ad_active_status: params.activeStatus || 'ALL',
+        ...toFilterParams(params),
+        fields: AD_FIELDS.join(','),
+        limit: Math.min(1000, params.limit || 25), // Cap limit at 1000 to prevent abuse
+        ...(params.after ? { after: params.after } : {}) // Cursor of the page to fetch
+      }, 'ad search');
       
       // Validate response data
       if (!response.data || !Array.isArray(response.data.data)) {
@@ -75,15 +246,11 @@
         return { data: [], paging: {} };
       }
       
-      // Update rate limit counter
-      this.rateLimitWindow.requests++;
-      
       // Cache the results
       try {
-        await this.redisClient.set(
+        await this.cache.set(
           cacheKey, 
           JSON.stringify(response.data),
-          'EX',
           3600 // Cache for 1 hour
         );
       } catch (cacheError) {
@@ -93,19 +260,9 @@
       
       return response.data;
     } catch (error) {
-      // Handle rate limiting errors
-      if (error.response && error.response.status === 429) {
-        logger.warn('Rate limit exceeded for Facebook Ad Library API');
-        
-        // Apply exponential backoff
-        const retryAfter = error.response.headers['retry-after'] || 30;
-        const backoffTime = calculateBackoff(retryAfter);
-        
-        logger.info(`Backing off for ${backoffTime}ms before retrying`);
-        await new Promise(resolve => setTimeout(resolve, backoffTime));
-        
-        // Retry the request
-        return this.searchAds(params);
+      // Throttling that outlasted the retry policy, or an exhausted local budget
+      if (error.status === 503) {
+        throw error;
       }
       
       // Handle authentication errors
@@ -124,3 +281,132 @@
       throw error;
     }
   }
+
+  /**
+   * Iterate over every page of an Ad Library search by following the paging cursors
+   * @param {Object} params - Search parameters (see searchAds)
+   * @param {Object} [options] - Iteration options
+   * @param {number} [options.maxResults] - Stop once this many ads have been yielded
+   * @param {boolean} [options.bypassCache] - Fetch every page fresh (see searchAds)
+   * @yields {Object} - { ads, cursor, nextCursor } where `cursor` fetched this page and
+   *                    `nextCursor` fetches the following one (null on the last page)
+   */
+  async *iterateAdPages(params, options = {}) {
+    const { maxResults = Infinity, bypassCache = false } = options;
+    let after = params.after;
+    let yielded = 0;
+
+    while (yielded < maxResults) {
+      const page = await this.searchAds({ ...params, after }, { bypassCache });
+      const ads = Array.isArray(page.data) ? page.data : [];
+      const nextCursor = page.paging?.next ? page.paging?.cursors?.after || null : null;
+      const budgetedAds = ads.slice(0, maxResults - yielded);
+
+      yielded += budgetedAds.length;
+      yield { ads: budgetedAds, cursor: after || null, nextCursor };
+
+      // Stop on the last page, or if the API repeats a cursor
+      if (!nextCursor || nextCursor === after || ads.length === 0) {
+        return;
+      }
+      after = nextCursor;
+    }
+  }
+
+  /**
+   * Iterate over individual ads across all pages of a search
+   * @param {Object} params - Search parameters (see searchAds)
+   * @param {Object} [options] - Iteration options (see iterateAdPages)
+   * @yields {Object} - Raw ad data
+   */
+  async *iterateAds(params, options = {}) {
+    for await (const page of this.iterateAdPages(params, options)) {
+      yield* page.ads;
+    }
+  }
+
+  /**
+   * Collect ads across pages up to a results budget
+   * @param {Object} params - Search parameters (see searchAds)
+   * @param {number} maxResults - Maximum number of ads to fetch
+   * @param {Object} [options] - { bypassCache } (see searchAds)
+   * @returns {Promise<Array>} - Raw ads
+   */
+  async fetchAllAds(params, maxResults, options = {}) {
+    const ads = [];
+    for await (const ad of this.iterateAds(params, { ...options, maxResults })) {
+      ads.push(ad);
+    }
+    return ads;
+  }
+
+  /**
+   * Get a single ad by its Ad Library ID
+   * @param {string} adId - Ad Library archive ID
+   * @returns {Promise<Object|null>} - Raw ad data, or null if the ad does not exist
+   */
+  async getAdDetails(adId) {
+    if (!adId) {
+      throw new Error('Ad ID is required');
+    }
+
+    const cacheKey = `fb_ad_${adId}`;
+
+    try {
+      const cachedData = await this.cache.get(cacheKey);
+      if (cachedData) {
+        logger.info(`Cache hit for ad ${adId}`);
+        return JSON.parse(cachedData);
+      }
+    } catch (cacheError) {
+      logger.warn('Cache error when fetching ad details', cacheError);
+    }
+
+    try {
+      const response = await this.requestGraph(
+        `${GRAPH_API_URL}/${this.apiVersion}/${encodeURIComponent(adId)}`,
+        { fields: AD_FIELDS.join(',') },
+        `ad ${adId} lookup`
+      );
+
+      if (!response.data || !response.data.id) {
+        return null;
+      }
+
+      try {
+        await this.cache.set(cacheKey, JSON.stringify(response.data), 3600);
+      } catch (cacheError) {
+        logger.warn('Failed to cache Facebook ad details', cacheError);
+      }
+
+      return response.data;
+    } catch (error) {
+      if (error.status === 503) {
+        throw error;
+      }
+
+      // Graph API answers 400/404 for IDs that do not exist or are no longer visible
+      if (error.response && [400, 404].includes(error.response.status)) {
+        logger.info(`Ad ${adId} not found in the Ad Library`);
+        return null;
+      }
+
+      if (error.response && error.response.status === 401) {
+        logger.error('Facebook Ad API authentication failed - check your access token');
+        throw new Error('Authentication failed with Facebook Ad API');
+      }
+
+      logger.error(`Error fetching ad ${adId} from Facebook Ad Library`, {
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      throw error;
+    }
+  }
+}
+
+module.exports = FacebookAdLibraryAdapter;
+module.exports.AD_FIELDS = AD_FIELDS;
+module.exports.DEFAULT_COUNTRIES = DEFAULT_COUNTRIES;
@@ -0,0 +1,171 @@
+// src/adapters/fixtureHttpClient.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Parameters that never influence the response and must not end up on disk
+const IGNORED_PARAMS = ['access_token'];
+
+/**
+ * Build the fixture path for a Graph API request
+ *
+ * Fixtures live under `<dir>/<endpoint>/<hash>.json`, where the endpoint is the
+ * path after the API version ("ads_archive", or the ad ID for details) and the
+ * hash covers the remaining query parameters. `<dir>/<endpoint>/default.json`
+ * is used when no exact recording exists, which makes hand-written demo
+ * fixtures independent of the search terms.
+ *
+ * @param {string} dir - Fixture root directory
+ * @param {string} url - Request URL
+ * @param {Object} params - Query parameters
+ * @returns {Object} - { exact, fallback, key } fixture paths
+ */
+const resolveFixturePath = (dir, url, params = {}) => {
+  const endpoint = new URL(url).pathname
+    .split('/')
+    .filter(Boolean)
+    .filter(segment => !/^v\d+(\.\d+)?$/.test(segment))
+    .join('_') || 'root';
+
+  const normalized = Object.keys(params)
+    .filter(key => !IGNORED_PARAMS.includes(key) && params[key] !== undefined)
+    .sort()
+    .map(key => [key, Array.isArray(params[key]) ? params[key].join(',') : String(params[key])]);
+
+  const key = crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+
+  return {
+    key,
+    exact: path.join(dir, endpoint, `${key}.json`),
+    fallback: path.join(dir, endpoint, 'default.json')
+  };
+};
+
+/**
+ * Remove access tokens from paging URLs before a response is written to disk
+ * @param {Object} data - Response body
+ * @returns {Object} - Response body safe to store
+ */
+const scrubResponse = (data) => {
+  if (!data || !data.paging) {
+    return data;
+  }
+
+  const paging = { ...data.paging };
+  ['next', 'previous'].forEach(link => {
+    if (paging[link]) {
+      const linkUrl = new URL(paging[link]);
+      IGNORED_PARAMS.forEach(param => linkUrl.searchParams.delete(param));
+      paging[link] = linkUrl.toString();
+    }
+  });
+
+  return { ...data, paging };
+};
+
+/**
+ * Build an error shaped like the ones axios throws for non-2xx responses
+ * @param {Object} recording - Recorded response
+ * @returns {Error} - Error with a `response` property
+ */
+const toHttpError = (recording) => {
+  const error = new Error(`Request failed with status code ${recording.status}`);
+  error.response = {
+    status: recording.status,
+    headers: recording.headers || {},
+    data: recording.data
+  };
+  return error;
+};
+
+/**
+ * HTTP client that replays recorded Graph API responses from disk, or records
+ * live responses through another client. Implements the subset of the axios
+ * interface the adapter uses: `get(url, { params })`.
+ */
+class FixtureHttpClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.dir - Fixture root directory
+   * @param {string} [options.mode] - "replay" (default) or "record"
+   * @param {Object} [options.httpClient] - Client used for live requests in record mode
+   */
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('A fixture directory is required');
+    }
+
+    this.dir = options.dir;
+    this.mode = options.mode || 'replay';
+    this.httpClient = options.httpClient;
+
+    if (this.mode === 'record' && !this.httpClient) {
+      throw new Error('Record mode requires an HTTP client for live requests');
+    }
+  }
+
+  async get(url, config = {}) {
+    const fixture = resolveFixturePath(this.dir, url, config.params);
+
+    if (this.mode === 'record') {
+      return this.record(url, config, fixture);
+    }
+
+    const file = [fixture.exact, fixture.fallback].find(candidate => fs.existsSync(candidate));
+    if (!file) {
+      const error = new Error(`No recorded fixture for ${url} (expected ${fixture.exact})`);
+      error.response = { status: 404, headers: {}, data: { error: { message: error.message } } };
+      throw error;
+    }
+
+    logger.debug(`Replaying fixture ${path.relative(this.dir, file)}`);
+    const recording = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+
+    if (recording.status >= 400) {
+      throw toHttpError(recording);
+    }
+
+    return {
+      status: recording.status || 200,
+      headers: recording.headers || {},
+      data: recording.data
+    };
+  }
+
+  async record(url, config, fixture) {
+    let recording;
+    let thrown = null;
+
+    try {
+      const response = await this.httpClient.get(url, config);
+      recording = { status: response.status, headers: response.headers, data: response.data };
+    } catch (error) {
+      if (!error.response) {
+        throw error;
+      }
+      thrown = error;
+      recording = { status: error.response.status, headers: error.response.headers, data: error.response.data };
+    }
+
+    const params = { ...config.params };
+    IGNORED_PARAMS.forEach(param => delete params[param]);
+
+    await fs.promises.mkdir(path.dirname(fixture.exact), { recursive: true });
+    await fs.promises.writeFile(fixture.exact, JSON.stringify({
+      request: { url, params },
+      status: recording.status,
+      headers: { 'retry-after': recording.headers?.['retry-after'] },
+      data: scrubResponse(recording.data)
+    }, null, 2));
+    logger.info(`Recorded fixture ${path.relative(this.dir, fixture.exact)}`);
+
+    if (thrown) {
+      throw thrown;
+    }
+    return recording;
+  }
+}
+
+module.exports = FixtureHttpClient;
+module.exports.resolveFixturePath = resolveFixturePath;
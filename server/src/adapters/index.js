@@ -0,0 +1,41 @@
+// src/adapters/index.js
+const path = require('path');
+const FacebookAdLibraryAdapter = require('./facebookAdLibraryAdapter');
+const { DEFAULT_COUNTRIES } = require('./facebookAdLibraryAdapter');
+const LocalBlobStore = require('./localBlobStore');
+const S3BlobStore = require('./s3BlobStore');
+
+// One adapter per process, so API requests and background crawls share a
+// single rate-limit window
+const fbAdapter = new FacebookAdLibraryAdapter({
+  apiVersion: process.env.FB_API_VERSION,
+  accessToken: process.env.FB_ACCESS_TOKEN
+});
+
+/**
+ * Create the blob store archived snapshots are kept in: the local file system
+ * unless BLOB_STORE=s3
+ * @returns {LocalBlobStore|S3BlobStore} - Blob store
+ */
+const createBlobStore = () => {
+  if (process.env.BLOB_STORE === 's3') {
+    return new S3BlobStore({
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+      prefix: process.env.S3_PREFIX
+    });
+  }
+  return new LocalBlobStore({ root: process.env.BLOB_STORE_DIR || path.join(__dirname, '..', '..', 'archive') });
+};
+
+const blobStore = createBlobStore();
+
+module.exports = {
+  fbAdapter,
+  blobStore,
+  DEFAULT_COUNTRIES
+};
@@ -0,0 +1,73 @@
+// src/adapters/localBlobStore.js
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Blob store on the local file system. Keys are slash-separated paths below
+ * the root directory.
+ */
+class LocalBlobStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.root - Directory blobs are written to
+   */
+  constructor(options) {
+    this.root = path.resolve(options.root);
+  }
+
+  /**
+   * Resolve a key to a file path, refusing keys that would leave the root
+   * @param {string} key - Blob key
+   * @returns {string} - Absolute file path
+   * @private
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, ...String(key).split('/'));
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store a blob, replacing any blob with the same key
+   * @param {string} key - Blob key
+   * @param {Buffer} data - Contents
+   * @returns {Promise<void>}
+   */
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Write then rename, so readers never see a partly written file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Read a blob
+   * @param {string} key - Blob key
+   * @returns {Promise<Buffer|null>} - Contents, or null if the blob does not exist
+   */
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a blob; deleting a missing blob is not an error
+   * @param {string} key - Blob key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalBlobStore;
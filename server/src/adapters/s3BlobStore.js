@@ -0,0 +1,166 @@
+// src/adapters/s3BlobStore.js
+const axios = require('axios');
+const crypto = require('crypto');
+
+const DEFAULT_REGION = 'us-east-1';
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding of one path segment, as Signature Version 4 requires
+const encodeSegment = (segment) => encodeURIComponent(segment)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.canonicalUri - Encoded path
+ * @param {Object} request.headers - Headers to sign, with lower-case names; must include
+ *   host, x-amz-date and x-amz-content-sha256
+ * @param {string} request.region - Region
+ * @param {string} request.accessKeyId - Access key ID
+ * @param {string} request.secretAccessKey - Secret access key
+ * @returns {string} - Authorization header value
+ */
+const signRequest = ({ method, canonicalUri, headers, region, accessKeyId, secretAccessKey }) => {
+  const amzDate = headers['x-amz-date'];
+  const dateStamp = amzDate.slice(0, 8);
+  const names = Object.keys(headers).sort();
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    '',
+    ...names.map(name => `${name}:${String(headers[name]).trim()}`),
+    '',
+    signedHeaders,
+    headers['x-amz-content-sha256']
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (keyBytes, part) => hmac(keyBytes, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+};
+
+/**
+ * Blob store on Amazon S3 or an S3-compatible service (MinIO, Cloudflare R2,
+ * ...). Requests are signed with AWS Signature Version 4.
+ */
+class S3BlobStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.accessKeyId - Access key ID
+   * @param {string} options.secretAccessKey - Secret access key
+   * @param {string} [options.region] - Region (defaults to us-east-1)
+   * @param {string} [options.endpoint] - Endpoint of an S3-compatible service; AWS by default
+   * @param {boolean} [options.forcePathStyle] - Address the bucket in the path rather than the
+   *   host name (defaults to true with a custom endpoint)
+   * @param {string} [options.prefix] - Prefix for every key
+   * @param {Object} [options.httpClient] - axios-compatible client
+   * @param {Object} [options.clock] - Clock with `now()`
+   */
+  constructor(options) {
+    if (!options.bucket || !options.accessKeyId || !options.secretAccessKey) {
+      throw new Error('The S3 blob store needs a bucket, an access key ID and a secret access key');
+    }
+
+    this.bucket = options.bucket;
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.region = options.region || DEFAULT_REGION;
+    this.prefix = options.prefix || '';
+    this.httpClient = options.httpClient || axios;
+    this.clock = options.clock || { now: () => Date.now() };
+
+    const endpoint = new URL(options.endpoint || `https://s3.${this.region}.amazonaws.com`);
+    const pathStyle = options.forcePathStyle ?? Boolean(options.endpoint);
+    this.origin = pathStyle ? endpoint.origin : `${endpoint.protocol}//${this.bucket}.${endpoint.host}`;
+    this.host = new URL(this.origin).host;
+    this.basePath = pathStyle ? `/${encodeSegment(this.bucket)}` : '';
+  }
+
+  /**
+   * Send a signed request for an object
+   * @param {string} method - HTTP method
+   * @param {string} key - Blob key
+   * @param {Buffer} [body] - Request body
+   * @returns {Promise<Object>} - axios response; 404 responses resolve too
+   * @private
+   */
+  async request(method, key, body) {
+    const payload = body || Buffer.alloc(0);
+    const canonicalUri = `${this.basePath}/${`${this.prefix}${key}`.split('/').map(encodeSegment).join('/')}`;
+    const amzDate = new Date(this.clock.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    const headers = {
+      host: this.host,
+      'x-amz-content-sha256': sha256(payload),
+      'x-amz-date': amzDate
+    };
+    const authorization = signRequest({
+      method,
+      canonicalUri,
+      headers,
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+
+    const { host, ...requestHeaders } = headers;
+    return this.httpClient.request({
+      method,
+      url: `${this.origin}${canonicalUri}`,
+      data: body,
+      headers: {
+        ...requestHeaders,
+        Authorization: authorization
+      },
+      responseType: 'arraybuffer',
+      timeout: REQUEST_TIMEOUT_MS,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: status => (status >= 200 && status < 300) || status === 404
+    });
+  }
+
+  /**
+   * Store a blob, replacing any blob with the same key
+   * @param {string} key - Blob key
+   * @param {Buffer} data - Contents
+   * @returns {Promise<void>}
+   */
+  async put(key, data) {
+    await this.request('PUT', key, data);
+  }
+
+  /**
+   * Read a blob
+   * @param {string} key - Blob key
+   * @returns {Promise<Buffer|null>} - Contents, or null if the blob does not exist
+   */
+  async get(key) {
+    const response = await this.request('GET', key);
+    return response.status === 404 ? null : Buffer.from(response.data);
+  }
+
+  /**
+   * Delete a blob; deleting a missing blob is not an error
+   * @param {string} key - Blob key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+}
+
+module.exports = S3BlobStore;
+module.exports.signRequest = signRequest;
@@ -1,71 +1,283 @@
 // src/controllers/adController.js
-const FacebookAdLibraryAdapter = require('../adapters/facebookAdLibraryAdapter');
+const mongoose = require('mongoose');
+const { fbAdapter, DEFAULT_COUNTRIES } = require('../adapters');
 const AdAnalysisEngine = require('../services/adAnalysisEngine');
 const SuccessfulAdModel = require('../models/successfulAd');
+const ScoringProfileService = require('../services/scoringProfileService');
+const AdSuccessScoreCalculator = require('../services/adSuccessScoreCalculator');
+const VisualAnalysisService = require('../services/visualAnalysisService');
+const SnapshotArchiveService = require('../services/snapshotArchiveService');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { parseSearchFilters } = require('../utils/searchFilters');
+const { getDemographicProfile, getRegionProfile } = require('../utils/audience');
 const logger = require('../utils/logger');
 
-// Initialize Facebook Ad Library adapter
-const fbAdapter = new FacebookAdLibraryAdapter({
-  apiVersion: process.env.FB_API_VERSION,
-  accessToken: process.env.FB_ACCESS_TOKEN
-});
+// Upper bound on ads scored for a single page of results, so a high minScore
+// cannot make one request crawl the whole Ad Library
+const MAX_SCANNED_ADS_PER_REQUEST = 500;
+
+// Ads sampled from the Ad Library for a contrast analysis
+const DEFAULT_CONTRAST_SAMPLE = 200;
+const MAX_CONTRAST_SAMPLE = 500;
+
+// Candidates compared against an ad when looking for similar creatives
+const SIMILAR_CANDIDATES_PER_SOURCE = 200;
+const MAX_SIMILAR_RESULTS = 50;
+
+// Perceptual hashes are 64 bits; beyond half of them images are unrelated
+const MAX_VISUAL_DISTANCE = 32;
+
+// Public Ad Library page of an ad; snapshot URLs only render with an access token
+const AD_LIBRARY_PAGE_URL = 'https://www.facebook.com/ads/library/';
+
+/**
+ * Send an error response for a failed Ad Library call. Throttling errors carry
+ * a 503 status and the number of seconds until the API is worth retrying.
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the adapter
+ * @param {string} message - Summary of the failed operation
+ */
+const sendAdLibraryError = (res, error, message) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status || error.response?.status || 500).json({ 
+    error: message,
+    message: error.message,
+    ...(error.retryAfter ? { retryAfter: error.retryAfter } : {})
+  });
+};
+
+/**
+ * Check a profile query parameter; repeating it (?profile=a&profile=b) yields an array
+ * @param {*} value - Raw query value
+ * @returns {boolean} - True if absent or a single string
+ */
+const isProfileName = (value) => value === undefined || typeof value === 'string';
+
+/**
+ * Send a file from the snapshot archive
+ * @param {Object} res - Express response object
+ * @param {Object} entry - Archive manifest entry with the file's content type
+ * @param {Buffer} data - File contents
+ */
+const sendArchivedFile = (res, entry, data) => {
+  res.set({
+    'Content-Type': entry.contentType,
+    'Cache-Control': 'public, max-age=86400',
+    // The client runs on another origin and embeds thumbnails
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    'X-Snapshot-Source': 'archive'
+  });
+  res.send(data);
+};
+
+/**
+ * Load an ad and the visual features of its snapshot. Features stored with the
+ * ad are reused unless a refresh is requested.
+ * @param {string} adId - Ad ID
+ * @param {boolean} refresh - Analyze the snapshot again
+ * @returns {Promise<Object>} - { ad, features, source }; ad is null when it does not
+ *   exist and features null when no snapshot image is available
+ */
+const loadVisualFeatures = async (adId, refresh) => {
+  const storedAd = mongoose.connection.readyState === 1 ? await SuccessfulAdModel.findOne({ adId }).lean() : null;
+  const ad = storedAd ? storedAd.adData : await fbAdapter.getAdDetails(adId);
+  if (!ad || !ad.id) {
+    return { ad: null, features: null };
+  }
+
+  if (storedAd && storedAd.visualFeatures && !refresh) {
+    return { ad, features: storedAd.visualFeatures, source: 'database' };
+  }
+  return { ad, features: await VisualAnalysisService.analyzeAd(ad), source: 'snapshot' };
+};
+
+/**
+ * Parse the segment filters shared by the pattern endpoints
+ * @param {Object} query - Request query (keywords, countries, deliveryDateMin/Max,
+ *   pageIds, minScore, maxScore)
+ * @returns {Object} - { segment, errors }
+ */
+const parsePatternSegment = (query) => {
+  const { keywords, minScore, maxScore } = query;
+  const { filters, errors } = parseSearchFilters({
+    countries: query.countries,
+    deliveryDateMin: query.deliveryDateMin,
+    deliveryDateMax: query.deliveryDateMax,
+    pageIds: query.pageIds
+  });
+  
+  if (keywords !== undefined && (typeof keywords !== 'string' || !keywords.trim())) {
+    errors.push({ field: 'keywords', value: keywords, message: 'Must be a non-empty string' });
+  }
+  
+  const parseScore = (field, value) => {
+    if (value === undefined) return undefined;
+    const score = Number(value);
+    if (!Number.isFinite(score) || score < 0 || score > 100) {
+      errors.push({ field, value, message: 'Must be a number between 0 and 100' });
+      return undefined;
+    }
+    return score;
+  };
+  
+  const min = parseScore('minScore', minScore);
+  const max = parseScore('maxScore', maxScore);
+  if (min !== undefined && max !== undefined && min > max) {
+    errors.push({ field: 'maxScore', value: maxScore, message: 'Must not be lower than minScore' });
+  }
+  
+  return {
+    segment: {
+      ...filters,
+      ...(keywords && typeof keywords === 'string' && keywords.trim() ? { keywords: keywords.trim() } : {}),
+      ...(min !== undefined ? { minScore: min } : {}),
+      ...(max !== undefined ? { maxScore: max } : {})
+    },
+    errors
+  };
+};
 
 /**
  * Search for successful ads
+ *
+ * Accepts the Ad Library filters understood by parseSearchFilters (countries,
+ * adType, activeStatus, deliveryDateMin/Max, pageIds, publisherPlatforms,
+ * languages, mediaType) in addition to keywords, minScore, limit and cursor.
+ * With collapseVariants=true, near-identical ads on the returned page are
+ * grouped under their canonical creative.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.searchSuccessfulAds = async (req, res) => {
   try {
-    const { keywords, minScore = 70, limit = 25, page = 1 } = req.query;
+    const { keywords, minScore = 70, limit = 25, cursor, profile: profileName, collapseVariants } = req.query;
+    const pageSize = Math.max(1, Math.min(100, parseInt(limit) || 25));
     
     // Validate input
-    if (!keywords) {
-      return res.status(400).json({ error: 'Keywords are required for search' });
+    const { filters, errors } = parseSearchFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid search filters',
+        details: errors
+      });
     }
     
-    // Search Facebook Ad Library
-    const fbResults = await fbAdapter.searchAds({
-      keywords,
-      limit: Math.min(100, parseInt(limit) * 2), // Fetch more to allow for filtering
-      page: parseInt(page)
-    });
+    if (!keywords && !filters.pageIds) {
+      return res.status(400).json({ error: 'Keywords or page IDs are required for search' });
+    }
     
-    // Validate API response
-    if (!fbResults || !Array.isArray(fbResults.data)) {
-      logger.warn('Invalid response from Facebook Ad Library API', { fbResults });
-      return res.status(502).json({ 
-        error: 'Invalid response from Facebook Ad API',
-        details: 'The external API returned an unexpected format'
+    const minimumScore = Number(minScore);
+    if (!Number.isFinite(minimumScore) || minimumScore < 0 || minimumScore > 100) {
+      return res.status(400).json({
+        error: 'Invalid search filters',
+        details: [{ field: 'minScore', value: minScore, message: 'Must be a number between 0 and 100' }]
       });
     }
     
-    // Process and score the ads
-    const successfulAds = await AdAnalysisEngine.processAds(fbResults.data);
+    if (collapseVariants !== undefined && collapseVariants !== 'true' && collapseVariants !== 'false') {
+      return res.status(400).json({
+        error: 'Invalid search filters',
+        details: [{ field: 'collapseVariants', value: collapseVariants, message: 'Must be true or false' }]
+      });
+    }
     
-    // Filter by minimum success score
-    const filteredAds = successfulAds.filter(ad => ad.successScore >= parseInt(minScore));
+    const position = cursor ? decodeCursor(cursor) : { after: null, offset: 0 };
+    if (!position || !Number.isInteger(position.offset) || position.offset < 0) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        details: 'Pass the nextCursor value from a previous response unchanged'
+      });
+    }
     
-    // Paginate results
-    const paginatedAds = filteredAds.slice(0, parseInt(limit));
+    // Resolve the scoring profile before hitting the external API
+    if (!isProfileName(profileName)) {
+      return res.status(400).json({
+        error: 'Invalid scoring profile',
+        details: [{ field: 'profile', value: profileName, message: 'Must be a single profile name' }]
+      });
+    }
+    
+    const profile = await ScoringProfileService.getProfile(profileName);
+    if (!profile) {
+      return res.status(400).json({
+        error: 'Unknown scoring profile',
+        details: `No scoring profile named "${profileName}" exists`
+      });
+    }
+    
+    // Walk Ad Library pages from the cursor position until the page is full.
+    // The next cursor records the Ad Library page and the offset within it,
+    // so re-requesting a cursor always returns the same ads.
+    const pageAds = [];
+    let nextPosition = null;
+    let scanned = 0;
+    
+    const pages = fbAdapter.iterateAdPages({
+      ...filters,
+      keywords,
+      limit: Math.min(100, pageSize * 2), // Fetch more to allow for filtering
+      after: position.after || undefined
+    });
+    
+    for await (const fbPage of pages) {
+      const offset = fbPage.cursor === (position.after || null) ? position.offset : 0;
+      const candidates = fbPage.ads.slice(offset);
+      
+      // Process and score the ads
+      const scoredAds = await AdAnalysisEngine.processAds(candidates, {
+        profile,
+        countries: filters.countries || DEFAULT_COUNTRIES
+      });
+      
+      for (let i = 0; i < scoredAds.length && pageAds.length < pageSize; i++) {
+        scanned++;
+        // Filter by minimum success score
+        if (scoredAds[i].successScore >= minimumScore) {
+          pageAds.push(scoredAds[i]);
+        }
+        if (pageAds.length === pageSize || scanned >= MAX_SCANNED_ADS_PER_REQUEST) {
+          nextPosition = offset + i + 1 < fbPage.ads.length ?
+            { after: fbPage.cursor, offset: offset + i + 1 } :
+            (fbPage.nextCursor ? { after: fbPage.nextCursor, offset: 0 } : null);
+          break;
+        }
+      }
+      
+      if (pageAds.length === pageSize || scanned >= MAX_SCANNED_ADS_PER_REQUEST) {
+        break;
+      }
+      
+      nextPosition = fbPage.nextCursor ? { after: fbPage.nextCursor, offset: 0 } : null;
+    }
+    
+    // Variants are collapsed within the page, so a page may hold fewer than limit creatives
+    const data = collapseVariants === 'true' ?
+      AdAnalysisEngine.clusterVariants(pageAds).map(({ canonical, variants }) => ({ ...canonical, variants })) :
+      pageAds;
     
     // Return the results
     res.json({
       success: true,
-      data: paginatedAds,
+      data,
       pagination: {
-        total: filteredAds.length,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(filteredAds.length / parseInt(limit))
+        limit: pageSize,
+        cursor: cursor || null,
+        nextCursor: nextPosition ? encodeCursor(nextPosition) : null,
+        hasMore: Boolean(nextPosition),
+        scanned,
+        ...(collapseVariants === 'true' ? { variantsCollapsed: pageAds.length - data.length } : {})
+      },
+      scoringProfile: {
+        name: profile.name,
+        version: profile.version
       }
     });
   } catch (error) {
     logger.error('Error searching for successful ads', error);
-    res.status(500).json({ 
-      error: 'Error searching for ads',
-      message: error.message
-    });
+    sendAdLibraryError(res, error, 'Error searching for ads');
   }
 };
 
@@ -84,7 +296,7 @@ exports.getAdDetails = async (req, res) => {
     }
     
     // Try to get from database first (for successful ads)
-    const storedAd = await SuccessfulAdModel.findOne({ adId });
+    const storedAd = mongoose.connection.readyState === 1 ? await SuccessfulAdModel.findOne({ adId }) : null;
     
     if (storedAd) {
       return res.json({
@@ -115,8 +327,449 @@ exports.getAdDetails = async (req, res) => {
     });
   } catch (error) {
     logger.error(`Error fetching ad details for ID ${req.params.adId}`, error);
-    res.status(error.response?.status || 500).json({ 
-      error: 'Error fetching ad details',
+    sendAdLibraryError(res, error, 'Error fetching ad details');
+  }
+};
+
+/**
+ * Find ads whose copy is near-identical to a specific ad: variants from the
+ * same advertiser and copies run by others. Candidates are the advertiser's
+ * live ads and stored ads from the same page or matching the ad's copy.
+ *
+ * Accepts threshold (minimum similarity between 0 and 1) and limit.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSimilarAds = async (req, res) => {
+  try {
+    const { adId } = req.params;
+    const { threshold = AdAnalysisEngine.DEFAULT_SIMILARITY_THRESHOLD, limit = 20 } = req.query;
+    const errors = [];
+    
+    const minSimilarity = Number(threshold);
+    if (!Number.isFinite(minSimilarity) || minSimilarity <= 0 || minSimilarity > 1) {
+      errors.push({ field: 'threshold', value: threshold, message: 'Must be a number greater than 0 and at most 1' });
+    }
+    const maxResults = parseInt(limit, 10);
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > MAX_SIMILAR_RESULTS) {
+      errors.push({ field: 'limit', value: limit, message: `Must be an integer between 1 and ${MAX_SIMILAR_RESULTS}` });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid similarity request',
+        details: errors
+      });
+    }
+    
+    const dbConnected = mongoose.connection.readyState === 1;
+    const storedAd = dbConnected ? await SuccessfulAdModel.findOne({ adId }).lean() : null;
+    const ad = storedAd ? storedAd.adData : await fbAdapter.getAdDetails(adId);
+    
+    if (!ad || !ad.id) {
+      return res.status(404).json({ 
+        error: 'Ad not found',
+        details: 'The requested ad could not be found or has been removed'
+      });
+    }
+    
+    const candidates = [];
+    
+    if (dbConnected) {
+      const text = [...(ad.ad_creative_bodies || []), ...(ad.ad_creative_link_titles || [])].join(' ').trim();
+      const conditions = [{ 'adData.page_id': ad.page_id }, ...(text ? [{ $text: { $search: text } }] : [])];
+      // $text cannot sit inside $or next to an unindexed clause, so query each source separately
+      const storedAds = await Promise.all(conditions.map(condition =>
+        SuccessfulAdModel.find(condition).limit(SIMILAR_CANDIDATES_PER_SOURCE).lean()
+      ));
+      storedAds.flat().forEach(stored => candidates.push({ ...stored.adData, successScore: stored.successScore }));
+    }
+    
+    // Without the live crawl the stored library still yields results
+    let liveError = null;
+    if (ad.page_id) {
+      try {
+        const liveAds = await fbAdapter.fetchAllAds({ pageIds: [ad.page_id], limit: 100 }, SIMILAR_CANDIDATES_PER_SOURCE);
+        candidates.push(...await AdAnalysisEngine.processAds(liveAds, { countries: DEFAULT_COUNTRIES }));
+      } catch (error) {
+        logger.warn(`Could not crawl ads for page ${ad.page_id}: ${error.message}`);
+        liveError = error.message;
+      }
+    }
+    
+    const similar = AdAnalysisEngine.findSimilarAds(ad, candidates, { threshold: minSimilarity, limit: maxResults });
+    
+    res.json({
+      success: true,
+      data: similar.map(({ ad: similarAd, similarity }) => ({
+        ...similarAd,
+        similarity,
+        samePage: similarAd.page_id === ad.page_id
+      })),
+      compared: candidates.length,
+      threshold: minSimilarity,
+      ...(liveError ? { liveError } : {})
+    });
+  } catch (error) {
+    logger.error(`Error finding ads similar to ${req.params.adId}`, error);
+    sendAdLibraryError(res, error, 'Error finding similar ads');
+  }
+};
+
+/**
+ * Explain how a specific ad's success score was calculated
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.explainAdScore = async (req, res) => {
+  try {
+    const { adId } = req.params;
+    const { profile: profileName } = req.query;
+    
+    if (!isProfileName(profileName)) {
+      return res.status(400).json({
+        error: 'Invalid scoring profile',
+        details: [{ field: 'profile', value: profileName, message: 'Must be a single profile name' }]
+      });
+    }
+    
+    const profile = await ScoringProfileService.getProfile(profileName);
+    if (!profile) {
+      return res.status(400).json({
+        error: 'Unknown scoring profile',
+        details: `No scoring profile named "${profileName}" exists`
+      });
+    }
+    
+    // Prefer the stored copy, falling back to the live Ad Library
+    const storedAd = mongoose.connection.readyState === 1 ? await SuccessfulAdModel.findOne({ adId }) : null;
+    const adData = storedAd ? storedAd.adData : await fbAdapter.getAdDetails(adId);
+    
+    if (!adData || !adData.id) {
+      return res.status(404).json({ 
+        error: 'Ad not found',
+        details: 'The requested ad could not be found or has been removed'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: AdSuccessScoreCalculator.explainScore(adData, profile),
+      source: storedAd ? 'database' : 'api'
+    });
+  } catch (error) {
+    logger.error(`Error explaining score for ad ${req.params.adId}`, error);
+    sendAdLibraryError(res, error, 'Error explaining ad score');
+  }
+};
+
+/**
+ * Get the age, gender and region distribution of a specific ad's audience
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAdAudience = async (req, res) => {
+  try {
+    const { adId } = req.params;
+    
+    // Prefer the stored copy, falling back to the live Ad Library
+    const storedAd = mongoose.connection.readyState === 1 ? await SuccessfulAdModel.findOne({ adId }).lean() : null;
+    const adData = storedAd ? storedAd.adData : await fbAdapter.getAdDetails(adId);
+    
+    if (!adData || !adData.id) {
+      return res.status(404).json({ 
+        error: 'Ad not found',
+        details: 'The requested ad could not be found or has been removed'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        adId: adData.id,
+        demographics: getDemographicProfile(adData),
+        regions: getRegionProfile(adData)
+      },
+      source: storedAd ? 'database' : 'api'
+    });
+  } catch (error) {
+    logger.error(`Error fetching audience for ad ${req.params.adId}`, error);
+    sendAdLibraryError(res, error, 'Error fetching ad audience');
+  }
+};
+
+/**
+ * Get the visual features of a specific ad's snapshot: palette, brightness,
+ * contrast, format, people presence, text overlay and perceptual hash.
+ *
+ * Accepts refresh=true to analyze the snapshot again instead of using stored features.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAdVisual = async (req, res) => {
+  try {
+    const { adId } = req.params;
+    const { refresh = 'false' } = req.query;
+    
+    if (!['true', 'false'].includes(refresh)) {
+      return res.status(400).json({
+        error: 'Invalid visual analysis request',
+        details: [{ field: 'refresh', value: refresh, message: 'Must be true or false' }]
+      });
+    }
+    
+    const { ad, features, source } = await loadVisualFeatures(adId, refresh === 'true');
+    
+    if (!ad) {
+      return res.status(404).json({ 
+        error: 'Ad not found',
+        details: 'The requested ad could not be found or has been removed'
+      });
+    }
+    if (!features) {
+      return res.status(404).json({
+        error: 'Snapshot not available',
+        details: 'No snapshot image of this ad is available for analysis'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { adId: ad.id, ...features },
+      source
+    });
+  } catch (error) {
+    logger.error(`Error analyzing snapshot of ad ${req.params.adId}`, error);
+    sendAdLibraryError(res, error, 'Error analyzing ad snapshot');
+  }
+};
+
+/**
+ * Find stored ads whose snapshots look like a specific ad's snapshot, by the
+ * Hamming distance between their perceptual hashes
+ *
+ * Accepts maxDistance (0 to 32 bits) and limit.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getVisuallySimilarAds = async (req, res) => {
+  try {
+    const { adId } = req.params;
+    const { maxDistance = VisualAnalysisService.DEFAULT_MAX_DISTANCE, limit = 20 } = req.query;
+    const errors = [];
+    
+    const distance = Number(maxDistance);
+    if (!Number.isInteger(distance) || distance < 0 || distance > MAX_VISUAL_DISTANCE) {
+      errors.push({ field: 'maxDistance', value: maxDistance, message: `Must be an integer between 0 and ${MAX_VISUAL_DISTANCE}` });
+    }
+    const maxResults = parseInt(limit, 10);
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > MAX_SIMILAR_RESULTS) {
+      errors.push({ field: 'limit', value: limit, message: `Must be an integer between 1 and ${MAX_SIMILAR_RESULTS}` });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid similarity request',
+        details: errors
+      });
+    }
+    
+    const { ad, features } = await loadVisualFeatures(adId, false);
+    
+    if (!ad) {
+      return res.status(404).json({ 
+        error: 'Ad not found',
+        details: 'The requested ad could not be found or has been removed'
+      });
+    }
+    if (!features) {
+      return res.status(404).json({
+        error: 'Snapshot not available',
+        details: 'No snapshot image of this ad is available for analysis'
+      });
+    }
+    
+    const similar = await VisualAnalysisService.findVisuallySimilar(features, {
+      maxDistance: distance,
+      limit: maxResults,
+      excludeAdId: ad.id
+    });
+    
+    res.json({
+      success: true,
+      data: similar.map(similarAd => ({ ...similarAd, samePage: similarAd.page_id === ad.page_id })),
+      perceptualHash: features.perceptualHash,
+      maxDistance: distance
+    });
+  } catch (error) {
+    logger.error(`Error finding ads visually similar to ${req.params.adId}`, error);
+    sendAdLibraryError(res, error, 'Error finding visually similar ads');
+  }
+};
+
+/**
+ * Get the archived snapshot of a specific ad, falling back to a redirect to the
+ * ad's public Ad Library page while the ad has not been archived
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAdSnapshot = async (req, res) => {
+  try {
+    const { adId } = req.params;
+    const stored = await SnapshotArchiveService.getArchive(adId);
+    const archive = stored && stored.archive;
+    
+    if (archive && archive.status === 'archived') {
+      // Snapshots that were a single creative rather than a page are served as that file
+      const entry = archive.html && archive.html.key ? archive.html : (archive.media || [])[0];
+      const data = await SnapshotArchiveService.readBlob(entry);
+      if (data) {
+        if (entry === archive.html) {
+          res.set('Content-Security-Policy', SnapshotArchiveService.ARCHIVE_CONTENT_SECURITY_POLICY);
+        }
+        return sendArchivedFile(res, entry, data);
+      }
+      logger.warn(`Archived snapshot of ad ${adId} is missing from the blob store`);
+    }
+    
+    const adData = stored ? stored.adData : await fbAdapter.getAdDetails(adId);
+    
+    if (!adData || !adData.id) {
+      return res.status(404).json({ 
+        error: 'Ad not found',
+        details: 'The requested ad could not be found or has been removed'
+      });
+    }
+    
+    res.set('X-Snapshot-Source', 'live');
+    res.redirect(302, `${AD_LIBRARY_PAGE_URL}?id=${encodeURIComponent(adData.id)}`);
+  } catch (error) {
+    logger.error(`Error fetching snapshot of ad ${req.params.adId}`, error);
+    sendAdLibraryError(res, error, 'Error fetching ad snapshot');
+  }
+};
+
+/**
+ * Get the thumbnail of a specific ad's archived snapshot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAdSnapshotThumbnail = async (req, res) => {
+  try {
+    const { adId } = req.params;
+    const stored = await SnapshotArchiveService.getArchive(adId);
+    const thumbnail = stored && stored.archive && stored.archive.thumbnail;
+    const data = await SnapshotArchiveService.readBlob(thumbnail);
+    
+    if (!data) {
+      return res.status(404).json({
+        error: 'Thumbnail not available',
+        details: 'The snapshot of this ad has not been archived with an image'
+      });
+    }
+    
+    sendArchivedFile(res, thumbnail, data);
+  } catch (error) {
+    logger.error(`Error fetching snapshot thumbnail of ad ${req.params.adId}`, error);
+    res.status(500).json({ error: 'Error fetching snapshot thumbnail', message: error.message });
+  }
+};
+
+/**
+ * Get an image or video of a specific ad's archived snapshot, by its position
+ * in the archive; archived snapshot pages link to these
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAdSnapshotMedia = async (req, res) => {
+  try {
+    const { adId, index } = req.params;
+    
+    if (!/^\d+$/.test(index)) {
+      return res.status(400).json({
+        error: 'Invalid media request',
+        details: [{ field: 'index', value: index, message: 'Must be a non-negative integer' }]
+      });
+    }
+    
+    const stored = await SnapshotArchiveService.getArchive(adId);
+    const entry = ((stored && stored.archive && stored.archive.media) || [])[Number(index)];
+    const data = await SnapshotArchiveService.readBlob(entry);
+    
+    if (!data) {
+      return res.status(404).json({
+        error: 'Media not found',
+        details: 'The archived snapshot of this ad has no such media file'
+      });
+    }
+    
+    sendArchivedFile(res, entry, data);
+  } catch (error) {
+    logger.error(`Error fetching snapshot media of ad ${req.params.adId}`, error);
+    res.status(500).json({ error: 'Error fetching snapshot media', message: error.message });
+  }
+};
+
+/**
+ * Get the score history of a specific ad
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAdHistory = async (req, res) => {
+  try {
+    const { adId } = req.params;
+    const { profile: profileName, from, to } = req.query;
+    const errors = [];
+    
+    const parseDate = (field, value) => {
+      if (value === undefined) return undefined;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        errors.push({ field, value, message: 'Must be an ISO 8601 date' });
+        return undefined;
+      }
+      return date;
+    };
+    
+    const fromDate = parseDate('from', from);
+    const toDate = parseDate('to', to);
+    
+    const profile = isProfileName(profileName) ? await ScoringProfileService.getProfile(profileName) : null;
+    if (!profile) {
+      errors.push({
+        field: 'profile',
+        value: profileName,
+        message: isProfileName(profileName) ? 'Unknown scoring profile' : 'Must be a single profile name'
+      });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid history request',
+        details: errors
+      });
+    }
+    
+    // Snapshots are only recorded in the database
+    const history = mongoose.connection.readyState === 1
+      ? await AdSuccessScoreCalculator.getScoreHistory(adId, { profileName: profile.name, from: fromDate, to: toDate })
+      : [];
+    
+    res.json({
+      success: true,
+      data: history,
+      scoringProfile: {
+        name: profile.name,
+        version: profile.version
+      }
+    });
+  } catch (error) {
+    logger.error(`Error fetching score history for ad ${req.params.adId}`, error);
+    res.status(500).json({ 
+      error: 'Error fetching score history',
       message: error.message
     });
   }
@@ -124,16 +777,31 @@ exports.getAdDetails = async (req, res) => {
 
 /**
  * Get success patterns from analyzed ads
+ *
+ * Without query parameters the global patterns are returned. Segment filters
+ * (keywords, countries, deliveryDateMin/Max, pageIds, minScore, maxScore)
+ * restrict the stored ads the patterns are computed from.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.getSuccessPatterns = async (req, res) => {
   try {
-    const patterns = await AdAnalysisEngine.getSuccessPatterns();
+    const { segment, errors } = parsePatternSegment(req.query);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid pattern segment',
+        details: errors
+      });
+    }
+    
+    const patterns = await AdAnalysisEngine.getSuccessPatterns(segment);
     
     res.json({
       success: true,
       data: patterns,
+      segment,
       timestamp: new Date()
     });
   } catch (error) {
@@ -144,3 +812,156 @@ exports.getSuccessPatterns = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get the aggregated age and gender profile of successful ads in a segment
+ *
+ * Takes the same segment filters as getSuccessPatterns.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAudiencePatterns = async (req, res) => {
+  try {
+    const { segment, errors } = parsePatternSegment(req.query);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid pattern segment',
+        details: errors
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await AdAnalysisEngine.getAudienceProfile(segment),
+      segment,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    logger.error('Error fetching audience patterns', error);
+    res.status(500).json({ 
+      error: 'Error fetching audience patterns',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the regions successful ads in a segment were delivered in, for a heatmap
+ *
+ * Takes the same segment filters as getSuccessPatterns.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRegionPatterns = async (req, res) => {
+  try {
+    const { segment, errors } = parsePatternSegment(req.query);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid pattern segment',
+        details: errors
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await AdAnalysisEngine.getRegionHeatmap(segment),
+      segment,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    logger.error('Error fetching region patterns', error);
+    res.status(500).json({ 
+      error: 'Error fetching region patterns',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Compare high-score and low-score ads from one Ad Library search
+ *
+ * Takes the same keywords and filters as searchSuccessfulAds, plus highScore,
+ * lowScore and sampleSize. The sampled ads are scored and split into the two
+ * groups, so both come from the same segment.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getContrastPatterns = async (req, res) => {
+  try {
+    const {
+      keywords,
+      highScore = AdAnalysisEngine.SUCCESS_THRESHOLD,
+      lowScore = AdAnalysisEngine.DEFAULT_LOW_SCORE,
+      sampleSize = DEFAULT_CONTRAST_SAMPLE,
+      profile: profileName
+    } = req.query;
+    const { filters, errors } = parseSearchFilters(req.query);
+    
+    if (!keywords && !filters.pageIds) {
+      errors.push({ field: 'keywords', value: keywords, message: 'Keywords or page IDs are required' });
+    }
+    
+    const high = Number(highScore);
+    const low = Number(lowScore);
+    if (!Number.isFinite(high) || high < 0 || high > 100) {
+      errors.push({ field: 'highScore', value: highScore, message: 'Must be a number between 0 and 100' });
+    }
+    if (!Number.isFinite(low) || low < 0 || low > 100) {
+      errors.push({ field: 'lowScore', value: lowScore, message: 'Must be a number between 0 and 100' });
+    } else if (Number.isFinite(high) && low >= high) {
+      errors.push({ field: 'lowScore', value: lowScore, message: 'Must be lower than highScore' });
+    }
+    
+    const sample = parseInt(sampleSize, 10);
+    if (!Number.isInteger(sample) || sample < 10 || sample > MAX_CONTRAST_SAMPLE) {
+      errors.push({ field: 'sampleSize', value: sampleSize, message: `Must be an integer between 10 and ${MAX_CONTRAST_SAMPLE}` });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid contrast request',
+        details: errors
+      });
+    }
+    
+    if (!isProfileName(profileName)) {
+      return res.status(400).json({
+        error: 'Invalid scoring profile',
+        details: [{ field: 'profile', value: profileName, message: 'Must be a single profile name' }]
+      });
+    }
+    
+    const profile = await ScoringProfileService.getProfile(profileName);
+    if (!profile) {
+      return res.status(400).json({
+        error: 'Unknown scoring profile',
+        details: `No scoring profile named "${profileName}" exists`
+      });
+    }
+    
+    const ads = await fbAdapter.fetchAllAds({ ...filters, keywords, limit: 100 }, sample);
+    const scoredAds = await AdAnalysisEngine.processAds(ads, {
+      profile,
+      countries: filters.countries || DEFAULT_COUNTRIES
+    });
+    const contrast = AdAnalysisEngine.analyzeContrast(scoredAds, { highScore: high, lowScore: low });
+    
+    res.json({
+      success: true,
+      data: {
+        ...contrast,
+        sampled: scoredAds.length,
+        scoringProfile: { name: profile.name, version: profile.version }
+      },
+      timestamp: new Date()
+    });
+  } catch (error) {
+    logger.error('Error analyzing contrast patterns', error);
+    sendAdLibraryError(res, error, 'Error analyzing contrast patterns');
+  }
+};
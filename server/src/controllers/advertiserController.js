@@ -0,0 +1,103 @@
+// src/controllers/advertiserController.js
+const AdvertiserService = require('../services/advertiserService');
+const { parseSearchFilters } = require('../utils/searchFilters');
+const logger = require('../utils/logger');
+
+/**
+ * Get analytics for an advertiser page
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAdvertiser = async (req, res) => {
+  try {
+    const { pageId } = req.params;
+    const { filters, errors } = parseSearchFilters({ countries: req.query.countries });
+
+    if (!/^\d+$/.test(pageId)) {
+      errors.push({ field: 'pageId', value: pageId, message: 'Must be a numeric Facebook page ID' });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid advertiser request',
+        details: errors
+      });
+    }
+
+    const summary = await AdvertiserService.getAdvertiserSummary(pageId, { countries: filters.countries });
+
+    if (!summary) {
+      return res.status(404).json({
+        error: 'Advertiser not found',
+        details: `No ads are known for page ${pageId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    logger.error(`Error fetching advertiser ${req.params.pageId}`, error);
+    res.status(500).json({
+      error: 'Error fetching advertiser',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the A/B experiments detected for an advertiser page
+ *
+ * Accepts countries and threshold, the minimum text similarity (0 to 1) for
+ * two ads to count as variants of one creative.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAdvertiserExperiments = async (req, res) => {
+  try {
+    const { pageId } = req.params;
+    const { threshold } = req.query;
+    const { filters, errors } = parseSearchFilters({ countries: req.query.countries });
+
+    if (!/^\d+$/.test(pageId)) {
+      errors.push({ field: 'pageId', value: pageId, message: 'Must be a numeric Facebook page ID' });
+    }
+
+    const minSimilarity = threshold === undefined ? undefined : Number(threshold);
+    if (minSimilarity !== undefined && (!Number.isFinite(minSimilarity) || minSimilarity <= 0 || minSimilarity > 1)) {
+      errors.push({ field: 'threshold', value: threshold, message: 'Must be a number greater than 0 and at most 1' });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid experiments request',
+        details: errors
+      });
+    }
+
+    const experiments = await AdvertiserService.getExperiments(pageId, {
+      countries: filters.countries,
+      threshold: minSimilarity
+    });
+
+    if (!experiments) {
+      return res.status(404).json({
+        error: 'Advertiser not found',
+        details: `No ads are known for page ${pageId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: experiments
+    });
+  } catch (error) {
+    logger.error(`Error detecting experiments for advertiser ${req.params.pageId}`, error);
+    res.status(500).json({
+      error: 'Error detecting experiments',
+      message: error.message
+    });
+  }
+};
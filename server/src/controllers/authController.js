@@ -0,0 +1,195 @@
+// src/controllers/authController.js
+const AuthService = require('../services/authService');
+const logger = require('../utils/logger');
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_KEY_NAME_LENGTH = 100;
+
+/**
+ * Validate the email and password of a registration or login
+ * @param {Object} body - Request body
+ * @param {boolean} checkStrength - Whether to enforce the password length rules
+ * @returns {Array} - Validation errors; passwords are never echoed back
+ */
+const validateCredentials = (body, checkStrength) => {
+  const { email, password } = body;
+  const errors = [];
+
+  if (typeof email !== 'string' || email.trim().length > MAX_EMAIL_LENGTH || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    errors.push({ field: 'email', value: email, message: 'Must be a valid email address' });
+  }
+  if (typeof password !== 'string' || !password ||
+    (checkStrength && (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH))) {
+    errors.push({
+      field: 'password',
+      message: `Must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Send an auth service error, surfacing the status it carries
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the auth service
+ * @param {string} message - Message for unexpected failures
+ */
+const sendAuthError = (res, error, message) => {
+  if (error.status === 400 || error.status === 409) {
+    return res.status(error.status).json({
+      error: message,
+      details: error.message
+    });
+  }
+
+  logger.error(message, error);
+  res.status(500).json({
+    error: message,
+    message: error.message
+  });
+};
+
+/**
+ * Register a user and start a session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.register = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const errors = validateCredentials(body, true);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid registration',
+        details: errors
+      });
+    }
+
+    const session = await AuthService.register({ email: body.email, password: body.password });
+
+    res.status(201).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Error registering user');
+  }
+};
+
+/**
+ * Log in and start a session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.login = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const errors = validateCredentials(body, false);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid login',
+        details: errors
+      });
+    }
+
+    const session = await AuthService.login({ email: body.email, password: body.password });
+
+    if (!session) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        details: 'The email or password is incorrect'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Error logging in');
+  }
+};
+
+/**
+ * Get the signed-in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCurrentUser = async (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+};
+
+/**
+ * List the signed-in user's API keys
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await AuthService.listApiKeys(req.user._id);
+
+    res.json({
+      success: true,
+      data: apiKeys
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Error listing API keys');
+  }
+};
+
+/**
+ * Create an API key; the key is only ever shown in this response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name } = req.body || {};
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_KEY_NAME_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid API key',
+        details: [{ field: 'name', value: name, message: `Must be a non-empty string of at most ${MAX_KEY_NAME_LENGTH} characters` }]
+      });
+    }
+
+    const { apiKey, key } = await AuthService.createApiKey(req.user._id, name.trim());
+
+    res.status(201).json({
+      success: true,
+      data: { ...apiKey, key }
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Error creating API key');
+  }
+};
+
+/**
+ * Revoke an API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteApiKey = async (req, res) => {
+  try {
+    const deleted = await AuthService.deleteApiKey(req.user._id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'API key not found',
+        details: `No API key with ID ${req.params.id} exists`
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendAuthError(res, error, 'Error revoking API key');
+  }
+};
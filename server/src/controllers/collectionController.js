@@ -0,0 +1,424 @@
+// src/controllers/collectionController.js
+const CollectionService = require('../services/collectionService');
+const logger = require('../utils/logger');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Normalize tags: trimmed, lowercased and without duplicates
+ * @param {*} value - Raw value from the request body
+ * @returns {Array<string>|null} - Tags, or null when the value is not a valid tag list
+ */
+const parseTags = (value) => {
+  if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string')) {
+    return null;
+  }
+  const tags = [...new Set(value.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  return tags.length <= MAX_TAGS && tags.every(tag => tag.length <= MAX_TAG_LENGTH) ? tags : null;
+};
+
+/**
+ * Validate the notes and tags of a collection item
+ * @param {Object} body - Request body
+ * @param {Array} errors - Validation errors, appended to
+ * @returns {Object} - { notes, tags } with undefined for fields that are absent or invalid
+ */
+const parseItemFields = (body, errors) => {
+  const { notes, tags } = body;
+
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+    errors.push({ field: 'notes', value: notes, message: `Must be a string of at most ${MAX_NOTES_LENGTH} characters` });
+  }
+
+  const parsedTags = tags === undefined ? undefined : parseTags(tags);
+  if (parsedTags === null) {
+    errors.push({
+      field: 'tags',
+      value: tags,
+      message: `Must be an array of at most ${MAX_TAGS} strings of at most ${MAX_TAG_LENGTH} characters`
+    });
+  }
+
+  return {
+    notes: typeof notes === 'string' ? notes : undefined,
+    tags: parsedTags || undefined
+  };
+};
+
+/**
+ * Validate the name and description of a collection
+ * @param {Object} body - Request body
+ * @param {Array} errors - Validation errors, appended to
+ * @param {boolean} requireName - Whether the name must be present
+ */
+const validateCollectionFields = (body, errors, requireName) => {
+  const { name, description } = body;
+
+  if ((requireName || name !== undefined) &&
+    (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH)) {
+    errors.push({ field: 'name', value: name, message: `Must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push({
+      field: 'description',
+      value: description,
+      message: `Must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`
+    });
+  }
+};
+
+/**
+ * Send a collection service error, surfacing the status it carries
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the collection service
+ * @param {string} message - Message for unexpected failures
+ */
+const sendCollectionError = (res, error, message) => {
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({
+      error: message,
+      details: error.message
+    });
+  }
+
+  logger.error(message, error);
+  res.status(error.status || error.response?.status || 500).json({
+    error: message,
+    message: error.message
+  });
+};
+
+const sendNotFound = (res, id) => res.status(404).json({
+  error: 'Collection not found',
+  details: `No collection with ID ${id} exists`
+});
+
+/**
+ * Create a collection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createCollection = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const errors = [];
+    validateCollectionFields(body, errors, true);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid collection',
+        details: errors
+      });
+    }
+
+    const collection = await CollectionService.createCollection({
+      ownerId: req.user._id,
+      name: body.name.trim(),
+      description: body.description
+    });
+
+    res.status(201).json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Error creating collection');
+  }
+};
+
+/**
+ * List the signed-in user's collections
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listCollections = async (req, res) => {
+  try {
+    const collections = await CollectionService.listCollections(req.user._id);
+
+    res.json({
+      success: true,
+      data: collections
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Error listing collections');
+  }
+};
+
+/**
+ * Get a collection with its ads, optionally only those with a tag
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCollection = async (req, res) => {
+  try {
+    const collection = await CollectionService.getCollection(req.user._id, req.params.id, { tag: req.query.tag });
+
+    if (!collection) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Error fetching collection');
+  }
+};
+
+/**
+ * Get a shared collection through its read-only link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSharedCollection = async (req, res) => {
+  try {
+    const collection = await CollectionService.getSharedCollection(req.params.token, { tag: req.query.tag });
+
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found',
+        details: 'This link is invalid or the collection is no longer shared'
+      });
+    }
+
+    // The token is the only thing granting access; it is not repeated back, nor is the owner
+    const { shareToken, ownerId, ...shared } = collection;
+    res.json({
+      success: true,
+      data: shared
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Error fetching shared collection');
+  }
+};
+
+/**
+ * Rename a collection or change its description
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateCollection = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const errors = [];
+    validateCollectionFields(body, errors, false);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid collection update',
+        details: errors
+      });
+    }
+
+    const collection = await CollectionService.updateCollection(req.user._id, req.params.id, {
+      name: body.name !== undefined ? body.name.trim() : undefined,
+      description: body.description
+    });
+
+    if (!collection) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Error updating collection');
+  }
+};
+
+/**
+ * Delete a collection and its items
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteCollection = async (req, res) => {
+  try {
+    const deleted = await CollectionService.deleteCollection(req.user._id, req.params.id);
+
+    if (!deleted) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendCollectionError(res, error, 'Error deleting collection');
+  }
+};
+
+/**
+ * Add an ad to a collection, with optional notes and tags
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.addCollectionItem = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const errors = [];
+
+    const adId = body.adId === undefined ? '' : String(body.adId).trim();
+    if (!/^\d+$/.test(adId)) {
+      errors.push({ field: 'adId', value: body.adId, message: 'Must be a numeric Ad Library ID' });
+    }
+    const { notes, tags } = parseItemFields(body, errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid collection item',
+        details: errors
+      });
+    }
+
+    const result = await CollectionService.addItem(req.user._id, req.params.id, { adId, notes, tags });
+
+    if (!result) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      data: result.item,
+      created: result.created
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Error adding ad to collection');
+  }
+};
+
+/**
+ * Change the notes or tags of an ad in a collection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateCollectionItem = async (req, res) => {
+  try {
+    const errors = [];
+    const { notes, tags } = parseItemFields(req.body || {}, errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid collection item update',
+        details: errors
+      });
+    }
+
+    const item = await CollectionService.updateItem(req.user._id, req.params.id, req.params.adId, { notes, tags });
+
+    if (!item) {
+      return res.status(404).json({
+        error: 'Collection item not found',
+        details: `Ad ${req.params.adId} is not in collection ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Error updating collection item');
+  }
+};
+
+/**
+ * Remove an ad from a collection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.removeCollectionItem = async (req, res) => {
+  try {
+    const removed = await CollectionService.removeItem(req.user._id, req.params.id, req.params.adId);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Collection item not found',
+        details: `Ad ${req.params.adId} is not in collection ${req.params.id}`
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendCollectionError(res, error, 'Error removing ad from collection');
+  }
+};
+
+/**
+ * Put a collection's ads in a new order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.reorderCollectionItems = async (req, res) => {
+  try {
+    const { adIds } = req.body || {};
+
+    if (!Array.isArray(adIds) || adIds.some(adId => typeof adId !== 'string')) {
+      return res.status(400).json({
+        error: 'Invalid collection order',
+        details: [{ field: 'adIds', value: adIds, message: 'Must be an array of ad IDs' }]
+      });
+    }
+
+    const items = await CollectionService.reorderItems(req.user._id, req.params.id, adIds);
+
+    if (!items) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: items
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Error reordering collection');
+  }
+};
+
+/**
+ * Share a collection through a read-only link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.shareCollection = async (req, res) => {
+  try {
+    const collection = await CollectionService.shareCollection(req.user._id, req.params.id);
+
+    if (!collection) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Error sharing collection');
+  }
+};
+
+/**
+ * Stop sharing a collection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.unshareCollection = async (req, res) => {
+  try {
+    const collection = await CollectionService.unshareCollection(req.user._id, req.params.id);
+
+    if (!collection) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Error unsharing collection');
+  }
+};
@@ -0,0 +1,167 @@
+// src/controllers/crawlController.js
+const CrawlService = require('../services/crawlService');
+const { MIN_INTERVAL_MINUTES } = require('../services/crawlService');
+const { parseSearchFilters } = require('../utils/searchFilters');
+const logger = require('../utils/logger');
+
+const MAX_CRAWL_RESULTS = 1000;
+
+/**
+ * Get a crawl job if it belongs to the signed-in user
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - The job, or null if the user has no such job
+ */
+const getOwnedJob = async (req) => {
+  const job = await CrawlService.getJob(req.params.id);
+  return job && job.ownerId === String(req.user._id) ? job : null;
+};
+
+/**
+ * Send a crawl service error, surfacing Redis outages as 503
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the crawl service
+ * @param {string} message - Message for unexpected failures
+ */
+const sendCrawlError = (res, error, message) => {
+  if (error.status === 503) {
+    return res.status(503).json({
+      error: 'Crawl scheduler unavailable',
+      message: error.message
+    });
+  }
+
+  logger.error(message, error);
+  res.status(500).json({
+    error: message,
+    message: error.message
+  });
+};
+
+/**
+ * Create a scheduled crawl for saved keywords and/or page IDs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createCrawl = async (req, res) => {
+  try {
+    const { name, keywords, intervalMinutes, maxResults, ...filterInput } = req.body || {};
+    const { filters, errors } = parseSearchFilters(filterInput);
+
+    const trimmedKeywords = typeof keywords === 'string' ? keywords.trim() : '';
+    const { pageIds = [], ...searchFilters } = filters;
+
+    if (keywords !== undefined && typeof keywords !== 'string') {
+      errors.push({ field: 'keywords', value: keywords, message: 'Must be a string' });
+    }
+    if (!trimmedKeywords && pageIds.length === 0) {
+      errors.push({ field: 'keywords', value: keywords, message: 'Either keywords or pageIds is required' });
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      errors.push({ field: 'name', value: name, message: 'Must be a non-empty string' });
+    }
+
+    const interval = intervalMinutes === undefined ? undefined : Number(intervalMinutes);
+    if (interval !== undefined && (!Number.isInteger(interval) || interval < MIN_INTERVAL_MINUTES)) {
+      errors.push({
+        field: 'intervalMinutes',
+        value: intervalMinutes,
+        message: `Must be an integer of at least ${MIN_INTERVAL_MINUTES}`
+      });
+    }
+
+    const max = maxResults === undefined ? undefined : Number(maxResults);
+    if (max !== undefined && (!Number.isInteger(max) || max < 1 || max > MAX_CRAWL_RESULTS)) {
+      errors.push({ field: 'maxResults', value: maxResults, message: `Must be an integer between 1 and ${MAX_CRAWL_RESULTS}` });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid crawl definition',
+        details: errors
+      });
+    }
+
+    const job = await CrawlService.createJob({
+      ownerId: req.user._id,
+      name: name ? name.trim() : undefined,
+      keywords: trimmedKeywords || undefined,
+      pageIds,
+      filters: searchFilters,
+      intervalMinutes: interval,
+      maxResults: max
+    });
+
+    res.status(201).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    sendCrawlError(res, error, 'Error creating crawl');
+  }
+};
+
+/**
+ * List the signed-in user's scheduled crawls with their last run status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listCrawls = async (req, res) => {
+  try {
+    const jobs = await CrawlService.listJobs(req.user._id);
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    sendCrawlError(res, error, 'Error listing crawls');
+  }
+};
+
+/**
+ * Get a scheduled crawl
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCrawl = async (req, res) => {
+  try {
+    const job = await getOwnedJob(req);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Crawl not found',
+        details: `No crawl with ID ${req.params.id} exists`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    sendCrawlError(res, error, 'Error fetching crawl');
+  }
+};
+
+/**
+ * Delete a scheduled crawl
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteCrawl = async (req, res) => {
+  try {
+    const job = await getOwnedJob(req);
+    const deleted = job ? await CrawlService.deleteJob(job.id) : false;
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Crawl not found',
+        details: `No crawl with ID ${req.params.id} exists`
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendCrawlError(res, error, 'Error deleting crawl');
+  }
+};
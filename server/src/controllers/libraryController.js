@@ -0,0 +1,99 @@
+// src/controllers/libraryController.js
+const AdLibraryService = require('../services/adLibraryService');
+const { SORT_OPTIONS } = require('../services/adLibraryService');
+const { parseSearchFilters } = require('../utils/searchFilters');
+const logger = require('../utils/logger');
+
+/**
+ * Search the stored library of successful ads. Only MongoDB is queried, so this
+ * keeps working while the Facebook token is expired or rate-limited.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.searchLibrary = async (req, res) => {
+  try {
+    const { q, minScore, maxScore, sort, page = 1, limit = 25 } = req.query;
+    const errors = [];
+
+    // Dates and page IDs use the same rules as live searches
+    const { filters, errors: filterErrors } = parseSearchFilters({
+      deliveryDateMin: req.query.deliveryDateMin,
+      deliveryDateMax: req.query.deliveryDateMax,
+      pageIds: req.query.pageIds
+    });
+    errors.push(...filterErrors);
+
+    const parseScore = (field, value) => {
+      if (value === undefined) return undefined;
+      const score = Number(value);
+      if (!Number.isFinite(score) || score < 0 || score > 100) {
+        errors.push({ field, value, message: 'Must be a number between 0 and 100' });
+        return undefined;
+      }
+      return score;
+    };
+
+    const min = parseScore('minScore', minScore);
+    const max = parseScore('maxScore', maxScore);
+    if (min !== undefined && max !== undefined && min > max) {
+      errors.push({ field: 'maxScore', value: maxScore, message: 'Must not be lower than minScore' });
+    }
+
+    if (sort !== undefined && !SORT_OPTIONS.includes(sort)) {
+      errors.push({ field: 'sort', value: sort, message: `Must be one of ${SORT_OPTIONS.join(', ')}` });
+    } else if (sort === 'relevance' && !q) {
+      errors.push({ field: 'sort', value: sort, message: 'Sorting by relevance requires a text query (q)' });
+    }
+
+    const pageNumber = parseInt(page, 10);
+    const pageSize = parseInt(limit, 10);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      errors.push({ field: 'page', value: page, message: 'Must be a positive integer' });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+      errors.push({ field: 'limit', value: limit, message: 'Must be an integer between 1 and 100' });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid library search',
+        details: errors
+      });
+    }
+
+    const { ads, total } = await AdLibraryService.search({
+      ...filters,
+      text: q ? String(q).trim() : undefined,
+      minScore: min,
+      maxScore: max,
+      sort,
+      page: pageNumber,
+      limit: pageSize
+    });
+
+    res.json({
+      success: true,
+      data: ads.map(stored => ({
+        ...stored.adData,
+        successScore: stored.successScore,
+        componentScores: stored.componentScores,
+        firstSeenAt: stored.firstSeenAt,
+        lastSeenAt: stored.lastSeenAt,
+        ...(stored.relevance !== undefined ? { relevance: stored.relevance } : {})
+      })),
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize)
+      },
+      source: 'database'
+    });
+  } catch (error) {
+    logger.error('Error searching the ad library', error);
+    res.status(500).json({
+      error: 'Error searching the ad library',
+      message: error.message
+    });
+  }
+};
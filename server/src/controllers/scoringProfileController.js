@@ -0,0 +1,94 @@
+// src/controllers/scoringProfileController.js
+const ScoringProfileService = require('../services/scoringProfileService');
+const logger = require('../utils/logger');
+
+/**
+ * List the latest version of every scoring profile
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listProfiles = async (req, res) => {
+  try {
+    const profiles = await ScoringProfileService.listProfiles();
+
+    res.json({
+      success: true,
+      data: profiles
+    });
+  } catch (error) {
+    logger.error('Error listing scoring profiles', error);
+    res.status(500).json({
+      error: 'Error listing scoring profiles',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the latest version of a scoring profile
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getProfile = async (req, res) => {
+  try {
+    const profile = await ScoringProfileService.getProfile(req.params.name);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Scoring profile not found',
+        details: `No scoring profile named "${req.params.name}" exists`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    logger.error(`Error fetching scoring profile ${req.params.name}`, error);
+    res.status(500).json({
+      error: 'Error fetching scoring profile',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a new version of a scoring profile
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createProfileVersion = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    // Validate input
+    if (!/^[a-z0-9_-]{1,50}$/i.test(name)) {
+      return res.status(400).json({
+        error: 'Invalid profile name',
+        details: 'Profile names may only contain letters, digits, "-" and "_" (max 50 characters)'
+      });
+    }
+
+    const errors = ScoringProfileService.validateProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid scoring profile',
+        details: errors
+      });
+    }
+
+    const profile = await ScoringProfileService.createProfileVersion(name, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    logger.error(`Error creating scoring profile ${req.params.name}`, error);
+    res.status(500).json({
+      error: 'Error creating scoring profile',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,258 @@
+// src/controllers/watchlistController.js
+const WatchlistService = require('../services/watchlistService');
+const { MIN_INTERVAL_MINUTES } = require('../services/crawlService');
+const { WATCHLIST_EVENT_TYPES } = require('../models/watchlistEvent');
+const { checkPublicUrl } = require('../utils/publicUrl');
+const logger = require('../utils/logger');
+
+const MAX_WATCHED_PAGES = 100;
+
+/**
+ * Send a watchlist service error, surfacing scheduler outages as 503
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the watchlist service
+ * @param {string} message - Message for unexpected failures
+ */
+const sendWatchlistError = (res, error, message) => {
+  if (error.status === 503) {
+    return res.status(503).json({
+      error: 'Crawl scheduler unavailable',
+      message: error.message
+    });
+  }
+
+  logger.error(message, error);
+  res.status(500).json({
+    error: message,
+    message: error.message
+  });
+};
+
+/**
+ * Create a watchlist of advertiser pages
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createWatchlist = async (req, res) => {
+  try {
+    const { name, pageIds, webhookUrl, intervalMinutes } = req.body || {};
+    const errors = [];
+
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push({ field: 'name', value: name, message: 'Name is required' });
+    }
+
+    const ids = Array.isArray(pageIds) ? pageIds.map(id => String(id).trim()) : [];
+    if (ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+      errors.push({ field: 'pageIds', value: pageIds, message: 'Must be a non-empty array of numeric Facebook page IDs' });
+    } else if (new Set(ids).size > MAX_WATCHED_PAGES) {
+      errors.push({ field: 'pageIds', value: pageIds, message: `At most ${MAX_WATCHED_PAGES} pages can be watched` });
+    }
+
+    if (webhookUrl !== undefined && webhookUrl !== null) {
+      const webhookError = await checkPublicUrl(webhookUrl);
+      if (webhookError) {
+        errors.push({ field: 'webhookUrl', value: webhookUrl, message: webhookError });
+      }
+    }
+
+    const interval = intervalMinutes === undefined ? undefined : Number(intervalMinutes);
+    if (interval !== undefined && (!Number.isInteger(interval) || interval < MIN_INTERVAL_MINUTES)) {
+      errors.push({
+        field: 'intervalMinutes',
+        value: intervalMinutes,
+        message: `Must be an integer of at least ${MIN_INTERVAL_MINUTES}`
+      });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid watchlist',
+        details: errors
+      });
+    }
+
+    const watchlist = await WatchlistService.createWatchlist({
+      ownerId: req.user._id,
+      name: name.trim(),
+      pageIds: [...new Set(ids)],
+      webhookUrl,
+      intervalMinutes: interval
+    });
+
+    res.status(201).json({
+      success: true,
+      data: watchlist
+    });
+  } catch (error) {
+    sendWatchlistError(res, error, 'Error creating watchlist');
+  }
+};
+
+/**
+ * List the signed-in user's watchlists
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listWatchlists = async (req, res) => {
+  try {
+    const watchlists = await WatchlistService.listWatchlists(req.user._id);
+
+    res.json({
+      success: true,
+      data: watchlists
+    });
+  } catch (error) {
+    sendWatchlistError(res, error, 'Error listing watchlists');
+  }
+};
+
+/**
+ * Get a watchlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getWatchlist = async (req, res) => {
+  try {
+    const watchlist = await WatchlistService.getWatchlist(req.user._id, req.params.id);
+
+    if (!watchlist) {
+      return res.status(404).json({
+        error: 'Watchlist not found',
+        details: `No watchlist with ID ${req.params.id} exists`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: watchlist
+    });
+  } catch (error) {
+    sendWatchlistError(res, error, 'Error fetching watchlist');
+  }
+};
+
+/**
+ * Rename a watchlist or change its webhook URL
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateWatchlist = async (req, res) => {
+  try {
+    const { name, webhookUrl } = req.body || {};
+    const errors = [];
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      errors.push({ field: 'name', value: name, message: 'Must be a non-empty string' });
+    }
+    if (webhookUrl !== undefined && webhookUrl !== null) {
+      const webhookError = await checkPublicUrl(webhookUrl);
+      if (webhookError) {
+        errors.push({ field: 'webhookUrl', value: webhookUrl, message: `${webhookError}, or null` });
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid watchlist update',
+        details: errors
+      });
+    }
+
+    const watchlist = await WatchlistService.updateWatchlist(req.user._id, req.params.id, {
+      name: name !== undefined ? name.trim() : undefined,
+      webhookUrl
+    });
+
+    if (!watchlist) {
+      return res.status(404).json({
+        error: 'Watchlist not found',
+        details: `No watchlist with ID ${req.params.id} exists`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: watchlist
+    });
+  } catch (error) {
+    sendWatchlistError(res, error, 'Error updating watchlist');
+  }
+};
+
+/**
+ * Delete a watchlist and its scheduled crawls
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteWatchlist = async (req, res) => {
+  try {
+    const deleted = await WatchlistService.deleteWatchlist(req.user._id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Watchlist not found',
+        details: `No watchlist with ID ${req.params.id} exists`
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendWatchlistError(res, error, 'Error deleting watchlist');
+  }
+};
+
+/**
+ * Get change events recorded for a watchlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getWatchlistEvents = async (req, res) => {
+  try {
+    const { type, since, limit = 50 } = req.query;
+    const errors = [];
+
+    if (type !== undefined && !WATCHLIST_EVENT_TYPES.includes(type)) {
+      errors.push({ field: 'type', value: type, message: `Must be one of ${WATCHLIST_EVENT_TYPES.join(', ')}` });
+    }
+
+    const sinceDate = since !== undefined ? new Date(since) : undefined;
+    if (sinceDate && Number.isNaN(sinceDate.getTime())) {
+      errors.push({ field: 'since', value: since, message: 'Must be an ISO 8601 date' });
+    }
+
+    const pageSize = parseInt(limit, 10);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 200) {
+      errors.push({ field: 'limit', value: limit, message: 'Must be an integer between 1 and 200' });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid event query',
+        details: errors
+      });
+    }
+
+    const watchlist = await WatchlistService.getWatchlist(req.user._id, req.params.id);
+    if (!watchlist) {
+      return res.status(404).json({
+        error: 'Watchlist not found',
+        details: `No watchlist with ID ${req.params.id} exists`
+      });
+    }
+
+    const events = await WatchlistService.getEvents(watchlist._id, {
+      type,
+      since: sinceDate,
+      limit: pageSize
+    });
+
+    res.json({
+      success: true,
+      data: events,
+      lastCrawledAt: watchlist.lastCrawledAt || null
+    });
+  } catch (error) {
+    sendWatchlistError(res, error, 'Error fetching watchlist events');
+  }
+};
@@ -4,6 +4,10 @@ const cors = require('cors');
 const helmet = require('helmet');
 const mongoose = require('mongoose');
 const redis = require('./services/redis');
+const CrawlService = require('./services/crawlService');
+const SnapshotArchiveService = require('./services/snapshotArchiveService');
+const AdScoreModel = require('./models/adScore');
+const { authenticate } = require('./utils/authMiddleware');
 const logger = require('./utils/logger');
 const fs = require('fs');
 const path = require('path');
@@ -23,6 +27,8 @@ if (!fs.existsSync(logsDir)) {
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
+// Identify the user behind each API request, for ownership and rate limit quotas
+app.use('/api', authenticate);
 
 // Connect to MongoDB
 const connectDB = async () => {
@@ -55,7 +61,14 @@ app.get('/api/health', (req, res) => {
 });
 
 // Import API routes
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/ads', require('./routes/ads'));
+app.use('/api/scoring-profiles', require('./routes/scoringProfiles'));
+app.use('/api/library', require('./routes/library'));
+app.use('/api/crawls', require('./routes/crawls'));
+app.use('/api/watchlists', require('./routes/watchlists'));
+app.use('/api/advertisers', require('./routes/advertisers'));
+app.use('/api/collections', require('./routes/collections'));
 
 // Start server
 const startServer = async () => {
@@ -65,9 +78,24 @@ const startServer = async () => {
     logger.error('Failed to connect to MongoDB. Application cannot start.');
     process.exit(1);
   }
+
+  // Migrate databases created before scores were kept per scoring profile
+  try {
+    if (await AdScoreModel.dropLegacyIndexes()) {
+      logger.info('Dropped the legacy unique adId index of ad scores');
+    }
+  } catch (error) {
+    logger.error('Could not drop the legacy unique adId index of ad scores', error);
+  }
   
   // Redis connection is helpful but not critical
   await connectRedis();
+
+  // Scheduled crawls keep their state in Redis, so they only run when it is available
+  CrawlService.start();
+
+  // Archive the snapshots of stored ads before they expire
+  SnapshotArchiveService.start();
   
   app.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
@@ -4,9 +4,18 @@ const mongoose = require('mongoose');
 const adScoreSchema = new mongoose.Schema({
   adId: {
     type: String,
+    required: true
+  },
+  // Scoring profile that produced this score; a version mismatch invalidates the cached score
+  profileName: {
+    type: String,
+    required: true,
+    default: 'default'
+  },
+  profileVersion: {
+    type: Number,
     required: true,
-    unique: true,
-    index: true
+    default: 1
   },
   totalScore: {
     type: Number,
@@ -24,7 +33,16 @@ const adScoreSchema = new mongoose.Schema({
     impressions: Number,
     estimatedEngagement: Number,
     dailySpend: Number,
-    dailyImpressions: Number
+    dailyImpressions: Number,
+    spendRange: {
+      lower: Number,
+      upper: Number,
+      currency: String
+    },
+    impressionsRange: {
+      lower: Number,
+      upper: Number
+    }
   },
   updatedAt: {
     type: Date,
@@ -35,9 +53,35 @@ const adScoreSchema = new mongoose.Schema({
 });
 
 // Create indexes for faster queries
+adScoreSchema.index({ adId: 1, profileName: 1 }, { unique: true });
 adScoreSchema.index({ totalScore: -1 });
 adScoreSchema.index({ updatedAt: -1 });
 
+/**
+ * Drop the unique adId index of databases created before scores were kept per
+ * scoring profile. Mongoose never drops indexes, and that one rejects the
+ * score of a second profile for an ad with a duplicate key error.
+ * @returns {Promise<boolean>} - True if the index was dropped
+ */
+adScoreSchema.statics.dropLegacyIndexes = async function () {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    // NamespaceNotFound: no scores stored yet
+    if (error.code === 26) {
+      return false;
+    }
+    throw error;
+  }
+
+  if (!indexes.some(index => index.name === 'adId_1' && index.unique)) {
+    return false;
+  }
+  await this.collection.dropIndex('adId_1');
+  return true;
+};
+
 const AdScoreModel = mongoose.model('AdScore', adScoreSchema);
 
 module.exports = AdScoreModel;
\ No newline at end of file
@@ -0,0 +1,58 @@
+// src/models/adScoreSnapshot.js
+const mongoose = require('mongoose');
+
+// Append-only record of every score calculation, so an ad's trajectory survives recalculation
+const adScoreSnapshotSchema = new mongoose.Schema({
+  adId: {
+    type: String,
+    required: true
+  },
+  profileName: {
+    type: String,
+    required: true,
+    default: 'default'
+  },
+  profileVersion: {
+    type: Number,
+    required: true,
+    default: 1
+  },
+  totalScore: {
+    type: Number,
+    required: true
+  },
+  componentScores: {
+    durationScore: Number,
+    spendScore: Number,
+    impressionsScore: Number,
+    engagementScore: Number
+  },
+  rawMetrics: {
+    durationDays: Number,
+    spendAmount: Number,
+    impressions: Number,
+    estimatedEngagement: Number,
+    dailySpend: Number,
+    dailyImpressions: Number,
+    spendRange: {
+      lower: Number,
+      upper: Number,
+      currency: String
+    },
+    impressionsRange: {
+      lower: Number,
+      upper: Number
+    }
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for faster queries
+adScoreSnapshotSchema.index({ adId: 1, profileName: 1, capturedAt: 1 });
+
+const AdScoreSnapshotModel = mongoose.model('AdScoreSnapshot', adScoreSnapshotSchema);
+
+module.exports = AdScoreSnapshotModel;
@@ -0,0 +1,42 @@
+// src/models/apiKey.js
+const mongoose = require('mongoose');
+
+// A personal API key for scripts; only a hash of the key is stored
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // SHA-256 of the key
+  keyHash: {
+    type: String,
+    required: true
+  },
+  // Start of the key, to tell keys apart in listings
+  prefix: {
+    type: String,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for faster queries
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+const ApiKeyModel = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKeyModel;
@@ -0,0 +1,42 @@
+// src/models/collection.js
+const mongoose = require('mongoose');
+
+// A named board of saved ads (a swipe file)
+const collectionSchema = new mongoose.Schema({
+  // Owning user; collections created before accounts existed have none until claimed
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Token of the read-only share link; null while the collection is private
+  shareToken: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for faster queries
+collectionSchema.index({ shareToken: 1 }, { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } });
+collectionSchema.index({ ownerId: 1, updatedAt: -1 });
+
+const CollectionModel = mongoose.model('Collection', collectionSchema);
+
+module.exports = CollectionModel;
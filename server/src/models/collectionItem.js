@@ -0,0 +1,51 @@
+// src/models/collectionItem.js
+const mongoose = require('mongoose');
+
+// An ad saved to a collection, with the copywriter's notes and tags
+const collectionItemSchema = new mongoose.Schema({
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    required: true
+  },
+  adId: {
+    type: String,
+    required: true
+  },
+  // Copy of the ad when it was saved, so the board outlives the Ad Library's copy
+  adData: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  successScore: Number,
+  notes: {
+    type: String,
+    default: ''
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Place on the board, lowest first
+  position: {
+    type: Number,
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for faster queries
+collectionItemSchema.index({ collectionId: 1, adId: 1 }, { unique: true });
+collectionItemSchema.index({ collectionId: 1, position: 1 });
+collectionItemSchema.index({ collectionId: 1, tags: 1 });
+
+const CollectionItemModel = mongoose.model('CollectionItem', collectionItemSchema);
+
+module.exports = CollectionItemModel;
@@ -0,0 +1,57 @@
+// src/models/scoringProfile.js
+const mongoose = require('mongoose');
+
+// A breakpoint maps a raw metric value to the points earned at that value.
+// Scores between breakpoints are interpolated linearly.
+const breakpointSchema = new mongoose.Schema({
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const scoringProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  weights: {
+    duration: { type: Number, required: true, min: 0 },
+    spend: { type: Number, required: true, min: 0 },
+    impressions: { type: Number, required: true, min: 0 },
+    engagement: { type: Number, required: true, min: 0 }
+  },
+  thresholds: {
+    duration: [breakpointSchema],
+    spend: [breakpointSchema],
+    impressions: [breakpointSchema],
+    engagement: [breakpointSchema]
+  }
+}, {
+  timestamps: true
+});
+
+// Versions are immutable: editing a profile creates a new version
+scoringProfileSchema.index({ name: 1, version: -1 }, { unique: true });
+
+const ScoringProfileModel = mongoose.model('ScoringProfile', scoringProfileSchema);
+
+module.exports = ScoringProfileModel;
@@ -22,6 +22,46 @@ const successfulAdSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  // Scoring profile that produced successScore
+  scoringProfile: {
+    name: String,
+    version: Number
+  },
+  // Features of the ad's snapshot image, once it has been analyzed
+  visualFeatures: mongoose.Schema.Types.Mixed,
+  // Archived copy of the ad's snapshot, which outlives the Ad Library's copy.
+  // Blobs are referenced by their key in the blob store.
+  archive: {
+    status: {
+      type: String,
+      enum: ['archived', 'failed']
+    },
+    attempts: Number,
+    lastAttemptAt: Date,
+    archivedAt: Date,
+    error: String,
+    sourceUrl: String,
+    html: { key: String, contentType: String, size: Number },
+    thumbnail: { key: String, contentType: String, size: Number },
+    media: {
+      type: [{ _id: false, key: String, kind: String, contentType: String, size: Number, sourceUrl: String }],
+      default: undefined
+    }
+  },
+  // Countries the ad was found in by searches, or reported reach in
+  countries: {
+    type: [String],
+    default: []
+  },
+  // When the ad was first and most recently returned by the Ad Library
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
   updatedAt: {
     type: Date,
     default: Date.now
@@ -33,6 +73,11 @@ const successfulAdSchema = new mongoose.Schema({
 // Create indexes for faster queries
 successfulAdSchema.index({ successScore: -1 });
 successfulAdSchema.index({ updatedAt: -1 });
+successfulAdSchema.index({ lastSeenAt: -1 });
+successfulAdSchema.index({ 'adData.page_id': 1 });
+successfulAdSchema.index({ countries: 1 });
+successfulAdSchema.index({ 'visualFeatures.perceptualHash': 1 }, { sparse: true });
+successfulAdSchema.index({ 'archive.status': 1, 'archive.lastAttemptAt': 1 });
 successfulAdSchema.index({ 'adData.page_name': 'text', 'adData.ad_creative_bodies': 'text' });
 
 const SuccessfulAdModel = mongoose.model('SuccessfulAd', successfulAdSchema);
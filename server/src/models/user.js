@@ -0,0 +1,40 @@
+// src/models/user.js
+const mongoose = require('mongoose');
+
+// Roles in increasing order of API quota
+const USER_ROLES = ['user', 'pro', 'admin'];
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // scrypt hash, see utils/passwords
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'user'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for faster queries
+userSchema.index({ email: 1 }, { unique: true });
+
+const UserModel = mongoose.model('User', userSchema);
+
+module.exports = UserModel;
+module.exports.USER_ROLES = USER_ROLES;
@@ -0,0 +1,45 @@
+// src/models/watchedAd.js
+const mongoose = require('mongoose');
+
+// Last observed state of an ad on a watched page, compared against on every crawl
+const watchedAdSchema = new mongoose.Schema({
+  watchlistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Watchlist',
+    required: true
+  },
+  adId: {
+    type: String,
+    required: true
+  },
+  pageId: {
+    type: String,
+    required: true
+  },
+  pageName: String,
+  successScore: Number,
+  spendBand: {
+    lower: Number,
+    upper: Number
+  },
+  impressionsBand: {
+    lower: Number,
+    upper: Number
+  },
+  stoppedAt: Date,
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for faster queries
+watchedAdSchema.index({ watchlistId: 1, adId: 1 }, { unique: true });
+
+const WatchedAdModel = mongoose.model('WatchedAd', watchedAdSchema);
+
+module.exports = WatchedAdModel;
@@ -0,0 +1,54 @@
+// src/models/watchlist.js
+const mongoose = require('mongoose');
+
+const watchlistSchema = new mongoose.Schema({
+  // Owning user; watchlists created before accounts existed have none until claimed
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  pageIds: {
+    type: [String],
+    required: true
+  },
+  webhookUrl: {
+    type: String,
+    default: null
+  },
+  intervalMinutes: {
+    type: Number,
+    required: true
+  },
+  // Crawl jobs covering pageIds, at most MAX_PAGE_IDS pages each
+  crawlJobIds: {
+    type: [String],
+    default: []
+  },
+  // Pages crawled at least once; their first crawl only records a baseline
+  baselinePageIds: {
+    type: [String],
+    default: []
+  },
+  lastCrawledAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for faster queries
+watchlistSchema.index({ ownerId: 1, createdAt: -1 });
+
+const WatchlistModel = mongoose.model('Watchlist', watchlistSchema);
+
+module.exports = WatchlistModel;
@@ -0,0 +1,44 @@
+// src/models/watchlistEvent.js
+const mongoose = require('mongoose');
+
+const WATCHLIST_EVENT_TYPES = [
+  'new_creative',
+  'ad_stopped',
+  'spend_band_change',
+  'impressions_band_change',
+  'crossed_success_threshold'
+];
+
+const watchlistEventSchema = new mongoose.Schema({
+  watchlistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Watchlist',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: WATCHLIST_EVENT_TYPES,
+    required: true
+  },
+  adId: {
+    type: String,
+    required: true
+  },
+  pageId: String,
+  pageName: String,
+  // Type-specific values, e.g. { from, to } for band changes
+  details: mongoose.Schema.Types.Mixed,
+  webhookDeliveredAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for faster queries
+watchlistEventSchema.index({ watchlistId: 1, createdAt: -1 });
+
+const WatchlistEventModel = mongoose.model('WatchlistEvent', watchlistEventSchema);
+
+module.exports = WatchlistEventModel;
+module.exports.WATCHLIST_EVENT_TYPES = WATCHLIST_EVENT_TYPES;
@@ -4,32 +4,133 @@ const router = express.Router();
 const adController = require('../controllers/adController');
 const { rateLimiterMiddleware } = require('../utils/rateLimiter');
 
-// Apply rate limiter to ad-related routes
-router.use(rateLimiterMiddleware({
+// Each route group has its own quota, with larger quotas for signed-in users.
+// Live searches use the Ad Library API budget, so they get the smallest one.
+const searchLimiter = rateLimiterMiddleware({
+  name: 'search',
   windowMs: 60 * 1000, // 1 minute
-  maxRequests: 20,     // 20 requests per minute
+  maxRequests: { anonymous: 20, user: 60, pro: 200, admin: 600 }, // Requests per minute
   message: 'Too many ad search requests, please try again later.'
-}));
+});
+
+const patternsLimiter = rateLimiterMiddleware({
+  name: 'patterns',
+  windowMs: 60 * 1000, // 1 minute
+  maxRequests: { anonymous: 20, user: 60, pro: 200, admin: 600 }, // Requests per minute
+  message: 'Too many pattern requests, please try again later.'
+});
+
+// An ad page loads several of the detail routes at once
+const detailsLimiter = rateLimiterMiddleware({
+  name: 'details',
+  windowMs: 60 * 1000, // 1 minute
+  maxRequests: { anonymous: 60, user: 180, pro: 600, admin: 1800 }, // Requests per minute
+  message: 'Too many ad detail requests, please try again later.'
+});
 
 /**
  * @route   GET /api/ads/search
  * @desc    Search for successful ads
  * @access  Public
  */
-router.get('/search', adController.searchSuccessfulAds);
+router.get('/search', searchLimiter, adController.searchSuccessfulAds);
 
 /**
  * @route   GET /api/ads/patterns/success
- * @desc    Get patterns from successful ads
+ * @desc    Get patterns from successful ads, optionally for a segment of the library
+ * @access  Public
+ */
+router.get('/patterns/success', patternsLimiter, adController.getSuccessPatterns);
+
+/**
+ * @route   GET /api/ads/patterns/audience
+ * @desc    Get the age and gender profile of successful ads, optionally for a segment
+ * @access  Public
+ */
+router.get('/patterns/audience', patternsLimiter, adController.getAudiencePatterns);
+
+/**
+ * @route   GET /api/ads/patterns/regions
+ * @desc    Get the regions successful ads were delivered in, as a heatmap dataset
+ * @access  Public
+ */
+router.get('/patterns/regions', patternsLimiter, adController.getRegionPatterns);
+
+/**
+ * @route   GET /api/ads/patterns/contrast
+ * @desc    Compare high-score and low-score ads from the same search
+ * @access  Public
+ */
+router.get('/patterns/contrast', patternsLimiter, adController.getContrastPatterns);
+
+/**
+ * @route   GET /api/ads/:adId/score/explain
+ * @desc    Explain the success score of a specific ad
+ * @access  Public
+ */
+router.get('/:adId/score/explain', detailsLimiter, adController.explainAdScore);
+
+/**
+ * @route   GET /api/ads/:adId/similar
+ * @desc    Get ads with near-identical copy to a specific ad
+ * @access  Public
+ */
+router.get('/:adId/similar', detailsLimiter, adController.getSimilarAds);
+
+/**
+ * @route   GET /api/ads/:adId/visual
+ * @desc    Get the visual features of a specific ad's snapshot
+ * @access  Public
+ */
+router.get('/:adId/visual', detailsLimiter, adController.getAdVisual);
+
+/**
+ * @route   GET /api/ads/:adId/visual/similar
+ * @desc    Get stored ads whose snapshots look like a specific ad's snapshot
+ * @access  Public
+ */
+router.get('/:adId/visual/similar', detailsLimiter, adController.getVisuallySimilarAds);
+
+/**
+ * @route   GET /api/ads/:adId/snapshot
+ * @desc    Get the archived snapshot of a specific ad, or a redirect to the live one
+ * @access  Public
+ */
+router.get('/:adId/snapshot', detailsLimiter, adController.getAdSnapshot);
+
+/**
+ * @route   GET /api/ads/:adId/snapshot/thumbnail
+ * @desc    Get the thumbnail of a specific ad's archived snapshot
+ * @access  Public
+ */
+router.get('/:adId/snapshot/thumbnail', detailsLimiter, adController.getAdSnapshotThumbnail);
+
+/**
+ * @route   GET /api/ads/:adId/snapshot/media/:index
+ * @desc    Get an image or video of a specific ad's archived snapshot
+ * @access  Public
+ */
+router.get('/:adId/snapshot/media/:index', detailsLimiter, adController.getAdSnapshotMedia);
+
+/**
+ * @route   GET /api/ads/:adId/audience
+ * @desc    Get the age, gender and region distribution of a specific ad
+ * @access  Public
+ */
+router.get('/:adId/audience', detailsLimiter, adController.getAdAudience);
+
+/**
+ * @route   GET /api/ads/:adId/history
+ * @desc    Get the score history of a specific ad
  * @access  Public
  */
-router.get('/patterns/success', adController.getSuccessPatterns);
+router.get('/:adId/history', detailsLimiter, adController.getAdHistory);
 
 /**
  * @route   GET /api/ads/:adId
  * @desc    Get details of a specific ad
  * @access  Public
  */
-router.get('/:adId', adController.getAdDetails);
+router.get('/:adId', detailsLimiter, adController.getAdDetails);
 
 module.exports = router;
@@ -0,0 +1,29 @@
+// src/routes/advertisers.js
+const express = require('express');
+const router = express.Router();
+const advertiserController = require('../controllers/advertiserController');
+const { rateLimiterMiddleware } = require('../utils/rateLimiter');
+
+// Advertiser analytics fetch the page's ads from the Ad Library API
+router.use(rateLimiterMiddleware({
+  name: 'advertisers',
+  windowMs: 60 * 1000, // 1 minute
+  maxRequests: { anonymous: 20, user: 60, pro: 200, admin: 600 }, // Requests per minute
+  message: 'Too many advertiser requests, please try again later.'
+}));
+
+/**
+ * @route   GET /api/advertisers/:pageId/experiments
+ * @desc    A/B experiments the page ran, with their apparent winners
+ * @access  Public
+ */
+router.get('/:pageId/experiments', advertiserController.getAdvertiserExperiments);
+
+/**
+ * @route   GET /api/advertisers/:pageId
+ * @desc    Aggregate analytics for an advertiser page
+ * @access  Public
+ */
+router.get('/:pageId', advertiserController.getAdvertiser);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+// src/routes/auth.js
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireAuth, requireSession } = require('../utils/authMiddleware');
+const { rateLimiterMiddleware } = require('../utils/rateLimiter');
+
+// Slow down password guessing; these requests are anonymous, so the limit is per IP address
+const credentialsLimiter = rateLimiterMiddleware({
+  name: 'credentials',
+  windowMs: 60 * 1000, // 1 minute
+  maxRequests: 10,     // 10 requests per minute
+  message: 'Too many login attempts, please try again later.'
+});
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Register a user and start a session
+ * @access  Public
+ */
+router.post('/register', credentialsLimiter, authController.register);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in and start a session
+ * @access  Public
+ */
+router.post('/login', credentialsLimiter, authController.login);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the signed-in user
+ * @access  Private
+ */
+router.get('/me', requireAuth, authController.getCurrentUser);
+
+/**
+ * @route   GET /api/auth/api-keys
+ * @desc    List the signed-in user's API keys
+ * @access  Private (session)
+ */
+router.get('/api-keys', requireAuth, requireSession, authController.listApiKeys);
+
+/**
+ * @route   POST /api/auth/api-keys
+ * @desc    Create an API key
+ * @access  Private (session)
+ */
+router.post('/api-keys', requireAuth, requireSession, authController.createApiKey);
+
+/**
+ * @route   DELETE /api/auth/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (session)
+ */
+router.delete('/api-keys/:id', requireAuth, requireSession, authController.deleteApiKey);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+// src/routes/collections.js
+const express = require('express');
+const router = express.Router();
+const collectionController = require('../controllers/collectionController');
+const { requireAuth } = require('../utils/authMiddleware');
+const { rateLimiterMiddleware } = require('../utils/rateLimiter');
+
+// Collections only touch MongoDB; shared links are counted per IP address like other anonymous requests
+router.use(rateLimiterMiddleware({
+  name: 'collections',
+  windowMs: 60 * 1000, // 1 minute
+  maxRequests: { anonymous: 60, user: 120, pro: 400, admin: 1200 }, // Requests per minute
+  message: 'Too many collection requests, please try again later.'
+}));
+
+/**
+ * @route   GET /api/collections/shared/:token
+ * @desc    Get a shared collection through its read-only link
+ * @access  Public
+ */
+router.get('/shared/:token', collectionController.getSharedCollection);
+
+// Everything else belongs to the user who created the collection
+router.use(requireAuth);
+
+/**
+ * @route   POST /api/collections
+ * @desc    Create a collection of saved ads
+ * @access  Private
+ */
+router.post('/', collectionController.createCollection);
+
+/**
+ * @route   GET /api/collections
+ * @desc    List the signed-in user's collections
+ * @access  Private
+ */
+router.get('/', collectionController.listCollections);
+
+/**
+ * @route   GET /api/collections/:id
+ * @desc    Get a collection with its ads
+ * @access  Private
+ */
+router.get('/:id', collectionController.getCollection);
+
+/**
+ * @route   PATCH /api/collections/:id
+ * @desc    Rename a collection or change its description
+ * @access  Private
+ */
+router.patch('/:id', collectionController.updateCollection);
+
+/**
+ * @route   DELETE /api/collections/:id
+ * @desc    Delete a collection
+ * @access  Private
+ */
+router.delete('/:id', collectionController.deleteCollection);
+
+/**
+ * @route   POST /api/collections/:id/items
+ * @desc    Add an ad to a collection
+ * @access  Private
+ */
+router.post('/:id/items', collectionController.addCollectionItem);
+
+/**
+ * @route   PUT /api/collections/:id/items/order
+ * @desc    Put a collection's ads in a new order
+ * @access  Private
+ */
+router.put('/:id/items/order', collectionController.reorderCollectionItems);
+
+/**
+ * @route   PATCH /api/collections/:id/items/:adId
+ * @desc    Change the notes or tags of an ad in a collection
+ * @access  Private
+ */
+router.patch('/:id/items/:adId', collectionController.updateCollectionItem);
+
+/**
+ * @route   DELETE /api/collections/:id/items/:adId
+ * @desc    Remove an ad from a collection
+ * @access  Private
+ */
+router.delete('/:id/items/:adId', collectionController.removeCollectionItem);
+
+/**
+ * @route   POST /api/collections/:id/share
+ * @desc    Share a collection through a read-only link
+ * @access  Private
+ */
+router.post('/:id/share', collectionController.shareCollection);
+
+/**
+ * @route   DELETE /api/collections/:id/share
+ * @desc    Stop sharing a collection
+ * @access  Private
+ */
+router.delete('/:id/share', collectionController.unshareCollection);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// src/routes/crawls.js
+const express = require('express');
+const router = express.Router();
+const crawlController = require('../controllers/crawlController');
+const { requireAuth } = require('../utils/authMiddleware');
+const { rateLimiterMiddleware } = require('../utils/rateLimiter');
+
+// Crawls belong to the user who scheduled them
+router.use(requireAuth);
+
+router.use(rateLimiterMiddleware({
+  name: 'crawls',
+  windowMs: 60 * 1000, // 1 minute
+  maxRequests: { anonymous: 60, user: 60, pro: 200, admin: 600 }, // Requests per minute
+  message: 'Too many crawl requests, please try again later.'
+}));
+
+// Every crawl created schedules Ad Library requests for as long as it exists
+const createLimiter = rateLimiterMiddleware({
+  name: 'crawls-create',
+  windowMs: 60 * 60 * 1000, // 1 hour
+  maxRequests: { anonymous: 10, user: 10, pro: 50, admin: 200 }, // Creations per hour
+  message: 'Too many new crawls, please try again later.'
+});
+
+/**
+ * @route   POST /api/crawls
+ * @desc    Schedule a recurring crawl for keywords and/or page IDs
+ * @access  Private
+ */
+router.post('/', createLimiter, crawlController.createCrawl);
+
+/**
+ * @route   GET /api/crawls
+ * @desc    List scheduled crawls and their last run status
+ * @access  Private
+ */
+router.get('/', crawlController.listCrawls);
+
+/**
+ * @route   GET /api/crawls/:id
+ * @desc    Get a scheduled crawl
+ * @access  Private
+ */
+router.get('/:id', crawlController.getCrawl);
+
+/**
+ * @route   DELETE /api/crawls/:id
+ * @desc    Delete a scheduled crawl
+ * @access  Private
+ */
+router.delete('/:id', crawlController.deleteCrawl);
+
+module.exports = router;
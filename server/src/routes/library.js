@@ -0,0 +1,22 @@
+// src/routes/library.js
+const express = require('express');
+const router = express.Router();
+const libraryController = require('../controllers/libraryController');
+const { rateLimiterMiddleware } = require('../utils/rateLimiter');
+
+// Library searches only hit MongoDB, so they get a more generous limit than live searches
+router.use(rateLimiterMiddleware({
+  name: 'library',
+  windowMs: 60 * 1000, // 1 minute
+  maxRequests: { anonymous: 60, user: 120, pro: 400, admin: 1200 }, // Requests per minute
+  message: 'Too many library search requests, please try again later.'
+}));
+
+/**
+ * @route   GET /api/library/search
+ * @desc    Full-text search over stored successful ads
+ * @access  Public
+ */
+router.get('/search', libraryController.searchLibrary);
+
+module.exports = router;
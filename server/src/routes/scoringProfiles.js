@@ -0,0 +1,44 @@
+// src/routes/scoringProfiles.js
+const express = require('express');
+const router = express.Router();
+const scoringProfileController = require('../controllers/scoringProfileController');
+const { requireAuth, requireRole } = require('../utils/authMiddleware');
+const { rateLimiterMiddleware } = require('../utils/rateLimiter');
+
+router.use(rateLimiterMiddleware({
+  name: 'scoring-profiles',
+  windowMs: 60 * 1000, // 1 minute
+  maxRequests: { anonymous: 60, user: 120, pro: 400, admin: 1200 }, // Requests per minute
+  message: 'Too many scoring profile requests, please try again later.'
+}));
+
+// A new profile version becomes active and changes every score, so only admins may create one
+const profileWriteLimiter = rateLimiterMiddleware({
+  name: 'scoring-profile-writes',
+  windowMs: 60 * 1000, // 1 minute
+  maxRequests: 10,     // 10 requests per minute
+  message: 'Too many scoring profile changes, please try again later.'
+});
+
+/**
+ * @route   GET /api/scoring-profiles
+ * @desc    List the latest version of every scoring profile
+ * @access  Public
+ */
+router.get('/', scoringProfileController.listProfiles);
+
+/**
+ * @route   GET /api/scoring-profiles/:name
+ * @desc    Get the latest version of a scoring profile
+ * @access  Public
+ */
+router.get('/:name', scoringProfileController.getProfile);
+
+/**
+ * @route   POST /api/scoring-profiles/:name
+ * @desc    Create a new version of a scoring profile
+ * @access  Private (admin)
+ */
+router.post('/:name', requireAuth, requireRole('admin'), profileWriteLimiter, scoringProfileController.createProfileVersion);
+
+module.exports = router;
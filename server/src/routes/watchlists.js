@@ -0,0 +1,68 @@
+// src/routes/watchlists.js
+const express = require('express');
+const router = express.Router();
+const watchlistController = require('../controllers/watchlistController');
+const { requireAuth } = require('../utils/authMiddleware');
+const { rateLimiterMiddleware } = require('../utils/rateLimiter');
+
+// Watchlists belong to the user who created them
+router.use(requireAuth);
+
+router.use(rateLimiterMiddleware({
+  name: 'watchlists',
+  windowMs: 60 * 1000, // 1 minute
+  maxRequests: { anonymous: 60, user: 60, pro: 200, admin: 600 }, // Requests per minute
+  message: 'Too many watchlist requests, please try again later.'
+}));
+
+// Every watchlist created schedules Ad Library requests for as long as it exists
+const createLimiter = rateLimiterMiddleware({
+  name: 'watchlists-create',
+  windowMs: 60 * 60 * 1000, // 1 hour
+  maxRequests: { anonymous: 10, user: 10, pro: 50, admin: 200 }, // Creations per hour
+  message: 'Too many new watchlists, please try again later.'
+});
+
+/**
+ * @route   POST /api/watchlists
+ * @desc    Create a watchlist of advertiser pages, crawled on a schedule
+ * @access  Private
+ */
+router.post('/', createLimiter, watchlistController.createWatchlist);
+
+/**
+ * @route   GET /api/watchlists
+ * @desc    List watchlists
+ * @access  Private
+ */
+router.get('/', watchlistController.listWatchlists);
+
+/**
+ * @route   GET /api/watchlists/:id/events
+ * @desc    Get change events recorded for a watchlist
+ * @access  Private
+ */
+router.get('/:id/events', watchlistController.getWatchlistEvents);
+
+/**
+ * @route   GET /api/watchlists/:id
+ * @desc    Get a watchlist
+ * @access  Private
+ */
+router.get('/:id', watchlistController.getWatchlist);
+
+/**
+ * @route   PATCH /api/watchlists/:id
+ * @desc    Rename a watchlist or change its webhook URL
+ * @access  Private
+ */
+router.patch('/:id', watchlistController.updateWatchlist);
+
+/**
+ * @route   DELETE /api/watchlists/:id
+ * @desc    Delete a watchlist and its scheduled crawls
+ * @access  Private
+ */
+router.delete('/:id', watchlistController.deleteWatchlist);
+
+module.exports = router;
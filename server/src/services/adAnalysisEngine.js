@@ -1,71 +1,448 @@
-// Partial fix for src/services/adAnalysisEngine.js
-// Focus on the problematic analyzeSuccessPatterns method
+// src/services/adAnalysisEngine.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const natural = require('natural');
+const AdSuccessScoreCalculator = require('./adSuccessScoreCalculator');
+const { DEFAULT_SCORING_PROFILE } = require('./scoringProfileService');
+const SuccessfulAdModel = require('../models/successfulAd');
+const AdLibraryService = require('./adLibraryService');
+const cache = require('./cache');
+const { twoProportionZTest, welchTest, describe } = require('../utils/statistics');
+const { extractNgrams, detectHooks } = require('../utils/phraseExtractor');
+const { DEFAULT_LANGUAGE, getLanguageConfig, tokenize, getAdLanguage } = require('../utils/languages');
+const { getShingles, computeSignature, estimateSimilarity, clusterSignatures } = require('../utils/minHash');
+const { aggregateDemographics, aggregateRegions } = require('../utils/audience');
+const { aggregateVisualFeatures } = require('../utils/visualFeatures');
+const logger = require('../utils/logger');
+
+const PATTERNS_CACHE_KEY = 'ad_success_patterns';
+const GLOBAL_PATTERNS_TTL_SECONDS = 24 * 60 * 60;
+// Segment patterns come from stored ads only, so they go stale as the library grows
+const SEGMENT_PATTERNS_TTL_SECONDS = 60 * 60;
+const MAX_PATTERN_ADS = 500;
+const MIN_PATTERN_ADS = 5;
+
+// Fields of a pattern segment, in the order they are hashed into its cache key
+const SEGMENT_FIELDS = ['keywords', 'countries', 'deliveryDateMin', 'deliveryDateMax', 'pageIds', 'minScore', 'maxScore'];
+
+/**
+ * Build the cache key for a segment's patterns
+ * @param {Object} segment - Segment filters
+ * @param {string} [baseKey] - Key of the analysis across the whole library
+ * @returns {string} - The base key for an empty segment, a per-segment key otherwise
+ */
+const getPatternsCacheKey = (segment, baseKey = PATTERNS_CACHE_KEY) => {
+  const normalized = SEGMENT_FIELDS
+    .filter(field => segment[field] !== undefined)
+    .map(field => [field, Array.isArray(segment[field]) ? [...segment[field]].sort() : segment[field]]);
+
+  if (normalized.length === 0) {
+    return baseKey;
+  }
+
+  const hash = crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+  return `${baseKey}:${hash}`;
+};
+
+// Ads scoring at or above this are treated as successful when mining patterns
+// and are stored in the successful ad library
+const SUCCESS_THRESHOLD = parseInt(process.env.SUCCESS_SCORE_THRESHOLD, 10) || 70;
+
+// English terms that carry no signal about ad performance; other languages use their stop word lists
+const STOP_WORDS = new Set([
+  ...natural.stopwords,
+  'will', 'can', 'get', 'now', 'just', 'one', 'also', 'us', 'our', 'your', 'you', 'new'
+]);
+
+// Contrast analysis compares ads at or above the success threshold with ads at or below this
+const DEFAULT_LOW_SCORE = 40;
+const MIN_CONTRAST_GROUP_SIZE = 5;
+// Terms must appear in this many ads (both groups together) to be compared
+const MIN_CONTRAST_TERM_ADS = 3;
+
+// Ads whose copy is at least this similar (estimated Jaccard over word shingles) are variants of one creative
+const DEFAULT_SIMILARITY_THRESHOLD = 0.6;
+
+// Experiment variants may differ more than duplicates, e.g. in a headline and an offer
+const DEFAULT_EXPERIMENT_SIMILARITY = 0.4;
+// Variants launched within this many days of each other were tested side by side
+const EXPERIMENT_LAUNCH_WINDOW_DAYS = 7;
+// The winner must outlive every other variant by this many days
+const MIN_WINNER_LEAD_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pictographs only: \p{Emoji} also matches digits, '#' and '*'
+const EMOJI_REGEX = /[\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\u{1F9B0}-\u{1F9B3}]/u;
+
+const getBodyText = (ad) => (Array.isArray(ad.ad_creative_bodies) ? ad.ad_creative_bodies : []).join(' ');
+
+const getAdText = (ad) => [
+  ...(Array.isArray(ad.ad_creative_bodies) ? ad.ad_creative_bodies : []),
+  ...(Array.isArray(ad.ad_creative_link_titles) ? ad.ad_creative_link_titles : []),
+  ...(Array.isArray(ad.ad_creative_link_descriptions) ? ad.ad_creative_link_descriptions : [])
+].filter(Boolean).join(' ');
+
+// Language of an ad's copy, detected once per ad object
+const adLanguages = new WeakMap();
+const getLanguage = (ad) => {
+  if (!adLanguages.has(ad)) {
+    adLanguages.set(ad, getAdLanguage(ad, getAdText(ad)));
+  }
+  return adLanguages.get(ad);
+};
+
+// MinHash signature of an ad's copy, computed once per ad object
+const adSignatures = new WeakMap();
+const getSignature = (ad) => {
+  if (!adSignatures.has(ad)) {
+    adSignatures.set(ad, computeSignature(getShingles(getAdText(ad))));
+  }
+  return adSignatures.get(ad);
+};
+
+/**
+ * Get an ad's delivery window; ads without a stop time are still running
+ * @param {Object} ad - Raw ad data
+ * @param {Date} now - Current time
+ * @returns {Object} - { start, end, active }
+ */
+const getDeliverySpan = (ad, now) => {
+  const start = new Date(ad.ad_delivery_start_time || ad.ad_creation_time);
+  const stop = ad.ad_delivery_stop_time ? new Date(ad.ad_delivery_stop_time) : null;
+  const active = !stop || stop > now;
+  return { start, end: active ? now : stop, active };
+};
+
+/**
+ * Distinct words of an ad's copy without stop words; unlike getAdTerms it
+ * keeps numbers, which often are what variants differ in (20% vs 30% off)
+ * @param {Object} ad - Raw ad data
+ * @returns {Set<string>} - Lowercased words
+ */
+const getAdWords = (ad) => {
+  const config = getLanguageConfig(getLanguage(ad));
+  return new Set(tokenize(getAdText(ad), config.language).filter(word => !config.stopWords.has(word)));
+};
+
+// Structural features of an ad's body copy, shared by the descriptive and contrast analyses
+const STRUCTURE_FEATURES = {
+  cta: (text, language) => getLanguageConfig(language).ctaWords.some(cta => text.toLowerCase().includes(cta)),
+  // Spanish questions also close with '?'
+  question: text => text.includes('?'),
+  emoji: text => EMOJI_REGEX.test(text)
+};
+
+/**
+ * Meaningful terms in a piece of copy, in order
+ * @param {string} text - Ad copy
+ * @param {string} [language] - ISO 639-1 code; undetermined copy is treated as English
+ * @returns {Array<string>} - Lowercased terms without stop words and numbers
+ */
+const getTerms = (text, language) => {
+  const config = getLanguageConfig(language);
+  const stopWords = config.language === DEFAULT_LANGUAGE ? STOP_WORDS : config.stopWords;
+  return tokenize(text, config.language)
+    .filter(term => term.length >= 3 && !stopWords.has(term) && !/^\d+$/.test(term));
+};
+
+/**
+ * Distinct meaningful terms in an ad's copy
+ * @param {Object} ad - Raw ad data
+ * @returns {Set<string>} - Lowercased terms
+ */
+const getAdTerms = (ad) => new Set(getTerms(getAdText(ad), getLanguage(ad)));
+
+/**
+ * Compare how often a feature occurs in the high and low score groups
+ * @param {number} highHits - High-score ads with the feature
+ * @param {number} highSize - High-score ads
+ * @param {number} lowHits - Low-score ads with the feature
+ * @param {number} lowSize - Low-score ads
+ * @returns {Object} - Prevalence per group (%), smoothed lift and two-proportion z-test
+ */
+const compareProportions = (highHits, highSize, lowHits, lowSize) => {
+  const { z, pValue } = twoProportionZTest(highHits, highSize, lowHits, lowSize);
+  // Laplace smoothing keeps the lift finite when a group never uses the feature
+  const lift = ((highHits + 1) / (highSize + 2)) / ((lowHits + 1) / (lowSize + 2));
+
+  return {
+    highPrevalence: Math.round(highHits / highSize * 1000) / 10,
+    lowPrevalence: Math.round(lowHits / lowSize * 1000) / 10,
+    lift: Math.round(lift * 100) / 100,
+    zScore: Math.round(z * 100) / 100,
+    pValue: Number(pValue.toPrecision(3))
+  };
+};
+
+class AdAnalysisEngine {
+  constructor(options = {}) {
+    this.calculator = options.calculator || AdSuccessScoreCalculator;
+    this.cache = options.cache || cache;
+  }
+
+  /**
+   * Score a batch of ads and store the successful ones in the library
+   * @param {Array} ads - Raw ads from the Facebook Ad Library API
+   * @param {Object} [options] - Processing options
+   * @param {Object} [options.profile] - Scoring profile to score with
+   * @param {number} [options.persistThreshold] - Minimum score for an ad to be stored
+   * @param {Array<string>} [options.countries] - Countries the ads were searched in, recorded on stored ads
+   * @returns {Promise<Array>} - Scored ads, in the same order as the input
+   */
+  async processAds(ads, options = {}) {
+    if (!Array.isArray(ads) || ads.length === 0) {
+      return [];
+    }
+
+    const { profile = DEFAULT_SCORING_PROFILE, persistThreshold = SUCCESS_THRESHOLD, countries = [] } = options;
+
+    const scoredAds = await Promise.all(ads.map(ad => this.calculator.calculateScore(ad, profile)));
+
+    // Storing is a side effect; a failure must not fail the search
+    try {
+      const stored = await this.persistSuccessfulAds(
+        scoredAds.filter(ad => ad.id && ad.successScore >= persistThreshold),
+        countries
+      );
+      // Patterns are mined from the stored library, never from one search's results,
+      // so the global patterns are recomputed on their next request
+      if (stored > 0) {
+        await this.cache.del(PATTERNS_CACHE_KEY);
+      }
+    } catch (error) {
+      logger.warn('Could not store successful ads', error);
+    }
+
+    return scoredAds;
+  }
+
+  /**
+   * Upsert scored ads into the successful ad library
+   * @param {Array} scoredAds - Ads with success scores
+   * @param {Array<string>} [countries] - Countries the ads were searched in
+   * @returns {Promise<number>} - Number of ads written
+   * @private
+   */
+  async persistSuccessfulAds(scoredAds, countries = []) {
+    if (scoredAds.length === 0 || mongoose.connection.readyState !== 1) {
+      return 0;
+    }
+
+    const now = new Date();
+    await SuccessfulAdModel.bulkWrite(scoredAds.map(ad => ({
+      updateOne: {
+        filter: { adId: ad.id },
+        update: {
+          $set: {
+            successScore: ad.successScore,
+            componentScores: ad.componentScores,
+            scoringProfile: ad.scoringProfile,
+            adData: ad,
+            lastSeenAt: now,
+            updatedAt: now
+          },
+          $setOnInsert: { firstSeenAt: now },
+          // "ALL" searches say nothing about where an ad ran; EU/UK reach data does
+          $addToSet: {
+            countries: {
+              $each: [...new Set([
+                ...countries.filter(country => country !== 'ALL'),
+                ...(ad.age_country_gender_reach_breakdown || []).map(breakdown => breakdown.country).filter(Boolean)
+              ])]
+            }
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    logger.info(`Stored ${scoredAds.length} successful ads`);
+    return scoredAds.length;
+  }
+
+  /**
+   * Get success patterns for a segment of the stored ad library
+   * @param {Object} [segment] - Segment filters; empty for the global patterns
+   * @param {string} [segment.keywords] - Full-text query over page names and ad bodies
+   * @param {Array<string>} [segment.countries] - Countries the ads ran in
+   * @param {string} [segment.deliveryDateMin] - Earliest delivery start date (YYYY-MM-DD)
+   * @param {string} [segment.deliveryDateMax] - Latest delivery start date (YYYY-MM-DD)
+   * @param {Array<string>} [segment.pageIds] - Advertiser page IDs
+   * @param {number} [segment.minScore] - Minimum success score (defaults to the success
+   *   threshold, unless maxScore is below it)
+   * @param {number} [segment.maxScore] - Maximum success score
+   * @returns {Promise<Object>} - Patterns with the number of ads they are based on
+   */
+  async getSuccessPatterns(segment = {}) {
+    const cacheKey = getPatternsCacheKey(segment);
+
+    try {
+      const cachedPatterns = await this.cache.get(cacheKey);
+      if (cachedPatterns) {
+        return JSON.parse(cachedPatterns);
+      }
+    } catch (cacheError) {
+      logger.warn('Could not read patterns from cache', cacheError);
+    }
+
+    const storedAds = await this.findSegmentAds(segment);
+    const patterns = await this.analyzeSuccessPatterns(storedAds, {
+      cacheKey,
+      ttlSeconds: cacheKey === PATTERNS_CACHE_KEY ? GLOBAL_PATTERNS_TTL_SECONDS : SEGMENT_PATTERNS_TTL_SECONDS
+    });
+
+    return patterns || {
+      commonTerms: [],
+      phrases: [],
+      hooks: detectHooks([]),
+      structurePatterns: this.analyzeAdStructure([]),
+      byLanguage: {},
+      visualPatterns: this.analyzeVisualElements([]),
+      adCount: storedAds.length,
+      message: `At least ${MIN_PATTERN_ADS} distinct ads with ad copy are needed to find patterns`,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Get the aggregated age and gender profile of a segment's successful ads
+   * @param {Object} [segment] - Segment filters, as for getSuccessPatterns
+   * @returns {Promise<Object>} - Audience profile (see aggregateDemographics)
+   */
+  async getAudienceProfile(segment = {}) {
+    return this.getSegmentAnalysis('ad_audience_profile', segment, aggregateDemographics);
+  }
+
+  /**
+   * Get the regions a segment's successful ads were delivered in, as a heatmap dataset
+   * @param {Object} [segment] - Segment filters, as for getSuccessPatterns
+   * @returns {Promise<Object>} - Region shares (see aggregateRegions)
+   */
+  async getRegionHeatmap(segment = {}) {
+    return this.getSegmentAnalysis('ad_region_heatmap', segment, aggregateRegions);
+  }
+
+  /**
+   * Run an analysis over a segment's stored ads, cached like the success patterns
+   * @param {string} baseKey - Cache key of the analysis across the whole library
+   * @param {Object} segment - Segment filters
+   * @param {Function} analyze - Synchronous analysis of the ads
+   * @returns {Promise<Object>} - Analysis result with updatedAt
+   * @private
+   */
+  async getSegmentAnalysis(baseKey, segment, analyze) {
+    const cacheKey = getPatternsCacheKey(segment, baseKey);
+
+    try {
+      const cached = await this.cache.get(cacheKey);
+      if (cached) {
+        return JSON.parse(cached);
+      }
+    } catch (cacheError) {
+      logger.warn(`Could not read ${baseKey} from cache`, cacheError);
+    }
+
+    const result = { ...analyze(await this.findSegmentAds(segment)), updatedAt: new Date() };
+
+    try {
+      await this.cache.set(
+        cacheKey,
+        JSON.stringify(result),
+        cacheKey === baseKey ? GLOBAL_PATTERNS_TTL_SECONDS : SEGMENT_PATTERNS_TTL_SECONDS
+      );
+    } catch (cacheError) {
+      logger.warn(`Could not cache ${baseKey}`, cacheError);
+    }
+
+    return result;
+  }
+
+  /**
+   * Load the highest-scoring stored ads of a segment
+   * @param {Object} segment - Segment filters; minScore defaults to the success threshold
+   *   unless maxScore is below it
+   * @returns {Promise<Array>} - Ad data with success scores and any visual features,
+   *   empty without a database
+   * @private
+   */
+  async findSegmentAds(segment) {
+    if (mongoose.connection.readyState !== 1) {
+      return [];
+    }
+
+    const { keywords, minScore, maxScore, ...filters } = segment;
+    // Default to the successful ads, unless the band ends below the success threshold
+    const defaultMinScore = maxScore === undefined || maxScore >= SUCCESS_THRESHOLD ? SUCCESS_THRESHOLD : undefined;
+    const query = AdLibraryService.buildQuery({ ...filters, text: keywords, minScore: minScore ?? defaultMinScore, maxScore });
+    const storedAds = await SuccessfulAdModel.find(query)
+      .sort({ successScore: -1 })
+      .limit(MAX_PATTERN_ADS)
+      .lean();
+    return storedAds.map(stored => ({
+      ...stored.adData,
+      successScore: stored.successScore,
+      visualFeatures: stored.visualFeatures
+    }));
+  }
 
   /**
    * Analyze patterns in successful ads
    * @param {Array} successfulAds - Ads with success scores
-   * @private
+   * @param {Object} [options] - Where to cache the result
+   * @param {string|null} [options.cacheKey] - Cache key; the global patterns by default, null to skip caching
+   * @param {number} [options.ttlSeconds] - Cache expiry
+   * @returns {Promise<Object|undefined>} - Patterns, or undefined when there are too few ads
    */
-  async analyzeSuccessPatterns(successfulAds) {
+  async analyzeSuccessPatterns(successfulAds, options = {}) {
+    const { cacheKey = PATTERNS_CACHE_KEY, ttlSeconds = GLOBAL_PATTERNS_TTL_SECONDS } = options;
+
     try {
       // Validate input
-      if (!successfulAds || !Array.isArray(successfulAds) || successfulAds.length < 5) {
+      if (!successfulAds || !Array.isArray(successfulAds) || successfulAds.length < MIN_PATTERN_ADS) {
         logger.info('Not enough successful ads to analyze patterns');
         return;
       }
       
-      // Extract ad content for text analysis
-      const adContents = successfulAds.map(ad => {
+      // Extract ad content for text analysis. Each creative counts once, so a
+      // page running dozens of variants does not dominate the patterns.
+      const adsWithCopy = successfulAds.filter(ad => getAdText(ad).trim().length > 0);
+      const adContents = this.clusterVariants(adsWithCopy).map(({ canonical: ad }) => {
         return {
           id: ad.id,
-          text: [
-            ...(Array.isArray(ad.ad_creative_bodies) ? ad.ad_creative_bodies : []),
-            ...(Array.isArray(ad.ad_creative_link_titles) ? ad.ad_creative_link_titles : []),
-            ...(Array.isArray(ad.ad_creative_link_descriptions) ? ad.ad_creative_link_descriptions : [])
-          ].filter(Boolean).join(' '),
-          score: ad.successScore || 0
+          ad,
+          text: getAdText(ad),
+          score: ad.successScore || 0,
+          language: getLanguage(ad)
         };
       }).filter(content => content.text && content.text.trim().length > 0);
       
-      if (adContents.length < 5) {
-        logger.info('Not enough ad content to analyze patterns after filtering');
+      if (adContents.length < MIN_PATTERN_ADS) {
+        logger.info('Not enough distinct ad content to analyze patterns after filtering');
         return;
       }
       
-      // Perform TF-IDF analysis to find important keywords
-      this.tfidf = new natural.TfIdf();
-      adContents.forEach(content => {
-        this.tfidf.addDocument(content.text);
-      });
-      
-      // Extract top terms across all documents
-      const commonTerms = this.extractCommonTerms();
-      
-      // Find patterns in ad structure
-      const structurePatterns = this.analyzeAdStructure(successfulAds);
-      
-      // Find patterns in visual elements (placeholder for future implementation)
+      // Find patterns in the snapshots that have been analyzed
       const visualPatterns = this.analyzeVisualElements(successfulAds);
       
-      // Combine all patterns
+      // Combine all patterns: the overall text patterns, then the same per language
       const patterns = {
-        commonTerms,
-        structurePatterns,
+        ...this.analyzeTextPatterns(adContents),
+        byLanguage: this.analyzeLanguagePatterns(adContents),
         visualPatterns,
+        // Ads the patterns are based on, and the distinct creatives among them
+        adCount: adsWithCopy.length,
+        creativeCount: adContents.length,
         updatedAt: new Date()
       };
       
       // Store the patterns in Redis for quick access
-      try {
-        const redisClient = await this.redisClient;
-        await redisClient.set(
-          'ad_success_patterns',
-          JSON.stringify(patterns),
-          'EX',
-          86400 // 24 hours expiry
-        );
-      } catch (redisError) {
-        logger.warn('Could not cache patterns in Redis', redisError);
+      if (cacheKey) {
+        try {
+          await this.cache.set(cacheKey, JSON.stringify(patterns), ttlSeconds);
+        } catch (redisError) {
+          logger.warn('Could not cache patterns in Redis', redisError);
+        }
       }
       
       logger.info('Successfully analyzed ad patterns');
@@ -76,6 +453,62 @@
     }
   }
   
+  /**
+   * Find the common terms, phrases, hooks and structure of a set of ads
+   * @param {Array} adContents - [{ id, ad, text, score, language }], one per ad
+   * @returns {Object} - { commonTerms, phrases, hooks, structurePatterns }
+   * @private
+   */
+  analyzeTextPatterns(adContents) {
+    return {
+      // TF-IDF over each ad's terms to find important keywords
+      commonTerms: this.extractCommonTerms(20, this.createTermModel(adContents)),
+      // Multi-word phrases, and offers and hooks such as discounts or urgency
+      phrases: extractNgrams(adContents),
+      hooks: detectHooks(adContents),
+      structurePatterns: this.analyzeAdStructure(adContents.map(content => content.ad))
+    };
+  }
+
+  /**
+   * Analyze the text patterns of each language separately; languages with too
+   * few ads only report their ad count
+   * @param {Array} adContents - [{ id, ad, text, score, language }], one per ad
+   * @returns {Object} - Patterns keyed by ISO 639-1 code ("und" when undetermined)
+   * @private
+   */
+  analyzeLanguagePatterns(adContents) {
+    const byLanguage = new Map();
+    adContents.forEach(content => {
+      byLanguage.set(content.language, [...(byLanguage.get(content.language) || []), content]);
+    });
+
+    return Object.fromEntries(
+      [...byLanguage.entries()]
+        .sort((a, b) => b[1].length - a[1].length)
+        .map(([language, contents]) => [
+          language,
+          contents.length < MIN_PATTERN_ADS ?
+            { adCount: contents.length, message: `At least ${MIN_PATTERN_ADS} ads are needed to find patterns` } :
+            { adCount: contents.length, ...this.analyzeTextPatterns(contents) }
+        ])
+    );
+  }
+
+  /**
+   * Build a TF-IDF model over ad copy, tokenized and filtered per language
+   * @param {Array} docs - [{ text, language }], one per ad
+   * @returns {Object} - natural TfIdf model with one document per ad
+   */
+  createTermModel(docs) {
+    const tfidf = new natural.TfIdf();
+    docs.forEach(doc => {
+      // Token arrays are taken as-is, without natural's English tokenizer and stop words
+      tfidf.addDocument(getTerms(doc.text, doc.language));
+    });
+    return tfidf;
+  }
+
   /**
    * Analyze ad structure patterns
    * @param {Array} ads - Successful ads
@@ -93,38 +526,18 @@
     }
     
     // Analyze text length
-    const textLengths = ads.map(ad => {
-      const bodies = Array.isArray(ad.ad_creative_bodies) ? ad.ad_creative_bodies : [];
-      return bodies.join(' ').length;
-    }).filter(length => length > 0);
+    const textLengths = ads.map(ad => getBodyText(ad).length).filter(length => length > 0);
     
     const avgTextLength = textLengths.length > 0 ? 
       textLengths.reduce((sum, len) => sum + len, 0) / textLengths.length : 0;
     
-    // Analyze call-to-action presence
-    const ctaWords = ['shop', 'buy', 'get', 'sign up', 'learn', 'discover', 'try', 'click', 'visit', 'join', 'order', 'call'];
-    
-    const ctaPresence = ads.filter(ad => {
-      const bodies = Array.isArray(ad.ad_creative_bodies) ? ad.ad_creative_bodies : [];
-      const text = bodies.join(' ').toLowerCase();
-      return ctaWords.some(cta => text.includes(cta));
-    }).length / Math.max(1, ads.length);
+    // Analyze call-to-action, question and emoji usage
+    const presenceRate = feature =>
+      ads.filter(ad => STRUCTURE_FEATURES[feature](getBodyText(ad), getLanguage(ad))).length / Math.max(1, ads.length);
     
-    // Analyze question usage
-    const questionPresence = ads.filter(ad => {
-      const bodies = Array.isArray(ad.ad_creative_bodies) ? ad.ad_creative_bodies : [];
-      const text = bodies.join(' ');
-      return text.includes('?');
-    }).length / Math.max(1, ads.length);
-    
-    // Improved emoji regex that covers more emoji characters
-    const emojiRegex = /[\p{Emoji_Presentation}\p{Emoji}\u{1F3FB}-\u{1F3FF}\u{1F9B0}-\u{1F9B3}]/gu;
-    
-    const emojiPresence = ads.filter(ad => {
-      const bodies = Array.isArray(ad.ad_creative_bodies) ? ad.ad_creative_bodies : [];
-      const text = bodies.join(' ');
-      return emojiRegex.test(text);
-    }).length / Math.max(1, ads.length);
+    const ctaPresence = presenceRate('cta');
+    const questionPresence = presenceRate('question');
+    const emojiPresence = presenceRate('emoji');
     
     // Return the analyzed structure patterns
     return {
@@ -134,3 +547,347 @@
       emojiPresenceRate: Math.round(emojiPresence * 100)
     };
   }
+  
+  /**
+   * Compare high-score against low-score ads: for every structural feature and
+   * term, report its prevalence in each group, the lift of high over low and
+   * how likely the difference is to be chance
+   * @param {Array} scoredAds - Ads with success scores, from one segment
+   * @param {Object} [options] - Group boundaries and output size
+   * @param {number} [options.highScore] - Minimum score of the high group
+   * @param {number} [options.lowScore] - Maximum score of the low group
+   * @param {number} [options.termLimit] - Terms to return in each direction
+   * @returns {Object} - { groups, structure, terms, message? }
+   */
+  analyzeContrast(scoredAds, options = {}) {
+    const { highScore = SUCCESS_THRESHOLD, lowScore = DEFAULT_LOW_SCORE, termLimit = 20 } = options;
+    const ads = (scoredAds || []).filter(ad => getAdText(ad).trim().length > 0);
+    const high = ads.filter(ad => ad.successScore >= highScore);
+    const low = ads.filter(ad => ad.successScore <= lowScore);
+
+    const groups = {
+      high: { minScore: highScore, count: high.length },
+      low: { maxScore: lowScore, count: low.length },
+      // Ads between the bands take no part in the comparison
+      excluded: ads.length - high.length - low.length
+    };
+
+    if (high.length < MIN_CONTRAST_GROUP_SIZE || low.length < MIN_CONTRAST_GROUP_SIZE) {
+      return {
+        groups,
+        structure: [],
+        terms: { overrepresented: [], underrepresented: [] },
+        message: `Each group needs at least ${MIN_CONTRAST_GROUP_SIZE} ads with ad copy to compare`
+      };
+    }
+
+    const structure = Object.entries(STRUCTURE_FEATURES).map(([feature, detect]) => ({
+      feature,
+      ...compareProportions(
+        high.filter(ad => detect(getBodyText(ad), getLanguage(ad))).length, high.length,
+        low.filter(ad => detect(getBodyText(ad), getLanguage(ad))).length, low.length
+      )
+    }));
+
+    // Length is continuous, so compare means instead of prevalence
+    const highLengths = high.map(ad => getBodyText(ad).length);
+    const lowLengths = low.map(ad => getBodyText(ad).length);
+    const { t, pValue } = welchTest(highLengths, lowLengths);
+    const highMean = describe(highLengths).mean;
+    const lowMean = describe(lowLengths).mean;
+    structure.push({
+      feature: 'length',
+      highMean: Math.round(highMean),
+      lowMean: Math.round(lowMean),
+      lift: lowMean > 0 ? Math.round(highMean / lowMean * 100) / 100 : null,
+      tScore: Math.round(t * 100) / 100,
+      pValue: Number(pValue.toPrecision(3))
+    });
+
+    // Count the ads in each group that use each term
+    const termCounts = new Map();
+    const countTerms = (group, key) => group.forEach(ad => {
+      getAdTerms(ad).forEach(term => {
+        const counts = termCounts.get(term) || { high: 0, low: 0 };
+        counts[key] += 1;
+        termCounts.set(term, counts);
+      });
+    });
+    countTerms(high, 'high');
+    countTerms(low, 'low');
+
+    const terms = [...termCounts.entries()]
+      .filter(([, counts]) => counts.high + counts.low >= MIN_CONTRAST_TERM_ADS)
+      .map(([term, counts]) => ({
+        term,
+        highAds: counts.high,
+        lowAds: counts.low,
+        ...compareProportions(counts.high, high.length, counts.low, low.length)
+      }));
+
+    return {
+      groups,
+      structure,
+      terms: {
+        overrepresented: terms
+          .filter(term => term.lift > 1)
+          .sort((a, b) => b.lift - a.lift || a.pValue - b.pValue)
+          .slice(0, termLimit),
+        underrepresented: terms
+          .filter(term => term.lift < 1)
+          .sort((a, b) => a.lift - b.lift || a.pValue - b.pValue)
+          .slice(0, termLimit)
+      }
+    };
+  }
+  
+  /**
+   * Extract the highest weighted terms from a TF-IDF model
+   * @param {number} limit - Maximum number of terms to return
+   * @param {Object} tfidf - TF-IDF model with one document per ad
+   * @returns {Array} - Terms with their aggregated TF-IDF weight and document count
+   */
+  extractCommonTerms(limit, tfidf) {
+    if (!tfidf) {
+      return [];
+    }
+    
+    const terms = new Map();
+    
+    tfidf.documents.forEach((document, index) => {
+      tfidf.listTerms(index).forEach(({ term, tfidf }) => {
+        if (term.length < 3 || STOP_WORDS.has(term) || /^\d+$/.test(term)) {
+          return;
+        }
+        const entry = terms.get(term) || { term, weight: 0, documentCount: 0 };
+        entry.weight += tfidf;
+        entry.documentCount += 1;
+        terms.set(term, entry);
+      });
+    });
+    
+    return [...terms.values()]
+      // Terms in a single ad say nothing about what successful ads share
+      .filter(entry => entry.documentCount > 1)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, limit)
+      .map(entry => ({
+        term: entry.term,
+        weight: Math.round(entry.weight * 100) / 100,
+        documentCount: entry.documentCount
+      }));
+  }
+  
+  /**
+   * Group ads whose copy is near-identical under one canonical creative: the
+   * highest-scoring variant, or the longest-running one on a tie. Ads without
+   * copy form clusters of their own.
+   * @param {Array} ads - Scored ads
+   * @param {Object} [options] - { threshold }, the minimum similarity of two variants
+   * @returns {Array} - [{ canonical, variants }] in order of each cluster's first ad;
+   *   variants holds the ad IDs with their aggregated score and delivery
+   */
+  clusterVariants(ads, options = {}) {
+    const { threshold = DEFAULT_SIMILARITY_THRESHOLD } = options;
+    const now = new Date();
+
+    return clusterSignatures((ads || []).map(getSignature), threshold).map(indexes => {
+      const members = indexes.map(index => ads[index]);
+      const spans = new Map(members.map(ad => [ad, getDeliverySpan(ad, now)]));
+      const duration = ad => spans.get(ad).end - spans.get(ad).start;
+      const canonical = [...members].sort((a, b) =>
+        (b.successScore || 0) - (a.successScore || 0) || duration(b) - duration(a)
+      )[0];
+
+      const scores = members.map(ad => ad.successScore || 0);
+      const validSpans = [...spans.values()].filter(span => !Number.isNaN(span.start.getTime()));
+      const firstStart = validSpans.length > 0 ? new Date(Math.min(...validSpans.map(span => span.start))) : null;
+      const lastEnd = validSpans.length > 0 ? new Date(Math.max(...validSpans.map(span => span.end))) : null;
+
+      return {
+        canonical,
+        variants: {
+          count: members.length,
+          adIds: members.map(ad => ad.id),
+          averageScore: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+          maxScore: Math.max(...scores),
+          // The creative has been delivering from its first variant's start to its last variant's end
+          startedAt: firstStart,
+          stoppedAt: validSpans.some(span => span.active) ? null : lastEnd,
+          durationDays: firstStart ? Math.max(1, Math.round((lastEnd - firstStart) / DAY_MS)) : null
+        }
+      };
+    });
+  }
+
+  /**
+   * Rank candidate ads by how similar their copy is to a target ad
+   * @param {Object} target - Ad to compare against
+   * @param {Array} candidates - Ads to compare; the target itself and duplicates are skipped
+   * @param {Object} [options] - { threshold, limit }
+   * @returns {Array} - [{ ad, similarity }], most similar first
+   */
+  findSimilarAds(target, candidates, options = {}) {
+    const { threshold = DEFAULT_SIMILARITY_THRESHOLD, limit = 20 } = options;
+    const targetSignature = getSignature(target);
+    if (!targetSignature) {
+      return [];
+    }
+
+    const seen = new Set([target.id]);
+    return (candidates || [])
+      .filter(ad => !seen.has(ad.id) && seen.add(ad.id))
+      .map(ad => ({ ad, similarity: Math.round(estimateSimilarity(targetSignature, getSignature(ad)) * 100) / 100 }))
+      .filter(({ similarity }) => similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity || (b.ad.successScore || 0) - (a.ad.successScore || 0))
+      .slice(0, limit);
+  }
+
+  /**
+   * Detect A/B experiments: variants of one creative that a page launched side
+   * by side. The variant that kept delivering after the others stopped is the
+   * apparent winner, and the words and structure it differs in are reported.
+   * @param {Array} ads - Scored ads
+   * @param {Object} [options] - { threshold }, the minimum similarity of two variants
+   * @returns {Array} - Experiments, decided ones first, most recent first
+   */
+  detectExperiments(ads, options = {}) {
+    const { threshold = DEFAULT_EXPERIMENT_SIMILARITY } = options;
+    const now = new Date();
+    const byPage = new Map();
+    (ads || []).forEach(ad => {
+      if (ad.page_id && !Number.isNaN(getDeliverySpan(ad, now).start.getTime())) {
+        byPage.set(ad.page_id, [...(byPage.get(ad.page_id) || []), ad]);
+      }
+    });
+
+    const experiments = [];
+    byPage.forEach(pageAds => {
+      clusterSignatures(pageAds.map(getSignature), threshold).forEach(indexes => {
+        if (indexes.length < 2) return;
+        const variants = indexes
+          .map(index => ({ ad: pageAds[index], ...getDeliverySpan(pageAds[index], now) }))
+          .sort((a, b) => a.start - b.start);
+
+        // Split the cluster into groups that ran at the same time; a later relaunch is a new test
+        let group = [];
+        const flush = () => {
+          if (group.length >= 2) experiments.push(this.summarizeExperiment(group));
+        };
+        variants.forEach(variant => {
+          const [first] = group;
+          if (first && (variant.start - first.start > EXPERIMENT_LAUNCH_WINDOW_DAYS * DAY_MS || variant.start >= first.end)) {
+            flush();
+            group = [];
+          }
+          group.push(variant);
+        });
+        flush();
+      });
+    });
+
+    const statusOrder = { decided: 0, running: 1, inconclusive: 2 };
+    return experiments.sort((a, b) =>
+      statusOrder[a.status] - statusOrder[b.status] || new Date(b.startedAt) - new Date(a.startedAt)
+    );
+  }
+
+  /**
+   * Decide an experiment and describe how its winner differs from the losers
+   * @param {Array} group - [{ ad, start, end, active }] of variants that ran side by side
+   * @returns {Object} - { status, startedAt, winner, winnerLeadDays, variants, differences }
+   * @private
+   */
+  summarizeExperiment(group) {
+    const [winner, runnerUp] = [...group].sort((a, b) => b.end - a.end);
+    const winnerLeadDays = Math.round((winner.end - runnerUp.end) / DAY_MS);
+
+    let status = 'inconclusive';
+    if (group.filter(variant => variant.active).length >= 2) {
+      status = 'running';
+    } else if (winnerLeadDays >= MIN_WINNER_LEAD_DAYS) {
+      status = 'decided';
+    }
+
+    const losers = group.filter(variant => variant !== winner).map(variant => variant.ad);
+    let differences = null;
+    if (status === 'decided') {
+      const winnerWords = getAdWords(winner.ad);
+      const loserWords = new Map();
+      losers.forEach(ad => getAdWords(ad).forEach(word => loserWords.set(word, (loserWords.get(word) || 0) + 1)));
+      const winnerBody = getBodyText(winner.ad);
+
+      differences = {
+        onlyInWinner: [...winnerWords].filter(word => !loserWords.has(word)),
+        // Words the winner dropped, with the number of losers that used them
+        onlyInLosers: [...loserWords.entries()]
+          .filter(([word]) => !winnerWords.has(word))
+          .sort((a, b) => b[1] - a[1])
+          .map(([term, count]) => ({ term, losers: count })),
+        structure: Object.entries(STRUCTURE_FEATURES).map(([feature, detect]) => ({
+          feature,
+          winner: detect(winnerBody, getLanguage(winner.ad)),
+          losers: losers.filter(ad => detect(getBodyText(ad), getLanguage(ad))).length
+        })),
+        length: {
+          winner: winnerBody.length,
+          losersAverage: Math.round(describe(losers.map(ad => getBodyText(ad).length)).mean)
+        }
+      };
+    }
+
+    return {
+      status,
+      startedAt: group[0].start,
+      winner: status === 'decided' ? winner.ad.id : null,
+      winnerLeadDays: status === 'decided' ? winnerLeadDays : null,
+      variants: [...group].sort((a, b) => b.end - a.end).map(({ ad, start, end, active }) => ({
+        id: ad.id,
+        title: (ad.ad_creative_link_titles || [])[0] || null,
+        body: (ad.ad_creative_bodies || [])[0] || null,
+        successScore: ad.successScore,
+        startedAt: start,
+        stoppedAt: active ? null : end,
+        active,
+        durationDays: Math.max(1, Math.round((end - start) / DAY_MS))
+      })),
+      differences
+    };
+  }
+
+  /**
+   * Analyze visual elements of ads from the features of their analyzed
+   * snapshots. Snapshots are never fetched here; see VisualAnalysisService.
+   * @param {Array} ads - Successful ads, with visualFeatures where analyzed
+   * @returns {Object} - Visual patterns (see aggregateVisualFeatures)
+   * @private
+   */
+  analyzeVisualElements(ads) {
+    const withSnapshots = (ads || []).filter(ad => ad.ad_snapshot_url).length;
+    const features = (ads || []).map(ad => ad.visualFeatures).filter(Boolean);
+
+    if (features.length === 0) {
+      return {
+        analyzed: false,
+        adsWithSnapshots: withSnapshots,
+        adsAnalyzed: 0,
+        message: 'None of these ads have an analyzed snapshot yet'
+      };
+    }
+
+    return {
+      analyzed: true,
+      adsWithSnapshots: withSnapshots,
+      adsAnalyzed: features.length,
+      ...aggregateVisualFeatures(features)
+    };
+  }
+}
+
+module.exports = new AdAnalysisEngine();
+module.exports.SUCCESS_THRESHOLD = SUCCESS_THRESHOLD;
+module.exports.getPatternsCacheKey = getPatternsCacheKey;
+module.exports.DAY_MS = DAY_MS;
+module.exports.getDeliverySpan = getDeliverySpan;
+module.exports.DEFAULT_LOW_SCORE = DEFAULT_LOW_SCORE;
+module.exports.DEFAULT_SIMILARITY_THRESHOLD = DEFAULT_SIMILARITY_THRESHOLD;
@@ -0,0 +1,97 @@
+// src/services/adLibraryService.js
+const SuccessfulAdModel = require('../models/successfulAd');
+
+const SORT_OPTIONS = ['relevance', 'score', 'recency'];
+
+class AdLibraryService {
+  /**
+   * Build the MongoDB query for a set of library filters
+   * @param {Object} filters - Filters (see search), plus countries the ads ran in
+   * @returns {Object} - Query for SuccessfulAdModel
+   */
+  buildQuery(filters = {}) {
+    const { text, minScore, maxScore, deliveryDateMin, deliveryDateMax, pageIds, countries } = filters;
+    const query = {};
+
+    if (text) {
+      query.$text = { $search: text };
+    }
+
+    if (minScore !== undefined || maxScore !== undefined) {
+      query.successScore = {};
+      if (minScore !== undefined) query.successScore.$gte = minScore;
+      if (maxScore !== undefined) query.successScore.$lte = maxScore;
+    }
+
+    // Delivery times are stored as ISO 8601 strings, which sort chronologically
+    if (deliveryDateMin || deliveryDateMax) {
+      query['adData.ad_delivery_start_time'] = {};
+      if (deliveryDateMin) query['adData.ad_delivery_start_time'].$gte = deliveryDateMin;
+      if (deliveryDateMax) query['adData.ad_delivery_start_time'].$lte = `${deliveryDateMax}T23:59:59`;
+    }
+
+    if (pageIds && pageIds.length) {
+      query['adData.page_id'] = { $in: pageIds };
+    }
+
+    if (countries && countries.length && !countries.includes('ALL')) {
+      query.countries = { $in: countries };
+    }
+
+    return query;
+  }
+
+  /**
+   * Search the stored library of successful ads
+   * @param {Object} options - Search options
+   * @param {string} [options.text] - Full-text query over page names and ad bodies
+   * @param {number} [options.minScore] - Minimum success score
+   * @param {number} [options.maxScore] - Maximum success score
+   * @param {string} [options.deliveryDateMin] - Earliest delivery start date (YYYY-MM-DD)
+   * @param {string} [options.deliveryDateMax] - Latest delivery start date (YYYY-MM-DD)
+   * @param {Array<string>} [options.pageIds] - Advertiser page IDs
+   * @param {string} [options.sort] - "relevance" (text queries only), "score" or "recency"
+   * @param {number} [options.page] - 1-based page number
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<Object>} - { ads, total }
+   */
+  async search(options = {}) {
+    const {
+      text,
+      minScore,
+      maxScore,
+      deliveryDateMin,
+      deliveryDateMax,
+      pageIds,
+      sort = text ? 'relevance' : 'score',
+      page = 1,
+      limit = 25
+    } = options;
+
+    const query = this.buildQuery({ text, minScore, maxScore, deliveryDateMin, deliveryDateMax, pageIds });
+    const projection = text ? { relevance: { $meta: 'textScore' } } : {};
+
+    let sortOrder;
+    if (sort === 'relevance' && text) {
+      sortOrder = { relevance: { $meta: 'textScore' }, successScore: -1, _id: 1 };
+    } else if (sort === 'recency') {
+      sortOrder = { lastSeenAt: -1, _id: 1 };
+    } else {
+      sortOrder = { successScore: -1, _id: 1 };
+    }
+
+    const [ads, total] = await Promise.all([
+      SuccessfulAdModel.find(query, projection)
+        .sort(sortOrder)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      SuccessfulAdModel.countDocuments(query)
+    ]);
+
+    return { ads, total };
+  }
+}
+
+module.exports = new AdLibraryService();
+module.exports.SORT_OPTIONS = SORT_OPTIONS;
@@ -1,60 +1,134 @@
 // src/services/adSuccessScoreCalculator.js
 const mongoose = require('mongoose');
 const AdScoreModel = require('../models/adScore');
+const AdScoreSnapshotModel = require('../models/adScoreSnapshot');
+const { DEFAULT_SCORING_PROFILE } = require('./scoringProfileService');
+const {
+  OPEN_RANGE_LOWER_FACTOR,
+  OPEN_RANGE_UPPER_FACTOR,
+  parseRange,
+  parseSpend
+} = require('../utils/rangeParser');
+const { BASE_CURRENCY } = require('../utils/currencyRates');
 const logger = require('../utils/logger');
 
+// Engagement proxies - the Ad Library exposes no engagement metrics
+const BASELINE_CTR = 0.01;
+const POST_ENGAGEMENT_RATIO = 2.5;
+const MAX_DURATION_FACTOR = 1.5;
+const MAX_DEMOGRAPHIC_FACTOR = 1.2;
+const MAX_CONTENT_FACTOR = 1.3;
+
+// How each score component maps onto the extracted metrics, used for explanations
+const COMPONENT_DEFINITIONS = [
+  { component: 'duration', scoreKey: 'durationScore', metric: 'durationDays' },
+  { component: 'spend', scoreKey: 'spendScore', metric: 'spendAmount', range: 'spendRange' },
+  { component: 'impressions', scoreKey: 'impressionsScore', metric: 'impressions', range: 'impressionsRange' },
+  { component: 'engagement', scoreKey: 'engagementScore', metric: 'engagementRate' }
+];
+
+/**
+ * Format a raw metric value for display in explanations
+ * @param {string} component - Score component
+ * @param {number} value - Raw metric value
+ * @returns {string} - Human readable value
+ */
+const formatMetricValue = (component, value) => {
+  switch (component) {
+    case 'duration':
+      return `${Math.round(value)} days`;
+    case 'spend':
+      return `$${Math.round(value).toLocaleString('en-US')}`;
+    case 'impressions':
+      return `${Math.round(value).toLocaleString('en-US')} impressions`;
+    case 'engagement':
+      return `${Math.round(value * 1000) / 10}% engagement rate`;
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Describe the counterfactual of reaching a metric value
+ * @param {string} component - Score component
+ * @param {number} value - Target metric value
+ * @returns {string} - Condition phrase, e.g. "if it had run 30 days"
+ */
+const describeCounterfactual = (component, value) => {
+  switch (component) {
+    case 'duration':
+      return `if it had run ${formatMetricValue(component, value)}`;
+    case 'spend':
+      return `if it had spent ${formatMetricValue(component, value)}`;
+    case 'impressions':
+      return `if it had reached ${formatMetricValue(component, value)}`;
+    default:
+      return `at a ${formatMetricValue(component, value)}`;
+  }
+};
+
 class AdSuccessScoreCalculator {
   /**
    * Calculate success score for an ad based on multiple metrics
    * @param {Object} adData - Raw ad data from Facebook Ad Library API
+   * @param {Object} [profile] - Scoring profile supplying weights and thresholds
    * @returns {Object} - Ad data with success score and component metrics
    */
-  async calculateScore(adData) {
+  async calculateScore(adData, profile = DEFAULT_SCORING_PROFILE) {
     try {
-      // First check if we already have calculated this ad's score in the database
-      const existingScore = await AdScoreModel.findOne({ adId: adData.id });
+      // Scores are still calculated without a database, they just aren't cached
+      const dbAvailable = mongoose.connection.readyState === 1;
       
-      if (existingScore && existingScore.updatedAt > new Date(Date.now() - 24 * 60 * 60 * 1000)) {
-        logger.info(`Using cached score for ad ${adData.id}`);
+      // First check if we already have calculated this ad's score with the same profile version
+      const existingScore = dbAvailable ?
+        await AdScoreModel.findOne({ adId: adData.id, profileName: profile.name }) :
+        null;
+      
+      if (existingScore &&
+          existingScore.profileVersion === profile.version &&
+          existingScore.updatedAt > new Date(Date.now() - 24 * 60 * 60 * 1000)) {
+        logger.info(`Using cached score for ad ${adData.id} (profile ${profile.name} v${profile.version})`);
         return {
           ...adData,
           successScore: existingScore.totalScore,
-          componentScores: existingScore.componentScores
+          componentScores: existingScore.componentScores,
+          scoringProfile: { name: profile.name, version: profile.version }
         };
       }
       
       // Extract relevant metrics for scoring
       const metrics = this.extractMetrics(adData);
       
-      // Calculate component scores
-      const componentScores = {
-        durationScore: this.calculateDurationScore(metrics.durationDays),
-        spendScore: this.calculateSpendScore(metrics.spendAmount),
-        impressionsScore: this.calculateImpressionsScore(metrics.impressions),
-        engagementScore: this.calculateEngagementScore(metrics)
-      };
-      
-      // Calculate total weighted score (0-100)
-      const totalScore = this.calculateTotalScore(componentScores);
+      // Calculate component scores and the total weighted score (0-100)
+      const { componentScores, totalScore } = this.scoreMetrics(metrics, profile);
       
-      // Store the score in the database for future use
-      await AdScoreModel.findOneAndUpdate(
-        { adId: adData.id },
-        {
+      // Store the score in the database for future use, and append it to the ad's history
+      if (dbAvailable) {
+        const scoreRecord = {
           adId: adData.id,
+          profileName: profile.name,
+          profileVersion: profile.version,
           totalScore,
           componentScores,
-          rawMetrics: metrics,
-          updatedAt: new Date()
-        },
-        { upsert: true, new: true }
-      );
+          rawMetrics: metrics
+        };
+        
+        await Promise.all([
+          AdScoreModel.findOneAndUpdate(
+            { adId: adData.id, profileName: profile.name },
+            { ...scoreRecord, updatedAt: new Date() },
+            { upsert: true, new: true }
+          ),
+          AdScoreSnapshotModel.create({ ...scoreRecord, capturedAt: new Date() })
+        ]);
+      }
       
       // Return the enriched ad data
       return {
         ...adData,
         successScore: totalScore,
-        componentScores
+        componentScores,
+        scoringProfile: { name: profile.name, version: profile.version }
       };
     } catch (error) {
       logger.error(`Error calculating success score for ad ${adData.id}`, error);
@@ -72,6 +146,264 @@ class AdSuccessScoreCalculator {
     }
   }
   
+  /**
+   * Get the recorded score history of an ad
+   * @param {string} adId - Ad Library ID
+   * @param {Object} [options] - History options
+   * @param {string} [options.profileName] - Only include scores from this profile
+   * @param {Date} [options.from] - Earliest snapshot time
+   * @param {Date} [options.to] - Latest snapshot time
+   * @returns {Promise<Array>} - Snapshots in chronological order, at most the
+   *   latest 1000
+   */
+  async getScoreHistory(adId, options = {}) {
+    const { profileName = DEFAULT_SCORING_PROFILE.name, from, to } = options;
+    const query = { adId, profileName };
+    
+    if (from || to) {
+      query.capturedAt = {};
+      if (from) query.capturedAt.$gte = from;
+      if (to) query.capturedAt.$lte = to;
+    }
+    
+    // Keep the most recent snapshots when an ad has more than the limit
+    const snapshots = await AdScoreSnapshotModel.find(query)
+      .sort({ capturedAt: -1 })
+      .limit(1000)
+      .lean();
+    
+    return snapshots.reverse().map(snapshot => ({
+      capturedAt: snapshot.capturedAt,
+      profileVersion: snapshot.profileVersion,
+      totalScore: snapshot.totalScore,
+      componentScores: snapshot.componentScores,
+      durationDays: snapshot.rawMetrics?.durationDays,
+      spendAmount: snapshot.rawMetrics?.spendAmount,
+      impressions: snapshot.rawMetrics?.impressions,
+      spendRange: snapshot.rawMetrics?.spendRange,
+      impressionsRange: snapshot.rawMetrics?.impressionsRange
+    }));
+  }
+  
+  /**
+   * Explain how an ad's score was produced, component by component
+   * @param {Object} adData - Raw ad data from Facebook Ad Library API
+   * @param {Object} [profile] - Scoring profile supplying weights and thresholds
+   * @returns {Object} - Score breakdown with bands, counterfactuals, assumptions and
+   *   warnings about metrics that could not be scored
+   */
+  explainScore(adData, profile = DEFAULT_SCORING_PROFILE) {
+    const metrics = this.extractMetrics(adData);
+    const { componentScores, totalScore } = this.scoreMetrics(metrics, profile);
+    const unconvertedCurrency = metrics.spendRange && metrics.spendRange.currency !== BASE_CURRENCY ?
+      metrics.spendRange.currency :
+      null;
+    const rawValues = {
+      ...metrics,
+      engagementRate: metrics.impressions > 0 ? metrics.estimatedEngagement / metrics.impressions : 0
+    };
+    
+    const components = COMPONENT_DEFINITIONS.map(({ component, scoreKey, metric, range }) => {
+      const breakpoints = profile.thresholds[component];
+      const weight = profile.weights[component];
+      const rawValue = rawValues[metric];
+      const points = componentScores[scoreKey];
+      const unknown = component === 'spend' && unconvertedCurrency !== null;
+      
+      // The band is delimited by the breakpoints either side of the raw value
+      const nextIndex = breakpoints.findIndex(breakpoint => rawValue < breakpoint.value);
+      let lower = 0;
+      let upper = null;
+      if (nextIndex === -1) {
+        lower = breakpoints[breakpoints.length - 1].value;
+      } else {
+        lower = nextIndex > 0 ? breakpoints[nextIndex - 1].value : 0;
+        upper = breakpoints[nextIndex].value;
+      }
+      
+      let counterfactual = null;
+      if (upper !== null && !unknown) {
+        const whatIf = this.scoreMetrics(this.adjustMetrics(adData, metrics, component, upper), profile);
+        const gain = whatIf.totalScore - totalScore;
+        counterfactual = {
+          targetValue: upper,
+          totalScore: whatIf.totalScore,
+          pointsGained: gain,
+          description: `+${gain} points ${describeCounterfactual(component, upper)}`
+        };
+      }
+      
+      // Ad Library only reports bands, so score both ends of the reported range
+      let rawRange = null;
+      let pointsRange = null;
+      if (unknown) {
+        // Reported in its own currency; it could have earned anything up to the maximum
+        rawRange = metrics[range];
+        pointsRange = { min: 0, max: breakpoints[breakpoints.length - 1].points };
+      } else if (range && metrics[range]) {
+        rawRange = metrics[range];
+        pointsRange = {
+          min: Math.round(this.scoreFromBreakpoints(rawRange.lower, breakpoints) * 100) / 100,
+          max: rawRange.upper === null ?
+            breakpoints[breakpoints.length - 1].points :
+            Math.round(this.scoreFromBreakpoints(rawRange.upper, breakpoints) * 100) / 100
+        };
+      }
+      
+      return {
+        component,
+        metric,
+        rawValue,
+        rawRange,
+        unknown,
+        band: {
+          min: lower,
+          max: upper,
+          label: upper === null ?
+            `${formatMetricValue(component, lower)} or more` :
+            `${formatMetricValue(component, lower)} to ${formatMetricValue(component, upper)}`
+        },
+        points: Math.round(points * 100) / 100,
+        maxPoints: breakpoints[breakpoints.length - 1].points,
+        weight,
+        weightedPoints: Math.round(points * weight * 100) / 100,
+        pointsRange,
+        counterfactual
+      };
+    });
+    
+    // Engagement is estimated as a rate, so only spend and impressions bands move the total
+    const totalScoreRange = components.reduce((range, { points, weight, pointsRange }) => {
+      if (!pointsRange) return range;
+      return {
+        min: range.min - (points - pointsRange.min) * weight,
+        max: range.max + (pointsRange.max - points) * weight
+      };
+    }, { min: totalScore, max: totalScore });
+    
+    return {
+      adId: adData.id,
+      totalScore,
+      totalScoreRange: {
+        min: Math.max(0, Math.round(totalScoreRange.min)),
+        max: Math.min(100, Math.round(totalScoreRange.max))
+      },
+      scoringProfile: { name: profile.name, version: profile.version },
+      rawMetrics: metrics,
+      components,
+      assumptions: this.describeAssumptions(),
+      warnings: unconvertedCurrency ?
+        [`Spend is reported in ${unconvertedCurrency}, which has no exchange rate, so it scores 0 points`] :
+        []
+    };
+  }
+  
+  /**
+   * List the estimates the calculator relies on in place of real data
+   * @returns {Array<Object>} - Assumptions with their values
+   */
+  describeAssumptions() {
+    return [
+      {
+        id: 'open_range_upper',
+        value: OPEN_RANGE_UPPER_FACTOR,
+        description: `Open-ended ranges such as ">1000" are estimated at ${OPEN_RANGE_UPPER_FACTOR}x their bound`
+      },
+      {
+        id: 'open_range_lower',
+        value: OPEN_RANGE_LOWER_FACTOR,
+        description: `Ranges such as "<100" are estimated at ${OPEN_RANGE_LOWER_FACTOR}x their bound`
+      },
+      {
+        id: 'range_midpoint',
+        value: 0.5,
+        description: 'Bounded spend and impression ranges are estimated at their midpoint'
+      },
+      {
+        id: 'currency_conversion',
+        value: BASE_CURRENCY,
+        description: `Spend in other currencies is converted to ${BASE_CURRENCY} with a local, approximate rate table`
+      },
+      {
+        id: 'baseline_ctr',
+        value: BASELINE_CTR,
+        description: `Engagement is estimated from a ${BASELINE_CTR * 100}% baseline click-through rate`
+      },
+      {
+        id: 'post_engagement_ratio',
+        value: POST_ENGAGEMENT_RATIO,
+        description: `Each estimated click is assumed to bring ${POST_ENGAGEMENT_RATIO} post engagements`
+      },
+      {
+        id: 'engagement_factor_caps',
+        value: { duration: MAX_DURATION_FACTOR, demographics: MAX_DEMOGRAPHIC_FACTOR, content: MAX_CONTENT_FACTOR },
+        description: 'Estimated clicks are boosted by run length, demographic breadth and copy length, up to the capped factors'
+      },
+      {
+        id: 'active_ad_end_time',
+        value: null,
+        description: 'Ads without a delivery stop time are treated as running until now'
+      }
+    ];
+  }
+  
+  /**
+   * Recompute metrics as if one component's raw metric had a different value
+   * @param {Object} adData - Raw ad data
+   * @param {Object} metrics - Metrics extracted from the ad
+   * @param {string} component - Component to adjust
+   * @param {number} value - New raw metric value
+   * @returns {Object} - Adjusted metrics
+   * @private
+   */
+  adjustMetrics(adData, metrics, component, value) {
+    const adjusted = { ...metrics };
+    
+    switch (component) {
+      case 'duration':
+        adjusted.durationDays = value;
+        adjusted.estimatedEngagement = this.estimateEngagement(adData, metrics.impressions, value);
+        break;
+      case 'spend':
+        adjusted.spendAmount = value;
+        break;
+      case 'impressions':
+        adjusted.impressions = value;
+        adjusted.estimatedEngagement = this.estimateEngagement(adData, value, metrics.durationDays);
+        break;
+      case 'engagement':
+        adjusted.estimatedEngagement = value * metrics.impressions;
+        break;
+      default:
+        break;
+    }
+    
+    adjusted.dailySpend = adjusted.spendAmount / adjusted.durationDays;
+    adjusted.dailyImpressions = adjusted.impressions / adjusted.durationDays;
+    return adjusted;
+  }
+  
+  /**
+   * Score extracted metrics with a profile
+   * @param {Object} metrics - Extracted metrics
+   * @param {Object} profile - Scoring profile
+   * @returns {Object} - Component scores and total weighted score
+   * @private
+   */
+  scoreMetrics(metrics, profile) {
+    const componentScores = {
+      durationScore: this.calculateDurationScore(metrics.durationDays, profile.thresholds.duration),
+      spendScore: this.calculateSpendScore(metrics.spendAmount, profile.thresholds.spend),
+      impressionsScore: this.calculateImpressionsScore(metrics.impressions, profile.thresholds.impressions),
+      engagementScore: this.calculateEngagementScore(metrics, profile.thresholds.engagement)
+    };
+    
+    return {
+      componentScores,
+      totalScore: this.calculateTotalScore(componentScores, profile.weights)
+    };
+  }
+  
   /**
    * Extract relevant metrics from the ad data
    * @param {Object} adData - Raw ad data
@@ -84,15 +416,16 @@ class AdSuccessScoreCalculator {
     const endTime = adData.ad_delivery_stop_time ? new Date(adData.ad_delivery_stop_time) : new Date();
     const durationDays = Math.max(1, Math.round((endTime - startTime) / (1000 * 60 * 60 * 24)));
     
-    // Parse spend range into average spend amount
-    const spendAmount = this.parseSpendRange(adData.spend);
-    
-    // Parse impressions range into average impressions
-    const impressions = this.parseImpressionRange(adData.impressions);
+    // Parse spend and impression ranges, keeping the bounds to report uncertainty
+    const spendRange = parseSpend(adData.spend, adData.currency);
+    const impressionsRange = parseRange(adData.impressions);
+    // Spend left in a currency without an exchange rate is unknown, not comparable with the breakpoints
+    const spendAmount = spendRange && spendRange.currency === BASE_CURRENCY ? spendRange.midpoint : 0;
+    const impressions = impressionsRange ? impressionsRange.midpoint : 0;
     
     // Calculate estimated engagement (Note: FB Ad Library doesn't provide direct engagement metrics)
     // We'll use proxy indicators and estimates based on available data
-    const estimatedEngagement = this.estimateEngagement(adData, impressions);
+    const estimatedEngagement = this.estimateEngagement(adData, impressions, durationDays);
     
     return {
       durationDays,
@@ -101,171 +434,167 @@ class AdSuccessScoreCalculator {
       estimatedEngagement,
       // Calculate daily averages
       dailySpend: spendAmount / durationDays,
-      dailyImpressions: impressions / durationDays
+      dailyImpressions: impressions / durationDays,
+      spendRange: spendRange && { lower: spendRange.lower, upper: spendRange.upper, currency: spendRange.currency },
+      impressionsRange: impressionsRange && { lower: impressionsRange.lower, upper: impressionsRange.upper }
     };
   }
   
   /**
-   * Parse spend range into a single numeric value
-   * @param {string} spendRange - Spend range from API (e.g., "100-499")
-   * @returns {number} - Average spend amount
+   * Parse spend range into a single numeric value in the base currency
+   * @param {Object|string} spendRange - Spend range from API (e.g., { lower_bound: "100", upper_bound: "499" })
+   * @param {string} [currency] - Currency the spend is reported in
+   * @returns {number} - Midpoint spend amount, 0 without an exchange rate
    * @private
    */
-  parseSpendRange(spendRange) {
-    if (!spendRange) return 0;
-    
-    try {
-      // Handle ranges like "100-499" or "<100" or ">1000"
-      if (spendRange.includes('-')) {
-        const [min, max] = spendRange.split('-').map(val => parseInt(val.replace(/[^\d]/g, ''), 10));
-        return (min + max) / 2;
-      } else if (spendRange.includes('<')) {
-        return parseInt(spendRange.replace(/[^\d]/g, ''), 10) / 2;
-      } else if (spendRange.includes('>')) {
-        return parseInt(spendRange.replace(/[^\d]/g, ''), 10) * 1.5;
-      } else {
-        return parseInt(spendRange.replace(/[^\d]/g, ''), 10);
-      }
-    } catch (error) {
-      logger.warn(`Could not parse spend range: ${spendRange}`, error);
+  parseSpendRange(spendRange, currency) {
+    const range = parseSpend(spendRange, currency);
+    if (!range) {
+      if (spendRange) logger.warn(`Could not parse spend range: ${JSON.stringify(spendRange)}`);
       return 0;
     }
+    return range.currency === BASE_CURRENCY ? range.midpoint : 0;
   }
   
   /**
    * Parse impression range into a single numeric value
-   * @param {string} impressionRange - Impression range from API
-   * @returns {number} - Average impressions
+   * @param {Object|string} impressionRange - Impression range from API
+   * @returns {number} - Midpoint impressions
    * @private
    */
   parseImpressionRange(impressionRange) {
-    // Similar logic to parseSpendRange
-    return this.parseSpendRange(impressionRange);
+    const range = parseRange(impressionRange);
+    if (!range) {
+      if (impressionRange) logger.warn(`Could not parse impression range: ${JSON.stringify(impressionRange)}`);
+      return 0;
+    }
+    return range.midpoint;
   }
   
   /**
    * Estimate engagement based on available proxy indicators
    * @param {Object} adData - Raw ad data
    * @param {number} impressions - Parsed impressions
+   * @param {number} durationDays - Ad duration in days
    * @returns {number} - Estimated engagement
    * @private
    */
-  estimateEngagement(adData, impressions) {
+  estimateEngagement(adData, impressions, durationDays) {
     // Since Facebook Ad Library doesn't provide direct engagement metrics,
     // we need to use proxy indicators and industry benchmarks
     
     // Factor 1: Ad duration - longer running ads likely have better engagement
-    const durationFactor = Math.min(1.5, 1 + (this.extractMetrics(adData).durationDays / 30) * 0.5);
+    const durationFactor = Math.min(MAX_DURATION_FACTOR, 1 + (durationDays / 30) * 0.5);
     
     // Factor 2: Demographic distribution - wider distribution might indicate better targeting
     const demographicFactor = adData.demographic_distribution ? 
-      Math.min(1.2, 1 + (adData.demographic_distribution.length / 10) * 0.2) : 1;
+      Math.min(MAX_DEMOGRAPHIC_FACTOR, 1 + (adData.demographic_distribution.length / 10) * 0.2) : 1;
     
     // Factor 3: Content length and complexity
     const contentFactor = adData.ad_creative_bodies ? 
-      Math.min(1.3, 1 + (adData.ad_creative_bodies.join(' ').length / 500) * 0.3) : 1;
+      Math.min(MAX_CONTENT_FACTOR, 1 + (adData.ad_creative_bodies.join(' ').length / 500) * 0.3) : 1;
     
     // Apply industry average CTR as baseline (around 1%)
-    const avgCTR = 0.01;
-    
     // Estimated clicks based on impressions and adjusted CTR
-    const estimatedClicks = impressions * avgCTR * durationFactor * demographicFactor * contentFactor;
+    const estimatedClicks = impressions * BASELINE_CTR * durationFactor * demographicFactor * contentFactor;
     
     // Add estimated post engagements (reactions, comments, shares) based on clicks
     // Industry average is about 2-3 post engagements per click
-    const postEngagementRatio = 2.5;
-    const estimatedPostEngagements = estimatedClicks * postEngagementRatio;
+    const estimatedPostEngagements = estimatedClicks * POST_ENGAGEMENT_RATIO;
     
     return estimatedClicks + estimatedPostEngagements;
   }
   
   /**
-   * Calculate duration score component (0-25)
+   * Score a metric against a list of breakpoints (0 up to the last breakpoint's points)
+   * @param {number} value - Raw metric value
+   * @param {Array<{value: number, points: number}>} breakpoints - Ascending breakpoints
+   * @returns {number} - Points earned, interpolated linearly between breakpoints
+   * @private
+   */
+  scoreFromBreakpoints(value, breakpoints) {
+    const last = breakpoints[breakpoints.length - 1];
+    if (value >= last.value) return last.points;
+    
+    for (let i = breakpoints.length - 1; i > 0; i--) {
+      const lower = breakpoints[i - 1];
+      const upper = breakpoints[i];
+      if (value >= lower.value) {
+        return lower.points + ((value - lower.value) / (upper.value - lower.value)) * (upper.points - lower.points);
+      }
+    }
+    
+    return Math.max(0, (value / breakpoints[0].value) * breakpoints[0].points);
+  }
+  
+  /**
+   * Calculate duration score component (0-25 with the default profile)
    * @param {number} durationDays - Ad duration in days
+   * @param {Array} [breakpoints] - Duration breakpoints from the scoring profile
    * @returns {number} - Duration score
    * @private
    */
-  calculateDurationScore(durationDays) {
+  calculateDurationScore(durationDays, breakpoints = DEFAULT_SCORING_PROFILE.thresholds.duration) {
     // Longer-running ads are usually more successful
-    // Scale: 0-25 points
-    // Logic: 7 days = 5 points, 14 days = 10 points, 30 days = 15 points, 60+ days = 25 points
-    if (durationDays >= 60) return 25;
-    if (durationDays >= 30) return 15 + ((durationDays - 30) / 30) * 10;
-    if (durationDays >= 14) return 10 + ((durationDays - 14) / 16) * 5;
-    if (durationDays >= 7) return 5 + ((durationDays - 7) / 7) * 5;
-    return Math.max(0, (durationDays / 7) * 5);
+    return this.scoreFromBreakpoints(durationDays, breakpoints);
   }
   
   /**
-   * Calculate spend score component (0-25)
+   * Calculate spend score component (0-25 with the default profile)
    * @param {number} spendAmount - Ad spend amount
+   * @param {Array} [breakpoints] - Spend breakpoints from the scoring profile
    * @returns {number} - Spend score
    * @private
    */
-  calculateSpendScore(spendAmount) {
+  calculateSpendScore(spendAmount, breakpoints = DEFAULT_SCORING_PROFILE.thresholds.spend) {
     // Higher spend can indicate more successful ads (advertisers often scale budget for winners)
-    // Scale: 0-25 points
-    // Logic: $100 = 5 points, $500 = 10 points, $1000 = 15 points, $5000+ = 25 points
-    if (spendAmount >= 5000) return 25;
-    if (spendAmount >= 1000) return 15 + ((spendAmount - 1000) / 4000) * 10;
-    if (spendAmount >= 500) return 10 + ((spendAmount - 500) / 500) * 5;
-    if (spendAmount >= 100) return 5 + ((spendAmount - 100) / 400) * 5;
-    return Math.max(0, (spendAmount / 100) * 5);
+    return this.scoreFromBreakpoints(spendAmount, breakpoints);
   }
   
   /**
-   * Calculate impressions score component (0-25)
+   * Calculate impressions score component (0-25 with the default profile)
    * @param {number} impressions - Ad impressions
+   * @param {Array} [breakpoints] - Impression breakpoints from the scoring profile
    * @returns {number} - Impressions score
    * @private
    */
-  calculateImpressionsScore(impressions) {
+  calculateImpressionsScore(impressions, breakpoints = DEFAULT_SCORING_PROFILE.thresholds.impressions) {
     // Higher impressions volume indicates successful reach
-    // Scale: 0-25 points
-    // Logic: 10K = 5 points, 50K = 10 points, 100K = 15 points, 500K+ = 25 points
-    if (impressions >= 500000) return 25;
-    if (impressions >= 100000) return 15 + ((impressions - 100000) / 400000) * 10;
-    if (impressions >= 50000) return 10 + ((impressions - 50000) / 50000) * 5;
-    if (impressions >= 10000) return 5 + ((impressions - 10000) / 40000) * 5;
-    return Math.max(0, (impressions / 10000) * 5);
+    return this.scoreFromBreakpoints(impressions, breakpoints);
   }
   
   /**
-   * Calculate engagement score component (0-25)
+   * Calculate engagement score component (0-25 with the default profile)
    * @param {Object} metrics - Extracted metrics including estimated engagement
+   * @param {Array} [breakpoints] - Engagement rate breakpoints from the scoring profile
    * @returns {number} - Engagement score
    * @private
    */
-  calculateEngagementScore(metrics) {
+  calculateEngagementScore(metrics, breakpoints = DEFAULT_SCORING_PROFILE.thresholds.engagement) {
     // Higher engagement ratio indicates more compelling ad content
-    // Scale: 0-25 points
     
     // Calculate engagement rate (engagement/impressions)
     const engagementRate = metrics.impressions > 0 ? 
       metrics.estimatedEngagement / metrics.impressions : 0;
     
     // Industry average engagement rate is around 3-5%
-    if (engagementRate >= 0.10) return 25; // 10%+ is excellent
-    if (engagementRate >= 0.05) return 15 + ((engagementRate - 0.05) / 0.05) * 10; // 5-10%
-    if (engagementRate >= 0.03) return 10 + ((engagementRate - 0.03) / 0.02) * 5; // 3-5%
-    if (engagementRate >= 0.01) return 5 + ((engagementRate - 0.01) / 0.02) * 5; // 1-3%
-    return Math.max(0, (engagementRate / 0.01) * 5); // 0-1%
+    return this.scoreFromBreakpoints(engagementRate, breakpoints);
   }
   
   /**
    * Calculate total weighted score
    * @param {Object} componentScores - Individual component scores
+   * @param {Object} [weights] - Component weights from the scoring profile
    * @returns {number} - Total weighted score (0-100)
    * @private
    */
-  calculateTotalScore(componentScores) {
-    // We can apply different weights to different components based on importance
-    // Current weights: Duration (30%), Spend (20%), Impressions (20%), Engagement (30%)
+  calculateTotalScore(componentScores, weights = DEFAULT_SCORING_PROFILE.weights) {
+    // Profiles are validated so that the weighted maximum of all components is 100
     const weightedScore = (
-      (componentScores.durationScore * 1.2) +     // 25 * 1.2 = 30 max points
-      (componentScores.spendScore * 0.8) +        // 25 * 0.8 = 20 max points
-      (componentScores.impressionsScore * 0.8) +  // 25 * 0.8 = 20 max points
-      (componentScores.engagementScore * 1.2)     // 25 * 1.2 = 30 max points
+      (componentScores.durationScore * weights.duration) +
+      (componentScores.spendScore * weights.spend) +
+      (componentScores.impressionsScore * weights.impressions) +
+      (componentScores.engagementScore * weights.engagement)
     );
     
     // Return rounded score
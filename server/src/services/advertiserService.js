@@ -0,0 +1,375 @@
+// src/services/advertiserService.js
+const mongoose = require('mongoose');
+const SuccessfulAdModel = require('../models/successfulAd');
+const AdAnalysisEngine = require('./adAnalysisEngine');
+const { SUCCESS_THRESHOLD, DAY_MS, getDeliverySpan } = require('./adAnalysisEngine');
+const { fbAdapter, DEFAULT_COUNTRIES } = require('../adapters');
+const cache = require('./cache');
+const { parseSpend } = require('../utils/rangeParser');
+const { BASE_CURRENCY } = require('../utils/currencyRates');
+const { getAdLanguage } = require('../utils/languages');
+const logger = require('../utils/logger');
+
+const SUMMARY_CACHE_TTL_SECONDS = 60 * 60;
+const DEFAULT_MAX_RESULTS = 200;
+const LONGEST_RUNNING_LIMIT = 5;
+const TOP_TERMS_LIMIT = 15;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get an ad's delivery window with its length in days
+ * @param {Object} ad - Raw ad data
+ * @param {Date} now - Current time
+ * @returns {Object} - { start, end, durationDays, active }
+ */
+const getDeliveryWindow = (ad, now) => {
+  const span = getDeliverySpan(ad, now);
+  return { ...span, durationDays: Math.max(1, Math.round((span.end - span.start) / DAY_MS)) };
+};
+
+/**
+ * Aggregates everything known about one advertiser page from stored ads and,
+ * when the Ad Library is reachable, a fresh crawl of the page
+ */
+class AdvertiserService {
+  constructor(options = {}) {
+    this.adapter = options.adapter || fbAdapter;
+    this.engine = options.engine || AdAnalysisEngine;
+    this.cache = options.cache || cache;
+  }
+
+  /**
+   * Build the analytics summary for a page
+   * @param {string} pageId - Facebook page ID
+   * @param {Object} [options] - { countries, maxResults }
+   * @returns {Promise<Object|null>} - Summary, or null when nothing is known about the page
+   */
+  async getAdvertiserSummary(pageId, options = {}) {
+    const { countries, maxResults = DEFAULT_MAX_RESULTS } = options;
+
+    return this.withCache(`advertiser_${pageId}_${(countries || []).join(',')}`, async () => {
+      const { ads, sources } = await this.collectAds(pageId, { countries, maxResults });
+      if (ads.length === 0) {
+        return null;
+      }
+
+      return {
+        pageId,
+        ...this.summarizeAds(ads),
+        sources,
+        generatedAt: new Date()
+      };
+    });
+  }
+
+  /**
+   * Detect the A/B experiments a page has run
+   * @param {string} pageId - Facebook page ID
+   * @param {Object} [options] - { countries, maxResults, threshold }
+   * @returns {Promise<Object|null>} - Experiments, or null when nothing is known about the page
+   */
+  async getExperiments(pageId, options = {}) {
+    const { countries, maxResults = DEFAULT_MAX_RESULTS, threshold } = options;
+    const cacheKey = `advertiser_experiments_${pageId}_${(countries || []).join(',')}_${threshold || ''}`;
+
+    return this.withCache(cacheKey, async () => {
+      const { ads, sources } = await this.collectAds(pageId, { countries, maxResults });
+      if (ads.length === 0) {
+        return null;
+      }
+
+      const experiments = this.engine.detectExperiments(ads, threshold ? { threshold } : {});
+      return {
+        pageId,
+        pageName: (ads.find(ad => ad.page_name) || {}).page_name || null,
+        totals: {
+          ads: ads.length,
+          experiments: experiments.length,
+          decided: experiments.filter(experiment => experiment.status === 'decided').length
+        },
+        experiments,
+        sources,
+        generatedAt: new Date()
+      };
+    });
+  }
+
+  /**
+   * Return a cached result, or build and cache it. Null results are not cached.
+   * @param {string} cacheKey - Cache key
+   * @param {Function} build - Async function producing the result
+   * @returns {Promise<Object|null>} - Result
+   * @private
+   */
+  async withCache(cacheKey, build) {
+    try {
+      const cached = await this.cache.get(cacheKey);
+      if (cached) {
+        return JSON.parse(cached);
+      }
+    } catch (cacheError) {
+      logger.warn(`Could not read ${cacheKey} from cache`, cacheError);
+    }
+
+    const result = await build();
+    if (!result) {
+      return result;
+    }
+
+    try {
+      await this.cache.set(cacheKey, JSON.stringify(result), SUMMARY_CACHE_TTL_SECONDS);
+    } catch (cacheError) {
+      logger.warn(`Could not cache ${cacheKey}`, cacheError);
+    }
+
+    return result;
+  }
+
+  /**
+   * Merge the page's stored successful ads with a live crawl of the page
+   * @param {string} pageId - Facebook page ID
+   * @param {Object} options - { countries, maxResults }
+   * @returns {Promise<Object>} - { ads, sources }
+   * @private
+   */
+  async collectAds(pageId, { countries, maxResults }) {
+    const adsById = new Map();
+    const sources = { stored: 0, live: 0, liveError: null };
+
+    if (mongoose.connection.readyState === 1) {
+      const storedAds = await SuccessfulAdModel.find({ 'adData.page_id': pageId }).lean();
+      storedAds.forEach(stored => adsById.set(stored.adId, {
+        ...stored.adData,
+        successScore: stored.successScore,
+        componentScores: stored.componentScores,
+        countries: stored.countries || []
+      }));
+      sources.stored = storedAds.length;
+    }
+
+    // A failed crawl (expired token, throttling) still leaves the stored ads to report on
+    try {
+      const liveAds = await this.adapter.fetchAllAds({
+        pageIds: [pageId],
+        ...(countries ? { countries } : {}),
+        limit: 100
+      }, maxResults);
+      // Recorded fixtures are not filtered by page, so guard against foreign ads
+      const scoredAds = await this.engine.processAds(liveAds.filter(ad => ad.page_id === pageId), {
+        countries: countries || DEFAULT_COUNTRIES
+      });
+      // Like stored ads, live ones are known to have run in the countries searched
+      const searchedCountries = (countries || DEFAULT_COUNTRIES).filter(country => country !== 'ALL');
+      scoredAds.forEach(ad => adsById.set(ad.id, {
+        ...ad,
+        countries: [...new Set([...((adsById.get(ad.id) || {}).countries || []), ...searchedCountries])]
+      }));
+      sources.live = scoredAds.length;
+    } catch (error) {
+      logger.warn(`Could not crawl ads for page ${pageId}: ${error.message}`);
+      sources.liveError = error.message;
+    }
+
+    return { ads: [...adsById.values()], sources };
+  }
+
+  /**
+   * Aggregate a page's ads
+   * @param {Array} ads - Scored ads of a single page
+   * @returns {Object} - Summary sections
+   */
+  summarizeAds(ads) {
+    const now = new Date();
+    const windows = new Map(ads.map(ad => [ad.id, getDeliveryWindow(ad, now)]));
+
+    return {
+      pageName: (ads.find(ad => ad.page_name) || {}).page_name || null,
+      totals: {
+        ads: ads.length,
+        activeAds: ads.filter(ad => windows.get(ad.id).active).length,
+        successfulAds: ads.filter(ad => ad.successScore >= SUCCESS_THRESHOLD).length
+      },
+      scoreDistribution: this.getScoreDistribution(ads),
+      longestRunning: this.getLongestRunning(ads, windows),
+      spendOverTime: this.getSpendOverTime(ads, windows),
+      countries: this.getCountries(ads),
+      topTerms: this.getTopTerms(ads)
+    };
+  }
+
+  /**
+   * Bucket success scores into ten-point bands
+   * @param {Array} ads - Scored ads
+   * @returns {Object} - { average, median, buckets }
+   * @private
+   */
+  getScoreDistribution(ads) {
+    const scores = ads.map(ad => ad.successScore || 0).sort((a, b) => a - b);
+    const buckets = Array.from({ length: 10 }, (_, index) => ({
+      min: index * 10,
+      max: index === 9 ? 100 : index * 10 + 9,
+      count: 0
+    }));
+    scores.forEach(score => {
+      buckets[Math.min(9, Math.floor(score / 10))].count += 1;
+    });
+
+    const middle = Math.floor(scores.length / 2);
+    const median = scores.length % 2 ? scores[middle] : (scores[middle - 1] + scores[middle]) / 2;
+
+    return {
+      average: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+      median: Math.round(median),
+      buckets
+    };
+  }
+
+  /**
+   * Pick the creatives that have been delivering the longest
+   * @param {Array} ads - Scored ads
+   * @param {Map} windows - Delivery window per ad ID
+   * @returns {Array} - Longest running ads first
+   * @private
+   */
+  getLongestRunning(ads, windows) {
+    return [...ads]
+      .sort((a, b) => windows.get(b.id).durationDays - windows.get(a.id).durationDays)
+      .slice(0, LONGEST_RUNNING_LIMIT)
+      .map(ad => {
+        const { start, end, active, durationDays } = windows.get(ad.id);
+        return {
+          id: ad.id,
+          title: (ad.ad_creative_link_titles || [])[0] || null,
+          body: (ad.ad_creative_bodies || [])[0] || null,
+          successScore: ad.successScore,
+          startedAt: start,
+          stoppedAt: active ? null : end,
+          active,
+          durationDays
+        };
+      });
+  }
+
+  /**
+   * Estimate monthly spend by spreading each ad's spend band evenly over its delivery days
+   * @param {Array} ads - Scored ads
+   * @param {Map} windows - Delivery window per ad ID
+   * @returns {Object} - { currency, months: [{ month, lower, estimate, upper, ads }], unconvertedAds }
+   * @private
+   */
+  getSpendOverTime(ads, windows) {
+    const months = new Map();
+    let unconvertedAds = 0;
+
+    ads.forEach(ad => {
+      const spend = parseSpend(ad.spend, ad.currency);
+      if (!spend) {
+        return;
+      }
+      // Amounts in a currency without an exchange rate would be added up as if they were in the base currency
+      if (spend.currency !== BASE_CURRENCY) {
+        unconvertedAds += 1;
+        return;
+      }
+
+      const { start, end } = windows.get(ad.id);
+      const totalDays = Math.max(1, (end - start) / DAY_MS);
+
+      let cursor = start;
+      while (cursor < end) {
+        const monthStart = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth(), 1));
+        const nextMonth = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1));
+        const share = (Math.min(end, nextMonth) - cursor) / DAY_MS / totalDays;
+        const key = monthStart.toISOString().slice(0, 7);
+
+        const entry = months.get(key) || { month: key, lower: 0, estimate: 0, upper: 0, ads: 0 };
+        entry.lower += spend.lower * share;
+        entry.estimate += spend.midpoint * share;
+        entry.upper += (spend.upper === null ? spend.midpoint : spend.upper) * share;
+        entry.ads += 1;
+        months.set(key, entry);
+
+        cursor = nextMonth;
+      }
+    });
+
+    return {
+      currency: BASE_CURRENCY,
+      months: [...months.values()]
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map(entry => ({
+          ...entry,
+          lower: roundMoney(entry.lower),
+          estimate: roundMoney(entry.estimate),
+          upper: roundMoney(entry.upper)
+        })),
+      unconvertedAds
+    };
+  }
+
+  /**
+   * Count the countries the page's ads reached. Reach comes from the EU/UK reach
+   * breakdown; other ads count towards the countries they were found in, with
+   * unknown reach.
+   * @param {Array} ads - Scored ads
+   * @returns {Array} - [{ country, ads, reach }], most ads first; reach is null when no ad reported it
+   * @private
+   */
+  getCountries(ads) {
+    const countries = new Map();
+    const getEntry = (country) => {
+      if (!countries.has(country)) {
+        countries.set(country, { country, ads: 0, reach: null });
+      }
+      return countries.get(country);
+    };
+
+    ads.forEach(ad => {
+      const breakdowns = (ad.age_country_gender_reach_breakdown || []).filter(breakdown => breakdown.country);
+
+      if (breakdowns.length === 0) {
+        const reached = ad.countries && ad.countries.length ? ad.countries : (ad.ad_reached_countries || []);
+        new Set(reached.filter(country => country && country !== 'ALL')).forEach(country => {
+          getEntry(country).ads += 1;
+        });
+        return;
+      }
+
+      breakdowns.forEach(({ country, age_gender_breakdowns = [] }) => {
+        const entry = getEntry(country);
+        entry.ads += 1;
+        entry.reach = (entry.reach || 0) + age_gender_breakdowns.reduce(
+          (sum, breakdown) => sum + (breakdown.male || 0) + (breakdown.female || 0) + (breakdown.unknown || 0),
+          0
+        );
+      });
+    });
+
+    return [...countries.values()].sort((a, b) => b.ads - a.ads || (b.reach || 0) - (a.reach || 0));
+  }
+
+  /**
+   * Find the terms that distinguish the page's ad copy
+   * @param {Array} ads - Scored ads
+   * @returns {Array} - Terms with weight and document count
+   * @private
+   */
+  getTopTerms(ads) {
+    const docs = [];
+    ads.forEach(ad => {
+      const text = [
+        ...(ad.ad_creative_bodies || []),
+        ...(ad.ad_creative_link_titles || []),
+        ...(ad.ad_creative_link_descriptions || [])
+      ].filter(Boolean).join(' ');
+      if (text.trim()) {
+        docs.push({ text, language: getAdLanguage(ad, text) });
+      }
+    });
+
+    return this.engine.extractCommonTerms(TOP_TERMS_LIMIT, this.engine.createTermModel(docs));
+  }
+}
+
+module.exports = new AdvertiserService();
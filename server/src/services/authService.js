@@ -0,0 +1,220 @@
+// src/services/authService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const UserModel = require('../models/user');
+const ApiKeyModel = require('../models/apiKey');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+const { signToken, verifyToken } = require('../utils/tokens');
+const { createError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const DEFAULT_SESSION_TTL_HOURS = 7 * 24;
+const API_KEY_PREFIX = 'ak_';
+const MAX_API_KEYS_PER_USER = 20;
+// lastUsedAt is only rewritten this long after the previous use, not on every request
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * The fields of a user that are safe to return to clients
+ * @param {Object} user - Stored user
+ * @returns {Object} - { _id, email, role, createdAt }
+ */
+const toPublicUser = (user) => ({
+  _id: user._id,
+  email: user.email,
+  role: user.role,
+  createdAt: user.createdAt
+});
+
+/**
+ * User accounts: registration and login with hashed passwords, JWT sessions
+ * and personal API keys for scripts
+ */
+class AuthService {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {string} [options.jwtSecret] - Session signing secret (overrides JWT_SECRET)
+   * @param {number} [options.sessionTtlHours] - Session lifetime (overrides SESSION_TTL_HOURS)
+   */
+  constructor(options = {}) {
+    this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET;
+    this.sessionTtlSeconds = (options.sessionTtlHours ||
+      parseInt(process.env.SESSION_TTL_HOURS, 10) || DEFAULT_SESSION_TTL_HOURS) * 60 * 60;
+
+    if (!this.jwtSecret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+      }
+      // Sessions then end whenever the server restarts
+      this.jwtSecret = crypto.randomBytes(32).toString('hex');
+      logger.warn('JWT_SECRET is not set, using a random secret for this process');
+    }
+
+    // Compared against when an email is unknown, so logins take as long as for real accounts
+    this.dummyHash = null;
+  }
+
+  /**
+   * Create a session token for a user
+   * @param {Object} user - Stored user
+   * @returns {string} - Signed token
+   */
+  issueToken(user) {
+    return signToken({ sub: String(user._id), role: user.role }, this.jwtSecret, this.sessionTtlSeconds);
+  }
+
+  /**
+   * Register a user
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<Object>} - { user, token }
+   * @throws {Error} - With status 409 when the email is already registered
+   */
+  async register(credentials) {
+    const email = credentials.email.trim().toLowerCase();
+    if (await UserModel.exists({ email })) {
+      throw createError(409, `An account for ${email} already exists`);
+    }
+
+    let user;
+    try {
+      user = await UserModel.create({ email, passwordHash: await hashPassword(credentials.password) });
+    } catch (error) {
+      // Registered by a concurrent request in the meantime
+      if (error.code === 11000) {
+        throw createError(409, `An account for ${email} already exists`);
+      }
+      throw error;
+    }
+
+    logger.info(`Registered user ${user.id}`);
+    return { user: toPublicUser(user), token: this.issueToken(user) };
+  }
+
+  /**
+   * Log a user in
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<Object|null>} - { user, token }, or null when the email or password is wrong
+   */
+  async login(credentials) {
+    const user = await UserModel.findOne({ email: credentials.email.trim().toLowerCase() }).lean();
+
+    if (!user) {
+      this.dummyHash = this.dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+      await verifyPassword(credentials.password, this.dummyHash);
+      return null;
+    }
+    if (!(await verifyPassword(credentials.password, user.passwordHash))) {
+      return null;
+    }
+
+    return { user: toPublicUser(user), token: this.issueToken(user) };
+  }
+
+  /**
+   * Resolve a session token to its user
+   * @param {string} token - Token from the Authorization header
+   * @returns {Promise<Object|null>} - Public user, or null if the token is invalid or the user was deleted
+   */
+  async authenticateToken(token) {
+    const claims = verifyToken(token, this.jwtSecret);
+    if (!claims || !mongoose.isValidObjectId(claims.sub)) {
+      return null;
+    }
+
+    // Read the user rather than trusting the token, so role changes apply at once
+    const user = await UserModel.findById(claims.sub).lean();
+    return user ? toPublicUser(user) : null;
+  }
+
+  /**
+   * Resolve an API key to its user
+   * @param {string} key - API key from the request
+   * @returns {Promise<Object|null>} - { user, apiKeyId }, or null if the key is unknown
+   */
+  async authenticateApiKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await ApiKeyModel.findOne({ keyHash: hashApiKey(key) }).lean();
+    if (!apiKey) {
+      return null;
+    }
+
+    const user = await UserModel.findById(apiKey.userId).lean();
+    if (!user) {
+      return null;
+    }
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+      await ApiKeyModel.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } });
+    }
+
+    return { user: toPublicUser(user), apiKeyId: String(apiKey._id) };
+  }
+
+  /**
+   * Check whether a credential is an API key rather than a session token
+   * @param {string} credential - Credential from the request
+   * @returns {boolean} - True for API keys
+   */
+  isApiKey(credential) {
+    return typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+  }
+
+  /**
+   * Create an API key. The key itself is only returned here; afterwards only
+   * its prefix is known.
+   * @param {string} userId - Owning user ID
+   * @param {string} name - Name to tell the key apart
+   * @returns {Promise<Object>} - { apiKey, key }
+   * @throws {Error} - With status 400 when the user has too many keys
+   */
+  async createApiKey(userId, name) {
+    if (await ApiKeyModel.countDocuments({ userId }) >= MAX_API_KEYS_PER_USER) {
+      throw createError(400, `A user can have at most ${MAX_API_KEYS_PER_USER} API keys`);
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = await ApiKeyModel.create({
+      userId,
+      name,
+      keyHash: hashApiKey(key),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6)
+    });
+
+    logger.info(`Created API key ${apiKey.id} for user ${userId}`);
+    const { keyHash, ...stored } = apiKey.toObject();
+    return { apiKey: stored, key };
+  }
+
+  /**
+   * List a user's API keys
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Keys without their hashes, newest first
+   */
+  async listApiKeys(userId) {
+    return ApiKeyModel.find({ userId }).sort({ createdAt: -1 }).select('-keyHash').lean();
+  }
+
+  /**
+   * Revoke one of a user's API keys
+   * @param {string} userId - User ID
+   * @param {string} id - API key ID
+   * @returns {Promise<boolean>} - True if the user had the key
+   */
+  async deleteApiKey(userId, id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return false;
+    }
+
+    const { deletedCount } = await ApiKeyModel.deleteOne({ _id: id, userId });
+    return deletedCount > 0;
+  }
+}
+
+module.exports = new AuthService();
+module.exports.AuthService = AuthService;
@@ -0,0 +1,85 @@
+// src/services/cache.js
+const redis = require('./redis');
+const logger = require('../utils/logger');
+
+// Bound the in-memory fallback so a long Redis outage cannot exhaust the heap
+const MAX_MEMORY_ENTRIES = 5000;
+
+/**
+ * Key/value cache with TTLs. Uses Redis when it is connected and falls back to
+ * process memory otherwise, so the app keeps working without Redis.
+ */
+class CacheService {
+  constructor(options = {}) {
+    this.redis = options.redis || redis;
+    this.clock = options.clock || { now: () => Date.now() };
+    this.memory = new Map();
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<string|null>} - Cached value, or null on a miss
+   */
+  async get(key) {
+    if (this.redis.isConnected) {
+      try {
+        return await this.redis.client.get(key);
+      } catch (error) {
+        logger.warn(`Redis error reading cache key ${key}`, error);
+      }
+    }
+
+    const entry = this.memory.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= this.clock.now()) {
+      this.memory.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {string} value - Value to store
+   * @param {number} ttlSeconds - Time to live in seconds
+   */
+  async set(key, value, ttlSeconds) {
+    if (this.redis.isConnected) {
+      try {
+        await this.redis.client.set(key, value, { EX: ttlSeconds });
+        return;
+      } catch (error) {
+        logger.warn(`Redis error writing cache key ${key}`, error);
+      }
+    }
+
+    if (this.memory.size >= MAX_MEMORY_ENTRIES && !this.memory.has(key)) {
+      // Maps iterate in insertion order, so this evicts the oldest entry
+      this.memory.delete(this.memory.keys().next().value);
+    }
+    this.memory.set(key, { value, expiresAt: this.clock.now() + ttlSeconds * 1000 });
+  }
+
+  /**
+   * Remove a cached value
+   * @param {string} key - Cache key
+   */
+  async del(key) {
+    this.memory.delete(key);
+
+    if (this.redis.isConnected) {
+      try {
+        await this.redis.client.del(key);
+      } catch (error) {
+        logger.warn(`Redis error deleting cache key ${key}`, error);
+      }
+    }
+  }
+}
+
+module.exports = new CacheService();
+module.exports.CacheService = CacheService;
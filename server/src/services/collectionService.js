@@ -0,0 +1,299 @@
+// src/services/collectionService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CollectionModel = require('../models/collection');
+const CollectionItemModel = require('../models/collectionItem');
+const SuccessfulAdModel = require('../models/successfulAd');
+const { fbAdapter } = require('../adapters');
+const { createError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+/**
+ * Collections of saved ads (swipe files): named boards of ads in a chosen
+ * order, with notes and tags per ad and an optional read-only share link
+ */
+class CollectionService {
+  /**
+   * Create a collection
+   * @param {Object} definition - { ownerId, name, description }
+   * @returns {Promise<Object>} - The stored collection
+   */
+  async createCollection(definition) {
+    const collection = await CollectionModel.create({
+      ownerId: definition.ownerId,
+      name: definition.name,
+      description: definition.description || ''
+    });
+
+    logger.info(`Created collection ${collection.id} (${collection.name})`);
+    return { ...collection.toObject(), itemCount: 0 };
+  }
+
+  /**
+   * List a user's collections with the number of ads in each
+   * @param {string} ownerId - Owning user ID
+   * @returns {Promise<Array>} - Collections, most recently changed first
+   */
+  async listCollections(ownerId) {
+    const collections = await CollectionModel.find({ ownerId }).sort({ updatedAt: -1 }).lean();
+    const counts = await CollectionItemModel.aggregate([
+      { $match: { collectionId: { $in: collections.map(collection => collection._id) } } },
+      { $group: { _id: '$collectionId', count: { $sum: 1 } } }
+    ]);
+
+    const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+    return collections.map(collection => ({ ...collection, itemCount: countById.get(String(collection._id)) || 0 }));
+  }
+
+  /**
+   * Check that a user owns a collection
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Collection ID
+   * @returns {Promise<boolean>} - True if the user has the collection
+   * @private
+   */
+  async isOwned(ownerId, id) {
+    return mongoose.isValidObjectId(id) && Boolean(await CollectionModel.exists({ _id: id, ownerId }));
+  }
+
+  /**
+   * Get one of a user's collections with its ads in board order
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Collection ID
+   * @param {Object} [options] - { tag } to only include ads with that tag
+   * @returns {Promise<Object|null>} - Collection with items, or null if the user has no such collection
+   */
+  async getCollection(ownerId, id, options = {}) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const collection = await CollectionModel.findOne({ _id: id, ownerId }).lean();
+    return collection ? this.withItems(collection, options) : null;
+  }
+
+  /**
+   * Get a shared collection by its share token
+   * @param {string} token - Share token
+   * @param {Object} [options] - { tag } to only include ads with that tag
+   * @returns {Promise<Object|null>} - Collection with items, or null if no collection is shared under the token
+   */
+  async getSharedCollection(token, options = {}) {
+    const collection = await CollectionModel.findOne({ shareToken: String(token) }).lean();
+    return collection ? this.withItems(collection, options) : null;
+  }
+
+  /**
+   * Attach a collection's items, the tags in use and its item count
+   * @param {Object} collection - Stored collection
+   * @param {Object} options - { tag }
+   * @returns {Promise<Object>} - { ...collection, itemCount, tags, items }
+   * @private
+   */
+  async withItems(collection, options) {
+    const items = await CollectionItemModel.find({ collectionId: collection._id })
+      .sort({ position: 1 })
+      .lean();
+
+    return {
+      ...collection,
+      itemCount: items.length,
+      tags: [...new Set(items.flatMap(item => item.tags))].sort(),
+      items: options.tag ? items.filter(item => item.tags.includes(options.tag)) : items
+    };
+  }
+
+  /**
+   * Rename a collection or change its description
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Collection ID
+   * @param {Object} changes - { name, description }
+   * @returns {Promise<Object|null>} - Updated collection, or null if the user has no such collection
+   */
+  async updateCollection(ownerId, id, changes) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const update = { updatedAt: new Date() };
+    if (changes.name !== undefined) update.name = changes.name;
+    if (changes.description !== undefined) update.description = changes.description;
+
+    return CollectionModel.findOneAndUpdate({ _id: id, ownerId }, { $set: update }, { new: true }).lean();
+  }
+
+  /**
+   * Delete a collection and its items
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Collection ID
+   * @returns {Promise<boolean>} - True if the user had the collection
+   */
+  async deleteCollection(ownerId, id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return false;
+    }
+
+    const collection = await CollectionModel.findOneAndDelete({ _id: id, ownerId }).lean();
+    if (!collection) {
+      return false;
+    }
+
+    await CollectionItemModel.deleteMany({ collectionId: collection._id });
+    return true;
+  }
+
+  /**
+   * Add an ad to the end of a collection. Adding an ad that is already in the
+   * collection leaves it where it is.
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Collection ID
+   * @param {Object} entry - { adId, notes, tags }
+   * @returns {Promise<Object|null>} - { item, created }, or null if the user has no such collection
+   * @throws {Error} - With status 404 when the ad cannot be found
+   */
+  async addItem(ownerId, id, entry) {
+    if (!(await this.isOwned(ownerId, id))) {
+      return null;
+    }
+
+    const existing = await CollectionItemModel.findOne({ collectionId: id, adId: entry.adId }).lean();
+    if (existing) {
+      return { item: existing, created: false };
+    }
+
+    // Prefer the stored copy, falling back to the live Ad Library
+    const storedAd = await SuccessfulAdModel.findOne({ adId: entry.adId }).lean();
+    const adData = storedAd ? storedAd.adData : await fbAdapter.getAdDetails(entry.adId);
+    if (!adData || !adData.id) {
+      throw createError(404, `Ad ${entry.adId} could not be found or has been removed`);
+    }
+
+    const last = await CollectionItemModel.findOne({ collectionId: id }).sort({ position: -1 }).lean();
+    let item;
+    try {
+      item = await CollectionItemModel.create({
+        collectionId: id,
+        adId: entry.adId,
+        adData,
+        successScore: storedAd ? storedAd.successScore : adData.successScore,
+        notes: entry.notes || '',
+        tags: entry.tags || [],
+        position: last ? last.position + 1 : 0
+      });
+    } catch (error) {
+      // Added by a concurrent request in the meantime
+      if (error.code === 11000) {
+        return { item: await CollectionItemModel.findOne({ collectionId: id, adId: entry.adId }).lean(), created: false };
+      }
+      throw error;
+    }
+    await CollectionModel.updateOne({ _id: id }, { $set: { updatedAt: new Date() } });
+
+    return { item: item.toObject(), created: true };
+  }
+
+  /**
+   * Change the notes or tags of an ad in a collection
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Collection ID
+   * @param {string} adId - Ad ID
+   * @param {Object} changes - { notes, tags }
+   * @returns {Promise<Object|null>} - Updated item, or null if the ad is not in one of the user's collections
+   */
+  async updateItem(ownerId, id, adId, changes) {
+    if (!(await this.isOwned(ownerId, id))) {
+      return null;
+    }
+
+    const update = { updatedAt: new Date() };
+    if (changes.notes !== undefined) update.notes = changes.notes;
+    if (changes.tags !== undefined) update.tags = changes.tags;
+
+    return CollectionItemModel.findOneAndUpdate({ collectionId: id, adId }, { $set: update }, { new: true }).lean();
+  }
+
+  /**
+   * Remove an ad from a collection
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Collection ID
+   * @param {string} adId - Ad ID
+   * @returns {Promise<boolean>} - True if the ad was in one of the user's collections
+   */
+  async removeItem(ownerId, id, adId) {
+    if (!(await this.isOwned(ownerId, id))) {
+      return false;
+    }
+
+    const { deletedCount } = await CollectionItemModel.deleteOne({ collectionId: id, adId });
+    if (deletedCount > 0) {
+      await CollectionModel.updateOne({ _id: id }, { $set: { updatedAt: new Date() } });
+    }
+    return deletedCount > 0;
+  }
+
+  /**
+   * Put a collection's ads in a new order
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Collection ID
+   * @param {Array<string>} adIds - Every ad ID in the collection, in the new order
+   * @returns {Promise<Array|null>} - Items in the new order, or null if the user has no such collection
+   * @throws {Error} - With status 400 when adIds is not exactly the collection's ads
+   */
+  async reorderItems(ownerId, id, adIds) {
+    if (!(await this.isOwned(ownerId, id))) {
+      return null;
+    }
+
+    const items = await CollectionItemModel.find({ collectionId: id }).select('adId').lean();
+    const current = new Set(items.map(item => item.adId));
+    if (adIds.length !== current.size || new Set(adIds).size !== adIds.length || !adIds.every(adId => current.has(adId))) {
+      throw createError(400, 'adIds must list every ad in the collection exactly once');
+    }
+
+    await CollectionItemModel.bulkWrite(adIds.map((adId, position) => ({
+      updateOne: { filter: { collectionId: id, adId }, update: { $set: { position } } }
+    })));
+    await CollectionModel.updateOne({ _id: id }, { $set: { updatedAt: new Date() } });
+
+    return CollectionItemModel.find({ collectionId: id }).sort({ position: 1 }).lean();
+  }
+
+  /**
+   * Share a collection through a read-only link, keeping an existing link
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Collection ID
+   * @returns {Promise<Object|null>} - Updated collection, or null if the user has no such collection
+   */
+  async shareCollection(ownerId, id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const collection = await CollectionModel.findOne({ _id: id, ownerId }).lean();
+    if (!collection || collection.shareToken) {
+      return collection;
+    }
+
+    return CollectionModel.findByIdAndUpdate(
+      id,
+      { $set: { shareToken: crypto.randomBytes(18).toString('base64url') } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Stop sharing a collection; its old link stops working
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Collection ID
+   * @returns {Promise<Object|null>} - Updated collection, or null if the user has no such collection
+   */
+  async unshareCollection(ownerId, id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    return CollectionModel.findOneAndUpdate({ _id: id, ownerId }, { $set: { shareToken: null } }, { new: true }).lean();
+  }
+}
+
+module.exports = new CollectionService();
@@ -0,0 +1,285 @@
+// src/services/crawlService.js
+const crypto = require('crypto');
+const redis = require('./redis');
+const AdAnalysisEngine = require('./adAnalysisEngine');
+const { fbAdapter, DEFAULT_COUNTRIES } = require('../adapters');
+const logger = require('../utils/logger');
+
+// Job definitions (hash: id -> JSON) and the schedule (sorted set: id scored by next run time)
+const JOBS_KEY = 'crawl:jobs';
+const SCHEDULE_KEY = 'crawl:schedule';
+const LOCK_PREFIX = 'crawl:lock:';
+
+const TICK_INTERVAL_MS = 30 * 1000;
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const MIN_INTERVAL_MINUTES = 15;
+const DEFAULT_INTERVAL_MINUTES = 360;
+const DEFAULT_MAX_RESULTS = 200;
+
+// Release a job lock only if this instance still holds it; after LOCK_TTL_MS another replica may
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Leave part of the request budget for interactive searches
+const RESERVED_REQUESTS = parseInt(process.env.CRAWL_RESERVED_REQUESTS, 10) || 20;
+
+/**
+ * Scheduled background crawler for saved keyword and page ID queries
+ *
+ * Jobs and their schedule live in Redis, so they survive restarts, and each run
+ * is guarded by a Redis lock so several server replicas never run the same job.
+ */
+class CrawlService {
+  constructor(options = {}) {
+    this.redis = options.redis || redis;
+    this.adapter = options.adapter || fbAdapter;
+    this.engine = options.engine || AdAnalysisEngine;
+    this.timer = null;
+    this.ticking = false;
+    this.instanceId = crypto.randomUUID();
+    this.jobHooks = [];
+  }
+
+  /**
+   * Get the Redis client, failing with a 503 error when Redis is down
+   * @returns {Object} - Connected Redis client
+   */
+  getClient() {
+    if (!this.redis.isConnected) {
+      const error = new Error('Crawl jobs require Redis, which is unavailable');
+      error.status = 503;
+      throw error;
+    }
+    return this.redis.client;
+  }
+
+  /**
+   * Create a crawl job and schedule its first run immediately
+   * @param {Object} definition - { ownerId, name, keywords, pageIds, filters, intervalMinutes, maxResults, watchlistId }
+   * @returns {Promise<Object>} - The stored job
+   */
+  async createJob(definition) {
+    const client = this.getClient();
+    const now = Date.now();
+
+    const job = {
+      id: crypto.randomUUID(),
+      name: definition.name || definition.keywords || `Pages ${definition.pageIds.join(', ')}`,
+      keywords: definition.keywords || null,
+      pageIds: definition.pageIds || [],
+      filters: definition.filters || {},
+      intervalMinutes: definition.intervalMinutes || DEFAULT_INTERVAL_MINUTES,
+      maxResults: definition.maxResults || DEFAULT_MAX_RESULTS,
+      watchlistId: definition.watchlistId || null,
+      ownerId: definition.ownerId ? String(definition.ownerId) : null,
+      createdAt: new Date(now).toISOString(),
+      nextRunAt: new Date(now).toISOString(),
+      lastRun: null
+    };
+
+    await client.hSet(JOBS_KEY, job.id, JSON.stringify(job));
+    await client.zAdd(SCHEDULE_KEY, { score: now, value: job.id });
+
+    logger.info(`Created crawl job ${job.id} (${job.name})`);
+    return job;
+  }
+
+  /**
+   * List crawl jobs with their last run status
+   * @param {string} [ownerId] - Only list the jobs of this user
+   * @returns {Promise<Array>} - Jobs, oldest first
+   */
+  async listJobs(ownerId) {
+    const client = this.getClient();
+    const jobs = Object.values(await client.hGetAll(JOBS_KEY))
+      .map(json => JSON.parse(json))
+      .filter(job => !ownerId || job.ownerId === String(ownerId));
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Get a crawl job
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - The job, or null if it does not exist
+   */
+  async getJob(id) {
+    const client = this.getClient();
+    const json = await client.hGet(JOBS_KEY, id);
+    return json ? JSON.parse(json) : null;
+  }
+
+  /**
+   * Delete a crawl job
+   * @param {string} id - Job ID
+   * @returns {Promise<boolean>} - True if the job existed
+   */
+  async deleteJob(id) {
+    const client = this.getClient();
+    const removed = await client.hDel(JOBS_KEY, id);
+    await client.zRem(SCHEDULE_KEY, id);
+    return removed > 0;
+  }
+
+  /**
+   * Register a function called with (job, scoredAds) after every successful run
+   * @param {Function} hook - Async hook; failures are logged and ignored
+   */
+  onJobCompleted(hook) {
+    this.jobHooks.push(hook);
+  }
+
+  /**
+   * Start polling the schedule, even before Redis is connected
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    // Ticks are skipped while Redis is disconnected, so crawls resume once it (re)connects
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.timer.unref();
+    if (this.redis.isConnected) {
+      logger.info('Crawl scheduler started');
+    } else {
+      logger.warn('Redis is unavailable, scheduled crawls will run once it connects');
+    }
+    this.tick();
+  }
+
+  /**
+   * Stop polling the schedule
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run every job that is due, one at a time
+   * @private
+   */
+  async tick() {
+    if (this.ticking || !this.redis.isConnected) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const client = this.getClient();
+      const dueIds = await client.zRangeByScore(SCHEDULE_KEY, 0, Date.now());
+
+      for (const id of dueIds) {
+        // Stop for this tick once the budget reserved for interactive use is reached
+        const status = this.adapter.getRateLimitStatus();
+        if (status.circuitOpen || status.remaining <= RESERVED_REQUESTS) {
+          logger.info(`Deferring ${dueIds.length} due crawl(s) until the Ad Library budget recovers`);
+          break;
+        }
+
+        // Claim the job; another replica may already be running it
+        const locked = await client.set(`${LOCK_PREFIX}${id}`, this.instanceId, { NX: true, PX: LOCK_TTL_MS });
+        if (!locked) {
+          continue;
+        }
+
+        try {
+          await this.runJob(id);
+        } finally {
+          await client.eval(RELEASE_LOCK_SCRIPT, { keys: [`${LOCK_PREFIX}${id}`], arguments: [this.instanceId] });
+        }
+      }
+    } catch (error) {
+      logger.error('Error running scheduled crawls', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Run a crawl job and schedule its next run
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - Updated job, or null if it was deleted
+   */
+  async runJob(id) {
+    const client = this.getClient();
+    const job = await this.getJob(id);
+
+    if (!job) {
+      // Deleted while scheduled
+      await client.zRem(SCHEDULE_KEY, id);
+      return null;
+    }
+
+    const startedAt = new Date();
+    let nextRunAt = startedAt.getTime() + job.intervalMinutes * 60 * 1000;
+    let lastRun;
+
+    try {
+      const ads = await this.adapter.fetchAllAds({
+        ...job.filters,
+        keywords: job.keywords || undefined,
+        pageIds: job.pageIds.length ? job.pageIds : undefined,
+        limit: 100
+      }, job.maxResults, {
+        // The search cache outlives short crawl intervals; change detection needs fresh results
+        bypassCache: true
+      });
+
+      const scoredAds = await this.engine.processAds(ads, {
+        countries: job.filters.countries || DEFAULT_COUNTRIES
+      });
+
+      for (const hook of this.jobHooks) {
+        try {
+          await hook(job, scoredAds);
+        } catch (hookError) {
+          logger.warn(`Crawl hook failed for job ${id}`, hookError);
+        }
+      }
+
+      lastRun = {
+        status: 'success',
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        fetched: ads.length,
+        successful: scoredAds.filter(ad => ad.successScore >= this.engine.SUCCESS_THRESHOLD).length
+      };
+      logger.info(`Crawl job ${id} fetched ${ads.length} ads`);
+    } catch (error) {
+      // Throttled: come back when the Ad Library is expected to accept requests
+      if (error.status === 503 && error.retryAfter) {
+        nextRunAt = Math.min(nextRunAt, startedAt.getTime() + error.retryAfter * 1000);
+      }
+
+      lastRun = {
+        status: 'failed',
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        error: error.message
+      };
+      logger.error(`Crawl job ${id} failed`, error);
+    }
+
+    // Re-read so a concurrent delete is not undone
+    if (!(await client.hExists(JOBS_KEY, id))) {
+      return null;
+    }
+
+    const updated = { ...job, lastRun, nextRunAt: new Date(nextRunAt).toISOString() };
+    await client.hSet(JOBS_KEY, id, JSON.stringify(updated));
+    await client.zAdd(SCHEDULE_KEY, { score: nextRunAt, value: id });
+
+    return updated;
+  }
+}
+
+module.exports = new CrawlService();
+module.exports.CrawlService = CrawlService;
+module.exports.MIN_INTERVAL_MINUTES = MIN_INTERVAL_MINUTES;
@@ -0,0 +1,152 @@
+// src/services/rateLimitStore.js
+const redis = require('./redis');
+const logger = require('../utils/logger');
+
+// Bound the in-memory fallback so a long Redis outage cannot exhaust the heap
+const MAX_MEMORY_ENTRIES = 10000;
+
+// Counts a request in the current window unless the sliding estimate is already at the limit.
+// KEYS: current window, previous window. ARGV: limit, window length and time into the window (ms).
+// Returns { allowed (0 or 1), current count, previous count }.
+const CONSUME_SCRIPT = `
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+local previous = tonumber(redis.call('GET', KEYS[2]) or '0')
+local limit = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local elapsed = tonumber(ARGV[3])
+if previous * (windowMs - elapsed) / windowMs + current >= limit then
+  return { 0, current, previous }
+end
+current = redis.call('INCR', KEYS[1])
+if current == 1 then
+  redis.call('PEXPIRE', KEYS[1], windowMs * 2)
+end
+return { 1, current, previous }
+`;
+
+/**
+ * Work out how long a denied client has to wait until the sliding estimate drops below the limit,
+ * assuming it makes no further requests
+ * @param {Object} state - { current, previous, elapsed, windowMs, limit }
+ * @returns {number} - Wait in milliseconds
+ */
+const getRetryAfterMs = ({ current, previous, elapsed, windowMs, limit }) => {
+  if (current < limit) {
+    // The previous window's weight fades until its share leaves room for one more request
+    return Math.max(0, windowMs - elapsed - ((limit - current) * windowMs) / previous);
+  }
+  // The current window is full on its own: wait for it to become the previous one and fade
+  return windowMs - elapsed + Math.max(0, windowMs * (1 - limit / current));
+};
+
+/**
+ * Request counters for rate limiting, using a sliding window: the count of the
+ * current fixed window plus the previous window's count weighted by how much
+ * of it still overlaps the last windowMs. Counters live in Redis when it is
+ * connected, so limits hold across server replicas and restarts, and fall
+ * back to process memory otherwise.
+ */
+class RateLimitStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {Object} [options.redis] - Redis service with `isConnected` and `client`
+   * @param {Object} [options.clock] - Clock with `now()`
+   * @param {boolean} [options.memoryOnly] - Never use Redis (overrides RATE_LIMIT_STORE=memory)
+   */
+  constructor(options = {}) {
+    this.redis = options.redis || redis;
+    this.clock = options.clock || { now: () => Date.now() };
+    this.memoryOnly = options.memoryOnly ?? process.env.RATE_LIMIT_STORE === 'memory';
+    this.memory = new Map();
+    this.usingFallback = false;
+  }
+
+  /**
+   * Count a request against a limit
+   * @param {string} key - Client and route group, e.g. "search:user:42"
+   * @param {number} limit - Requests allowed per window
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<Object>} - { allowed, remaining, resetMs, retryAfterMs }
+   */
+  async consume(key, limit, windowMs) {
+    const now = this.clock.now();
+    const window = Math.floor(now / windowMs);
+    const elapsed = now - window * windowMs;
+
+    let counts = null;
+    if (!this.memoryOnly && this.redis.isConnected) {
+      counts = await this.consumeRedis(key, window, limit, windowMs, elapsed);
+    }
+    if (!counts) {
+      counts = this.consumeMemory(key, window, limit, windowMs, elapsed);
+    }
+
+    const { allowed, current, previous } = counts;
+    const estimate = previous * (windowMs - elapsed) / windowMs + current;
+
+    return {
+      allowed,
+      remaining: Math.max(0, Math.ceil(limit - estimate)),
+      resetMs: windowMs - elapsed,
+      retryAfterMs: allowed ? 0 : getRetryAfterMs({ current, previous, elapsed, windowMs, limit })
+    };
+  }
+
+  /**
+   * Count a request in Redis
+   * @returns {Promise<Object|null>} - { allowed, current, previous }, or null if Redis failed
+   * @private
+   */
+  async consumeRedis(key, window, limit, windowMs, elapsed) {
+    try {
+      const [allowed, current, previous] = await this.redis.client.eval(CONSUME_SCRIPT, {
+        keys: [`ratelimit:${key}:${window}`, `ratelimit:${key}:${window - 1}`],
+        arguments: [String(limit), String(windowMs), String(elapsed)]
+      });
+
+      if (this.usingFallback) {
+        this.usingFallback = false;
+        logger.info('Rate limiting is back on Redis');
+      }
+      return { allowed: allowed === 1, current, previous };
+    } catch (error) {
+      if (!this.usingFallback) {
+        this.usingFallback = true;
+        logger.warn('Redis error counting requests, rate limiting falls back to memory', error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Count a request in process memory
+   * @returns {Object} - { allowed, current, previous }
+   * @private
+   */
+  consumeMemory(key, window, limit, windowMs, elapsed) {
+    let entry = this.memory.get(key);
+
+    if (!entry || entry.window < window - 1) {
+      entry = { window, current: 0, previous: 0 };
+    } else if (entry.window === window - 1) {
+      entry = { window, current: 0, previous: entry.current };
+    }
+
+    const allowed = entry.previous * (windowMs - elapsed) / windowMs + entry.current < limit;
+    if (allowed) {
+      entry.current += 1;
+    }
+
+    // Re-insert so the Map stays ordered by last use and evicts the least recently used client
+    this.memory.delete(key);
+    if (this.memory.size >= MAX_MEMORY_ENTRIES) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+    this.memory.set(key, entry);
+
+    return { allowed, current: entry.current, previous: entry.previous };
+  }
+}
+
+module.exports = new RateLimitStore();
+module.exports.RateLimitStore = RateLimitStore;
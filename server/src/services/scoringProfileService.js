@@ -0,0 +1,186 @@
+// src/services/scoringProfileService.js
+const mongoose = require('mongoose');
+const ScoringProfileModel = require('../models/scoringProfile');
+const logger = require('../utils/logger');
+
+const COMPONENTS = ['duration', 'spend', 'impressions', 'engagement'];
+
+/**
+ * Built-in profile used when no profile is requested or none is stored in Mongo.
+ * These are the weights and breakpoints the calculator originally shipped with.
+ */
+const DEFAULT_SCORING_PROFILE = Object.freeze({
+  name: 'default',
+  version: 1,
+  description: 'Balanced profile: duration and engagement weighted 30%, spend and impressions 20%',
+  weights: {
+    duration: 1.2,     // 25 * 1.2 = 30 max points
+    spend: 0.8,        // 25 * 0.8 = 20 max points
+    impressions: 0.8,  // 25 * 0.8 = 20 max points
+    engagement: 1.2    // 25 * 1.2 = 30 max points
+  },
+  thresholds: {
+    // 7 days = 5 points, 14 days = 10 points, 30 days = 15 points, 60+ days = 25 points
+    duration: [
+      { value: 7, points: 5 },
+      { value: 14, points: 10 },
+      { value: 30, points: 15 },
+      { value: 60, points: 25 }
+    ],
+    // $100 = 5 points, $500 = 10 points, $1000 = 15 points, $5000+ = 25 points
+    spend: [
+      { value: 100, points: 5 },
+      { value: 500, points: 10 },
+      { value: 1000, points: 15 },
+      { value: 5000, points: 25 }
+    ],
+    // 10K = 5 points, 50K = 10 points, 100K = 15 points, 500K+ = 25 points
+    impressions: [
+      { value: 10000, points: 5 },
+      { value: 50000, points: 10 },
+      { value: 100000, points: 15 },
+      { value: 500000, points: 25 }
+    ],
+    // Engagement rate: 1% = 5 points, 3% = 10 points, 5% = 15 points, 10%+ = 25 points
+    engagement: [
+      { value: 0.01, points: 5 },
+      { value: 0.03, points: 10 },
+      { value: 0.05, points: 15 },
+      { value: 0.10, points: 25 }
+    ]
+  }
+});
+
+class ScoringProfileService {
+  /**
+   * Resolve a profile by name to its latest stored version
+   * @param {string} [name] - Profile name (defaults to the built-in profile)
+   * @returns {Promise<Object|null>} - Plain profile object, or null if the name is unknown
+   * @throws {Error} - When the stored profiles cannot be read, rather than scoring
+   *   with another profile
+   */
+  async getProfile(name) {
+    const profileName = (name || DEFAULT_SCORING_PROFILE.name).trim().toLowerCase();
+
+    const stored = mongoose.connection.readyState === 1 ?
+      await ScoringProfileModel.findOne({ name: profileName }).sort({ version: -1 }).lean() :
+      null;
+
+    if (stored) {
+      return stored;
+    }
+
+    return profileName === DEFAULT_SCORING_PROFILE.name ? DEFAULT_SCORING_PROFILE : null;
+  }
+
+  /**
+   * List the latest version of every known profile
+   * @returns {Promise<Array>} - Profiles, including the built-in default
+   */
+  async listProfiles() {
+    const latest = await ScoringProfileModel.aggregate([
+      { $sort: { name: 1, version: -1 } },
+      { $group: { _id: '$name', profile: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$profile' } },
+      { $sort: { name: 1 } }
+    ]);
+
+    if (!latest.some(profile => profile.name === DEFAULT_SCORING_PROFILE.name)) {
+      latest.unshift(DEFAULT_SCORING_PROFILE);
+    }
+
+    return latest;
+  }
+
+  /**
+   * Store a new version of a profile. Existing versions are never modified,
+   * so scores already recorded against them stay reproducible.
+   * @param {string} name - Profile name
+   * @param {Object} definition - Weights, thresholds and description
+   * @returns {Promise<Object>} - The stored profile version
+   */
+  async createProfileVersion(name, definition) {
+    const profileName = name.trim().toLowerCase();
+
+    const latest = await ScoringProfileModel.findOne({ name: profileName })
+      .sort({ version: -1 })
+      .lean();
+
+    let previousVersion = 0;
+    if (latest) {
+      previousVersion = latest.version;
+    } else if (profileName === DEFAULT_SCORING_PROFILE.name) {
+      previousVersion = DEFAULT_SCORING_PROFILE.version;
+    }
+
+    const profile = await ScoringProfileModel.create({
+      name: profileName,
+      version: previousVersion + 1,
+      description: definition.description || '',
+      weights: definition.weights,
+      thresholds: definition.thresholds
+    });
+
+    logger.info(`Created scoring profile ${profileName} v${profile.version}`);
+    return profile.toObject();
+  }
+
+  /**
+   * Validate a profile definition
+   * @param {Object} definition - Weights and thresholds to validate
+   * @returns {Array<string>} - Validation errors (empty if valid)
+   */
+  validateProfile(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+      return ['Profile definition must be an object'];
+    }
+
+    const { weights, thresholds } = definition;
+
+    COMPONENTS.forEach(component => {
+      const weight = weights?.[component];
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        errors.push(`weights.${component} must be a non-negative number`);
+      }
+
+      const breakpoints = thresholds?.[component];
+      if (!Array.isArray(breakpoints) || breakpoints.length === 0) {
+        errors.push(`thresholds.${component} must be a non-empty array of { value, points }`);
+        return;
+      }
+
+      breakpoints.forEach((breakpoint, index) => {
+        if (typeof breakpoint?.value !== 'number' || typeof breakpoint?.points !== 'number' ||
+            breakpoint.value <= 0 || breakpoint.points < 0) {
+          errors.push(`thresholds.${component}[${index}] must have a positive value and non-negative points`);
+        } else if (index > 0 && breakpoint.value <= breakpoints[index - 1].value) {
+          errors.push(`thresholds.${component} values must be strictly increasing`);
+        } else if (index > 0 && breakpoint.points < breakpoints[index - 1].points) {
+          // The last breakpoint is taken as the best possible points below
+          errors.push(`thresholds.${component} points must not decrease`);
+        }
+      });
+    });
+
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    // The total score is reported on a 0-100 scale, so the best possible ad must reach exactly 100
+    const maxScore = COMPONENTS.reduce((sum, component) => {
+      const breakpoints = thresholds[component];
+      return sum + weights[component] * breakpoints[breakpoints.length - 1].points;
+    }, 0);
+
+    if (Math.abs(maxScore - 100) > 0.01) {
+      errors.push(`Weighted maximum score must equal 100 (got ${Math.round(maxScore * 100) / 100})`);
+    }
+
+    return errors;
+  }
+}
+
+module.exports = new ScoringProfileService();
+module.exports.DEFAULT_SCORING_PROFILE = DEFAULT_SCORING_PROFILE;
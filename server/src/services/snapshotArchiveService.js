@@ -0,0 +1,367 @@
+// src/services/snapshotArchiveService.js
+const axios = require('axios');
+const mongoose = require('mongoose');
+const SuccessfulAdModel = require('../models/successfulAd');
+const { blobStore } = require('../adapters');
+const { createThumbnail } = require('../utils/visualFeatures');
+const { checkPublicUrl, publicHttpAgent, publicHttpsAgent } = require('../utils/publicUrl');
+const logger = require('../utils/logger');
+
+const TICK_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+// Failed archives are retried an hour later, up to this many attempts in total
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 60 * 1000;
+const DOWNLOAD_TIMEOUT_MS = 15 * 1000;
+const MAX_DOWNLOAD_BYTES = 25 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const MAX_MEDIA_PER_AD = 10;
+
+const MEDIA_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm'
+};
+// Images the thumbnail can be made from
+const THUMBNAIL_SOURCE_TYPES = ['image/jpeg', 'image/png'];
+
+// Archived pages may show their own media but never run scripts or load anything else
+const ARCHIVE_CONTENT_SECURITY_POLICY =
+  "sandbox; default-src 'none'; img-src 'self' data:; media-src 'self'; style-src 'unsafe-inline'";
+
+const getMediaKind = (contentType) => (MEDIA_EXTENSIONS[contentType] ? contentType.split('/')[0] : null);
+
+// Where the API serves an archived media file, which archived pages link to
+const getMediaPath = (adId, index) => `/api/ads/${adId}/snapshot/media/${index}`;
+
+/**
+ * Remove the access token the Graph API appends to snapshot URLs, so it is not stored or handed out
+ * @param {string} url - URL
+ * @returns {string} - URL without an access_token parameter
+ */
+const stripAccessToken = (url) => {
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.delete('access_token');
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+};
+
+const decodeEntities = (value) => value
+  .replace(/&quot;/g, '"')
+  .replace(/&#0?39;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Find the media a snapshot page shows: image and video sources and video posters
+ * @param {string} html - Snapshot page
+ * @returns {Array<string>} - Attribute values as written in the page, without data URIs
+ */
+const findMediaReferences = (html) => {
+  const references = new Set();
+  (html.match(/<(?:img|video|source)\b[^>]*>/gi) || []).forEach(tag => {
+    for (const match of tag.matchAll(/\s(?:src|poster)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi)) {
+      const value = match[1] ?? match[2];
+      if (value && !value.startsWith('data:')) {
+        references.add(value);
+      }
+    }
+  });
+  return [...references];
+};
+
+/**
+ * Make an archived page inert: remove scripts, inline event handlers and base URLs
+ * @param {string} html - Snapshot page
+ * @returns {string} - Page without active content
+ */
+const sanitizeHtml = (html) => html
+  .replace(/<script\b[\s\S]*?<\/script\s*>/gi, '')
+  .replace(/<base\b[^>]*>/gi, '')
+  .replace(/\son[a-z]+\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/gi, '');
+
+/**
+ * Archive of ad snapshots, so the creatives of stored ads survive expiring
+ * snapshot URLs and ads leaving the Ad Library. Each ad's snapshot page, the
+ * images and videos it shows and a thumbnail go to the blob store; the
+ * archive's manifest is stored on the ad.
+ *
+ * A background task archives newly stored ads. Several server replicas may
+ * archive the same ad at once, which only writes the same blobs twice.
+ */
+class SnapshotArchiveService {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {Object} [options.blobStore] - Store with `put(key, data)` and `get(key)`
+   * @param {Object} [options.httpClient] - axios-compatible client
+   */
+  constructor(options = {}) {
+    this.blobStore = options.blobStore || blobStore;
+    this.httpClient = options.httpClient || axios;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Download a file from a public address. Snapshot pages name their media, so
+   * each URL and redirect target is checked like a webhook URL before it is fetched.
+   * @param {string} url - URL
+   * @returns {Promise<Object>} - { data, contentType } with the media type in lowercase
+   * @private
+   */
+  async download(url) {
+    let target = url;
+
+    for (let redirects = 0; ; redirects++) {
+      const urlError = await checkPublicUrl(target);
+      if (urlError) {
+        throw new Error(`Refused to download ${stripAccessToken(target)}: ${urlError}`);
+      }
+
+      const response = await this.httpClient.get(target, {
+        responseType: 'arraybuffer',
+        timeout: DOWNLOAD_TIMEOUT_MS,
+        maxContentLength: MAX_DOWNLOAD_BYTES,
+        // Redirects are followed here, so their targets are checked too
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        httpAgent: publicHttpAgent,
+        httpsAgent: publicHttpsAgent
+      });
+      const headers = response.headers || {};
+
+      if (response.status < 300) {
+        const contentType = String(headers['content-type'] || '');
+        return { data: Buffer.from(response.data), contentType: contentType.split(';')[0].trim().toLowerCase() };
+      }
+      if (!headers.location || redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many or invalid redirects from ${stripAccessToken(url)}`);
+      }
+      target = new URL(headers.location, target).toString();
+    }
+  }
+
+  /**
+   * Fetch an ad's snapshot page and media and write them to the blob store
+   * @param {Object} ad - Raw ad data
+   * @returns {Promise<Object>} - { sourceUrl, html, thumbnail, media } for the archive manifest
+   * @private
+   */
+  async captureSnapshot(ad) {
+    if (!ad.ad_snapshot_url) {
+      throw new Error('The ad has no snapshot URL');
+    }
+
+    const prefix = `snapshots/${ad.id}`;
+    const media = [];
+    let thumbnailSource = null;
+
+    const storeMedia = async (file, sourceUrl) => {
+      const entry = {
+        key: `${prefix}/media/${media.length}${MEDIA_EXTENSIONS[file.contentType]}`,
+        kind: getMediaKind(file.contentType),
+        contentType: file.contentType,
+        size: file.data.length,
+        sourceUrl: stripAccessToken(sourceUrl)
+      };
+      await this.blobStore.put(entry.key, file.data);
+      if (!thumbnailSource && THUMBNAIL_SOURCE_TYPES.includes(file.contentType)) {
+        thumbnailSource = file.data;
+      }
+      media.push(entry);
+    };
+
+    const page = await this.download(ad.ad_snapshot_url);
+    let html = null;
+
+    if (getMediaKind(page.contentType)) {
+      // Some snapshot URLs serve the creative itself rather than a page
+      await storeMedia(page, ad.ad_snapshot_url);
+    } else {
+      let markup = page.data.toString('utf8');
+
+      for (const reference of findMediaReferences(markup).slice(0, MAX_MEDIA_PER_AD)) {
+        let sourceUrl;
+        try {
+          sourceUrl = new URL(decodeEntities(reference), ad.ad_snapshot_url);
+        } catch (error) {
+          continue;
+        }
+        if (!['http:', 'https:'].includes(sourceUrl.protocol)) {
+          continue;
+        }
+
+        try {
+          const file = await this.download(sourceUrl.toString());
+          if (getMediaKind(file.contentType)) {
+            const index = media.length;
+            await storeMedia(file, sourceUrl.toString());
+            // Point the page at the archived copy
+            markup = markup.split(reference).join(getMediaPath(ad.id, index));
+          }
+        } catch (error) {
+          logger.debug(`Could not archive media of ad ${ad.id} from ${stripAccessToken(sourceUrl.toString())}: ${error.message}`);
+        }
+      }
+
+      const data = Buffer.from(sanitizeHtml(markup), 'utf8');
+      html = { key: `${prefix}/snapshot.html`, contentType: 'text/html; charset=utf-8', size: data.length };
+      await this.blobStore.put(html.key, data);
+    }
+
+    let thumbnail = null;
+    if (thumbnailSource) {
+      try {
+        const data = createThumbnail(thumbnailSource);
+        await this.blobStore.put(`${prefix}/thumbnail.jpg`, data);
+        thumbnail = { key: `${prefix}/thumbnail.jpg`, contentType: 'image/jpeg', size: data.length };
+      } catch (error) {
+        logger.debug(`Could not create a thumbnail for ad ${ad.id}: ${error.message}`);
+      }
+    }
+
+    return { sourceUrl: stripAccessToken(ad.ad_snapshot_url), html, thumbnail, media };
+  }
+
+  /**
+   * Archive an ad's snapshot and store the manifest, or the failure, on the ad
+   * @param {Object} ad - Raw ad data
+   * @param {number} [previousAttempts] - Failed attempts so far
+   * @returns {Promise<Object>} - Archive manifest with status "archived" or "failed"
+   */
+  async archiveAd(ad, previousAttempts = 0) {
+    const now = new Date();
+    let archive;
+
+    try {
+      const snapshot = await this.captureSnapshot(ad);
+      archive = { status: 'archived', attempts: previousAttempts + 1, lastAttemptAt: now, archivedAt: now, ...snapshot };
+      logger.info(`Archived snapshot of ad ${ad.id} with ${snapshot.media.length} media files`);
+    } catch (error) {
+      logger.warn(`Could not archive snapshot of ad ${ad.id}: ${error.message}`);
+      archive = {
+        status: 'failed',
+        // Without a snapshot URL there is nothing to retry
+        attempts: ad.ad_snapshot_url ? previousAttempts + 1 : MAX_ATTEMPTS,
+        lastAttemptAt: now,
+        error: error.message,
+        sourceUrl: ad.ad_snapshot_url ? stripAccessToken(ad.ad_snapshot_url) : undefined
+      };
+    }
+
+    if (mongoose.connection.readyState === 1) {
+      await SuccessfulAdModel.updateOne({ adId: ad.id }, { $set: { archive } });
+    }
+    return archive;
+  }
+
+  /**
+   * Get a stored ad with its archive manifest
+   * @param {string} adId - Ad ID
+   * @returns {Promise<Object|null>} - { adId, adData, archive }, or null for ads not in the library
+   */
+  async getArchive(adId) {
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+    return SuccessfulAdModel.findOne({ adId }).select('adId adData archive').lean();
+  }
+
+  /**
+   * Read an archived file
+   * @param {Object} entry - Manifest entry with a blob key
+   * @returns {Promise<Buffer|null>} - Contents, or null if the blob is missing
+   */
+  async readBlob(entry) {
+    return entry && entry.key ? this.blobStore.get(entry.key) : null;
+  }
+
+  /**
+   * Read the first archived PNG or JPEG image of an ad, the creative shown in its snapshot
+   * @param {string} adId - Ad ID
+   * @returns {Promise<Buffer|null>} - Image bytes, or null when none is archived
+   */
+  async getPrimaryImage(adId) {
+    const stored = await this.getArchive(adId);
+    const media = (stored && stored.archive && stored.archive.media) || [];
+    return this.readBlob(media.find(entry => THUMBNAIL_SOURCE_TYPES.includes(entry.contentType)));
+  }
+
+  /**
+   * Start archiving stored ads in the background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    if (process.env.SNAPSHOT_ARCHIVE_DISABLED === 'true') {
+      logger.info('Snapshot archiving is disabled');
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.timer.unref();
+    logger.info('Snapshot archiver started');
+    this.tick();
+  }
+
+  /**
+   * Stop archiving in the background
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Archive the best-scoring ads that have no archive yet or whose last attempt
+   * failed long enough ago, one at a time
+   * @private
+   */
+  async tick() {
+    if (this.ticking || mongoose.connection.readyState !== 1) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const pending = await SuccessfulAdModel.find({
+        $or: [
+          { 'archive.status': { $exists: false } },
+          {
+            'archive.status': 'failed',
+            'archive.attempts': { $lt: MAX_ATTEMPTS },
+            'archive.lastAttemptAt': { $lt: new Date(Date.now() - RETRY_DELAY_MS) }
+          }
+        ]
+      })
+        .sort({ successScore: -1 })
+        .limit(BATCH_SIZE)
+        .select('adData archive')
+        .lean();
+
+      for (const stored of pending) {
+        await this.archiveAd(stored.adData, stored.archive ? stored.archive.attempts : 0);
+      }
+    } catch (error) {
+      logger.error('Error archiving ad snapshots', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+}
+
+module.exports = new SnapshotArchiveService();
+module.exports.SnapshotArchiveService = SnapshotArchiveService;
+module.exports.ARCHIVE_CONTENT_SECURITY_POLICY = ARCHIVE_CONTENT_SECURITY_POLICY;
+module.exports.findMediaReferences = findMediaReferences;
+module.exports.sanitizeHtml = sanitizeHtml;
@@ -0,0 +1,178 @@
+// src/services/visualAnalysisService.js
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const SuccessfulAdModel = require('../models/successfulAd');
+const cache = require('./cache');
+const SnapshotArchiveService = require('./snapshotArchiveService');
+const { decodeImage, extractVisualFeatures, hammingDistance } = require('../utils/visualFeatures');
+const logger = require('../utils/logger');
+
+// Features depend only on the image bytes, so they can be cached for a long time
+const FEATURES_CACHE_TTL_SECONDS = 30 * 24 * 60 * 60;
+const SNAPSHOT_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+const DOWNLOAD_TIMEOUT_MS = 10 * 1000;
+const MAX_SNAPSHOT_BYTES = 10 * 1024 * 1024;
+const HASH_BITS = 64;
+// Perceptual hashes this many bits apart or fewer are usually the same creative
+const DEFAULT_MAX_DISTANCE = 10;
+const MAX_SIMILAR_CANDIDATES = 2000;
+
+/**
+ * Visual analysis of ad snapshots. Images come from a local snapshot directory
+ * (<adId>.png, .jpg or .jpeg), the snapshot archive and otherwise the ad's
+ * snapshot URL, unless running offline. Features are cached per image hash
+ * and stored on the ad.
+ */
+class VisualAnalysisService {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {string} [options.snapshotDir] - Local snapshot directory (overrides SNAPSHOT_DIR)
+   * @param {boolean} [options.offline] - Never download snapshots (overrides VISUAL_OFFLINE)
+   * @param {Object} [options.httpClient] - axios-compatible client
+   * @param {Object} [options.cache] - Cache with `get(key)` and `set(key, value, ttlSeconds)`
+   */
+  constructor(options = {}) {
+    this.snapshotDir = options.snapshotDir || process.env.SNAPSHOT_DIR ||
+      path.join(__dirname, '..', '..', 'snapshots');
+    this.offline = options.offline ?? process.env.VISUAL_OFFLINE === 'true';
+    this.httpClient = options.httpClient || axios;
+    this.cache = options.cache || cache;
+  }
+
+  /**
+   * Extract the visual features of an image, reusing cached results for identical bytes
+   * @param {Buffer} buffer - PNG or JPEG file contents
+   * @returns {Promise<Object>} - { imageHash, ...extractVisualFeatures, analyzedAt }
+   * @throws {Error} - With status 415 for unsupported formats
+   */
+  async analyzeImage(buffer) {
+    const imageHash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const cacheKey = `visual_features:${imageHash}`;
+
+    try {
+      const cached = await this.cache.get(cacheKey);
+      if (cached) {
+        return JSON.parse(cached);
+      }
+    } catch (cacheError) {
+      logger.warn('Could not read visual features from cache', cacheError);
+    }
+
+    const features = { imageHash, ...extractVisualFeatures(decodeImage(buffer)), analyzedAt: new Date() };
+
+    try {
+      await this.cache.set(cacheKey, JSON.stringify(features), FEATURES_CACHE_TTL_SECONDS);
+    } catch (cacheError) {
+      logger.warn('Could not cache visual features', cacheError);
+    }
+
+    return features;
+  }
+
+  /**
+   * Load the snapshot image of an ad
+   * @param {Object} ad - Raw ad data
+   * @returns {Promise<Buffer|null>} - Image bytes, or null when no image is available
+   */
+  async loadSnapshot(ad) {
+    // Ad IDs are numeric; anything else must not reach the file system
+    if (/^\w+$/.test(String(ad.id))) {
+      for (const extension of SNAPSHOT_EXTENSIONS) {
+        try {
+          return await fs.readFile(path.join(this.snapshotDir, `${ad.id}${extension}`));
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+    }
+
+    const archived = await SnapshotArchiveService.getPrimaryImage(ad.id);
+    if (archived) {
+      return archived;
+    }
+
+    if (this.offline || !ad.ad_snapshot_url) {
+      return null;
+    }
+
+    try {
+      const response = await this.httpClient.get(ad.ad_snapshot_url, {
+        responseType: 'arraybuffer',
+        timeout: DOWNLOAD_TIMEOUT_MS,
+        maxContentLength: MAX_SNAPSHOT_BYTES
+      });
+      // The Ad Library renders most snapshots as HTML pages rather than images
+      const contentType = String((response.headers || {})['content-type'] || '');
+      if (!/^image\/(png|jpe?g)/i.test(contentType)) {
+        logger.debug(`Snapshot of ad ${ad.id} is ${contentType || 'of unknown type'}, not an image`);
+        return null;
+      }
+      return Buffer.from(response.data);
+    } catch (error) {
+      logger.warn(`Could not download snapshot of ad ${ad.id}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Analyze an ad's snapshot and store the features on the ad when it is in the library
+   * @param {Object} ad - Raw ad data
+   * @returns {Promise<Object|null>} - Visual features, or null when no image is available
+   */
+  async analyzeAd(ad) {
+    const buffer = await this.loadSnapshot(ad);
+    if (!buffer) {
+      return null;
+    }
+
+    const features = await this.analyzeImage(buffer);
+    if (mongoose.connection.readyState === 1) {
+      await SuccessfulAdModel.updateOne({ adId: ad.id }, { $set: { visualFeatures: features } });
+    }
+    return features;
+  }
+
+  /**
+   * Find stored ads whose snapshots look like the given features
+   * @param {Object} features - Visual features with a perceptual hash
+   * @param {Object} [options] - Search options
+   * @param {number} [options.maxDistance] - Maximum Hamming distance between hashes
+   * @param {number} [options.limit] - Maximum number of ads
+   * @param {string} [options.excludeAdId] - Ad to leave out, usually the one compared against
+   * @returns {Promise<Array>} - Ad data with successScore, distance and similarity (0 to 1),
+   *   closest first; empty without a database
+   */
+  async findVisuallySimilar(features, options = {}) {
+    const { maxDistance = DEFAULT_MAX_DISTANCE, limit = 10, excludeAdId } = options;
+    if (!features || !features.perceptualHash || mongoose.connection.readyState !== 1) {
+      return [];
+    }
+
+    const candidates = await SuccessfulAdModel.find({
+      'visualFeatures.perceptualHash': { $exists: true },
+      ...(excludeAdId ? { adId: { $ne: excludeAdId } } : {})
+    })
+      .sort({ successScore: -1 })
+      .limit(MAX_SIMILAR_CANDIDATES)
+      .select('adData successScore visualFeatures')
+      .lean();
+
+    return candidates
+      .map(stored => ({
+        ...stored.adData,
+        successScore: stored.successScore,
+        distance: hammingDistance(features.perceptualHash, stored.visualFeatures.perceptualHash)
+      }))
+      .filter(ad => ad.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance || b.successScore - a.successScore)
+      .slice(0, limit)
+      .map(ad => ({ ...ad, similarity: Math.round((1 - ad.distance / HASH_BITS) * 100) / 100 }));
+  }
+}
+
+module.exports = new VisualAnalysisService();
+module.exports.VisualAnalysisService = VisualAnalysisService;
+module.exports.DEFAULT_MAX_DISTANCE = DEFAULT_MAX_DISTANCE;
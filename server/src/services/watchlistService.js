@@ -0,0 +1,377 @@
+// src/services/watchlistService.js
+const axios = require('axios');
+const mongoose = require('mongoose');
+const WatchlistModel = require('../models/watchlist');
+const WatchedAdModel = require('../models/watchedAd');
+const WatchlistEventModel = require('../models/watchlistEvent');
+const CrawlService = require('./crawlService');
+const { SUCCESS_THRESHOLD } = require('./adAnalysisEngine');
+const { MAX_PAGE_IDS } = require('../utils/searchFilters');
+const { parseRange } = require('../utils/rangeParser');
+const { checkPublicUrl, publicHttpAgent, publicHttpsAgent } = require('../utils/publicUrl');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MINUTES = 360;
+const MAX_RESULTS_PER_JOB = 500;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Reduce an Ad Library spend or impressions range to comparable bounds
+ * @param {Object|string} value - Raw range from the API
+ * @returns {Object|null} - { lower, upper }, or null when the ad reports no range
+ */
+const toBand = (value) => {
+  const range = parseRange(value);
+  return range ? { lower: range.lower, upper: range.upper } : null;
+};
+
+const sameBand = (a, b) => (a && a.lower) === (b && b.lower) && (a && a.upper) === (b && b.upper);
+
+/**
+ * Split page IDs into chunks small enough for one Ad Library search
+ * @param {Array<string>} pageIds - Page IDs
+ * @returns {Array<Array<string>>} - Chunks of at most MAX_PAGE_IDS IDs
+ */
+const chunkPageIds = (pageIds) => {
+  const chunks = [];
+  for (let i = 0; i < pageIds.length; i += MAX_PAGE_IDS) {
+    chunks.push(pageIds.slice(i, i + MAX_PAGE_IDS));
+  }
+  return chunks;
+};
+
+/**
+ * Competitor watchlists: scheduled crawls of advertiser pages that record what
+ * changed since the previous crawl and push it to an optional webhook
+ */
+class WatchlistService {
+  constructor() {
+    // Every crawl run for a watchlist ends up here
+    CrawlService.onJobCompleted((job, scoredAds) => (
+      job.watchlistId
+        ? this.recordChanges(job.watchlistId, job.pageIds, scoredAds, {
+          // A crawl cut off at maxResults may have left out ads that are still running
+          complete: scoredAds.length < job.maxResults
+        })
+        : null
+    ));
+  }
+
+  /**
+   * Create a watchlist and schedule crawls for its pages
+   * @param {Object} definition - { ownerId, name, pageIds, webhookUrl, intervalMinutes }
+   * @returns {Promise<Object>} - The stored watchlist
+   */
+  async createWatchlist(definition) {
+    // Fail before writing anything if the scheduler cannot take the jobs
+    CrawlService.getClient();
+
+    const intervalMinutes = definition.intervalMinutes || DEFAULT_INTERVAL_MINUTES;
+    const watchlist = await WatchlistModel.create({
+      ownerId: definition.ownerId,
+      name: definition.name,
+      pageIds: definition.pageIds,
+      webhookUrl: definition.webhookUrl || null,
+      intervalMinutes
+    });
+
+    try {
+      for (const [index, pageIds] of chunkPageIds(watchlist.pageIds).entries()) {
+        const job = await CrawlService.createJob({
+          name: `Watchlist ${watchlist.name} (${index + 1})`,
+          pageIds,
+          intervalMinutes,
+          maxResults: MAX_RESULTS_PER_JOB,
+          watchlistId: watchlist.id,
+          ownerId: definition.ownerId
+        });
+        watchlist.crawlJobIds.push(job.id);
+      }
+      await watchlist.save();
+    } catch (error) {
+      await this.deleteWatchlist(definition.ownerId, watchlist.id);
+      throw error;
+    }
+
+    logger.info(`Created watchlist ${watchlist.id} for ${watchlist.pageIds.length} pages`);
+    return watchlist.toObject();
+  }
+
+  /**
+   * List a user's watchlists
+   * @param {string} ownerId - Owning user ID
+   * @returns {Promise<Array>} - Watchlists, newest first
+   */
+  async listWatchlists(ownerId) {
+    return WatchlistModel.find({ ownerId }).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Get one of a user's watchlists
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Watchlist ID
+   * @returns {Promise<Object|null>} - The watchlist, or null if the user has no such watchlist
+   */
+  async getWatchlist(ownerId, id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return WatchlistModel.findOne({ _id: id, ownerId }).lean();
+  }
+
+  /**
+   * Update a watchlist's name or webhook URL
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Watchlist ID
+   * @param {Object} changes - { name, webhookUrl }; a null webhookUrl disables delivery
+   * @returns {Promise<Object|null>} - Updated watchlist, or null if the user has no such watchlist
+   */
+  async updateWatchlist(ownerId, id, changes) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const update = { updatedAt: new Date() };
+    if (changes.name !== undefined) update.name = changes.name;
+    if (changes.webhookUrl !== undefined) update.webhookUrl = changes.webhookUrl;
+
+    return WatchlistModel.findOneAndUpdate({ _id: id, ownerId }, { $set: update }, { new: true }).lean();
+  }
+
+  /**
+   * Delete a watchlist with its crawl jobs, ad state and events
+   * @param {string} ownerId - Owning user ID
+   * @param {string} id - Watchlist ID
+   * @returns {Promise<boolean>} - True if the user had the watchlist
+   */
+  async deleteWatchlist(ownerId, id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return false;
+    }
+
+    const watchlist = await WatchlistModel.findOneAndDelete({ _id: id, ownerId }).lean();
+    if (!watchlist) {
+      return false;
+    }
+
+    for (const jobId of watchlist.crawlJobIds) {
+      try {
+        await CrawlService.deleteJob(jobId);
+      } catch (error) {
+        // Orphaned jobs find no watchlist and record nothing
+        logger.warn(`Could not delete crawl job ${jobId} of watchlist ${id}`, error);
+      }
+    }
+
+    await Promise.all([
+      WatchedAdModel.deleteMany({ watchlistId: watchlist._id }),
+      WatchlistEventModel.deleteMany({ watchlistId: watchlist._id })
+    ]);
+
+    return true;
+  }
+
+  /**
+   * Get recorded events for a watchlist
+   * @param {string} id - Watchlist ID
+   * @param {Object} [options] - { type, since, limit }
+   * @returns {Promise<Array>} - Events, newest first
+   */
+  async getEvents(id, options = {}) {
+    const { type, since, limit = 50 } = options;
+    const query = { watchlistId: id };
+
+    if (type) query.type = type;
+    if (since) query.createdAt = { $gt: since };
+
+    return WatchlistEventModel.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Compare a crawl's ads against the stored state and record change events
+   * @param {string} watchlistId - Watchlist ID
+   * @param {Array<string>} pageIds - Pages covered by the crawl
+   * @param {Array} scoredAds - Ads returned by the crawl, with success scores
+   * @param {Object} [options] - Change detection options
+   * @param {boolean} [options.complete] - The crawl returned every ad of the pages, so
+   *   previously seen ads missing from it have stopped
+   * @returns {Promise<Array>} - Recorded events
+   */
+  async recordChanges(watchlistId, pageIds, scoredAds, options = {}) {
+    const { complete = true } = options;
+
+    if (mongoose.connection.readyState !== 1) {
+      logger.warn(`MongoDB unavailable, skipped change detection for watchlist ${watchlistId}`);
+      return [];
+    }
+
+    const watchlist = await WatchlistModel.findById(watchlistId);
+    if (!watchlist) {
+      return [];
+    }
+
+    const now = new Date();
+    const ads = scoredAds.filter(ad => ad.id && pageIds.includes(ad.page_id));
+    const previous = new Map(
+      (await WatchedAdModel.find({ watchlistId: watchlist._id, adId: { $in: ads.map(ad => ad.id) } }).lean())
+        .map(state => [state.adId, state])
+    );
+
+    const events = [];
+    const updates = [];
+
+    for (const ad of ads) {
+      const state = previous.get(ad.id);
+      const spendBand = toBand(ad.spend);
+      const impressionsBand = toBand(ad.impressions);
+      const stopTime = ad.ad_delivery_stop_time ? new Date(ad.ad_delivery_stop_time) : null;
+      const stoppedAt = stopTime && stopTime <= now ? stopTime : null;
+
+      const addEvent = (type, details) => events.push({
+        watchlistId: watchlist._id,
+        type,
+        adId: ad.id,
+        pageId: ad.page_id,
+        pageName: ad.page_name,
+        details,
+        createdAt: now
+      });
+
+      if (!state) {
+        // A page's first crawl only establishes what already exists
+        if (watchlist.baselinePageIds.includes(ad.page_id)) {
+          addEvent('new_creative', {
+            successScore: ad.successScore,
+            startedAt: ad.ad_delivery_start_time,
+            body: (ad.ad_creative_bodies || [])[0]
+          });
+        }
+      } else {
+        if (stoppedAt && !state.stoppedAt) {
+          addEvent('ad_stopped', { stoppedAt });
+        }
+        if (spendBand && state.spendBand && !sameBand(spendBand, state.spendBand)) {
+          addEvent('spend_band_change', { from: state.spendBand, to: spendBand, currency: ad.currency });
+        }
+        if (impressionsBand && state.impressionsBand && !sameBand(impressionsBand, state.impressionsBand)) {
+          addEvent('impressions_band_change', { from: state.impressionsBand, to: impressionsBand });
+        }
+        if (state.successScore < SUCCESS_THRESHOLD && ad.successScore >= SUCCESS_THRESHOLD) {
+          addEvent('crossed_success_threshold', { from: state.successScore, to: ad.successScore });
+        }
+      }
+
+      updates.push({
+        updateOne: {
+          filter: { watchlistId: watchlist._id, adId: ad.id },
+          update: {
+            $set: {
+              pageId: ad.page_id,
+              pageName: ad.page_name,
+              successScore: ad.successScore,
+              spendBand,
+              impressionsBand,
+              stoppedAt,
+              lastSeenAt: now
+            },
+            $setOnInsert: { firstSeenAt: now }
+          },
+          upsert: true
+        }
+      });
+    }
+
+    // Taken-down ads usually drop out of the results rather than report a stop time
+    if (complete) {
+      const disappeared = await WatchedAdModel.find({
+        watchlistId: watchlist._id,
+        pageId: { $in: pageIds },
+        adId: { $nin: ads.map(ad => ad.id) },
+        stoppedAt: null
+      }).lean();
+
+      for (const state of disappeared) {
+        events.push({
+          watchlistId: watchlist._id,
+          type: 'ad_stopped',
+          adId: state.adId,
+          pageId: state.pageId,
+          pageName: state.pageName,
+          details: { stoppedAt: now, lastSeenAt: state.lastSeenAt, disappeared: true },
+          createdAt: now
+        });
+        updates.push({
+          updateOne: {
+            filter: { _id: state._id },
+            update: { $set: { stoppedAt: now } }
+          }
+        });
+      }
+    }
+
+    if (updates.length > 0) {
+      await WatchedAdModel.bulkWrite(updates, { ordered: false });
+    }
+
+    const recorded = events.length > 0 ? await WatchlistEventModel.insertMany(events) : [];
+
+    watchlist.baselinePageIds = [...new Set([...watchlist.baselinePageIds, ...pageIds])];
+    watchlist.lastCrawledAt = now;
+    await watchlist.save();
+
+    if (recorded.length > 0) {
+      logger.info(`Recorded ${recorded.length} events for watchlist ${watchlistId}`);
+      await this.deliverWebhook(watchlist, recorded);
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Push events to the watchlist's webhook. Failed deliveries are logged and
+   * stay queryable from the events endpoint.
+   * @param {Object} watchlist - Watchlist document
+   * @param {Array} events - Recorded event documents
+   * @returns {Promise<boolean>} - True if the webhook accepted the events
+   * @private
+   */
+  async deliverWebhook(watchlist, events) {
+    if (!watchlist.webhookUrl) {
+      return false;
+    }
+
+    // The host may have been repointed since the URL was validated
+    const urlError = await checkPublicUrl(watchlist.webhookUrl);
+    if (urlError) {
+      logger.warn(`Skipped webhook delivery for watchlist ${watchlist.id}: ${urlError}`);
+      return false;
+    }
+
+    try {
+      await axios.post(watchlist.webhookUrl, {
+        watchlist: { id: watchlist.id, name: watchlist.name },
+        events: events.map(event => event.toObject())
+      }, {
+        timeout: WEBHOOK_TIMEOUT_MS,
+        // A redirect could point anywhere, and the agents re-check the address on connect
+        maxRedirects: 0,
+        httpAgent: publicHttpAgent,
+        httpsAgent: publicHttpsAgent
+      });
+    } catch (error) {
+      logger.warn(`Webhook delivery failed for watchlist ${watchlist.id}: ${error.message}`);
+      return false;
+    }
+
+    await WatchlistEventModel.updateMany(
+      { _id: { $in: events.map(event => event._id) } },
+      { $set: { webhookDeliveredAt: new Date() } }
+    );
+    return true;
+  }
+}
+
+module.exports = new WatchlistService();
@@ -0,0 +1,235 @@
+// src/utils/audience.js
+const { parseRange } = require('./rangeParser');
+
+// Age brackets and genders as the Ad Library reports them, in display order
+const AGE_BRACKETS = ['13-17', '18-24', '25-34', '35-44', '45-54', '55-64', '65+'];
+const GENDERS = ['female', 'male', 'unknown'];
+// Gender shares closer than this (in percentage points) count as balanced
+const BALANCED_GENDER_MARGIN = 10;
+
+const toPercent = (share) => Math.round(share * 1000) / 10;
+
+/**
+ * Representative age of a bracket: its midpoint, or five years above an open-ended bracket
+ * @param {string} age - Bracket such as "25-34" or "65+"
+ * @returns {number|null} - Age in years, or null for unknown brackets
+ */
+const getAgeMidpoint = (age) => {
+  const match = String(age).match(/^(\d+)(?:-(\d+)|\+)$/);
+  if (!match) {
+    return null;
+  }
+  return match[2] ? (Number(match[1]) + Number(match[2])) / 2 : Number(match[1]) + 5;
+};
+
+/**
+ * Parse an ad's demographic distribution into shares that sum to 1
+ * @param {Array} distribution - [{ age, gender, percentage }] from the Ad Library
+ * @returns {Array|null} - [{ age, gender, share }], or null without usable data
+ */
+const parseDemographics = (distribution) => {
+  const cells = (Array.isArray(distribution) ? distribution : [])
+    .map(({ age, gender, percentage }) => ({
+      age: String(age || 'unknown'),
+      gender: GENDERS.includes(gender) ? gender : 'unknown',
+      share: parseFloat(percentage)
+    }))
+    .filter(cell => Number.isFinite(cell.share) && cell.share > 0);
+
+  const total = cells.reduce((sum, cell) => sum + cell.share, 0);
+  if (total === 0) {
+    return null;
+  }
+  // Reported percentages are rounded and may not add up exactly
+  return cells.map(cell => ({ ...cell, share: cell.share / total }));
+};
+
+/**
+ * Parse an ad's region distribution into shares that sum to 1
+ * @param {Array} distribution - [{ region, percentage }] from the Ad Library
+ * @returns {Array|null} - [{ region, share }] largest first, or null without usable data
+ */
+const parseRegions = (distribution) => {
+  const regions = (Array.isArray(distribution) ? distribution : [])
+    .map(({ region, percentage }) => ({ region: String(region || 'Unknown'), share: parseFloat(percentage) }))
+    .filter(entry => Number.isFinite(entry.share) && entry.share > 0);
+
+  const total = regions.reduce((sum, entry) => sum + entry.share, 0);
+  if (total === 0) {
+    return null;
+  }
+  return regions
+    .map(entry => ({ ...entry, share: entry.share / total }))
+    .sort((a, b) => b.share - a.share);
+};
+
+/**
+ * Describe an audience from its age and gender shares
+ * @param {Array} cells - [{ age, gender, share }] summing to 1
+ * @returns {Object} - Age-by-gender matrix, totals per age and gender (all in %),
+ *   average age, the largest segment and which gender the audience leans to
+ */
+const summarizeDemographics = (cells) => {
+  const byAge = new Map();
+  const genders = Object.fromEntries(GENDERS.map(gender => [gender, 0]));
+  cells.forEach(({ age, gender, share }) => {
+    const row = byAge.get(age) || Object.fromEntries(GENDERS.map(key => [key, 0]));
+    row[gender] += share;
+    byAge.set(age, row);
+    genders[gender] += share;
+  });
+
+  const ages = [...byAge.keys()].sort((a, b) => {
+    const indexA = AGE_BRACKETS.indexOf(a);
+    const indexB = AGE_BRACKETS.indexOf(b);
+    return (indexA === -1 ? AGE_BRACKETS.length : indexA) - (indexB === -1 ? AGE_BRACKETS.length : indexB);
+  });
+
+  const aged = cells.filter(cell => getAgeMidpoint(cell.age) !== null);
+  const agedShare = aged.reduce((sum, cell) => sum + cell.share, 0);
+  // Cells of several ads share an age and gender, so pick the largest from the merged matrix
+  const dominant = [...byAge.entries()]
+    .flatMap(([age, row]) => GENDERS.map(gender => ({ age, gender, share: row[gender] })))
+    .sort((a, b) => b.share - a.share)[0];
+  const genderGap = toPercent(genders.female - genders.male);
+
+  let genderSkew = 'balanced';
+  if (genderGap >= BALANCED_GENDER_MARGIN) genderSkew = 'female';
+  if (genderGap <= -BALANCED_GENDER_MARGIN) genderSkew = 'male';
+
+  return {
+    ageGender: ages.map(age => ({
+      age,
+      ...Object.fromEntries(GENDERS.map(gender => [gender, toPercent(byAge.get(age)[gender])]))
+    })),
+    ages: ages.map(age => ({
+      age,
+      share: toPercent(GENDERS.reduce((sum, gender) => sum + byAge.get(age)[gender], 0))
+    })),
+    genders: Object.fromEntries(GENDERS.map(gender => [gender, toPercent(genders[gender])])),
+    averageAge: agedShare > 0 ?
+      Math.round(aged.reduce((sum, cell) => sum + getAgeMidpoint(cell.age) * cell.share, 0) / agedShare * 10) / 10 :
+      null,
+    dominantSegment: { age: dominant.age, gender: dominant.gender, share: toPercent(dominant.share) },
+    genderSkew
+  };
+};
+
+/**
+ * Age and gender skew of a single ad
+ * @param {Object} ad - Raw ad data
+ * @returns {Object|null} - See summarizeDemographics; null when the ad reports no distribution
+ */
+const getDemographicProfile = (ad) => {
+  const cells = parseDemographics(ad.demographic_distribution);
+  return cells ? summarizeDemographics(cells) : null;
+};
+
+/**
+ * Regional split of a single ad's delivery
+ * @param {Object} ad - Raw ad data
+ * @returns {Array|null} - [{ region, share }] with share in %, largest first; null without data
+ */
+const getRegionProfile = (ad) => {
+  const regions = parseRegions(ad.region_distribution);
+  return regions ? regions.map(entry => ({ ...entry, share: toPercent(entry.share) })) : null;
+};
+
+/**
+ * Weight for combining ads: their estimated impressions when every ad has
+ * them, otherwise one per ad, since mixing the two would drown out the ads
+ * without impressions
+ * @param {Array} ads - Ads with the distribution being combined
+ * @returns {Object} - { weightedBy, getWeight, getImpressions }
+ */
+const getWeighting = (ads) => {
+  const impressions = new Map(ads.map(ad => [ad, (parseRange(ad.impressions) || {}).midpoint]));
+  const byImpressions = ads.length > 0 && [...impressions.values()].every(value => value > 0);
+  return {
+    weightedBy: byImpressions ? 'impressions' : 'ads',
+    getWeight: ad => (byImpressions ? impressions.get(ad) : 1),
+    getImpressions: ad => impressions.get(ad) || null
+  };
+};
+
+/**
+ * Combine the demographic distributions of several ads into one audience profile
+ * @param {Array} ads - Raw ad data
+ * @returns {Object} - { adCount, adsWithData, weightedBy, ...summarizeDemographics }
+ */
+const aggregateDemographics = (ads) => {
+  const withData = (ads || [])
+    .map(ad => ({ ad, cells: parseDemographics(ad.demographic_distribution) }))
+    .filter(entry => entry.cells);
+  const { weightedBy, getWeight } = getWeighting(withData.map(entry => entry.ad));
+
+  const totalWeight = withData.reduce((sum, entry) => sum + getWeight(entry.ad), 0);
+  const cells = withData.flatMap(({ ad, cells: adCells }) =>
+    adCells.map(cell => ({ ...cell, share: cell.share * getWeight(ad) / totalWeight }))
+  );
+
+  return {
+    adCount: (ads || []).length,
+    adsWithData: withData.length,
+    weightedBy,
+    ...(cells.length > 0 ? summarizeDemographics(cells) : {
+      ageGender: [],
+      ages: [],
+      genders: Object.fromEntries(GENDERS.map(gender => [gender, 0])),
+      averageAge: null,
+      dominantSegment: null,
+      genderSkew: null
+    })
+  };
+};
+
+/**
+ * Combine the region distributions of several ads into a heatmap dataset
+ * @param {Array} ads - Raw ad data
+ * @returns {Object} - { adCount, adsWithData, weightedBy, regions: [{ region, share,
+ *   ads, estimatedImpressions }] } with share in % and regions largest first
+ */
+const aggregateRegions = (ads) => {
+  const withData = (ads || [])
+    .map(ad => ({ ad, regions: parseRegions(ad.region_distribution) }))
+    .filter(entry => entry.regions);
+  const { weightedBy, getWeight, getImpressions } = getWeighting(withData.map(entry => entry.ad));
+  const totalWeight = withData.reduce((sum, entry) => sum + getWeight(entry.ad), 0);
+
+  const regions = new Map();
+  withData.forEach(({ ad, regions: adRegions }) => {
+    adRegions.forEach(({ region, share }) => {
+      const entry = regions.get(region) || { region, share: 0, ads: 0, estimatedImpressions: null };
+      entry.share += share * getWeight(ad) / totalWeight;
+      entry.ads += 1;
+      if (getImpressions(ad)) {
+        entry.estimatedImpressions = (entry.estimatedImpressions || 0) + getImpressions(ad) * share;
+      }
+      regions.set(region, entry);
+    });
+  });
+
+  return {
+    adCount: (ads || []).length,
+    adsWithData: withData.length,
+    weightedBy,
+    regions: [...regions.values()]
+      .sort((a, b) => b.share - a.share)
+      .map(entry => ({
+        ...entry,
+        share: toPercent(entry.share),
+        estimatedImpressions: entry.estimatedImpressions === null ? null : Math.round(entry.estimatedImpressions)
+      }))
+  };
+};
+
+module.exports = {
+  AGE_BRACKETS,
+  GENDERS,
+  parseDemographics,
+  parseRegions,
+  getDemographicProfile,
+  getRegionProfile,
+  aggregateDemographics,
+  aggregateRegions
+};
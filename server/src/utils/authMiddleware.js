@@ -0,0 +1,116 @@
+// src/utils/authMiddleware.js
+const AuthService = require('../services/authService');
+const logger = require('./logger');
+
+/**
+ * Read the credential a request carries: an X-API-Key header or a bearer
+ * token, which may be a session token or an API key
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Credential, or null for anonymous requests
+ */
+const getCredential = (req) => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    return apiKey.trim();
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Identify the user behind a request. Sets req.user, and req.apiKeyId for
+ * API keys; requests without credentials continue anonymously, while invalid
+ * credentials are rejected rather than silently downgraded.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const authenticate = async (req, res, next) => {
+  const credential = getCredential(req);
+  if (!credential) {
+    return next();
+  }
+
+  try {
+    if (AuthService.isApiKey(credential)) {
+      const principal = await AuthService.authenticateApiKey(credential);
+      if (principal) {
+        req.user = principal.user;
+        req.apiKeyId = principal.apiKeyId;
+      }
+    } else {
+      req.user = await AuthService.authenticateToken(credential);
+    }
+  } catch (error) {
+    logger.error('Error authenticating request', error);
+    return res.status(500).json({
+      error: 'Error authenticating request',
+      message: error.message
+    });
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Invalid credentials',
+      details: 'The session has expired or the API key was revoked'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Reject anonymous requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      details: 'Log in or pass an API key in the X-API-Key header'
+    });
+  }
+  next();
+};
+
+/**
+ * Reject requests made with an API key rather than a session, e.g. so that a
+ * leaked API key cannot be used to create more keys. Use after requireAuth.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const requireSession = (req, res, next) => {
+  if (req.apiKeyId) {
+    return res.status(403).json({
+      error: 'Session required',
+      details: 'API keys can only be managed when logged in'
+    });
+  }
+  next();
+};
+
+/**
+ * Only let users with one of the given roles through. Use after requireAuth.
+ * @param {...string} roles - Allowed roles, e.g. 'admin'
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: 'Insufficient role',
+      details: `Requires the ${roles.join(' or ')} role`
+    });
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requireRole,
+  requireSession
+};
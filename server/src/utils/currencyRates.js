@@ -0,0 +1,74 @@
+// src/utils/currencyRates.js
+
+/**
+ * Local exchange rate table: value of one unit of each currency in USD.
+ * Ad Library spend is only reported in coarse bands, so approximate rates are
+ * good enough; update them occasionally rather than calling a live FX service.
+ */
+const USD_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  CAD: 0.73,
+  AUD: 0.66,
+  NZD: 0.61,
+  CHF: 1.12,
+  SEK: 0.095,
+  NOK: 0.093,
+  DKK: 0.145,
+  PLN: 0.25,
+  CZK: 0.043,
+  HUF: 0.0028,
+  JPY: 0.0067,
+  CNY: 0.14,
+  HKD: 0.128,
+  SGD: 0.74,
+  KRW: 0.00075,
+  INR: 0.012,
+  IDR: 0.000064,
+  THB: 0.028,
+  PHP: 0.018,
+  MYR: 0.21,
+  BRL: 0.2,
+  MXN: 0.058,
+  ARS: 0.0011,
+  CLP: 0.0011,
+  COP: 0.00025,
+  ZAR: 0.054,
+  TRY: 0.031,
+  AED: 0.27,
+  SAR: 0.27,
+  ILS: 0.27,
+  EGP: 0.021,
+  NGN: 0.00066
+};
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+/**
+ * Convert an amount between currencies using the local rate table
+ * @param {number} amount - Amount in the source currency
+ * @param {string} [from] - ISO 4217 code of the source currency (defaults to the base currency)
+ * @param {string} [to] - ISO 4217 code of the target currency (defaults to the base currency)
+ * @returns {number|null} - Converted amount, or null if either currency is unknown
+ */
+const convertCurrency = (amount, from = BASE_CURRENCY, to = BASE_CURRENCY) => {
+  const source = (from || BASE_CURRENCY).toUpperCase();
+  const target = (to || BASE_CURRENCY).toUpperCase();
+
+  if (source === target) {
+    return amount;
+  }
+
+  if (!USD_RATES[source] || !USD_RATES[target]) {
+    return null;
+  }
+
+  return (amount * USD_RATES[source]) / USD_RATES[target];
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  USD_RATES,
+  convertCurrency
+};
@@ -0,0 +1,31 @@
+// src/utils/cursor.js
+
+/**
+ * Encode pagination state into an opaque, URL-safe cursor
+ * @param {Object} state - Pagination state
+ * @returns {string} - Cursor string
+ */
+const encodeCursor = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor string from the client
+ * @returns {Object|null} - Pagination state, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor || typeof cursor !== 'string') {
+    return null;
+  }
+
+  try {
+    const state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return state && typeof state === 'object' && !Array.isArray(state) ? state : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,17 @@
+// src/utils/httpError.js
+
+/**
+ * Create an error carrying an HTTP status for the controller
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status
+ */
+const createError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = {
+  createError
+};
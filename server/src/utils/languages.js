@@ -0,0 +1,181 @@
+// src/utils/languages.js
+const natural = require('natural');
+
+// natural only exposes the English list at the top level
+const loadStopWords = (language) => require(`natural/lib/natural/util/stopwords_${language}`).words;
+
+// natural ships no German stop words
+const GERMAN_STOP_WORDS = [
+  'aber', 'alle', 'als', 'also', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'bist', 'da', 'damit',
+  'dann', 'das', 'dass', 'dein', 'deine', 'dem', 'den', 'der', 'des', 'die', 'dies', 'diese', 'dir', 'doch', 'du',
+  'durch', 'ein', 'eine', 'einem', 'einen', 'einer', 'er', 'es', 'euch', 'euer', 'für', 'hat', 'hier', 'ich',
+  'ihr', 'ihre', 'im', 'in', 'ist', 'ja', 'jetzt', 'kann', 'mit', 'nach', 'nicht', 'noch', 'nur', 'oder', 'sich',
+  'sie', 'sind', 'so', 'über', 'um', 'und', 'uns', 'unser', 'unsere', 'vom', 'von', 'vor', 'war', 'was', 'wenn',
+  'wie', 'wir', 'wird', 'zu', 'zum', 'zur'
+];
+
+// French and Italian attach elided articles and pronouns with an apostrophe (l'offre, dell'anno)
+const ELISION_REGEX = /^(?:[cdjlmnst]|qu|dell|all|nell|sull|dall)['’]/;
+
+/**
+ * Language configuration, keyed by ISO 639-1 code
+ *
+ * - detectionWords: frequent function words that identify the language
+ * - hints: characters that (almost) only occur in the language, if any
+ * - stemmer / stopWords: used for terms and phrases
+ * - ctaWords: call-to-action vocabulary, matched as substrings of lowercased copy
+ */
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    detectionWords: ['the', 'and', 'you', 'your', 'for', 'with', 'our', 'this', 'that', 'is', 'are', 'to', 'of', 'it', 'on', 'get', 'now', 'all', 'more', 'from'],
+    hints: null,
+    stemmer: natural.PorterStemmer,
+    stopWords: new Set(natural.stopwords),
+    ctaWords: ['shop', 'buy', 'get', 'sign up', 'learn', 'discover', 'try', 'click', 'visit', 'join', 'order', 'call']
+  },
+  es: {
+    name: 'Spanish',
+    detectionWords: ['el', 'la', 'los', 'las', 'de', 'en', 'que', 'y', 'un', 'una', 'para', 'con', 'por', 'tu', 'tus', 'es', 'del', 'al', 'más', 'ahora'],
+    hints: /[ñ¿¡]/,
+    stemmer: natural.PorterStemmerEs,
+    stopWords: new Set(loadStopWords('es')),
+    ctaWords: ['compra', 'comprar', 'descubre', 'pide', 'pedir', 'reserva', 'regístrate', 'suscríbete', 'prueba', 'obtén', 'consigue', 'llama', 'visita', 'únete', 'aprende', 'haz clic', 'más información']
+  },
+  fr: {
+    name: 'French',
+    detectionWords: ['le', 'les', 'des', 'du', 'et', 'un', 'une', 'pour', 'avec', 'vous', 'votre', 'vos', 'est', 'sur', 'nos', 'notre', 'ce', 'dans', 'pas', 'au'],
+    hints: /[èêëœùû]|\b[cdjlmnst]['’]\p{L}/u,
+    stemmer: natural.PorterStemmerFr,
+    stopWords: new Set(loadStopWords('fr')),
+    ctaWords: ['achetez', 'acheter', 'commandez', 'commander', 'découvrez', 'découvrir', 'essayez', 'inscrivez', 'réservez', 'profitez', 'obtenez', 'appelez', 'visitez', 'rejoignez', 'cliquez', 'en savoir plus']
+  },
+  de: {
+    name: 'German',
+    detectionWords: ['der', 'die', 'das', 'und', 'mit', 'für', 'ist', 'nicht', 'ein', 'eine', 'den', 'dem', 'zu', 'auf', 'sie', 'jetzt', 'auch', 'dein', 'deine', 'ihr'],
+    hints: /[ßäöü]/,
+    stemmer: natural.PorterStemmerDe,
+    stopWords: new Set(GERMAN_STOP_WORDS),
+    ctaWords: ['kaufen', 'bestellen', 'entdecke', 'entdecken', 'teste', 'testen', 'anmelden', 'registrieren', 'sichere', 'sichern', 'buchen', 'mehr erfahren', 'besuche', 'anrufen', 'klicke', 'hol dir']
+  },
+  pt: {
+    name: 'Portuguese',
+    detectionWords: ['o', 'os', 'as', 'de', 'que', 'e', 'em', 'um', 'uma', 'para', 'com', 'por', 'seu', 'sua', 'você', 'não', 'do', 'da', 'mais', 'agora'],
+    hints: /[ãõ]|ção\b|ções\b/,
+    stemmer: natural.PorterStemmerPt,
+    stopWords: new Set(loadStopWords('pt')),
+    ctaWords: ['compre', 'comprar', 'peça', 'descubra', 'experimente', 'inscreva', 'cadastre', 'garanta', 'reserve', 'ligue', 'visite', 'junte-se', 'saiba mais', 'clique', 'aproveite']
+  },
+  it: {
+    name: 'Italian',
+    detectionWords: ['il', 'lo', 'gli', 'di', 'che', 'e', 'un', 'una', 'per', 'con', 'tuo', 'tua', 'è', 'del', 'della', 'non', 'più', 'nel', 'sono', 'ora'],
+    hints: /[ìò]|\b(?:dell|nell|all)['’]/,
+    stemmer: natural.PorterStemmerIt,
+    stopWords: new Set(loadStopWords('it')),
+    ctaWords: ['acquista', 'compra', 'ordina', 'scopri', 'prova', 'iscriviti', 'registrati', 'prenota', 'chiama', 'visita', 'clicca']
+  },
+  nl: {
+    name: 'Dutch',
+    detectionWords: ['de', 'het', 'een', 'en', 'van', 'voor', 'met', 'je', 'jouw', 'is', 'op', 'niet', 'dat', 'die', 'ook', 'nu', 'bij', 'uw', 'onze', 'naar'],
+    hints: /ij\b|\bij/,
+    stemmer: natural.PorterStemmerNl,
+    stopWords: new Set(loadStopWords('nl')),
+    ctaWords: ['koop', 'kopen', 'bestel', 'bestellen', 'ontdek', 'probeer', 'meld je aan', 'schrijf je in', 'boek', 'bel', 'bezoek', 'klik', 'lees meer']
+  }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+const DEFAULT_LANGUAGE = 'en';
+// ISO 639-2 code for text whose language could not be determined
+const UNDETERMINED_LANGUAGE = 'und';
+
+// A language needs this many function-word hits to be detected
+const MIN_DETECTION_SCORE = 2;
+const HINT_WEIGHT = 2;
+
+const detectionSets = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([code, config]) => [code, new Set(config.detectionWords)])
+);
+
+/**
+ * Get the configuration for a language, falling back to English for
+ * undetermined or unsupported languages
+ * @param {string} [language] - ISO 639-1 code
+ * @returns {Object} - { language, name, stemmer, stopWords, ctaWords }
+ */
+const getLanguageConfig = (language) => {
+  const code = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+  return { language: code, ...LANGUAGES[code] };
+};
+
+/**
+ * Split text into lowercase word tokens, keeping accented letters and
+ * dropping elided French and Italian articles
+ * @param {string} text - Ad copy
+ * @param {string} [language] - ISO 639-1 code
+ * @returns {Array<string>} - Tokens in order
+ */
+const tokenize = (text, language) => {
+  const tokens = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:['’]\p{L}+)*/gu) || [];
+  if (language !== 'fr' && language !== 'it') {
+    return tokens;
+  }
+  return tokens.map(token => token.replace(ELISION_REGEX, ''));
+};
+
+/**
+ * Detect the language of a piece of ad copy from function words and
+ * language-specific characters
+ * @param {string} text - Ad copy
+ * @returns {Object} - { language, confidence }; language is "und" when undetermined
+ */
+const detectLanguage = (text) => {
+  const lowered = String(text || '').toLowerCase();
+  const tokens = tokenize(lowered);
+  if (tokens.length === 0) {
+    return { language: UNDETERMINED_LANGUAGE, confidence: 0 };
+  }
+
+  const scores = SUPPORTED_LANGUAGES.map(code => ({
+    language: code,
+    score: tokens.filter(token => detectionSets[code].has(token)).length +
+      (LANGUAGES[code].hints && LANGUAGES[code].hints.test(lowered) ? HINT_WEIGHT : 0)
+  })).sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (best.score < MIN_DETECTION_SCORE || best.score === runnerUp.score) {
+    return { language: UNDETERMINED_LANGUAGE, confidence: 0 };
+  }
+
+  return {
+    language: best.language,
+    // Share of the evidence that points to the winning language
+    confidence: Math.round(best.score / scores.reduce((sum, { score }) => sum + score, 0) * 100) / 100
+  };
+};
+
+/**
+ * Determine an ad's language, preferring the languages the Ad Library reports
+ * @param {Object} ad - Raw ad data
+ * @param {string} text - The ad's creative text
+ * @returns {string} - ISO 639-1 code, or "und"
+ */
+const getAdLanguage = (ad, text) => {
+  const reported = (Array.isArray(ad.languages) ? ad.languages : [])
+    .map(code => String(code).toLowerCase())
+    .filter(code => LANGUAGES[code]);
+  if (reported.length === 1) {
+    return reported[0];
+  }
+  return detectLanguage(text).language;
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  UNDETERMINED_LANGUAGE,
+  getLanguageConfig,
+  tokenize,
+  detectLanguage,
+  getAdLanguage
+};
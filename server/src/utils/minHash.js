@@ -0,0 +1,149 @@
+// src/utils/minHash.js
+const { tokenize } = require('./languages');
+
+// 64 hashes estimate Jaccard similarity to within about ±0.06
+const NUM_HASHES = 64;
+// Locality-sensitive hashing: signatures sharing all rows of any band become
+// candidate pairs. 16 bands of 4 rows catch ~90% of pairs at similarity 0.6.
+const LSH_BANDS = 16;
+const LSH_ROWS = NUM_HASHES / LSH_BANDS;
+const SHINGLE_SIZE = 2;
+
+// MurmurHash3 finalizer: scrambles a 32-bit integer
+const mix32 = (value) => {
+  let h = value >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+// FNV-1a hash of a string
+const hashString = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  }
+  return h >>> 0;
+};
+
+// One seed per hash function, fixed so signatures are comparable across processes
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, index) => mix32(Math.imul(index + 1, 0x9e3779b9)));
+
+/**
+ * Split copy into overlapping word shingles. Copy shorter than a shingle
+ * becomes a single shingle.
+ * @param {string} text - Ad copy
+ * @param {number} [size] - Words per shingle
+ * @returns {Set<string>} - Shingles
+ */
+const getShingles = (text, size = SHINGLE_SIZE) => {
+  const tokens = tokenize(text);
+  if (tokens.length <= size) {
+    return new Set(tokens.length > 0 ? [tokens.join(' ')] : []);
+  }
+
+  const shingles = new Set();
+  for (let i = 0; i + size <= tokens.length; i++) {
+    shingles.add(tokens.slice(i, i + size).join(' '));
+  }
+  return shingles;
+};
+
+/**
+ * Compute the MinHash signature of a set of shingles
+ * @param {Set<string>} shingles - Shingles from getShingles
+ * @returns {Array<number>|null} - NUM_HASHES minimum hash values, or null for an empty set
+ */
+const computeSignature = (shingles) => {
+  if (shingles.size === 0) {
+    return null;
+  }
+
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  shingles.forEach(shingle => {
+    const base = hashString(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mix32(base ^ SEEDS[i]);
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    }
+  });
+  return signature;
+};
+
+/**
+ * Estimate the Jaccard similarity of two shingle sets from their signatures
+ * @param {Array<number>|null} signatureA - Signature from computeSignature
+ * @param {Array<number>|null} signatureB - Signature from computeSignature
+ * @returns {number} - Share of matching hash values, 0 to 1
+ */
+const estimateSimilarity = (signatureA, signatureB) => {
+  if (!signatureA || !signatureB) {
+    return 0;
+  }
+
+  let matches = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (signatureA[i] === signatureB[i]) {
+      matches += 1;
+    }
+  }
+  return matches / NUM_HASHES;
+};
+
+/**
+ * Group signatures whose estimated similarity reaches the threshold. Pairs are
+ * found with LSH banding and merged transitively, so a cluster may contain
+ * members that are only similar through a chain of variants.
+ * @param {Array<Array<number>|null>} signatures - One signature per item
+ * @param {number} threshold - Minimum estimated similarity to link two items
+ * @returns {Array<Array<number>>} - Clusters of item indexes, in order of their first member
+ */
+const clusterSignatures = (signatures, threshold) => {
+  const parents = signatures.map((_, index) => index);
+  const find = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+
+  for (let band = 0; band < LSH_BANDS; band++) {
+    const buckets = new Map();
+    signatures.forEach((signature, index) => {
+      if (!signature) return;
+      const key = signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS).join(',');
+      buckets.set(key, [...(buckets.get(key) || []), index]);
+    });
+
+    buckets.forEach(members => {
+      for (let i = 1; i < members.length; i++) {
+        for (let j = 0; j < i; j++) {
+          const rootI = find(members[i]);
+          const rootJ = find(members[j]);
+          if (rootI !== rootJ && estimateSimilarity(signatures[members[i]], signatures[members[j]]) >= threshold) {
+            // The lower index stays the root so clusters keep input order
+            parents[Math.max(rootI, rootJ)] = Math.min(rootI, rootJ);
+          }
+        }
+      }
+    });
+  }
+
+  const clusters = new Map();
+  signatures.forEach((_, index) => {
+    const root = find(index);
+    clusters.set(root, [...(clusters.get(root) || []), index]);
+  });
+  return [...clusters.values()];
+};
+
+module.exports = {
+  NUM_HASHES,
+  getShingles,
+  computeSignature,
+  estimateSimilarity,
+  clusterSignatures
+};
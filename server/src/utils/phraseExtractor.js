@@ -0,0 +1,199 @@
+// src/utils/phraseExtractor.js
+const { DEFAULT_LANGUAGE, getLanguageConfig, tokenize } = require('./languages');
+
+// Offer and hook phrases by category. Patterns run on lowercased ad copy.
+const HOOK_PATTERN_SOURCES = {
+  en: {
+    discount: [/\b\d{1,2}\s?% off\b/, /\bsave (?:up to )?(?:\$|€|£)?\d+/, /\b(?:sale|discount|deal|coupon|promo code)s?\b/, /\bbuy one,? get one\b/, /\bhalf price\b/],
+    freeOffer: [/\bfree (?:shipping|delivery|trial|gift|returns|sample)s?\b/],
+    guarantee: [/\bmoney[- ]back\b/, /\bguarantee[ds]?\b/, /\brisk[- ]free\b/, /\bno questions asked\b/, /\bwarranty\b/],
+    urgency: [/\blimited[- ]time\b/, /\btoday only\b/, /\bends (?:soon|tonight|today|sunday|midnight)\b/, /\blast chance\b/, /\bhurry\b/, /\bwhile (?:supplies|stocks?) lasts?\b/, /\bonly \d+ left\b/, /\bdon'?t miss\b/],
+    socialProof: [/\b\d[\d,.]*k?\+? (?:happy )?(?:customers|people|users|athletes|members|reviews|students)\b/, /\bbest[- ]?sell(?:er|ing)s?\b/, /\b(?:5|five)[- ]star\b/, /\btrusted by\b/, /\bas seen (?:on|in)\b/, /#1\b/, /\btop[- ]rated\b/]
+  },
+  es: {
+    discount: [/\b\d{1,2}\s?% (?:de )?descuento\b/, /-\d{1,2}\s?%/, /\b(?:oferta|rebaja|descuento|promoción|cupón)(?:s|es)?\b/, /\bahorra\b/, /\b2x1\b/],
+    freeOffer: [/\b(?:envío|entrega|prueba|devolución|regalo) gratis\b/, /\bgratis\b/],
+    guarantee: [/\bgarantía\b/, /\bgarantizad[oa]\b/, /\bdevolución del dinero\b/, /\bsin riesgo\b/],
+    urgency: [/\btiempo limitado\b/, /\bsolo hoy\b/, /\búltim[oa]s? (?:oportunidad|unidades|días)\b/, /\bdate prisa\b/, /\bhasta agotar (?:existencias|stock)\b/, /\bno te lo pierdas\b/],
+    socialProof: [/\b\d[\d.,]*k?\+? (?:clientes|personas|usuarios|reseñas|opiniones)\b/, /\bmás vendid[oa]s?\b/, /\b5 estrellas\b/, /\bn\.?º ?1\b/]
+  },
+  fr: {
+    discount: [/-\d{1,2}\s?%/, /\b\d{1,2}\s?% de réduction\b/, /\b(?:soldes|promo|promotion|réduction|remise|code promo)s?\b/, /\béconomisez\b/],
+    freeOffer: [/\b(?:livraison|essai|retours?|cadeau) (?:gratuite?s?|offerte?s?)\b/, /\bgratuite?s?\b/],
+    guarantee: [/\bgarantie?s?\b/, /\bsatisfait ou remboursé\b/, /\bsans risque\b/],
+    urgency: [/\b(?:durée|temps|offre) limitée?\b/, /\baujourd'hui seulement\b/, /\bdernière chance\b/, /\bdépêchez-vous\b/, /\bjusqu'à épuisement des stocks\b/, /\bne manquez pas\b/],
+    socialProof: [/\b\d[\d\s.,]*k?\+? (?:clients|personnes|utilisateurs|avis)\b/, /\bmeilleures? ventes?\b/, /\b5 étoiles\b/, /\bn°\s?1\b/]
+  },
+  de: {
+    discount: [/-\d{1,2}\s?%/, /\b\d{1,2}\s?% rabatt\b/, /\b(?:rabatt|angebot|sale|gutschein|aktion)e?s?\b/, /\bspare\b/, /\bsparen\b/],
+    freeOffer: [/\bkostenlose?r? (?:versand|lieferung|rückversand|probe|test)\b/, /\bgratis\b/, /\bkostenlos\b/],
+    guarantee: [/\bgarantie\b/, /\bgeld-zurück\b/, /\bohne risiko\b/, /\brisikofrei\b/],
+    urgency: [/\bnur für kurze zeit\b/, /\bbegrenzte zeit\b/, /\bnur heute\b/, /\bletzte chance\b/, /\bsolange der vorrat reicht\b/, /\bnicht verpassen\b/],
+    socialProof: [/\b\d[\d.,]*k?\+? (?:kunden|menschen|nutzer|bewertungen)\b/, /\bbestseller\b/, /\b5 sterne\b/, /\bnr\.? ?1\b/]
+  },
+  pt: {
+    discount: [/-\d{1,2}\s?%/, /\b\d{1,2}\s?% (?:de )?desconto\b/, /\b(?:oferta|promoção|desconto|cupom|cupão|liquidação)(?:s|ões)?\b/, /\beconomize\b/],
+    freeOffer: [/\b(?:frete|envio|entrega|teste|brinde) grátis\b/, /\bgrátis\b/, /\bgratuito\b/],
+    guarantee: [/\bgarantia\b/, /\bgarantid[oa]\b/, /\bdinheiro de volta\b/, /\bsem risco\b/],
+    urgency: [/\btempo limitado\b/, /\bsó hoje\b/, /\búltimas? (?:chance|unidades|dias)\b/, /\bcorra\b/, /\benquanto durarem os estoques\b/, /\bnão perca\b/],
+    socialProof: [/\b\d[\d.,]*k?\+? (?:clientes|pessoas|usuários|avaliações)\b/, /\bmais vendid[oa]s?\b/, /\b5 estrelas\b/, /\bnº ?1\b/]
+  }
+};
+
+// Without the u flag \b only treats ASCII letters as word characters, so it
+// never matches before "última" or after "remboursé". Patterns are written
+// with \b and compiled with boundaries that know every Unicode letter.
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+const WORD_BOUNDARY = `(?:(?<!${WORD_CHAR})(?=${WORD_CHAR})|(?<=${WORD_CHAR})(?!${WORD_CHAR}))`;
+
+/**
+ * Recompile a pattern with Unicode-aware word boundaries
+ * @param {RegExp} regex - Pattern using \b
+ * @returns {RegExp} - Equivalent pattern with the u flag
+ */
+const withUnicodeBoundaries = (regex) => new RegExp(regex.source.replace(/\\b/g, WORD_BOUNDARY), `${regex.flags}u`);
+
+const HOOK_PATTERNS = Object.fromEntries(Object.entries(HOOK_PATTERN_SOURCES).map(([language, categories]) => [
+  language,
+  Object.fromEntries(Object.entries(categories).map(([category, patterns]) => [category, patterns.map(withUnicodeBoundaries)]))
+]));
+
+const HOOK_CATEGORIES = Object.keys(HOOK_PATTERNS.en);
+const MAX_EXAMPLE_ADS = 5;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Ads a phrase occurs in, their summed scores and how often each spelling occurs
+const createAggregate = () => ({ adIds: new Set(), scoreTotal: 0, surfaces: new Map() });
+
+/**
+ * Get the aggregate for a key, creating it on first use
+ * @param {Map} aggregates - Aggregates keyed by normalized phrase
+ * @param {string} key - Normalized phrase
+ * @returns {Object} - Aggregate from createAggregate
+ */
+const getAggregate = (aggregates, key) => {
+  if (!aggregates.has(key)) {
+    aggregates.set(key, createAggregate());
+  }
+  return aggregates.get(key);
+};
+
+/**
+ * Record an occurrence; each ad counts once towards frequency and average score
+ * @param {Object} aggregate - Aggregate from createAggregate
+ * @param {string} surface - Phrase as written
+ * @param {Object} doc - { id, score }
+ */
+const addOccurrence = (aggregate, surface, doc) => {
+  if (!aggregate.adIds.has(doc.id)) {
+    aggregate.adIds.add(doc.id);
+    aggregate.scoreTotal += doc.score || 0;
+  }
+  aggregate.surfaces.set(surface, (aggregate.surfaces.get(surface) || 0) + 1);
+};
+
+/**
+ * Summarize an aggregate for output
+ * @param {Object} aggregate - Aggregate with at least one occurrence
+ * @returns {Object} - { phrase, frequency, averageScore, exampleAdIds }
+ */
+const summarize = (aggregate) => ({
+  // The most common way the phrase is written represents its stemmed variants
+  phrase: [...aggregate.surfaces.entries()].sort((a, b) => b[1] - a[1])[0][0],
+  frequency: aggregate.adIds.size,
+  averageScore: round(aggregate.scoreTotal / aggregate.adIds.size),
+  exampleAdIds: [...aggregate.adIds].slice(0, MAX_EXAMPLE_ADS)
+});
+
+/**
+ * Extract recurring bigrams and trigrams. Words are stemmed so that
+ * "free shipping" and "free ship" count as the same phrase, and phrases may
+ * not start or end with a stop word.
+ * @param {Array} docs - [{ id, text, score, language }], one per ad
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.language] - ISO 639-1 code for docs without their own
+ * @param {number} [options.minAds] - Ads a phrase must appear in
+ * @param {number} [options.limit] - Maximum number of phrases
+ * @returns {Array} - [{ phrase, n, frequency, averageScore, exampleAdIds }], most frequent first
+ */
+const extractNgrams = (docs, options = {}) => {
+  const { language, minAds = 2, limit = 20 } = options;
+  const phrases = new Map();
+
+  docs.forEach(doc => {
+    const { language: docLanguage, stemmer, stopWords } = getLanguageConfig(doc.language || language);
+    const tokens = tokenize(doc.text, docLanguage);
+    const stems = tokens.map(token => stemmer.stem(token));
+
+    for (const n of [2, 3]) {
+      for (let i = 0; i + n <= tokens.length; i++) {
+        const words = tokens.slice(i, i + n);
+        if (stopWords.has(words[0]) || stopWords.has(words[n - 1]) || words.every(word => /^\d+$/.test(word))) {
+          continue;
+        }
+        const key = `${docLanguage}:${n}:${stems.slice(i, i + n).join(' ')}`;
+        addOccurrence(getAggregate(phrases, key), words.join(' '), doc);
+      }
+    }
+  });
+
+  return [...phrases.entries()]
+    .filter(([, aggregate]) => aggregate.adIds.size >= minAds)
+    .map(([key, aggregate]) => {
+      const [phraseLanguage, n] = key.split(':');
+      return { ...summarize(aggregate), n: Number(n), language: phraseLanguage };
+    })
+    // A trigram says more than the bigram inside it when both are equally common
+    .sort((a, b) => b.frequency - a.frequency || b.n - a.n || b.averageScore - a.averageScore)
+    .slice(0, limit);
+};
+
+/**
+ * Detect offer and hook phrases (discounts, free offers, guarantees, urgency, social proof)
+ * @param {Array} docs - [{ id, text, score, language }], one per ad
+ * @param {Object} [options] - { language } for docs without their own
+ * @returns {Array} - One entry per category with prevalence (%), frequency,
+ *   average score, example ad IDs and the matched phrases
+ */
+const detectHooks = (docs, options = {}) => {
+  // Languages without their own patterns are matched against the English ones
+  const getPatterns = (doc) => HOOK_PATTERNS[doc.language || options.language] || HOOK_PATTERNS[DEFAULT_LANGUAGE];
+
+  return HOOK_CATEGORIES.map(category => {
+    const categoryAggregate = createAggregate();
+    const matchedPhrases = new Map();
+
+    docs.forEach(doc => {
+      const text = String(doc.text || '').toLowerCase();
+      getPatterns(doc)[category].forEach(regex => {
+        const match = text.match(regex);
+        if (!match) return;
+        addOccurrence(categoryAggregate, category, doc);
+        addOccurrence(getAggregate(matchedPhrases, match[0]), match[0], doc);
+      });
+    });
+
+    if (categoryAggregate.adIds.size === 0) {
+      return { category, frequency: 0, prevalence: 0, averageScore: null, exampleAdIds: [], phrases: [] };
+    }
+
+    const { frequency, averageScore, exampleAdIds } = summarize(categoryAggregate);
+    return {
+      category,
+      frequency,
+      prevalence: round(frequency / Math.max(1, docs.length) * 100),
+      averageScore,
+      exampleAdIds,
+      phrases: [...matchedPhrases.values()]
+        .map(summarize)
+        .sort((a, b) => b.frequency - a.frequency)
+    };
+  });
+};
+
+module.exports = {
+  HOOK_CATEGORIES,
+  extractNgrams,
+  detectHooks
+};
@@ -0,0 +1,120 @@
+// src/utils/publicUrl.js
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Addresses a user-supplied URL must not reach: this host, private networks,
+// link-local (including cloud metadata endpoints), multicast and reserved ranges
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  // IPv4-mapped and NAT64 addresses could smuggle in any of the IPv4 ranges above
+  ['::ffff:0:0', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+// One list per family: a BlockList matches IPv4 addresses against IPv4-mapped IPv6 rules
+const blockLists = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+BLOCKED_SUBNETS.forEach(([network, prefix, type]) => blockLists[type].addSubnet(network, prefix, type));
+
+/**
+ * Check whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - False for loopback, private, link-local and reserved addresses
+ */
+const isPublicAddress = (address) => {
+  const version = net.isIP(address);
+  if (version === 0) {
+    return false;
+  }
+  const type = version === 4 ? 'ipv4' : 'ipv6';
+  return !blockLists[type].check(address, type);
+};
+
+/**
+ * dns.lookup that fails for hosts resolving to non-public addresses. Used as
+ * the connection lookup, so a host cannot pass validation and then rebind to
+ * an internal address before the request is made.
+ * @param {string} hostname - Host to resolve
+ * @param {Object|number} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  const lookupOptions = typeof options === 'number' ? { family: options } : options;
+
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked || addresses.length === 0) {
+      const blockedError = new Error(`${hostname} resolves to a non-public address`);
+      blockedError.code = 'EADDRNOTPUBLIC';
+      return callback(blockedError);
+    }
+
+    if (lookupOptions.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check that a URL is http(s) and that its host only resolves to public addresses
+ * @param {string} value - URL to check
+ * @returns {Promise<string|null>} - Why the URL is rejected, or null if it is allowed
+ */
+const checkPublicUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'Must be an http or https URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'Must be an http or https URL';
+  }
+
+  // URL keeps the brackets around IPv6 hosts
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host)) {
+    return isPublicAddress(host) ? null : 'Must not point to a private or internal address';
+  }
+
+  try {
+    await new Promise((resolve, reject) => {
+      publicLookup(host, { all: true }, (error) => (error ? reject(error) : resolve()));
+    });
+    return null;
+  } catch (error) {
+    return error.code === 'EADDRNOTPUBLIC'
+      ? 'Must not point to a private or internal address'
+      : 'Host could not be resolved';
+  }
+};
+
+// Agents for requests to user-supplied URLs; they refuse to connect to non-public addresses
+const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+module.exports = {
+  isPublicAddress,
+  checkPublicUrl,
+  publicHttpAgent,
+  publicHttpsAgent
+};
@@ -0,0 +1,163 @@
+// src/utils/rangeParser.js
+const { BASE_CURRENCY, convertCurrency } = require('./currencyRates');
+const logger = require('./logger');
+
+// Point estimates for open-ended ranges: "<100" counts as 50, ">1000" as 1500
+const OPEN_RANGE_LOWER_FACTOR = 0.5;
+const OPEN_RANGE_UPPER_FACTOR = 1.5;
+
+const SUFFIX_MULTIPLIERS = { K: 1e3, M: 1e6, B: 1e9 };
+
+/**
+ * Parse a single number that may use thousands separators or K/M/B suffixes
+ * @param {string|number} input - e.g. "1,000", "1 000", "1.000.000", "4.5K"
+ * @returns {number} - Parsed value, or NaN if the input is not numeric
+ */
+const parseNumber = (input) => {
+  if (typeof input === 'number') {
+    return input;
+  }
+
+  if (typeof input !== 'string') {
+    return NaN;
+  }
+
+  const match = input.trim().match(/(\d[\d,.\s ']*)\s*([KMB])?/i);
+  if (!match) {
+    return NaN;
+  }
+
+  let digits = match[1].replace(/[\s ']/g, '').replace(/[.,]$/, '');
+
+  if (/^\d{1,3}(\.\d{3})+$/.test(digits)) {
+    // Dots used as thousands separators ("1.000.000")
+    digits = digits.replace(/\./g, '');
+  } else if (/^\d{1,3}(\.\d{3})*,\d{1,2}$/.test(digits)) {
+    // Comma used as the decimal mark ("1.234,50")
+    digits = digits.replace(/\./g, '').replace(',', '.');
+  } else {
+    digits = digits.replace(/,/g, '');
+  }
+
+  const value = parseFloat(digits);
+  const suffix = match[2] ? SUFFIX_MULTIPLIERS[match[2].toUpperCase()] : 1;
+
+  return value * suffix;
+};
+
+/**
+ * Build a range from its bounds, estimating the midpoint of open-ended ranges
+ * @param {number|null} lower - Lower bound (null if unbounded below)
+ * @param {number|null} upper - Upper bound (null if unbounded above)
+ * @returns {Object|null} - Range with lower, midpoint and upper values
+ */
+const buildRange = (lower, upper) => {
+  const hasLower = Number.isFinite(lower);
+  const hasUpper = Number.isFinite(upper);
+
+  if (hasLower && hasUpper) {
+    const [min, max] = lower <= upper ? [lower, upper] : [upper, lower];
+    return { lower: min, midpoint: (min + max) / 2, upper: max, openEnded: null };
+  }
+
+  if (hasLower) {
+    return { lower, midpoint: lower * OPEN_RANGE_UPPER_FACTOR, upper: null, openEnded: 'upper' };
+  }
+
+  if (hasUpper) {
+    return { lower: 0, midpoint: upper * OPEN_RANGE_LOWER_FACTOR, upper, openEnded: 'lower' };
+  }
+
+  return null;
+};
+
+/**
+ * Parse an Ad Library range into its bounds
+ *
+ * Accepts the `{ lower_bound, upper_bound }` objects the Graph API returns as
+ * well as legacy strings such as "1,000-4,999", "<100", ">1000" or "1M+".
+ *
+ * @param {Object|string|number} input - Range from the API
+ * @returns {Object|null} - { lower, midpoint, upper, openEnded }, or null if unparseable
+ */
+const parseRange = (input) => {
+  if (input === null || input === undefined || input === '') {
+    return null;
+  }
+
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? { lower: input, midpoint: input, upper: input, openEnded: null } : null;
+  }
+
+  if (typeof input === 'object') {
+    const lower = input.lower_bound !== undefined ? parseNumber(String(input.lower_bound)) : null;
+    const upper = input.upper_bound !== undefined ? parseNumber(String(input.upper_bound)) : null;
+    return buildRange(lower, upper);
+  }
+
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const text = input.trim();
+
+  // Ranges: "100-499", "1,000 – 4,999", "1K to 5K"
+  const parts = text.split(/\s*(?:-|–|—|\bto\b)\s*/i).filter(Boolean);
+  if (parts.length === 2) {
+    return buildRange(parseNumber(parts[0]), parseNumber(parts[1]));
+  }
+
+  const value = parseNumber(text);
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+
+  if (/^(<|≤|under|less than)/i.test(text)) {
+    return buildRange(null, value);
+  }
+
+  if (/^(>|≥|over|more than)/i.test(text) || /\+$/.test(text)) {
+    return buildRange(value, null);
+  }
+
+  return { lower: value, midpoint: value, upper: value, openEnded: null };
+};
+
+/**
+ * Parse a spend range and convert it to the base currency
+ * @param {Object|string|number} input - Spend range from the API
+ * @param {string} [currency] - ISO 4217 code from the ad's `currency` field
+ * @returns {Object|null} - Range in the base currency, with the original currency recorded
+ */
+const parseSpend = (input, currency) => {
+  const range = parseRange(input);
+  if (!range) {
+    return null;
+  }
+
+  const sourceCurrency = (currency || BASE_CURRENCY).toUpperCase();
+  const convert = (value) => (value === null ? null : convertCurrency(value, sourceCurrency, BASE_CURRENCY));
+
+  if (convert(1) === null) {
+    logger.warn(`No exchange rate for currency ${sourceCurrency}, spend left unconverted`);
+    return { ...range, currency: sourceCurrency, converted: false };
+  }
+
+  return {
+    lower: convert(range.lower),
+    midpoint: convert(range.midpoint),
+    upper: convert(range.upper),
+    openEnded: range.openEnded,
+    currency: BASE_CURRENCY,
+    originalCurrency: sourceCurrency,
+    converted: sourceCurrency !== BASE_CURRENCY
+  };
+};
+
+module.exports = {
+  OPEN_RANGE_LOWER_FACTOR,
+  OPEN_RANGE_UPPER_FACTOR,
+  parseNumber,
+  parseRange,
+  parseSpend
+};
@@ -1,4 +1,5 @@
 const logger = require('./logger');
+const rateLimitStore = require('../services/rateLimitStore');
 
 /**
  * Calculate backoff time with exponential strategy
@@ -26,76 +27,105 @@ const calculateBackoff = (retryAfter = 30, attempt = 1) => {
 };
 
 /**
- * Rate limiter middleware for Express
+ * Identify who a request counts against: its API key, its user or, for
+ * anonymous requests, its IP address
+ * @param {Object} req - Express request object, after authentication
+ * @returns {string} - Rate limit key
+ */
+const getClientKey = (req) => {
+  if (req.apiKeyId) {
+    return `apikey:${req.apiKeyId}`;
+  }
+  return req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+};
+
+/**
+ * Resolve the request quota that applies to a request
+ * @param {number|Object} maxRequests - A fixed quota, or quotas by role with an `anonymous` fallback
+ * @param {Object} req - Express request object, after authentication
+ * @returns {number} - Requests allowed per window
+ */
+const getQuota = (maxRequests, req) => {
+  if (typeof maxRequests === 'number') {
+    return maxRequests;
+  }
+  const tier = req.user ? req.user.role : 'anonymous';
+  return maxRequests[tier] ?? maxRequests.anonymous;
+};
+
+/**
+ * Rate limiter middleware for Express. Requests are counted over a sliding
+ * window in the shared rate limit store (Redis, or memory while Redis is down),
+ * separately for each limiter name, so route groups get their own quotas.
  * @param {Object} options - Rate limiter options
+ * @param {string} [options.name] - Route group the quota applies to, e.g. "search"
+ * @param {number|Object} [options.maxRequests] - Requests per window, or per role,
+ *   e.g. { anonymous: 20, user: 60, pro: 200, admin: 600 }
+ * @param {Object} [options.store] - Store with `consume(key, limit, windowMs)`
  * @returns {Function} - Express middleware
  */
 const rateLimiterMiddleware = (options = {}) => {
   const {
+    name = 'api',
     windowMs = 60 * 1000, // Default: 1 minute
     maxRequests = 60,     // Default: 60 requests per minute
     message = 'Too many requests, please try again later.',
     statusCode = 429,
-    keyGenerator = (req) => req.ip,
-    skip = () => false
+    keyGenerator = getClientKey,
+    skip = () => false,
+    store = rateLimitStore
   } = options;
   
-  // Store request counts in memory
-  const requestCounts = new Map();
-  
-  // Clean up old entries every minute
-  setInterval(() => {
-    const now = Date.now();
-    requestCounts.forEach((value, key) => {
-      if (now - value.timestamp > windowMs) {
-        requestCounts.delete(key);
-      }
-    });
-  }, 60000);
+  const windowSeconds = Math.ceil(windowMs / 1000);
   
   // Return the middleware function
-  return (req, res, next) => {
+  return async (req, res, next) => {
     // Skip rate limiting if the skip function returns true
     if (skip(req)) {
       return next();
     }
     
-    // Get the client identifier
-    const key = keyGenerator(req);
-    const now = Date.now();
-    
-    // Get or create the request count
-    const requestData = requestCounts.get(key) || { count: 0, timestamp: now };
+    // Get the client identifier and its quota
+    const key = `${name}:${keyGenerator(req)}`;
+    const limit = getQuota(maxRequests, req);
     
-    // Reset the count if the window has passed
-    if (now - requestData.timestamp > windowMs) {
-      requestData.count = 0;
-      requestData.timestamp = now;
+    let result;
+    try {
+      result = await store.consume(key, limit, windowMs);
+    } catch (error) {
+      // Never turn a counting failure into an outage
+      logger.error(`Rate limit check failed for ${key}`, error);
+      return next();
     }
     
-    // Increment the request count
-    requestData.count += 1;
-    requestCounts.set(key, requestData);
+    const resetSeconds = Math.ceil(result.resetMs / 1000);
+    
+    // Standard rate limit headers (IETF draft), plus the legacy X-RateLimit-* ones
+    res.setHeader('RateLimit-Policy', `${limit};w=${windowSeconds}`);
+    res.setHeader('RateLimit-Limit', limit);
+    res.setHeader('RateLimit-Remaining', result.remaining);
+    res.setHeader('RateLimit-Reset', resetSeconds);
+    res.setHeader('X-RateLimit-Limit', limit);
+    res.setHeader('X-RateLimit-Remaining', result.remaining);
+    res.setHeader('X-RateLimit-Reset', Math.ceil(Date.now() / 1000) + resetSeconds);
     
     // Check if the client has exceeded the rate limit
-    if (requestData.count > maxRequests) {
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
       logger.warn(`Rate limit exceeded for ${key}`);
+      res.setHeader('Retry-After', retryAfter);
       return res.status(statusCode).json({
         error: message,
-        retryAfter: Math.ceil((requestData.timestamp + windowMs - now) / 1000)
+        retryAfter
       });
     }
     
-    // Add rate limit headers
-    res.setHeader('X-RateLimit-Limit', maxRequests);
-    res.setHeader('X-RateLimit-Remaining', maxRequests - requestData.count);
-    res.setHeader('X-RateLimit-Reset', Math.ceil((requestData.timestamp + windowMs) / 1000));
-    
     next();
   };
 };
 
 module.exports = {
   calculateBackoff,
+  getClientKey,
   rateLimiterMiddleware
 };
\ No newline at end of file
@@ -0,0 +1,213 @@
+// src/utils/retryPolicy.js
+const logger = require('./logger');
+const { calculateBackoff } = require('./rateLimiter');
+
+// Graph API error codes meaning "too many calls": app (4), user (17) and API-specific (613) limits
+const GRAPH_THROTTLING_CODES = [4, 17, 613];
+
+// Transient network failures worth retrying
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+const systemClock = {
+  now: () => Date.now(),
+  sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+/**
+ * Check whether an error means the Graph API is throttling us
+ * @param {Error} error - Error thrown by the HTTP client
+ * @returns {boolean} - True for HTTP 429 and Graph throttling error codes
+ */
+const isThrottlingError = (error) => {
+  if (!error || !error.response) {
+    return false;
+  }
+  const graphCode = error.response.data?.error?.code;
+  return error.response.status === 429 || GRAPH_THROTTLING_CODES.includes(graphCode);
+};
+
+/**
+ * Check whether a failed request may succeed if repeated
+ * @param {Error} error - Error thrown by the HTTP client
+ * @returns {boolean} - True for throttling, 5xx responses and transient network errors
+ */
+const isRetryableError = (error) => {
+  if (!error) {
+    return false;
+  }
+  if (!error.response) {
+    return RETRYABLE_NETWORK_CODES.includes(error.code);
+  }
+  return isThrottlingError(error) || error.response.status >= 500;
+};
+
+/**
+ * Read the Retry-After header of a response in seconds
+ * @param {Error} error - Error thrown by the HTTP client
+ * @returns {number|null} - Seconds to wait, or null if the header is absent or invalid
+ */
+const getRetryAfterSeconds = (error) => {
+  const header = error?.response?.headers?.['retry-after'];
+  if (header === undefined || header === null) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds);
+  }
+
+  // Retry-After may also be an HTTP date
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+/**
+ * Build the error returned to callers while the circuit is open
+ * @param {string} name - Name of the protected service
+ * @param {number} retryAfter - Seconds until the circuit closes
+ * @returns {Error} - Error with `status` 503 and `retryAfter`
+ */
+const serviceUnavailableError = (name, retryAfter) => {
+  const error = new Error(`${name} is throttling requests, try again in ${retryAfter}s`);
+  error.status = 503;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * Circuit breaker that fails fast while an upstream service is throttling us
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} [options] - Breaker options
+   * @param {string} [options.name] - Service name used in errors and logs
+   * @param {number} [options.cooldownMs] - Minimum time the circuit stays open
+   * @param {Object} [options.clock] - Clock with `now()`
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'Upstream service';
+    this.cooldownMs = options.cooldownMs || 60 * 1000;
+    this.clock = options.clock || systemClock;
+    this.openUntil = 0;
+  }
+
+  isOpen() {
+    return this.clock.now() < this.openUntil;
+  }
+
+  /**
+   * Seconds until the circuit closes again (0 if closed)
+   * @returns {number}
+   */
+  retryAfterSeconds() {
+    return Math.max(0, Math.ceil((this.openUntil - this.clock.now()) / 1000));
+  }
+
+  /**
+   * Open the circuit
+   * @param {number} [durationMs] - How long to stay open (at least the cooldown)
+   */
+  open(durationMs = 0) {
+    this.openUntil = Math.max(this.openUntil, this.clock.now() + Math.max(this.cooldownMs, durationMs));
+    logger.warn(`${this.name} circuit opened for ${this.retryAfterSeconds()}s`);
+  }
+
+  close() {
+    if (this.openUntil > 0) {
+      this.openUntil = 0;
+      logger.info(`${this.name} circuit closed`);
+    }
+  }
+
+  /**
+   * Throw a 503 error if the circuit is open
+   * @throws {Error} - With `status` 503 and `retryAfter` (seconds)
+   */
+  assertClosed() {
+    if (this.isOpen()) {
+      throw serviceUnavailableError(this.name, this.retryAfterSeconds());
+    }
+  }
+}
+
+/**
+ * Bounded retry policy: a maximum number of attempts within a total deadline,
+ * exponential backoff with jitter between attempts, and a circuit breaker that
+ * opens when throttling outlasts the retries.
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} [options] - Policy options
+   * @param {number} [options.maxAttempts] - Attempts including the first one
+   * @param {number} [options.deadlineMs] - Total time budget across all attempts
+   * @param {number} [options.baseDelaySeconds] - First backoff when the response has no Retry-After
+   * @param {CircuitBreaker} [options.circuitBreaker] - Breaker to consult and trip
+   * @param {Object} [options.clock] - Clock with `now()` and `sleep(ms)`
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 3;
+    this.deadlineMs = options.deadlineMs || 45 * 1000;
+    this.baseDelaySeconds = options.baseDelaySeconds || 2;
+    this.clock = options.clock || systemClock;
+    this.circuitBreaker = options.circuitBreaker || null;
+  }
+
+  /**
+   * Run an operation, retrying retryable failures
+   * @param {Function} operation - Async function performing one attempt
+   * @param {string} [description] - Operation name for logs
+   * @returns {Promise<*>} - The operation's result
+   */
+  async execute(operation, description = 'request') {
+    const deadline = this.clock.now() + this.deadlineMs;
+
+    for (let attempt = 1; ; attempt++) {
+      if (this.circuitBreaker) {
+        this.circuitBreaker.assertClosed();
+      }
+
+      try {
+        const result = await operation(attempt);
+        if (this.circuitBreaker) {
+          this.circuitBreaker.close();
+        }
+        return result;
+      } catch (error) {
+        if (!isRetryableError(error)) {
+          throw error;
+        }
+
+        const retryAfter = getRetryAfterSeconds(error);
+        const backoffMs = calculateBackoff(retryAfter ?? this.baseDelaySeconds, attempt);
+        const outOfAttempts = attempt >= this.maxAttempts;
+        const outOfTime = this.clock.now() + backoffMs > deadline;
+
+        if (outOfAttempts || outOfTime) {
+          logger.warn(`Giving up on ${description} after ${attempt} attempt(s)`, {
+            status: error.response?.status,
+            code: error.response?.data?.error?.code || error.code
+          });
+
+          // Persistent throttling: stop calling until the API is likely to accept requests again
+          if (isThrottlingError(error) && this.circuitBreaker) {
+            this.circuitBreaker.open(backoffMs);
+            throw serviceUnavailableError(this.circuitBreaker.name, this.circuitBreaker.retryAfterSeconds());
+          }
+          throw error;
+        }
+
+        logger.info(`Retrying ${description} in ${backoffMs}ms (attempt ${attempt + 1} of ${this.maxAttempts})`);
+        await this.clock.sleep(backoffMs);
+      }
+    }
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  RetryPolicy,
+  getRetryAfterSeconds,
+  isRetryableError,
+  isThrottlingError
+};
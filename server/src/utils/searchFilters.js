@@ -0,0 +1,131 @@
+// src/utils/searchFilters.js
+
+// Allowed values as documented for the Ad Library API (ads_archive)
+const AD_TYPES = ['ALL', 'POLITICAL_AND_ISSUE_ADS', 'HOUSING_ADS', 'EMPLOYMENT_ADS', 'CREDIT_ADS'];
+const ACTIVE_STATUSES = ['ALL', 'ACTIVE', 'INACTIVE'];
+const PUBLISHER_PLATFORMS = ['FACEBOOK', 'INSTAGRAM', 'AUDIENCE_NETWORK', 'MESSENGER', 'WHATSAPP', 'OCULUS', 'THREADS'];
+const MEDIA_TYPES = ['ALL', 'IMAGE', 'MEME', 'VIDEO', 'NONE'];
+
+// The API accepts at most 10 page IDs per search
+const MAX_PAGE_IDS = 10;
+
+/**
+ * Split a query value into a list ("US,GB", ["US", "GB"] or "US")
+ * @param {string|Array} value - Raw query value
+ * @returns {Array<string>} - Trimmed, non-empty items
+ */
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Check a YYYY-MM-DD date
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+const isValidDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Validate and normalize the Ad Library filters of a search request
+ *
+ * Recognized query parameters: countries, adType, activeStatus, deliveryDateMin,
+ * deliveryDateMax, pageIds, publisherPlatforms, languages and mediaType. List
+ * parameters accept comma-separated values or repeated parameters.
+ *
+ * @param {Object} query - Express request query
+ * @returns {Object} - { filters, errors } where errors lists { field, value, message }
+ */
+const parseSearchFilters = (query = {}) => {
+  const filters = {};
+  const errors = [];
+
+  const addError = (field, value, message) => errors.push({ field, value, message });
+
+  const parseEnumList = (field, allowed) => {
+    if (query[field] === undefined) return;
+    const values = toList(query[field]).map(value => value.toUpperCase());
+    const invalid = values.filter(value => !allowed.includes(value));
+    if (values.length === 0 || invalid.length > 0) {
+      addError(field, query[field], `Must be one or more of ${allowed.join(', ')}`);
+      return;
+    }
+    filters[field] = [...new Set(values)];
+  };
+
+  const parseEnum = (field, allowed) => {
+    if (query[field] === undefined) return;
+    const value = String(query[field]).trim().toUpperCase();
+    if (!allowed.includes(value)) {
+      addError(field, query[field], `Must be one of ${allowed.join(', ')}`);
+      return;
+    }
+    filters[field] = value;
+  };
+
+  if (query.countries !== undefined) {
+    const countries = toList(query.countries).map(country => country.toUpperCase());
+    const invalid = countries.filter(country => country !== 'ALL' && !/^[A-Z]{2}$/.test(country));
+    if (countries.length === 0 || invalid.length > 0) {
+      addError('countries', query.countries, 'Must be ISO 3166-1 alpha-2 country codes (e.g. US,GB) or ALL');
+    } else {
+      filters.countries = [...new Set(countries)];
+    }
+  }
+
+  parseEnum('adType', AD_TYPES);
+  parseEnum('activeStatus', ACTIVE_STATUSES);
+  parseEnum('mediaType', MEDIA_TYPES);
+  parseEnumList('publisherPlatforms', PUBLISHER_PLATFORMS);
+
+  ['deliveryDateMin', 'deliveryDateMax'].forEach(field => {
+    if (query[field] === undefined) return;
+    const value = String(query[field]).trim();
+    if (!isValidDate(value)) {
+      addError(field, query[field], 'Must be a date in YYYY-MM-DD format');
+    } else {
+      filters[field] = value;
+    }
+  });
+
+  if (filters.deliveryDateMin && filters.deliveryDateMax && filters.deliveryDateMin > filters.deliveryDateMax) {
+    addError('deliveryDateMax', query.deliveryDateMax, 'Must not be earlier than deliveryDateMin');
+  }
+
+  if (query.pageIds !== undefined) {
+    const pageIds = toList(query.pageIds);
+    if (pageIds.length === 0 || pageIds.some(pageId => !/^\d+$/.test(pageId))) {
+      addError('pageIds', query.pageIds, 'Must be numeric Facebook page IDs');
+    } else if (pageIds.length > MAX_PAGE_IDS) {
+      addError('pageIds', query.pageIds, `At most ${MAX_PAGE_IDS} page IDs are allowed`);
+    } else {
+      filters.pageIds = [...new Set(pageIds)];
+    }
+  }
+
+  if (query.languages !== undefined) {
+    const languages = toList(query.languages).map(language => language.toLowerCase());
+    if (languages.length === 0 || languages.some(language => !/^[a-z]{2}$/.test(language))) {
+      addError('languages', query.languages, 'Must be ISO 639-1 language codes (e.g. en,es)');
+    } else {
+      filters.languages = [...new Set(languages)];
+    }
+  }
+
+  return { filters, errors };
+};
+
+module.exports = {
+  AD_TYPES,
+  ACTIVE_STATUSES,
+  PUBLISHER_PLATFORMS,
+  MEDIA_TYPES,
+  MAX_PAGE_IDS,
+  parseSearchFilters
+};
@@ -0,0 +1,184 @@
+// src/utils/statistics.js
+
+/**
+ * Standard normal cumulative distribution function
+ * (Abramowitz & Stegun 26.2.17, absolute error below 7.5e-8)
+ * @param {number} z - Standard score
+ * @returns {number} - P(Z <= z)
+ */
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+};
+
+/**
+ * Two-sided p-value of a standard score
+ * @param {number} z - Standard score
+ * @returns {number} - P(|Z| >= |z|)
+ */
+const twoSidedPValue = (z) => (Number.isFinite(z) ? 2 * (1 - normalCdf(Math.abs(z))) : 1);
+
+/**
+ * Two-proportion z-test with pooled variance
+ * @param {number} hitsA - Successes in group A
+ * @param {number} sizeA - Size of group A
+ * @param {number} hitsB - Successes in group B
+ * @param {number} sizeB - Size of group B
+ * @returns {Object} - { z, pValue }; pValue is 1 when the test is undefined
+ */
+const twoProportionZTest = (hitsA, sizeA, hitsB, sizeB) => {
+  if (sizeA === 0 || sizeB === 0) {
+    return { z: 0, pValue: 1 };
+  }
+
+  const pooled = (hitsA + hitsB) / (sizeA + sizeB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / sizeA + 1 / sizeB));
+  if (standardError === 0) {
+    return { z: 0, pValue: 1 };
+  }
+
+  const z = (hitsA / sizeA - hitsB / sizeB) / standardError;
+  return { z, pValue: twoSidedPValue(z) };
+};
+
+/**
+ * Arithmetic mean and sample variance
+ * @param {Array<number>} values - Sample
+ * @returns {Object} - { mean, variance }
+ */
+const describe = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / Math.max(1, values.length);
+  const variance = values.length > 1 ?
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1) :
+    0;
+  return { mean, variance };
+};
+
+// Lanczos approximation coefficients (g = 7, n = 9)
+const LANCZOS_COEFFICIENTS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive argument
+ * @returns {number} - ln Γ(x)
+ */
+const logGamma = (x) => {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const shifted = x - 1;
+  let sum = LANCZOS_COEFFICIENTS[0];
+  for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+    sum += LANCZOS_COEFFICIENTS[i] / (shifted + i);
+  }
+  const t = shifted + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+/**
+ * Continued fraction of the incomplete beta function (modified Lentz's method)
+ * @param {number} x - Point in (0, 1)
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} - Value of the continued fraction
+ */
+const betaContinuedFraction = (x, a, b) => {
+  const tiny = 1e-300;
+  const clamp = (value) => (Math.abs(value) < tiny ? tiny : value);
+
+  let c = 1;
+  let d = 1 / clamp(1 - (a + b) * x / (a + 1));
+  let result = d;
+
+  for (let m = 1; m <= 300; m++) {
+    const even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 / clamp(1 + even * d);
+    c = clamp(1 + even / c);
+    result *= d * c;
+
+    const odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 / clamp(1 + odd * d);
+    c = clamp(1 + odd / c);
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < 1e-14) {
+      break;
+    }
+  }
+  return result;
+};
+
+/**
+ * Regularized incomplete beta function
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} - I_x(a, b)
+ */
+const regularizedBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  // The continued fraction converges quickly on this side of the mean; use symmetry on the other
+  return x < (a + 1) / (a + b + 2) ?
+    front * betaContinuedFraction(x, a, b) / a :
+    1 - front * betaContinuedFraction(1 - x, b, a) / b;
+};
+
+/**
+ * Two-sided p-value of a t statistic under Student's t distribution
+ * @param {number} t - t statistic
+ * @param {number} degreesOfFreedom - Degrees of freedom (need not be an integer)
+ * @returns {number} - P(|T| >= |t|)
+ */
+const studentTPValue = (t, degreesOfFreedom) => {
+  if (!Number.isFinite(t) || !(degreesOfFreedom > 0)) {
+    return 1;
+  }
+  return Math.min(1, regularizedBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5));
+};
+
+/**
+ * Welch's unequal-variance test for a difference in means. The statistic is
+ * compared against Student's t with Welch-Satterthwaite degrees of freedom,
+ * so p-values stay honest for the small groups a contrast may have.
+ * @param {Array<number>} samplesA - Group A values
+ * @param {Array<number>} samplesB - Group B values
+ * @returns {Object} - { t, degreesOfFreedom, pValue }; pValue is 1 when the test is undefined
+ */
+const welchTest = (samplesA, samplesB) => {
+  if (samplesA.length < 2 || samplesB.length < 2) {
+    return { t: 0, degreesOfFreedom: 0, pValue: 1 };
+  }
+
+  const a = describe(samplesA);
+  const b = describe(samplesB);
+  const errorA = a.variance / samplesA.length;
+  const errorB = b.variance / samplesB.length;
+  const standardError = Math.sqrt(errorA + errorB);
+  if (standardError === 0) {
+    return { t: 0, degreesOfFreedom: 0, pValue: 1 };
+  }
+
+  const t = (a.mean - b.mean) / standardError;
+  const degreesOfFreedom = (errorA + errorB) ** 2 /
+    (errorA ** 2 / (samplesA.length - 1) + errorB ** 2 / (samplesB.length - 1));
+  return { t, degreesOfFreedom, pValue: studentTPValue(t, degreesOfFreedom) };
+};
+
+module.exports = {
+  normalCdf,
+  studentTPValue,
+  twoProportionZTest,
+  welchTest,
+  describe
+};
@@ -0,0 +1,52 @@
+// src/utils/tokens.js
+const crypto = require('crypto');
+
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Create a JSON Web Token signed with HMAC-SHA256
+ * @param {Object} claims - Token claims, e.g. { sub, role }
+ * @param {string} secret - Signing secret
+ * @param {number} expiresInSeconds - Lifetime of the token
+ * @returns {string} - Signed token
+ */
+const signToken = (claims, secret, expiresInSeconds) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(JSON.stringify({ ...claims, iat: issuedAt, exp: issuedAt + expiresInSeconds }))
+    .toString('base64url');
+  return `${HEADER}.${payload}.${sign(`${HEADER}.${payload}`, secret)}`;
+};
+
+/**
+ * Verify a token made by signToken
+ * @param {string} token - Token from the client
+ * @param {string} secret - Signing secret
+ * @returns {Object|null} - Claims, or null if the token is malformed, forged or expired
+ */
+const verifyToken = (token, secret) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  // Only our own header is accepted, which rules out "alg: none" and algorithm confusion
+  if (parts.length !== 3 || parts[0] !== HEADER) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`, secret));
+  const actual = Buffer.from(parts[2]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return claims && typeof claims.exp === 'number' && claims.exp > Date.now() / 1000 ? claims : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  signToken,
+  verifyToken
+};
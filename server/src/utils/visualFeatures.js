@@ -0,0 +1,386 @@
+// src/utils/visualFeatures.js
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+// Features are computed on a downsampled copy; this is plenty for colors and layout
+const SAMPLE_SIDE = 128;
+const HASH_SIDE = 32;
+const HASH_BITS_SIDE = 8;
+const PALETTE_SIZE = 5;
+// Colors are bucketed by their top 3 bits per channel before averaging
+const PALETTE_BITS = 3;
+// Text is detected at a higher resolution, where glyph strokes are still sharp.
+// Blocks whose share of strong luminance edges exceeds the density look like rendered text.
+const TEXT_SAMPLE_SIDE = 320;
+const TEXT_BLOCK_SIZE = 8;
+const TEXT_EDGE_THRESHOLD = 80;
+const TEXT_EDGE_DENSITY = 0.2;
+// Share of skin-toned pixels above which people are probably shown
+const PEOPLE_SKIN_RATIO = 0.08;
+const MAX_IMAGE_MEGAPIXELS = 40;
+const THUMBNAIL_SIDE = 400;
+const THUMBNAIL_QUALITY = 80;
+
+// Common ad formats by width / height
+const AD_FORMATS = { '9:16': 9 / 16, '4:5': 4 / 5, '1:1': 1, '16:9': 16 / 9, '1.91:1': 1.91 };
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const toHex = (value) => Math.round(value).toString(16).padStart(2, '0');
+
+/**
+ * Decode a PNG or JPEG image
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Object} - { width, height, data } with RGBA bytes
+ * @throws {Error} - With status 415 for other formats, 413 for images over MAX_IMAGE_MEGAPIXELS
+ */
+const decodeImage = (buffer) => {
+  if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+    // The IHDR chunk comes first; check its dimensions before allocating the pixels
+    if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+      throw new Error('Invalid PNG: missing IHDR chunk');
+    }
+    const width = buffer.readUInt32BE(16);
+    const height = buffer.readUInt32BE(20);
+    if (width * height > MAX_IMAGE_MEGAPIXELS * 1000 * 1000) {
+      const error = new Error(`Image of ${width}x${height} pixels exceeds the ${MAX_IMAGE_MEGAPIXELS} megapixel limit`);
+      error.status = 413;
+      throw error;
+    }
+    return PNG.sync.read(buffer);
+  }
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    try {
+      // jpeg-js checks the frame dimensions against the limit before allocating the pixels
+      return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_IMAGE_MEGAPIXELS });
+    } catch (decodeError) {
+      if (!/^(maxResolutionInMP|maxMemoryUsageInMB) limit exceeded/.test(decodeError.message)) {
+        throw decodeError;
+      }
+      const error = new Error(`JPEG image exceeds the ${MAX_IMAGE_MEGAPIXELS} megapixel limit`);
+      error.status = 413;
+      throw error;
+    }
+  }
+
+  const error = new Error('Unsupported image format; snapshots must be PNG or JPEG');
+  error.status = 415;
+  throw error;
+};
+
+/**
+ * Resample an image by averaging the source pixels under each target pixel.
+ * Transparent pixels are composited over white, as ads are shown on a light feed.
+ * @param {Object} image - { width, height, data } with RGBA bytes
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Object} - { width, height, rgb: Float64Array }
+ */
+const resample = (image, width, height) => {
+  const rgb = new Float64Array(width * height * 3);
+  const counts = new Float64Array(width * height);
+
+  for (let y = 0; y < image.height; y++) {
+    const targetRow = Math.min(height - 1, Math.floor(y * height / image.height)) * width;
+    for (let x = 0; x < image.width; x++) {
+      const target = targetRow + Math.min(width - 1, Math.floor(x * width / image.width));
+      const source = (y * image.width + x) * 4;
+      const alpha = image.data[source + 3] / 255;
+      for (let channel = 0; channel < 3; channel++) {
+        rgb[target * 3 + channel] += image.data[source + channel] * alpha + 255 * (1 - alpha);
+      }
+      counts[target] += 1;
+    }
+  }
+
+  for (let i = 0; i < counts.length; i++) {
+    for (let channel = 0; channel < 3; channel++) {
+      rgb[i * 3 + channel] /= Math.max(1, counts[i]);
+    }
+  }
+  return { width, height, rgb };
+};
+
+/**
+ * Resample an image so its longer side is at most the given length, keeping its aspect ratio
+ * @param {Object} image - { width, height, data } with RGBA bytes
+ * @param {number} side - Maximum length of the longer side
+ * @returns {Object} - { width, height, rgb: Float64Array }
+ */
+const downsample = (image, side) => {
+  const scale = Math.min(1, side / Math.max(image.width, image.height));
+  return resample(image, Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)));
+};
+
+// Bucket of a color in the palette: the top PALETTE_BITS bits of each channel
+const getColorBucket = (r, g, b) => {
+  const shift = 8 - PALETTE_BITS;
+  return (r >> shift) << (PALETTE_BITS * 2) | (g >> shift) << PALETTE_BITS | (b >> shift);
+};
+
+const luma = (rgb, index) => 0.2126 * rgb[index * 3] + 0.7152 * rgb[index * 3 + 1] + 0.0722 * rgb[index * 3 + 2];
+
+/**
+ * Dominant colors, by share of pixels
+ * @param {Object} sample - Resampled image
+ * @returns {Array} - [{ color, share }] with hex colors and share in %
+ */
+const getPalette = ({ rgb, width, height }) => {
+  const pixels = width * height;
+  const buckets = new Map();
+  for (let i = 0; i < pixels; i++) {
+    const [r, g, b] = [rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]];
+    const key = getColorBucket(r, g, b);
+    const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    bucket.count += 1;
+    buckets.set(key, bucket);
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, PALETTE_SIZE)
+    .map(bucket => ({
+      color: `#${toHex(bucket.r / bucket.count)}${toHex(bucket.g / bucket.count)}${toHex(bucket.b / bucket.count)}`,
+      share: round(bucket.count / pixels * 100)
+    }));
+};
+
+/**
+ * Mean luminance (brightness) and its standard deviation (RMS contrast)
+ * @param {Object} sample - Resampled image
+ * @returns {Object} - { brightness, contrast }, both 0 to 100
+ */
+const getTone = ({ rgb, width, height }) => {
+  const pixels = width * height;
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < pixels; i++) {
+    const value = luma(rgb, i);
+    sum += value;
+    sumSquares += value * value;
+  }
+  const mean = sum / pixels;
+  const variance = Math.max(0, sumSquares / pixels - mean * mean);
+  // The largest possible standard deviation is half the range
+  return { brightness: round(mean / 255 * 100), contrast: round(Math.sqrt(variance) / 127.5 * 100) };
+};
+
+/**
+ * Aspect ratio and the closest common ad format
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} - { ratio, format }
+ */
+const getAspectRatio = (width, height) => {
+  const ratio = width / height;
+  const [format] = Object.entries(AD_FORMATS)
+    .sort((a, b) => Math.abs(Math.log(ratio / a[1])) - Math.abs(Math.log(ratio / b[1])))[0];
+  return { ratio: round(ratio, 2), format };
+};
+
+/**
+ * Estimate whether people are shown from the share of skin-toned pixels
+ * (YCbCr skin model). This is a heuristic: skin-colored products and
+ * backgrounds also count.
+ * @param {Object} sample - Resampled image
+ * @returns {Object} - { skinRatio, likely }
+ */
+const getPeoplePresence = ({ rgb, width, height }) => {
+  const pixels = width * height;
+  let skin = 0;
+  for (let i = 0; i < pixels; i++) {
+    const [r, g, b] = [rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]];
+    const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    if (cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173 && r > 60) {
+      skin += 1;
+    }
+  }
+  const ratio = skin / pixels;
+  return { skinRatio: round(ratio * 100), likely: ratio >= PEOPLE_SKIN_RATIO };
+};
+
+/**
+ * Share of the image covered by text overlays, estimated from blocks with a
+ * high density of sharp luminance edges, as glyph strokes produce
+ * @param {Object} sample - Resampled image
+ * @returns {number} - Text overlay ratio in %
+ */
+const getTextOverlayRatio = ({ rgb, width, height }) => {
+  const blocksX = Math.floor(width / TEXT_BLOCK_SIZE);
+  const blocksY = Math.floor(height / TEXT_BLOCK_SIZE);
+  if (blocksX === 0 || blocksY === 0) {
+    return 0;
+  }
+
+  let textBlocks = 0;
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      let edges = 0;
+      for (let y = by * TEXT_BLOCK_SIZE; y < (by + 1) * TEXT_BLOCK_SIZE; y++) {
+        for (let x = bx * TEXT_BLOCK_SIZE; x < (bx + 1) * TEXT_BLOCK_SIZE; x++) {
+          const value = luma(rgb, y * width + x);
+          // Glyph strokes produce sharp steps both across and along a line of text
+          const horizontal = x > 0 && Math.abs(value - luma(rgb, y * width + x - 1)) > TEXT_EDGE_THRESHOLD;
+          const vertical = y > 0 && Math.abs(value - luma(rgb, (y - 1) * width + x)) > TEXT_EDGE_THRESHOLD;
+          if (horizontal || vertical) {
+            edges += 1;
+          }
+        }
+      }
+      if (edges / (TEXT_BLOCK_SIZE * TEXT_BLOCK_SIZE) >= TEXT_EDGE_DENSITY) {
+        textBlocks += 1;
+      }
+    }
+  }
+  return round(textBlocks / (blocksX * blocksY) * 100);
+};
+
+/**
+ * Perceptual hash (pHash): the signs of the lowest frequencies of a 32x32
+ * grayscale DCT relative to their median. Resized, recompressed or slightly
+ * edited copies of an image get hashes a few bits apart.
+ * @param {Object} image - { width, height, data } with RGBA bytes
+ * @returns {string} - 64-bit hash as 16 hex characters
+ */
+const getPerceptualHash = (image) => {
+  const sample = resample(image, HASH_SIDE, HASH_SIDE);
+  const gray = Array.from({ length: HASH_SIDE * HASH_SIDE }, (_, index) => luma(sample.rgb, index));
+
+  const cosines = Array.from({ length: HASH_BITS_SIDE }, (_, u) =>
+    Array.from({ length: HASH_SIDE }, (__, x) => Math.cos((2 * x + 1) * u * Math.PI / (2 * HASH_SIDE)))
+  );
+  const coefficients = [];
+  for (let v = 0; v < HASH_BITS_SIDE; v++) {
+    for (let u = 0; u < HASH_BITS_SIDE; u++) {
+      let sum = 0;
+      for (let y = 0; y < HASH_SIDE; y++) {
+        for (let x = 0; x < HASH_SIDE; x++) {
+          sum += gray[y * HASH_SIDE + x] * cosines[u][x] * cosines[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term only reflects overall brightness
+  const median = [...coefficients.slice(1)].sort((a, b) => a - b)[Math.floor((coefficients.length - 1) / 2)];
+  let hash = '';
+  for (let i = 0; i < coefficients.length; i += 4) {
+    const nibble = coefficients.slice(i, i + 4).reduce((bits, value) => (bits << 1) | (value > median ? 1 : 0), 0);
+    hash += nibble.toString(16);
+  }
+  return hash;
+};
+
+/**
+ * Number of differing bits between two perceptual hashes
+ * @param {string} hashA - Hash from getPerceptualHash
+ * @param {string} hashB - Hash from getPerceptualHash
+ * @returns {number} - Hamming distance, 0 (identical) to 64
+ */
+const hammingDistance = (hashA, hashB) => {
+  let distance = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    let bits = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+};
+
+/**
+ * Extract the visual features of a decoded image
+ * @param {Object} image - { width, height, data } with RGBA bytes
+ * @returns {Object} - { width, height, aspectRatio, palette, brightness, contrast,
+ *   people, textOverlayRatio, perceptualHash }
+ */
+const extractVisualFeatures = (image) => {
+  const sample = downsample(image, SAMPLE_SIDE);
+
+  return {
+    width: image.width,
+    height: image.height,
+    aspectRatio: getAspectRatio(image.width, image.height),
+    palette: getPalette(sample),
+    ...getTone(sample),
+    people: getPeoplePresence(sample),
+    textOverlayRatio: getTextOverlayRatio(downsample(image, TEXT_SAMPLE_SIDE)),
+    perceptualHash: getPerceptualHash(image)
+  };
+};
+
+/**
+ * Combine the visual features of several ads
+ * @param {Array} featureList - Features from extractVisualFeatures
+ * @returns {Object} - Palette, averages and the share of each ad format
+ */
+const aggregateVisualFeatures = (featureList) => {
+  const count = featureList.length;
+  const average = (select) => round(featureList.reduce((sum, features) => sum + select(features), 0) / count);
+
+  // Palettes of different ads rarely share exact colors, so merge them by bucket
+  const colors = new Map();
+  featureList.forEach(features => features.palette.forEach(({ color, share }) => {
+    const [r, g, b] = [1, 3, 5].map(offset => parseInt(color.slice(offset, offset + 2), 16));
+    const key = getColorBucket(r, g, b);
+    const entry = colors.get(key) || { r: 0, g: 0, b: 0, share: 0 };
+    entry.r += r * share;
+    entry.g += g * share;
+    entry.b += b * share;
+    entry.share += share;
+    colors.set(key, entry);
+  }));
+  const formats = new Map();
+  featureList.forEach(({ aspectRatio }) => formats.set(aspectRatio.format, (formats.get(aspectRatio.format) || 0) + 1));
+
+  return {
+    palette: [...colors.values()]
+      .sort((a, b) => b.share - a.share)
+      .slice(0, PALETTE_SIZE)
+      .map(entry => ({
+        color: `#${toHex(entry.r / entry.share)}${toHex(entry.g / entry.share)}${toHex(entry.b / entry.share)}`,
+        // Average share of the image across ads
+        share: round(entry.share / count)
+      })),
+    averageBrightness: average(features => features.brightness),
+    averageContrast: average(features => features.contrast),
+    averageTextOverlayRatio: average(features => features.textOverlayRatio),
+    peoplePresenceRate: round(featureList.filter(features => features.people.likely).length / count * 100),
+    formats: [...formats.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([format, formatCount]) => ({ format, share: round(formatCount / count * 100) }))
+  };
+};
+
+/**
+ * Create a JPEG thumbnail of a PNG or JPEG image
+ * @param {Buffer} buffer - Image file contents
+ * @param {number} [side] - Maximum length of the thumbnail's longer side
+ * @returns {Buffer} - JPEG file contents
+ * @throws {Error} - With status 415 for other formats, 413 for images over MAX_IMAGE_MEGAPIXELS
+ */
+const createThumbnail = (buffer, side = THUMBNAIL_SIDE) => {
+  const { width, height, rgb } = downsample(decodeImage(buffer), side);
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    for (let channel = 0; channel < 3; channel++) {
+      data[i * 4 + channel] = Math.round(rgb[i * 3 + channel]);
+    }
+    data[i * 4 + 3] = 255;
+  }
+  return jpeg.encode({ width, height, data }, THUMBNAIL_QUALITY).data;
+};
+
+module.exports = {
+  decodeImage,
+  createThumbnail,
+  extractVisualFeatures,
+  aggregateVisualFeatures,
+  hammingDistance
+};
@@ -0,0 +1,216 @@
+// tests/controllers/adController.test.js
+// The controller only pages through the Ad Library and scores what it finds
+jest.mock('../../src/adapters/facebookAdLibraryAdapter', () => class FacebookAdLibraryAdapter {
+  iterateAdPages() {}
+  getAdDetails() {}
+});
+jest.mock('../../src/services/adAnalysisEngine', () => ({ processAds: jest.fn() }));
+
+const mongoose = require('mongoose');
+const FacebookAdLibraryAdapter = require('../../src/adapters/facebookAdLibraryAdapter');
+const AdAnalysisEngine = require('../../src/services/adAnalysisEngine');
+const SuccessfulAdModel = require('../../src/models/successfulAd');
+const ScoringProfileService = require('../../src/services/scoringProfileService');
+const AdSuccessScoreCalculator = require('../../src/services/adSuccessScoreCalculator');
+const SnapshotArchiveService = require('../../src/services/snapshotArchiveService');
+const adController = require('../../src/controllers/adController');
+const { encodeCursor, decodeCursor } = require('../../src/utils/cursor');
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.redirect = jest.fn(() => res);
+  return res;
+};
+
+const call = async (handler, req) => {
+  const res = createResponse();
+  await handler({ params: {}, query: {}, ...req }, res);
+  return { status: res.status.mock.calls[0]?.[0] || 200, body: res.json.mock.calls[0][0] };
+};
+
+const search = (query) => call(adController.searchSuccessfulAds, { query });
+
+const setDatabaseConnected = (connected) => {
+  Object.defineProperty(mongoose.connection, 'readyState', { get: () => (connected ? 1 : 0), configurable: true });
+};
+
+// Ad Library pages of 100 ads each, linked by cursors
+const PAGE_SIZE = 100;
+const PAGE_COUNT = 8;
+const libraryPages = Array.from({ length: PAGE_COUNT }, (_, page) => ({
+  cursor: page === 0 ? null : `page${page}`,
+  nextCursor: page + 1 < PAGE_COUNT ? `page${page + 1}` : null,
+  ads: Array.from({ length: PAGE_SIZE }, (_, index) => ({ id: String(page * PAGE_SIZE + index) }))
+}));
+
+describe('searchSuccessfulAds', () => {
+  let scores;
+
+  beforeEach(() => {
+    scores = {};
+    jest.spyOn(ScoringProfileService, 'getProfile').mockResolvedValue({ name: 'default', version: 1 });
+    jest.spyOn(AdAnalysisEngine, 'processAds').mockImplementation(async (ads) =>
+      ads.map(ad => ({ ...ad, successScore: scores[ad.id] ?? 10 })));
+    jest.spyOn(FacebookAdLibraryAdapter.prototype, 'iterateAdPages').mockImplementation(async function* (params) {
+      const start = libraryPages.findIndex(page => page.cursor === (params.after || null));
+      for (const page of libraryPages.slice(start)) {
+        yield page;
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fills a page and resumes from the cursor where it stopped', async () => {
+    [5, 150, 151, 420].forEach(id => { scores[id] = 90; });
+
+    const first = await search({ keywords: 'shoes', minScore: '80', limit: '2' });
+    expect(first.body.data.map(ad => ad.id)).toEqual(['5', '150']);
+    expect(decodeCursor(first.body.pagination.nextCursor)).toEqual({ after: 'page1', offset: 51 });
+
+    const second = await search({ keywords: 'shoes', minScore: '80', limit: '2', cursor: first.body.pagination.nextCursor });
+    expect(second.body.data.map(ad => ad.id)).toEqual(['151', '420']);
+  });
+
+  test('stops after scanning 500 ads and returns a cursor to continue', async () => {
+    scores[700] = 90;
+
+    const { body } = await search({ keywords: 'shoes', minScore: '80', limit: '10' });
+    expect(body.data).toEqual([]);
+    expect(body.pagination).toMatchObject({ scanned: 500, hasMore: true });
+    expect(decodeCursor(body.pagination.nextCursor)).toEqual({ after: 'page5', offset: 0 });
+
+    const next = await search({ keywords: 'shoes', minScore: '80', limit: '10', cursor: body.pagination.nextCursor });
+    expect(next.body.data.map(ad => ad.id)).toEqual(['700']);
+    expect(next.body.pagination).toMatchObject({ scanned: 300, hasMore: false, nextCursor: null });
+  });
+
+  test('rejects tampered cursors', async () => {
+    const tampered = [
+      'not-a-cursor',
+      encodeCursor({ after: 'page1', offset: -1 }),
+      encodeCursor({ after: 'page1', offset: '5' }),
+      encodeCursor(['page1', 5])
+    ];
+
+    for (const cursor of tampered) {
+      const { status, body } = await search({ keywords: 'shoes', cursor });
+      expect(status).toBe(400);
+      expect(body.error).toBe('Invalid cursor');
+    }
+    expect(FacebookAdLibraryAdapter.prototype.iterateAdPages).not.toHaveBeenCalled();
+  });
+
+  test('fails with a 500 when the scoring profile cannot be loaded', async () => {
+    ScoringProfileService.getProfile.mockRejectedValue(new Error('connection reset'));
+
+    const { status } = await search({ keywords: 'shoes', profile: 'ecommerce' });
+    expect(status).toBe(500);
+    expect(FacebookAdLibraryAdapter.prototype.iterateAdPages).not.toHaveBeenCalled();
+  });
+});
+
+describe('ad lookups without a database', () => {
+  const liveAd = { id: '42', ad_creative_bodies: ['Live copy'] };
+
+  beforeEach(() => {
+    jest.spyOn(SuccessfulAdModel, 'findOne');
+    jest.spyOn(FacebookAdLibraryAdapter.prototype, 'getAdDetails').mockResolvedValue(liveAd);
+    jest.spyOn(AdAnalysisEngine, 'processAds').mockImplementation(async (ads) =>
+      ads.map(ad => ({ ...ad, successScore: 70 })));
+    jest.spyOn(ScoringProfileService, 'getProfile').mockResolvedValue({ name: 'default', version: 1 });
+    jest.spyOn(AdSuccessScoreCalculator, 'explainScore').mockReturnValue({ adId: '42', totalScore: 70 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setDatabaseConnected(false);
+  });
+
+  test('getAdDetails fetches the ad from the Ad Library', async () => {
+    const { status, body } = await call(adController.getAdDetails, { params: { adId: '42' } });
+
+    expect(status).toBe(200);
+    expect(body).toEqual({ success: true, data: { ...liveAd, successScore: 70 }, source: 'api' });
+    expect(SuccessfulAdModel.findOne).not.toHaveBeenCalled();
+  });
+
+  test('explainAdScore explains the live ad', async () => {
+    const { status, body } = await call(adController.explainAdScore, { params: { adId: '42' } });
+
+    expect(status).toBe(200);
+    expect(body).toEqual({ success: true, data: { adId: '42', totalScore: 70 }, source: 'api' });
+    expect(AdSuccessScoreCalculator.explainScore).toHaveBeenCalledWith(liveAd, { name: 'default', version: 1 });
+    expect(SuccessfulAdModel.findOne).not.toHaveBeenCalled();
+  });
+
+  test('both prefer the stored copy when connected', async () => {
+    setDatabaseConnected(true);
+    const storedAd = { id: '42', ad_creative_bodies: ['Stored copy'] };
+    SuccessfulAdModel.findOne.mockResolvedValue({ adData: storedAd });
+
+    const details = await call(adController.getAdDetails, { params: { adId: '42' } });
+    expect(details.body).toEqual({ success: true, data: storedAd, source: 'database' });
+
+    const explanation = await call(adController.explainAdScore, { params: { adId: '42' } });
+    expect(explanation.body.source).toBe('database');
+    expect(AdSuccessScoreCalculator.explainScore).toHaveBeenCalledWith(storedAd, { name: 'default', version: 1 });
+    expect(FacebookAdLibraryAdapter.prototype.getAdDetails).not.toHaveBeenCalled();
+  });
+});
+
+describe('getAdHistory', () => {
+  beforeEach(() => {
+    jest.spyOn(ScoringProfileService, 'getProfile').mockResolvedValue({ name: 'default', version: 1 });
+    jest.spyOn(AdSuccessScoreCalculator, 'getScoreHistory').mockResolvedValue([{ totalScore: 80 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setDatabaseConnected(false);
+  });
+
+  test('reads the history from the database', async () => {
+    setDatabaseConnected(true);
+
+    const { body } = await call(adController.getAdHistory, { params: { adId: '1' }, query: { from: '2024-01-01' } });
+    expect(body.data).toEqual([{ totalScore: 80 }]);
+    expect(AdSuccessScoreCalculator.getScoreHistory).toHaveBeenCalledWith('1', {
+      profileName: 'default',
+      from: new Date('2024-01-01'),
+      to: undefined
+    });
+  });
+
+  test('returns an empty history without a database', async () => {
+    setDatabaseConnected(false);
+
+    const { status, body } = await call(adController.getAdHistory, { params: { adId: '1' } });
+    expect(status).toBe(200);
+    expect(body.data).toEqual([]);
+    expect(AdSuccessScoreCalculator.getScoreHistory).not.toHaveBeenCalled();
+  });
+});
+
+describe('getAdSnapshot', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends ads that are not archived yet to their public Ad Library page', async () => {
+    jest.spyOn(SnapshotArchiveService, 'getArchive').mockResolvedValue({
+      adData: { id: '123', ad_snapshot_url: 'https://www.facebook.com/ads/archive/render_ad/?id=123&access_token=secret' },
+      archive: { status: 'pending' }
+    });
+
+    const res = createResponse();
+    await adController.getAdSnapshot({ params: { adId: '123' }, query: {} }, res);
+    expect(res.set).toHaveBeenCalledWith('X-Snapshot-Source', 'live');
+    expect(res.redirect).toHaveBeenCalledWith(302, 'https://www.facebook.com/ads/library/?id=123');
+  });
+});
@@ -0,0 +1,105 @@
+// tests/helpers/redisScript.js
+const { lua, lauxlib, lualib, to_luastring } = require('fengari');
+
+/**
+ * Push a command reply onto the Lua stack the way Redis converts replies:
+ * nil becomes false, integers become numbers, arrays become tables
+ * @param {Object} L - Lua state
+ * @param {*} reply - Reply from the command handler
+ */
+const pushReply = (L, reply) => {
+  if (reply === null || reply === undefined) {
+    lua.lua_pushboolean(L, false);
+  } else if (typeof reply === 'number') {
+    lua.lua_pushinteger(L, reply);
+  } else if (Array.isArray(reply)) {
+    lua.lua_createtable(L, reply.length, 0);
+    reply.forEach((item, index) => {
+      pushReply(L, item);
+      lua.lua_rawseti(L, -2, index + 1);
+    });
+  } else {
+    lua.lua_pushstring(L, to_luastring(String(reply)));
+  }
+};
+
+/**
+ * Read a script's return value the way Redis converts it: numbers are
+ * truncated to integers, false becomes null and tables become arrays
+ * @param {Object} L - Lua state
+ * @param {number} index - Stack index of the value
+ * @returns {*} - Reply as node-redis would return it
+ */
+const readReply = (L, index) => {
+  switch (lua.lua_type(L, index)) {
+    case lua.LUA_TNUMBER:
+      return Math.trunc(lua.lua_tonumber(L, index));
+    case lua.LUA_TSTRING:
+      return lua.lua_tojsstring(L, index);
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, index) ? 1 : null;
+    case lua.LUA_TTABLE: {
+      const items = [];
+      const table = lua.lua_absindex(L, index);
+      for (let i = 1; lua.lua_rawgeti(L, table, i) !== lua.LUA_TNIL; i++) {
+        items.push(readReply(L, -1));
+        lua.lua_pop(L, 1);
+      }
+      lua.lua_pop(L, 1);
+      return items;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Set a global Lua array of strings
+ * @param {Object} L - Lua state
+ * @param {string} name - Global name
+ * @param {Array} values - Values
+ */
+const setGlobalArray = (L, name, values) => {
+  lua.lua_createtable(L, values.length, 0);
+  values.forEach((value, index) => {
+    lua.lua_pushstring(L, to_luastring(String(value)));
+    lua.lua_rawseti(L, -2, index + 1);
+  });
+  lua.lua_setglobal(L, to_luastring(name));
+};
+
+/**
+ * Run a Redis Lua script, as the client's eval would, against commands handled in JS
+ * @param {string} script - Lua source
+ * @param {Object} options - node-redis eval options: { keys, arguments }
+ * @param {Function} call - Handles redis.call; receives the command name in upper case and its arguments as strings
+ * @returns {*} - Script result converted like a Redis reply
+ */
+const runScript = (script, options, call) => {
+  const L = lauxlib.luaL_newstate();
+  lualib.luaL_openlibs(L);
+
+  lua.lua_createtable(L, 0, 1);
+  lua.lua_pushcfunction(L, (state) => {
+    const args = [];
+    for (let i = 1; i <= lua.lua_gettop(state); i++) {
+      args.push(lua.lua_tojsstring(state, i));
+    }
+    pushReply(state, call(args[0].toUpperCase(), ...args.slice(1)));
+    return 1;
+  });
+  lua.lua_setfield(L, -2, to_luastring('call'));
+  lua.lua_setglobal(L, to_luastring('redis'));
+
+  setGlobalArray(L, 'KEYS', options.keys || []);
+  setGlobalArray(L, 'ARGV', options.arguments || []);
+
+  if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+    throw new Error(`Script error: ${lua.lua_tojsstring(L, -1)}`);
+  }
+  return readReply(L, -1);
+};
+
+module.exports = {
+  runScript
+};
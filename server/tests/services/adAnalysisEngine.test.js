@@ -0,0 +1,79 @@
+// tests/services/adAnalysisEngine.test.js
+const mongoose = require('mongoose');
+const SuccessfulAdModel = require('../../src/models/successfulAd');
+const cache = require('../../src/services/cache');
+const AdAnalysisEngine = require('../../src/services/adAnalysisEngine');
+
+const { getPatternsCacheKey, SUCCESS_THRESHOLD } = AdAnalysisEngine;
+
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    lean: async () => result
+  };
+  return chain;
+};
+
+describe('getPatternsCacheKey', () => {
+  test('uses the base key for an empty segment', () => {
+    expect(getPatternsCacheKey({})).toBe('ad_success_patterns');
+    expect(getPatternsCacheKey({}, 'ad_region_heatmap')).toBe('ad_region_heatmap');
+    expect(getPatternsCacheKey({ minScore: undefined })).toBe('ad_success_patterns');
+  });
+
+  test('ignores the order of fields and list values', () => {
+    const key = getPatternsCacheKey({ countries: ['US', 'GB'], pageIds: ['2', '1'], minScore: 80 });
+    expect(getPatternsCacheKey({ minScore: 80, pageIds: ['1', '2'], countries: ['GB', 'US'] })).toBe(key);
+    expect(key).toMatch(/^ad_success_patterns:[0-9a-f]{16}$/);
+  });
+
+  test('ignores fields that are not segment filters', () => {
+    expect(getPatternsCacheKey({ keywords: 'shoes', limit: 10 })).toBe(getPatternsCacheKey({ keywords: 'shoes' }));
+  });
+
+  test('separates different segments and analyses', () => {
+    const keys = [
+      getPatternsCacheKey({ keywords: 'shoes' }),
+      getPatternsCacheKey({ keywords: 'boots' }),
+      getPatternsCacheKey({ keywords: 'shoes', maxScore: 50 }),
+      getPatternsCacheKey({ keywords: 'shoes' }, 'ad_audience_profile')
+    ];
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+});
+
+describe('AdAnalysisEngine segment score band', () => {
+  let find;
+
+  beforeEach(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+    find = jest.spyOn(SuccessfulAdModel, 'find').mockReturnValue(query([]));
+    jest.spyOn(cache, 'get').mockResolvedValue(null);
+    jest.spyOn(cache, 'set').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.defineProperty(mongoose.connection, 'readyState', { get: () => 0, configurable: true });
+  });
+
+  const scoreFilter = async (segment) => {
+    await AdAnalysisEngine.getRegionHeatmap(segment);
+    return find.mock.lastCall[0].successScore;
+  };
+
+  test('defaults to the successful ads', async () => {
+    expect(await scoreFilter({})).toEqual({ $gte: SUCCESS_THRESHOLD });
+    expect(await scoreFilter({ maxScore: 90 })).toEqual({ $gte: SUCCESS_THRESHOLD, $lte: 90 });
+  });
+
+  test('does not raise the lower bound above a maxScore below the threshold', async () => {
+    expect(await scoreFilter({ maxScore: 50 })).toEqual({ $lte: 50 });
+  });
+
+  test('keeps an explicit minScore', async () => {
+    expect(await scoreFilter({ minScore: 0, maxScore: 50 })).toEqual({ $gte: 0, $lte: 50 });
+    expect(await scoreFilter({ minScore: 40 })).toEqual({ $gte: 40 });
+  });
+});
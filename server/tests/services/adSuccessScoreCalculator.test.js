@@ -0,0 +1,109 @@
+// tests/services/adSuccessScoreCalculator.test.js
+const AdScoreSnapshotModel = require('../../src/models/adScoreSnapshot');
+const AdSuccessScoreCalculator = require('../../src/services/adSuccessScoreCalculator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Snapshots captured daily, oldest first
+const createSnapshots = (count) => Array.from({ length: count }, (_, index) => ({
+  adId: '1',
+  profileName: 'default',
+  profileVersion: 1,
+  capturedAt: new Date(Date.UTC(2022, 0, 1) + index * DAY_MS),
+  totalScore: index % 100,
+  componentScores: {},
+  rawMetrics: { durationDays: index }
+}));
+
+// A find() chain that sorts and limits like MongoDB
+const query = (documents) => {
+  let sorted = documents;
+  let limit = Infinity;
+  const chain = {
+    sort: jest.fn((spec) => {
+      const direction = spec.capturedAt;
+      sorted = [...documents].sort((a, b) => direction * (a.capturedAt - b.capturedAt));
+      return chain;
+    }),
+    limit: jest.fn((count) => {
+      limit = count;
+      return chain;
+    }),
+    lean: async () => sorted.slice(0, limit)
+  };
+  return chain;
+};
+
+describe('AdSuccessScoreCalculator.getScoreHistory', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns every snapshot in chronological order', async () => {
+    jest.spyOn(AdScoreSnapshotModel, 'find').mockReturnValue(query(createSnapshots(3)));
+
+    const history = await AdSuccessScoreCalculator.getScoreHistory('1');
+    expect(history.map(snapshot => snapshot.durationDays)).toEqual([0, 1, 2]);
+  });
+
+  test('keeps the latest 1000 snapshots of a long history', async () => {
+    const snapshots = createSnapshots(1200);
+    jest.spyOn(AdScoreSnapshotModel, 'find').mockReturnValue(query(snapshots));
+
+    const history = await AdSuccessScoreCalculator.getScoreHistory('1');
+    expect(history).toHaveLength(1000);
+    expect(history[0].capturedAt).toEqual(snapshots[200].capturedAt);
+    expect(history[999].capturedAt).toEqual(snapshots[1199].capturedAt);
+    expect(history.every((snapshot, index) => index === 0 || snapshot.capturedAt > history[index - 1].capturedAt)).toBe(true);
+  });
+
+  test('filters by profile and capture time', async () => {
+    const find = jest.spyOn(AdScoreSnapshotModel, 'find').mockReturnValue(query([]));
+    const from = new Date('2024-01-01T00:00:00Z');
+    const to = new Date('2024-02-01T00:00:00Z');
+
+    await AdSuccessScoreCalculator.getScoreHistory('1', { profileName: 'ecommerce', from, to });
+    expect(find).toHaveBeenCalledWith({ adId: '1', profileName: 'ecommerce', capturedAt: { $gte: from, $lte: to } });
+  });
+});
+
+describe('AdSuccessScoreCalculator spend without an exchange rate', () => {
+  const createAd = (fields) => ({
+    id: '1',
+    ad_delivery_start_time: '2024-01-01',
+    ad_delivery_stop_time: '2024-03-01',
+    impressions: { lower_bound: '10000', upper_bound: '49999' },
+    spend: { lower_bound: '1000', upper_bound: '4999' },
+    ...fields
+  });
+
+  test('scores the spend as unknown', async () => {
+    const vnd = await AdSuccessScoreCalculator.calculateScore(createAd({ currency: 'VND' }));
+    const usd = await AdSuccessScoreCalculator.calculateScore(createAd({ currency: 'USD' }));
+
+    expect(vnd.componentScores.spendScore).toBe(0);
+    expect(usd.componentScores.spendScore).toBeGreaterThan(0);
+
+    const metrics = AdSuccessScoreCalculator.extractMetrics(createAd({ currency: 'VND' }));
+    expect(metrics.spendAmount).toBe(0);
+    expect(metrics.spendRange).toMatchObject({ lower: 1000, upper: 4999, currency: 'VND' });
+  });
+
+  test('flags the spend in the explanation', () => {
+    const explanation = AdSuccessScoreCalculator.explainScore(createAd({ currency: 'VND' }));
+    const spend = explanation.components.find(component => component.component === 'spend');
+
+    expect(spend).toMatchObject({ unknown: true, points: 0, pointsRange: { min: 0, max: 25 }, counterfactual: null });
+    expect(explanation.warnings).toEqual([
+      'Spend is reported in VND, which has no exchange rate, so it scores 0 points'
+    ]);
+    expect(explanation.totalScoreRange.max).toBeGreaterThanOrEqual(explanation.totalScore + 20);
+  });
+
+  test('has no warnings for convertible spend', () => {
+    const explanation = AdSuccessScoreCalculator.explainScore(createAd({ currency: 'EUR' }));
+
+    expect(explanation.warnings).toEqual([]);
+    expect(explanation.components.every(component => component.unknown === false)).toBe(true);
+  });
+});
@@ -0,0 +1,28 @@
+// tests/services/advertiserService.test.js
+const AdvertiserService = require('../../src/services/advertiserService');
+
+describe('AdvertiserService.getSpendOverTime', () => {
+  const windows = new Map([
+    ['1', { start: new Date('2024-01-01T00:00:00Z'), end: new Date('2024-01-31T00:00:00Z') }],
+    ['2', { start: new Date('2024-01-01T00:00:00Z'), end: new Date('2024-01-31T00:00:00Z') }]
+  ]);
+
+  test('leaves out spend in a currency without an exchange rate', () => {
+    const ads = [
+      { id: '1', currency: 'USD', spend: { lower_bound: '100', upper_bound: '199' } },
+      { id: '2', currency: 'VND', spend: { lower_bound: '1000000', upper_bound: '4999999' } }
+    ];
+
+    expect(AdvertiserService.getSpendOverTime(ads, windows)).toEqual({
+      currency: 'USD',
+      months: [{ month: '2024-01', lower: 100, estimate: 149.5, upper: 199, ads: 1 }],
+      unconvertedAds: 1
+    });
+  });
+
+  test('counts no unconverted ads when every currency converts', () => {
+    const ads = [{ id: '1', currency: 'USD', spend: { lower_bound: '100', upper_bound: '199' } }];
+
+    expect(AdvertiserService.getSpendOverTime(ads, windows).unconvertedAds).toBe(0);
+  });
+});
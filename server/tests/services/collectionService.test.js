@@ -0,0 +1,58 @@
+// tests/services/collectionService.test.js
+const mongoose = require('mongoose');
+const CollectionModel = require('../../src/models/collection');
+const CollectionItemModel = require('../../src/models/collectionItem');
+const CollectionService = require('../../src/services/collectionService');
+
+const OWNER_ID = new mongoose.Types.ObjectId().toString();
+const COLLECTION_ID = new mongoose.Types.ObjectId().toString();
+
+// Chainable stand-in for a Mongoose query
+const query = (result) => ({
+  select: () => query(result),
+  sort: () => query(result),
+  lean: async () => result
+});
+
+describe('CollectionService.reorderItems', () => {
+  beforeEach(() => {
+    jest.spyOn(CollectionModel, 'exists').mockResolvedValue({ _id: COLLECTION_ID });
+    jest.spyOn(CollectionModel, 'updateOne').mockResolvedValue({});
+    jest.spyOn(CollectionItemModel, 'find').mockImplementation(() =>
+      query(['a', 'b', 'c'].map(adId => ({ adId }))));
+    jest.spyOn(CollectionItemModel, 'bulkWrite').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stores the new position of every ad', async () => {
+    await CollectionService.reorderItems(OWNER_ID, COLLECTION_ID, ['c', 'a', 'b']);
+
+    expect(CollectionItemModel.bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { collectionId: COLLECTION_ID, adId: 'c' }, update: { $set: { position: 0 } } } },
+      { updateOne: { filter: { collectionId: COLLECTION_ID, adId: 'a' }, update: { $set: { position: 1 } } } },
+      { updateOne: { filter: { collectionId: COLLECTION_ID, adId: 'b' }, update: { $set: { position: 2 } } } }
+    ]);
+  });
+
+  test.each([
+    ['a partial order', ['c', 'a']],
+    ['a repeated ad', ['a', 'a', 'b']],
+    ['an ad outside the collection', ['a', 'b', 'x']],
+    ['an extra ad', ['a', 'b', 'c', 'x']]
+  ])('rejects %s', async (description, adIds) => {
+    await expect(CollectionService.reorderItems(OWNER_ID, COLLECTION_ID, adIds))
+      .rejects.toMatchObject({ status: 400, message: 'adIds must list every ad in the collection exactly once' });
+    expect(CollectionItemModel.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  test('returns null for a collection the user does not own', async () => {
+    CollectionModel.exists.mockResolvedValue(null);
+
+    expect(await CollectionService.reorderItems(OWNER_ID, COLLECTION_ID, ['a', 'b', 'c'])).toBeNull();
+    expect(CollectionModel.exists).toHaveBeenCalledWith({ _id: COLLECTION_ID, ownerId: OWNER_ID });
+    expect(await CollectionService.reorderItems(OWNER_ID, 'not-an-id', ['a', 'b', 'c'])).toBeNull();
+  });
+});
@@ -0,0 +1,162 @@
+// tests/services/crawlService.test.js
+const { CrawlService } = require('../../src/services/crawlService');
+const { runScript } = require('../helpers/redisScript');
+
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+// The Redis commands the crawler uses, on in-memory strings, hashes and sorted sets
+const createFakeRedis = () => {
+  const strings = new Map();
+  const hashes = new Map();
+  const sortedSets = new Map();
+  const hash = (key) => hashes.get(key) || hashes.set(key, new Map()).get(key);
+  const sortedSet = (key) => sortedSets.get(key) || sortedSets.set(key, new Map()).get(key);
+
+  const commands = {
+    GET: (key) => strings.get(key) ?? null,
+    DEL: (key) => (strings.delete(key) ? 1 : 0)
+  };
+
+  const client = {
+    set: jest.fn(async (key, value, options = {}) => {
+      if (options.NX && strings.has(key)) return null;
+      strings.set(key, value);
+      return 'OK';
+    }),
+    eval: jest.fn(async (script, options) => runScript(script, options, (command, ...args) => commands[command](...args))),
+    hSet: async (key, field, value) => { hash(key).set(field, value); },
+    hGet: async (key, field) => hash(key).get(field) ?? null,
+    hGetAll: async (key) => Object.fromEntries(hash(key)),
+    hDel: async (key, field) => (hash(key).delete(field) ? 1 : 0),
+    hExists: async (key, field) => hash(key).has(field),
+    zAdd: async (key, { score, value }) => { sortedSet(key).set(value, score); },
+    zRem: async (key, value) => (sortedSet(key).delete(value) ? 1 : 0),
+    zRangeByScore: async (key, min, max) => [...sortedSet(key)]
+      .filter(([, score]) => score >= min && score <= max)
+      .sort((a, b) => a[1] - b[1])
+      .map(([value]) => value),
+    zScore: async (key, value) => sortedSet(key).get(value) ?? null
+  };
+
+  return { isConnected: true, client, strings };
+};
+
+const createService = ({ remaining = 200, circuitOpen = false } = {}) => {
+  const redis = createFakeRedis();
+  const adapter = {
+    getRateLimitStatus: jest.fn(() => ({ remaining, circuitOpen })),
+    fetchAllAds: jest.fn(async () => [{ id: '1' }, { id: '2' }])
+  };
+  const engine = {
+    SUCCESS_THRESHOLD: 70,
+    processAds: jest.fn(async (ads) => ads.map(ad => ({ ...ad, successScore: ad.id === '1' ? 80 : 40 })))
+  };
+  const service = new CrawlService({ redis, adapter, engine });
+  return { service, redis, adapter, engine };
+};
+
+describe('CrawlService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('runs due jobs under a lock and schedules the next run', async () => {
+    const { service, redis, adapter } = createService();
+    const job = await service.createJob({ keywords: 'shoes', intervalMinutes: 60 });
+
+    await service.tick();
+
+    expect(redis.client.set).toHaveBeenCalledWith(`crawl:lock:${job.id}`, service.instanceId, { NX: true, PX: LOCK_TTL_MS });
+    expect(adapter.fetchAllAds).toHaveBeenCalledTimes(1);
+    expect(redis.strings.has(`crawl:lock:${job.id}`)).toBe(false);
+
+    const updated = await service.getJob(job.id);
+    expect(updated.lastRun).toMatchObject({ status: 'success', fetched: 2, successful: 1 });
+    expect(updated.nextRunAt).toBe('2024-01-01T01:00:00.000Z');
+    expect(await redis.client.zScore('crawl:schedule', job.id)).toBe(Date.parse('2024-01-01T01:00:00Z'));
+  });
+
+  test('skips jobs another instance holds the lock for', async () => {
+    const { service, redis, adapter } = createService();
+    const job = await service.createJob({ keywords: 'shoes' });
+    redis.strings.set(`crawl:lock:${job.id}`, 'other-instance');
+
+    await service.tick();
+
+    expect(adapter.fetchAllAds).not.toHaveBeenCalled();
+    expect(redis.strings.get(`crawl:lock:${job.id}`)).toBe('other-instance');
+  });
+
+  test('does not release a lock another instance took over during a long run', async () => {
+    const { service, redis, adapter } = createService();
+    const job = await service.createJob({ keywords: 'shoes' });
+    adapter.fetchAllAds.mockImplementation(async () => {
+      // The lock expired mid-run and another replica claimed the job
+      redis.strings.set(`crawl:lock:${job.id}`, 'other-instance');
+      return [];
+    });
+
+    await service.tick();
+
+    expect(redis.strings.get(`crawl:lock:${job.id}`)).toBe('other-instance');
+  });
+
+  test('leaves the reserved request budget for interactive searches', async () => {
+    const reserved = createService({ remaining: 20 });
+    await reserved.service.createJob({ keywords: 'shoes' });
+    await reserved.service.tick();
+    expect(reserved.adapter.fetchAllAds).not.toHaveBeenCalled();
+
+    const available = createService({ remaining: 21 });
+    await available.service.createJob({ keywords: 'shoes' });
+    await available.service.tick();
+    expect(available.adapter.fetchAllAds).toHaveBeenCalledTimes(1);
+  });
+
+  test('defers the remaining due jobs once the budget runs out', async () => {
+    const { service, adapter } = createService();
+    adapter.getRateLimitStatus
+      .mockReturnValueOnce({ remaining: 21, circuitOpen: false })
+      .mockReturnValue({ remaining: 20, circuitOpen: false });
+    const first = await service.createJob({ keywords: 'shoes' });
+    const second = await service.createJob({ keywords: 'boots' });
+
+    await service.tick();
+
+    expect(adapter.fetchAllAds).toHaveBeenCalledTimes(1);
+    expect((await service.getJob(first.id)).lastRun).not.toBeNull();
+    expect((await service.getJob(second.id)).lastRun).toBeNull();
+  });
+
+  test('does not crawl while the Ad Library circuit is open', async () => {
+    const { service, adapter } = createService({ circuitOpen: true });
+    await service.createJob({ keywords: 'shoes' });
+
+    await service.tick();
+
+    expect(adapter.fetchAllAds).not.toHaveBeenCalled();
+  });
+
+  test('retries a throttled job when the Ad Library accepts requests again', async () => {
+    const { service, adapter } = createService();
+    const throttled = Object.assign(new Error('Throttled'), { status: 503, retryAfter: 120 });
+    adapter.fetchAllAds.mockRejectedValue(throttled);
+    const job = await service.createJob({ keywords: 'shoes', intervalMinutes: 60 });
+
+    const updated = await service.runJob(job.id);
+
+    expect(updated.lastRun).toMatchObject({ status: 'failed', error: 'Throttled' });
+    expect(updated.nextRunAt).toBe('2024-01-01T00:02:00.000Z');
+  });
+
+  test('fails with a 503 while Redis is unavailable', async () => {
+    const { service, redis } = createService();
+    redis.isConnected = false;
+
+    await expect(service.createJob({ keywords: 'shoes' })).rejects.toMatchObject({ status: 503 });
+  });
+});
@@ -0,0 +1,198 @@
+// tests/services/rateLimitStore.test.js
+const { RateLimitStore } = require('../../src/services/rateLimitStore');
+const { runScript } = require('../helpers/redisScript');
+
+const WINDOW_MS = 60 * 1000;
+
+const createClock = (start = 0) => {
+  let time = start;
+  return {
+    now: () => time,
+    advance: (ms) => { time += ms; }
+  };
+};
+
+// Redis keyspace for the store's Lua script, with key expiry driven by the test clock
+const createFakeRedis = (clock) => {
+  const keys = new Map();
+  const expiries = new Map();
+
+  const read = (key) => {
+    if (expiries.has(key) && expiries.get(key) <= clock.now()) {
+      keys.delete(key);
+      expiries.delete(key);
+    }
+    return keys.has(key) ? keys.get(key) : null;
+  };
+
+  const commands = {
+    GET: (key) => read(key),
+    INCR: (key) => {
+      const value = Number(read(key) || 0) + 1;
+      keys.set(key, String(value));
+      return value;
+    },
+    PEXPIRE: (key, ms) => {
+      if (read(key) === null) return 0;
+      expiries.set(key, clock.now() + Number(ms));
+      return 1;
+    }
+  };
+
+  return {
+    isConnected: true,
+    read,
+    expiries,
+    client: {
+      eval: jest.fn(async (script, options) => runScript(script, options, (command, ...args) => commands[command](...args)))
+    }
+  };
+};
+
+const consumeTimes = async (store, times, limit = 5) => {
+  const results = [];
+  for (let i = 0; i < times; i++) {
+    results.push(await store.consume('test:user:1', limit, WINDOW_MS));
+  }
+  return results;
+};
+
+describe.each([
+  ['memory', () => ({ memoryOnly: true })],
+  ['redis', (clock) => ({ redis: createFakeRedis(clock) })]
+])('RateLimitStore (%s)', (name, createOptions) => {
+  test('allows requests up to the limit within a window', async () => {
+    const clock = createClock();
+    const store = new RateLimitStore({ ...createOptions(clock), clock });
+
+    const results = await consumeTimes(store, 6);
+    expect(results.map(result => result.allowed)).toEqual([true, true, true, true, true, false]);
+    expect(results.map(result => result.remaining)).toEqual([4, 3, 2, 1, 0, 0]);
+    expect(results[0]).toMatchObject({ resetMs: WINDOW_MS, retryAfterMs: 0 });
+  });
+
+  test('weights the previous window by how much of it still overlaps', async () => {
+    const clock = createClock();
+    const store = new RateLimitStore({ ...createOptions(clock), clock });
+    await consumeTimes(store, 4);
+
+    // A quarter into the next window, the previous 4 requests still count as 3
+    clock.advance(WINDOW_MS + WINDOW_MS / 4);
+    const results = await consumeTimes(store, 3);
+    expect(results.map(result => result.allowed)).toEqual([true, true, false]);
+    expect(results[2].resetMs).toBe(WINDOW_MS * 3 / 4);
+  });
+
+  test('tells a denied client when the estimate drops below the limit', async () => {
+    const clock = createClock();
+    const store = new RateLimitStore({ ...createOptions(clock), clock });
+    await consumeTimes(store, 5);
+
+    // A tenth into the next window, the previous 5 requests count as 4.5, leaving room for one
+    clock.advance(WINDOW_MS + WINDOW_MS / 10);
+    const [, denied] = await consumeTimes(store, 2);
+    expect(denied.allowed).toBe(false);
+    expect(denied.retryAfterMs).toBe(WINDOW_MS / 10);
+
+    // The estimate has to drop below the limit, not just reach it
+    clock.advance(denied.retryAfterMs + 1);
+    const [allowed] = await consumeTimes(store, 1);
+    expect(allowed.allowed).toBe(true);
+  });
+
+  test('waits for a full current window to fade when it alone reaches the limit', async () => {
+    const clock = createClock();
+    const store = new RateLimitStore({ ...createOptions(clock), clock });
+    clock.advance(WINDOW_MS / 2);
+    await consumeTimes(store, 5);
+
+    const [denied] = await consumeTimes(store, 1);
+    expect(denied.retryAfterMs).toBe(WINDOW_MS / 2);
+  });
+
+  test('forgets counts older than the previous window', async () => {
+    const clock = createClock();
+    const store = new RateLimitStore({ ...createOptions(clock), clock });
+    await consumeTimes(store, 5);
+
+    clock.advance(WINDOW_MS * 2);
+    const [result] = await consumeTimes(store, 1);
+    expect(result).toMatchObject({ allowed: true, remaining: 4 });
+  });
+
+  test('counts keys separately', async () => {
+    const clock = createClock();
+    const store = new RateLimitStore({ ...createOptions(clock), clock });
+    await consumeTimes(store, 5);
+
+    const other = await store.consume('test:user:2', 5, WINDOW_MS);
+    expect(other.allowed).toBe(true);
+  });
+});
+
+describe('RateLimitStore in Redis', () => {
+  test('keeps each window counter for two windows', async () => {
+    const clock = createClock();
+    const redis = createFakeRedis(clock);
+    const store = new RateLimitStore({ redis, clock });
+
+    await store.consume('test:user:1', 5, WINDOW_MS);
+    clock.advance(WINDOW_MS / 2);
+    await store.consume('test:user:1', 5, WINDOW_MS);
+    expect(redis.read('ratelimit:test:user:1:0')).toBe('2');
+    // The expiry is set by the first request of the window and not pushed back by later ones
+    expect(redis.expiries.get('ratelimit:test:user:1:0')).toBe(WINDOW_MS * 2);
+    expect(store.memory.size).toBe(0);
+
+    clock.advance(WINDOW_MS * 3 / 2);
+    expect(redis.read('ratelimit:test:user:1:0')).toBeNull();
+  });
+
+  test('does not count denied requests', async () => {
+    const clock = createClock();
+    const redis = createFakeRedis(clock);
+    const store = new RateLimitStore({ redis, clock });
+
+    await consumeTimes(store, 8);
+    expect(redis.read('ratelimit:test:user:1:0')).toBe('5');
+  });
+});
+
+describe('RateLimitStore fallback', () => {
+  test('counts in memory while Redis is disconnected', async () => {
+    const clock = createClock();
+    const redis = { ...createFakeRedis(clock), isConnected: false };
+    const store = new RateLimitStore({ redis, clock });
+
+    const results = await consumeTimes(store, 6);
+    expect(redis.client.eval).not.toHaveBeenCalled();
+    expect(results[5].allowed).toBe(false);
+  });
+
+  test('falls back to memory when a Redis call fails and recovers afterwards', async () => {
+    const clock = createClock();
+    const redis = createFakeRedis(clock);
+    const evalInRedis = redis.client.eval.getMockImplementation();
+    redis.client.eval.mockRejectedValue(new Error('Connection reset'));
+    const store = new RateLimitStore({ redis, clock });
+
+    const results = await consumeTimes(store, 6);
+    expect(results.map(result => result.allowed)).toEqual([true, true, true, true, true, false]);
+    expect(store.usingFallback).toBe(true);
+    expect(store.memory.get('test:user:1')).toMatchObject({ current: 5 });
+
+    redis.client.eval.mockImplementation(evalInRedis);
+    const [result] = await consumeTimes(store, 1);
+    expect(result).toMatchObject({ allowed: true, remaining: 4 });
+    expect(store.usingFallback).toBe(false);
+  });
+
+  test('ignores Redis in memory-only mode', async () => {
+    const clock = createClock();
+    const redis = createFakeRedis(clock);
+    const store = new RateLimitStore({ redis, clock, memoryOnly: true });
+
+    await store.consume('test:user:1', 5, WINDOW_MS);
+    expect(redis.client.eval).not.toHaveBeenCalled();
+  });
+});
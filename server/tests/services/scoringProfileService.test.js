@@ -0,0 +1,79 @@
+// tests/services/scoringProfileService.test.js
+const mongoose = require('mongoose');
+const ScoringProfileModel = require('../../src/models/scoringProfile');
+const ScoringProfileService = require('../../src/services/scoringProfileService');
+
+const { DEFAULT_SCORING_PROFILE } = ScoringProfileService;
+
+const createDefinition = (thresholds = {}) => ({
+  weights: { ...DEFAULT_SCORING_PROFILE.weights },
+  thresholds: { ...DEFAULT_SCORING_PROFILE.thresholds, ...thresholds }
+});
+
+const setDatabaseConnected = (connected) => {
+  Object.defineProperty(mongoose.connection, 'readyState', { get: () => (connected ? 1 : 0), configurable: true });
+};
+
+describe('ScoringProfileService.validateProfile', () => {
+  test('accepts the built-in profile', () => {
+    expect(ScoringProfileService.validateProfile(createDefinition())).toEqual([]);
+  });
+
+  test('rejects breakpoints whose points decrease', () => {
+    // The last breakpoint scores 25 as required, but an earlier one scores more
+    const errors = ScoringProfileService.validateProfile(createDefinition({
+      duration: [{ value: 7, points: 80 }, { value: 60, points: 25 }]
+    }));
+    expect(errors).toEqual(['thresholds.duration points must not decrease']);
+  });
+
+  test('accepts breakpoints with equal points', () => {
+    expect(ScoringProfileService.validateProfile(createDefinition({
+      duration: [{ value: 7, points: 25 }, { value: 60, points: 25 }]
+    }))).toEqual([]);
+  });
+
+  test('rejects values that do not increase', () => {
+    const errors = ScoringProfileService.validateProfile(createDefinition({
+      spend: [{ value: 500, points: 5 }, { value: 500, points: 25 }]
+    }));
+    expect(errors).toEqual(['thresholds.spend values must be strictly increasing']);
+  });
+
+  test('rejects weights that do not add up to 100 points', () => {
+    const definition = createDefinition();
+    definition.weights.duration = 2;
+    expect(ScoringProfileService.validateProfile(definition)).toEqual(['Weighted maximum score must equal 100 (got 120)']);
+  });
+});
+
+describe('ScoringProfileService.getProfile', () => {
+  const query = (result) => ({ sort: () => ({ lean: () => result }) });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setDatabaseConnected(false);
+  });
+
+  test('returns the latest stored version', async () => {
+    setDatabaseConnected(true);
+    const stored = { ...createDefinition(), name: 'ecommerce', version: 3 };
+    const findOne = jest.spyOn(ScoringProfileModel, 'findOne').mockReturnValue(query(Promise.resolve(stored)));
+
+    await expect(ScoringProfileService.getProfile(' Ecommerce ')).resolves.toBe(stored);
+    expect(findOne).toHaveBeenCalledWith({ name: 'ecommerce' });
+  });
+
+  test('falls back to the built-in profile without a database', async () => {
+    await expect(ScoringProfileService.getProfile()).resolves.toBe(DEFAULT_SCORING_PROFILE);
+    await expect(ScoringProfileService.getProfile('ecommerce')).resolves.toBeNull();
+  });
+
+  test('fails instead of reporting a profile unknown when the query fails', async () => {
+    setDatabaseConnected(true);
+    jest.spyOn(ScoringProfileModel, 'findOne').mockReturnValue(query(Promise.reject(new Error('connection reset'))));
+
+    await expect(ScoringProfileService.getProfile('ecommerce')).rejects.toThrow('connection reset');
+    await expect(ScoringProfileService.getProfile()).rejects.toThrow('connection reset');
+  });
+});
@@ -0,0 +1,127 @@
+// tests/services/snapshotArchiveService.test.js
+const { publicHttpAgent, publicHttpsAgent } = require('../../src/utils/publicUrl');
+const {
+  SnapshotArchiveService,
+  findMediaReferences,
+  sanitizeHtml
+} = require('../../src/services/snapshotArchiveService');
+
+describe('findMediaReferences', () => {
+  test('finds image and video sources and video posters', () => {
+    const html = `
+      <div><img class="creative" src="https://scontent.example/a.jpg?x=1&amp;y=2" alt=""></div>
+      <video poster='https://video.example/poster.jpg'>
+        <source src="https://video.example/clip.mp4" type="video/mp4">
+      </video>
+      <IMG SRC = "/relative.png">`;
+
+    expect(findMediaReferences(html)).toEqual([
+      'https://scontent.example/a.jpg?x=1&amp;y=2',
+      'https://video.example/poster.jpg',
+      'https://video.example/clip.mp4',
+      '/relative.png'
+    ]);
+  });
+
+  test('lists each reference once and skips data URIs and other tags', () => {
+    const html = `
+      <img src="https://cdn.example/a.jpg"><img src="https://cdn.example/a.jpg">
+      <img src="data:image/png;base64,iVBORw0KGgo=">
+      <script src="https://cdn.example/app.js"></script>
+      <iframe src="https://tracker.example/"></iframe>
+      <img data-src="https://cdn.example/lazy.jpg" srcset="https://cdn.example/b.jpg 2x">`;
+
+    expect(findMediaReferences(html)).toEqual(['https://cdn.example/a.jpg']);
+  });
+});
+
+describe('sanitizeHtml', () => {
+  test('removes scripts and base URLs', () => {
+    const html = '<head><base href="https://evil.example/"><script>steal()</script>' +
+      '<SCRIPT type="module">\nimport x from "y";\n</SCRIPT ></head><body>Ad</body>';
+
+    expect(sanitizeHtml(html)).toBe('<head></head><body>Ad</body>');
+  });
+
+  test('removes inline event handlers however they are quoted', () => {
+    const html = '<img src="a.jpg" onerror="steal()"><div onClick=\'steal()\'>Shop</div><body onload=steal()>';
+
+    expect(sanitizeHtml(html)).toBe('<img src="a.jpg"><div>Shop</div><body>');
+  });
+
+  test('keeps markup and text that only look like handlers', () => {
+    const html = '<p class="one">Turn on=off</p><a href="https://shop.example/?on=1">Buy</a>';
+
+    expect(sanitizeHtml(html)).toBe(html);
+  });
+});
+
+describe('SnapshotArchiveService downloads', () => {
+  // Public IP literals, so the address checks need no DNS
+  const SNAPSHOT_URL = 'https://93.184.216.34/ads/archive/render_ad/?id=1&access_token=secret';
+  const MEDIA_URL = 'https://151.101.1.1/a.gif';
+
+  // An HTTP client serving fixed responses by URL
+  const createHttpClient = (responses) => ({
+    get: jest.fn(async (url) => {
+      const response = responses[url];
+      if (!response) {
+        throw new Error(`Unexpected request to ${url}`);
+      }
+      return { status: 200, data: Buffer.from(''), ...response };
+    })
+  });
+
+  const page = (html) => ({ data: Buffer.from(html), headers: { 'content-type': 'text/html; charset=utf-8' } });
+  const gif = { data: Buffer.from('GIF89a'), headers: { 'content-type': 'image/gif' } };
+
+  const capture = (responses, ad = { id: '1', ad_snapshot_url: SNAPSHOT_URL }) => {
+    const httpClient = createHttpClient(responses);
+    const blobStore = { put: jest.fn(async () => {}), get: jest.fn() };
+    const service = new SnapshotArchiveService({ httpClient, blobStore });
+    return { httpClient, result: service.captureSnapshot(ad) };
+  };
+
+  test('does not download media from internal addresses', async () => {
+    const { httpClient, result } = capture({
+      [SNAPSHOT_URL]: page(`<img src="${MEDIA_URL}"><img src="http://127.0.0.1/a.gif">` +
+        '<img src="http://169.254.169.254/latest/meta-data/"><img src="http://[::ffff:10.0.0.1]/a.gif">'),
+      [MEDIA_URL]: gif
+    });
+
+    const { media } = await result;
+    expect(media.map(entry => entry.sourceUrl)).toEqual([MEDIA_URL]);
+    expect(httpClient.get.mock.calls.map(([url]) => url)).toEqual([SNAPSHOT_URL, MEDIA_URL]);
+  });
+
+  test('fetches through the public agents without following redirects itself', async () => {
+    const { httpClient, result } = capture({ [SNAPSHOT_URL]: page('<p>Ad</p>') });
+
+    await result;
+    expect(httpClient.get.mock.calls[0][1]).toMatchObject({
+      maxRedirects: 0,
+      httpAgent: publicHttpAgent,
+      httpsAgent: publicHttpsAgent
+    });
+  });
+
+  test('checks redirect targets before following them', async () => {
+    const { httpClient, result } = capture({
+      [SNAPSHOT_URL]: page(`<img src="${MEDIA_URL}"><img src="https://151.101.1.1/moved.gif">`),
+      [MEDIA_URL]: { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } },
+      'https://151.101.1.1/moved.gif': { status: 301, headers: { location: '/b.gif' } },
+      'https://151.101.1.1/b.gif': gif
+    });
+
+    const { media } = await result;
+    expect(media.map(entry => entry.sourceUrl)).toEqual(['https://151.101.1.1/moved.gif']);
+    expect(httpClient.get.mock.calls.map(([url]) => url)).not.toContain('http://169.254.169.254/latest/meta-data/');
+  });
+
+  test('refuses an internal snapshot URL', async () => {
+    const { httpClient, result } = capture({}, { id: '1', ad_snapshot_url: 'http://localhost:27017/' });
+
+    await expect(result).rejects.toThrow('Must not point to a private or internal address');
+    expect(httpClient.get).not.toHaveBeenCalled();
+  });
+});
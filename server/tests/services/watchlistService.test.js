@@ -0,0 +1,208 @@
+// tests/services/watchlistService.test.js
+const http = require('http');
+const mongoose = require('mongoose');
+const WatchlistModel = require('../../src/models/watchlist');
+const WatchedAdModel = require('../../src/models/watchedAd');
+const WatchlistEventModel = require('../../src/models/watchlistEvent');
+
+jest.mock('../../src/utils/publicUrl', () => ({
+  ...jest.requireActual('../../src/utils/publicUrl'),
+  checkPublicUrl: jest.fn(async () => null)
+}));
+const { checkPublicUrl } = require('../../src/utils/publicUrl');
+const WatchlistService = require('../../src/services/watchlistService');
+
+const WATCHLIST_ID = new mongoose.Types.ObjectId();
+const NOW = new Date('2024-03-01T12:00:00Z');
+
+const query = (result) => ({ lean: async () => result });
+
+const createAd = (id, fields = {}) => ({
+  id,
+  page_id: '100',
+  page_name: 'Acme',
+  successScore: 50,
+  spend: { lower_bound: '100', upper_bound: '199' },
+  impressions: { lower_bound: '1000', upper_bound: '4999' },
+  ...fields
+});
+
+const createState = (adId, fields = {}) => ({
+  _id: `state-${adId}`,
+  watchlistId: WATCHLIST_ID,
+  adId,
+  pageId: '100',
+  pageName: 'Acme',
+  successScore: 50,
+  spendBand: { lower: 100, upper: 199 },
+  impressionsBand: { lower: 1000, upper: 4999 },
+  stoppedAt: null,
+  lastSeenAt: new Date('2024-02-28T12:00:00Z'),
+  ...fields
+});
+
+describe('WatchlistService.recordChanges', () => {
+  let watchlist;
+  let states;
+
+  beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    states = [];
+    watchlist = {
+      _id: WATCHLIST_ID,
+      id: WATCHLIST_ID.toString(),
+      name: 'Competitors',
+      baselinePageIds: ['100'],
+      webhookUrl: null,
+      save: jest.fn(async () => watchlist)
+    };
+    jest.spyOn(WatchlistModel, 'findById').mockResolvedValue(watchlist);
+    jest.spyOn(WatchedAdModel, 'find').mockImplementation((filter) => query(states.filter(state =>
+      filter.adId.$in ? filter.adId.$in.includes(state.adId) : !filter.adId.$nin.includes(state.adId) && !state.stoppedAt)));
+    jest.spyOn(WatchedAdModel, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(WatchlistEventModel, 'insertMany').mockImplementation(async (events) =>
+      events.map(event => ({ ...event, toObject: () => event })));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const record = (ads, options) => WatchlistService.recordChanges(WATCHLIST_ID.toString(), ['100'], ads, options);
+  const typesOf = (events) => events.map(event => `${event.type}:${event.adId}`);
+
+  test('only establishes a baseline on the first crawl of a page', async () => {
+    watchlist.baselinePageIds = [];
+
+    expect(await record([createAd('1'), createAd('2')])).toEqual([]);
+    expect(WatchedAdModel.bulkWrite.mock.calls[0][0]).toHaveLength(2);
+    expect(watchlist.baselinePageIds).toEqual(['100']);
+    expect(watchlist.lastCrawledAt).toEqual(NOW);
+  });
+
+  test('reports new creatives on known pages', async () => {
+    const events = await record([createAd('1', { successScore: 82, ad_creative_bodies: ['Shop now'] })]);
+
+    expect(events).toEqual([expect.objectContaining({
+      type: 'new_creative',
+      adId: '1',
+      pageId: '100',
+      pageName: 'Acme',
+      details: { successScore: 82, startedAt: undefined, body: 'Shop now' }
+    })]);
+  });
+
+  test('reports band changes, stops and ads crossing the success threshold', async () => {
+    states = [createState('1'), createState('2'), createState('3'), createState('4')];
+
+    const events = await record([
+      createAd('1', { spend: { lower_bound: '200', upper_bound: '299' } }),
+      createAd('2', { impressions: { lower_bound: '5000', upper_bound: '9999' } }),
+      createAd('3', { successScore: 75 }),
+      createAd('4', { ad_delivery_stop_time: '2024-03-01T00:00:00Z' })
+    ]);
+
+    expect(typesOf(events)).toEqual([
+      'spend_band_change:1',
+      'impressions_band_change:2',
+      'crossed_success_threshold:3',
+      'ad_stopped:4'
+    ]);
+    expect(events[0].details).toEqual({ from: { lower: 100, upper: 199 }, to: { lower: 200, upper: 299 }, currency: undefined });
+    expect(events[3].details).toEqual({ stoppedAt: new Date('2024-03-01T00:00:00Z') });
+  });
+
+  test('reports nothing for unchanged ads and scheduled stop times', async () => {
+    states = [createState('1'), createState('2')];
+
+    expect(await record([createAd('1'), createAd('2', { ad_delivery_stop_time: '2024-04-01T00:00:00Z' })])).toEqual([]);
+  });
+
+  test('reports ads that disappeared from a complete crawl as stopped', async () => {
+    states = [createState('1'), createState('2'), createState('3', { stoppedAt: new Date('2024-02-01T00:00:00Z') })];
+
+    const events = await record([createAd('1')]);
+
+    expect(events).toEqual([expect.objectContaining({
+      type: 'ad_stopped',
+      adId: '2',
+      pageName: 'Acme',
+      details: { stoppedAt: NOW, lastSeenAt: new Date('2024-02-28T12:00:00Z'), disappeared: true }
+    })]);
+    expect(WatchedAdModel.bulkWrite.mock.calls[0][0]).toContainEqual({
+      updateOne: { filter: { _id: 'state-2' }, update: { $set: { stoppedAt: NOW } } }
+    });
+  });
+
+  test('does not treat ads missing from a truncated crawl as stopped', async () => {
+    states = [createState('1'), createState('2')];
+
+    expect(await record([createAd('1')], { complete: false })).toEqual([]);
+  });
+
+  test('ignores ads of pages outside the crawl', async () => {
+    expect(await record([createAd('1', { page_id: '999' })])).toEqual([]);
+    expect(WatchedAdModel.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  describe('webhook delivery', () => {
+    let server;
+    let requests;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        requests.push(req.url);
+        if (req.url === '/hook') {
+          res.writeHead(302, { Location: '/internal' });
+          return res.end();
+        }
+        res.end('ok');
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+      jest.useRealTimers();
+      jest.spyOn(WatchlistEventModel, 'updateMany').mockResolvedValue({});
+    });
+
+    test('does not follow redirects', async () => {
+      watchlist.webhookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+
+      const events = await record([createAd('1')]);
+
+      expect(events).toHaveLength(1);
+      expect(requests).toEqual(['/hook']);
+      expect(WatchlistEventModel.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('skips delivery when the webhook host no longer passes the address check', async () => {
+      watchlist.webhookUrl = `http://127.0.0.1:${server.address().port}/ok`;
+      checkPublicUrl.mockResolvedValueOnce('Must not point to a private or internal address');
+
+      await record([createAd('1')]);
+
+      expect(checkPublicUrl).toHaveBeenCalledWith(watchlist.webhookUrl);
+      expect(requests).toEqual([]);
+    });
+
+    test('marks events delivered when the webhook accepts them', async () => {
+      watchlist.webhookUrl = `http://127.0.0.1:${server.address().port}/ok`;
+
+      await record([createAd('1')]);
+
+      expect(requests).toEqual(['/ok']);
+      expect(WatchlistEventModel.updateMany).toHaveBeenCalledTimes(1);
+    });
+  });
+});
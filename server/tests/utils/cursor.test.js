@@ -0,0 +1,26 @@
+// tests/utils/cursor.test.js
+const { encodeCursor, decodeCursor } = require('../../src/utils/cursor');
+
+describe('cursor', () => {
+  test('round-trips pagination state through a URL-safe string', () => {
+    const state = { after: 'QVFIUmx1a2F3+/=', offset: 7 };
+    const cursor = encodeCursor(state);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual(state);
+  });
+
+  test('rejects missing and malformed cursors', () => {
+    expect(decodeCursor(undefined)).toBeNull();
+    expect(decodeCursor('')).toBeNull();
+    expect(decodeCursor(['a', 'b'])).toBeNull();
+    expect(decodeCursor('not a cursor!')).toBeNull();
+    expect(decodeCursor(encodeCursor({ offset: 1 }).slice(0, -4))).toBeNull();
+  });
+
+  test('rejects cursors that do not hold a state object', () => {
+    expect(decodeCursor(Buffer.from('[1,2]').toString('base64url'))).toBeNull();
+    expect(decodeCursor(Buffer.from('42').toString('base64url'))).toBeNull();
+    expect(decodeCursor(Buffer.from('null').toString('base64url'))).toBeNull();
+  });
+});
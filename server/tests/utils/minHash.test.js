@@ -0,0 +1,77 @@
+// tests/utils/minHash.test.js
+const {
+  NUM_HASHES,
+  getShingles,
+  computeSignature,
+  estimateSimilarity,
+  clusterSignatures
+} = require('../../src/utils/minHash');
+
+const signatureOf = (text) => computeSignature(getShingles(text));
+
+describe('getShingles', () => {
+  test('splits copy into overlapping word pairs', () => {
+    expect([...getShingles('Shop the Summer Sale now')]).toEqual(['shop the', 'the summer', 'summer sale', 'sale now']);
+  });
+
+  test('keeps short copy as a single shingle', () => {
+    expect([...getShingles('Sale')]).toEqual(['sale']);
+    expect(getShingles('').size).toBe(0);
+  });
+});
+
+describe('computeSignature', () => {
+  test('is deterministic and order-independent', () => {
+    const signature = computeSignature(new Set(['a b', 'b c']));
+    expect(signature).toHaveLength(NUM_HASHES);
+    expect(computeSignature(new Set(['b c', 'a b']))).toEqual(signature);
+  });
+
+  test('returns null for empty copy', () => {
+    expect(computeSignature(new Set())).toBeNull();
+  });
+});
+
+describe('estimateSimilarity', () => {
+  test('approximates the Jaccard similarity of the shingle sets', () => {
+    const words = Array.from({ length: 40 }, (_, index) => `word${index}`);
+    // 30 shared shingles out of 50 distinct ones: Jaccard 0.6
+    const a = computeSignature(new Set(words.slice(0, 40)));
+    const b = computeSignature(new Set([...words.slice(10, 40), ...Array.from({ length: 10 }, (_, i) => `other${i}`)]));
+    expect(estimateSimilarity(a, b)).toBeGreaterThan(0.4);
+    expect(estimateSimilarity(a, b)).toBeLessThan(0.8);
+  });
+
+  test('is 1 for identical copy and 0 without a signature', () => {
+    expect(estimateSimilarity(signatureOf('Free shipping today'), signatureOf('free shipping TODAY!'))).toBe(1);
+    expect(estimateSimilarity(signatureOf('Free shipping today'), null)).toBe(0);
+  });
+});
+
+describe('clusterSignatures', () => {
+  test('groups near-duplicate copy and keeps unrelated copy apart', () => {
+    const signatures = [
+      'Get 50% off all running shoes this weekend only at our store',
+      'Learn to code in twelve weeks with our online bootcamp',
+      'Get 50% off all running shoes this weekend only at our shop',
+      'Get 50% off all running shoes this weekend only at our store'
+    ].map(signatureOf);
+
+    expect(clusterSignatures(signatures, 0.5)).toEqual([[0, 2, 3], [1]]);
+  });
+
+  test('links variants transitively', () => {
+    const signatures = [
+      'one two three four five six seven eight nine ten',
+      'one two three four five six seven eight nine ten eleven twelve',
+      'three four five six seven eight nine ten eleven twelve'
+    ].map(signatureOf);
+    expect(estimateSimilarity(signatures[0], signatures[2])).toBeLessThan(0.7);
+
+    expect(clusterSignatures(signatures, 0.7)).toEqual([[0, 1, 2]]);
+  });
+
+  test('keeps items without a signature in their own cluster', () => {
+    expect(clusterSignatures([null, null, signatureOf('Sale')], 0.5)).toEqual([[0], [1], [2]]);
+  });
+});
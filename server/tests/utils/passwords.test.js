@@ -0,0 +1,23 @@
+// tests/utils/passwords.test.js
+const { hashPassword, verifyPassword } = require('../../src/utils/passwords');
+
+describe('passwords', () => {
+  test('hashes with scrypt and a random salt', async () => {
+    const [first, second] = await Promise.all([hashPassword('correct horse'), hashPassword('correct horse')]);
+    expect(first).toMatch(/^scrypt\$16384\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+    expect(first).not.toBe(second);
+  });
+
+  test('verifies the right password only', async () => {
+    const stored = await hashPassword('correct horse');
+    expect(await verifyPassword('correct horse', stored)).toBe(true);
+    expect(await verifyPassword('correct horse ', stored)).toBe(false);
+    expect(await verifyPassword('', stored)).toBe(false);
+  });
+
+  test('rejects unknown or malformed hashes', async () => {
+    expect(await verifyPassword('secret', 'bcrypt$2b$10$abc')).toBe(false);
+    expect(await verifyPassword('secret', 'scrypt$16384$8$1$')).toBe(false);
+    expect(await verifyPassword('secret', undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,57 @@
+// tests/utils/phraseExtractor.test.js
+const { detectHooks } = require('../../src/utils/phraseExtractor');
+
+const hooksOf = (language, text) => {
+  const hooks = detectHooks([{ id: '1', text, language, score: 80 }]);
+  return Object.fromEntries(hooks
+    .filter(hook => hook.frequency > 0)
+    .map(hook => [hook.category, hook.phrases.map(phrase => phrase.phrase)]));
+};
+
+describe('detectHooks', () => {
+  test('finds English hooks', () => {
+    expect(hooksOf('en', 'Get 50% off with free shipping. Today only!')).toEqual({
+      discount: ['50% off'],
+      freeOffer: ['free shipping'],
+      urgency: ['today only']
+    });
+  });
+
+  test('finds Spanish hooks starting with an accented letter', () => {
+    expect(hooksOf('es', 'Última oportunidad: envío gratis')).toMatchObject({
+      urgency: ['última oportunidad'],
+      freeOffer: expect.arrayContaining(['envío gratis'])
+    });
+  });
+
+  test('finds French hooks starting or ending with an accented letter', () => {
+    expect(hooksOf('fr', 'Économisez 20 €, satisfait ou remboursé')).toEqual({
+      discount: ['économisez'],
+      guarantee: ['satisfait ou remboursé']
+    });
+    expect(hooksOf('fr', 'Durée limité')).toEqual({ urgency: ['durée limité'] });
+  });
+
+  test('finds German hooks', () => {
+    expect(hooksOf('de', 'Nur heute: kostenloser Versand')).toEqual({
+      freeOffer: ['kostenloser versand'],
+      urgency: ['nur heute']
+    });
+  });
+
+  test('finds Portuguese hooks starting with an accented letter', () => {
+    expect(hooksOf('pt', 'Últimas unidades com frete grátis')).toMatchObject({
+      urgency: ['últimas unidades'],
+      freeOffer: expect.arrayContaining(['frete grátis'])
+    });
+  });
+
+  test('does not match inside longer words', () => {
+    expect(hooksOf('es', 'penúltima oportunidad')).toEqual({});
+    expect(hooksOf('en', 'wholesale deals')).toEqual({ discount: ['deals'] });
+  });
+
+  test('falls back to the English patterns for other languages', () => {
+    expect(hooksOf('nl', 'Limited time offer')).toEqual({ urgency: ['limited time'] });
+  });
+});
@@ -0,0 +1,125 @@
+// tests/utils/publicUrl.test.js
+const dns = require('dns');
+const http = require('http');
+const { isPublicAddress, checkPublicUrl, publicHttpAgent } = require('../../src/utils/publicUrl');
+
+// Resolve hosts from a fixed table instead of DNS
+const mockResolution = (table) => jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+  const addresses = table[hostname];
+  if (!addresses) {
+    return callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' }));
+  }
+  callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+});
+
+describe('isPublicAddress', () => {
+  test.each([
+    '93.184.216.34',
+    '8.8.8.8',
+    '2606:4700:4700::1111'
+  ])('allows %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+
+  test.each([
+    ['loopback', '127.0.0.1'],
+    ['loopback', '::1'],
+    ['this host', '0.0.0.0'],
+    ['private', '10.1.2.3'],
+    ['private', '172.16.0.1'],
+    ['private', '192.168.1.1'],
+    ['carrier-grade NAT', '100.64.0.1'],
+    ['cloud metadata', '169.254.169.254'],
+    ['IPv4-mapped loopback', '::ffff:127.0.0.1'],
+    ['IPv4-mapped metadata', '::ffff:a9fe:a9fe'],
+    ['NAT64 metadata', '64:ff9b::a9fe:a9fe'],
+    ['unique local', 'fd00:ec2::254'],
+    ['link-local', 'fe80::1'],
+    ['multicast', '224.0.0.1']
+  ])('rejects %s address %s', (kind, address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  test('rejects host names', () => {
+    expect(isPublicAddress('example.com')).toBe(false);
+  });
+});
+
+describe('checkPublicUrl', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('allows http(s) URLs of hosts with only public addresses', async () => {
+    mockResolution({ 'hooks.example.com': ['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946'] });
+
+    expect(await checkPublicUrl('https://hooks.example.com/ads')).toBeNull();
+    expect(await checkPublicUrl('http://93.184.216.34:8080/ads')).toBeNull();
+  });
+
+  test('rejects other schemes and malformed URLs', async () => {
+    expect(await checkPublicUrl('file:///etc/passwd')).toBe('Must be an http or https URL');
+    expect(await checkPublicUrl('gopher://hooks.example.com/')).toBe('Must be an http or https URL');
+    expect(await checkPublicUrl('not a url')).toBe('Must be an http or https URL');
+  });
+
+  test.each([
+    'http://127.0.0.1:6379/',
+    'http://[::1]/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[::ffff:169.254.169.254]/',
+    // Numeric forms the URL parser normalizes to 127.0.0.1
+    'http://2130706433/',
+    'http://0x7f.1/'
+  ])('rejects %s', async (url) => {
+    expect(await checkPublicUrl(url)).toBe('Must not point to a private or internal address');
+  });
+
+  test('rejects hosts resolving to an internal address', async () => {
+    mockResolution({
+      localhost: ['127.0.0.1', '::1'],
+      'metadata.example.com': ['169.254.169.254'],
+      'mixed.example.com': ['93.184.216.34', '10.0.0.5']
+    });
+
+    expect(await checkPublicUrl('http://localhost:3000/')).toBe('Must not point to a private or internal address');
+    expect(await checkPublicUrl('http://metadata.example.com/')).toBe('Must not point to a private or internal address');
+    expect(await checkPublicUrl('https://mixed.example.com/')).toBe('Must not point to a private or internal address');
+  });
+
+  test('rejects hosts that do not resolve', async () => {
+    mockResolution({});
+
+    expect(await checkPublicUrl('https://missing.example.com/')).toBe('Host could not be resolved');
+  });
+});
+
+describe('publicHttpAgent', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => res.end('internal'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refuses to connect to a host that resolves to an internal address', async () => {
+    // The host passed validation and was then repointed at this machine
+    mockResolution({ 'rebound.example.com': ['127.0.0.1'] });
+
+    const error = await new Promise(resolve => {
+      http.get(`http://rebound.example.com:${port}/`, { agent: publicHttpAgent }, () => resolve(null)).on('error', resolve);
+    });
+    expect(error).toMatchObject({ code: 'EADDRNOTPUBLIC' });
+  });
+});
@@ -0,0 +1,80 @@
+// tests/utils/rangeParser.test.js
+const { parseNumber, parseRange, parseSpend } = require('../../src/utils/rangeParser');
+
+describe('parseNumber', () => {
+  test.each([
+    ['1,000', 1000],
+    ['1 000', 1000],
+    ['1.000.000', 1000000],
+    ['1.234,5', 1234.5],
+    ['4.5K', 4500],
+    ['2m', 2000000],
+    ['1B+', 1e9],
+    [42, 42]
+  ])('parses %p', (input, expected) => {
+    expect(parseNumber(input)).toBe(expected);
+  });
+
+  test('returns NaN for non-numeric input', () => {
+    expect(parseNumber('n/a')).toBeNaN();
+    expect(parseNumber(null)).toBeNaN();
+  });
+});
+
+describe('parseRange', () => {
+  test('parses Graph API bounds', () => {
+    expect(parseRange({ lower_bound: '1000', upper_bound: '4999' }))
+      .toEqual({ lower: 1000, midpoint: 2999.5, upper: 4999, openEnded: null });
+  });
+
+  test('estimates the midpoint of open-ended ranges', () => {
+    expect(parseRange({ lower_bound: '1000000' }))
+      .toEqual({ lower: 1000000, midpoint: 1500000, upper: null, openEnded: 'upper' });
+    expect(parseRange('<100')).toEqual({ lower: 0, midpoint: 50, upper: 100, openEnded: 'lower' });
+    expect(parseRange('1M+')).toMatchObject({ lower: 1000000, openEnded: 'upper' });
+    expect(parseRange('over 500')).toMatchObject({ lower: 500, openEnded: 'upper' });
+  });
+
+  test('parses legacy range strings', () => {
+    expect(parseRange('1,000-4,999')).toMatchObject({ lower: 1000, upper: 4999 });
+    expect(parseRange('1K to 5K')).toMatchObject({ lower: 1000, upper: 5000 });
+    expect(parseRange('5,000 – 1,000')).toMatchObject({ lower: 1000, upper: 5000 });
+  });
+
+  test('treats a single value as an exact range', () => {
+    expect(parseRange('750')).toEqual({ lower: 750, midpoint: 750, upper: 750, openEnded: null });
+    expect(parseRange(750)).toEqual({ lower: 750, midpoint: 750, upper: 750, openEnded: null });
+  });
+
+  test('returns null for missing or unparseable input', () => {
+    expect(parseRange(null)).toBeNull();
+    expect(parseRange('')).toBeNull();
+    expect(parseRange('unknown')).toBeNull();
+    expect(parseRange({})).toBeNull();
+  });
+});
+
+describe('parseSpend', () => {
+  test('keeps base-currency spend as is', () => {
+    expect(parseSpend({ lower_bound: '100', upper_bound: '199' }, 'USD')).toEqual({
+      lower: 100,
+      midpoint: 149.5,
+      upper: 199,
+      openEnded: null,
+      currency: 'USD',
+      originalCurrency: 'USD',
+      converted: false
+    });
+  });
+
+  test('converts spend to the base currency', () => {
+    const spend = parseSpend('100-200', 'eur');
+    expect(spend).toMatchObject({ currency: 'USD', originalCurrency: 'EUR', converted: true });
+    expect(spend.lower).not.toBe(100);
+    expect(spend.upper / spend.lower).toBeCloseTo(2, 10);
+  });
+
+  test('leaves spend unconverted for unknown currencies', () => {
+    expect(parseSpend('100-200', 'XYZ')).toMatchObject({ lower: 100, upper: 200, currency: 'XYZ', converted: false });
+  });
+});
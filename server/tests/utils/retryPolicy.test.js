@@ -0,0 +1,185 @@
+// tests/utils/retryPolicy.test.js
+const {
+  CircuitBreaker,
+  RetryPolicy,
+  getRetryAfterSeconds,
+  isRetryableError,
+  isThrottlingError
+} = require('../../src/utils/retryPolicy');
+
+const createClock = () => {
+  let time = 0;
+  return {
+    now: () => time,
+    sleep: jest.fn(async (ms) => { time += ms; })
+  };
+};
+
+const httpError = (status, { graphCode, retryAfter } = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = {
+    status,
+    headers: retryAfter === undefined ? {} : { 'retry-after': retryAfter },
+    data: graphCode === undefined ? {} : { error: { code: graphCode } }
+  };
+  return error;
+};
+
+const networkError = (code) => Object.assign(new Error(code), { code });
+
+describe('error classification', () => {
+  test('recognizes throttling by status and Graph error code', () => {
+    expect(isThrottlingError(httpError(429))).toBe(true);
+    expect(isThrottlingError(httpError(400, { graphCode: 613 }))).toBe(true);
+    expect(isThrottlingError(httpError(400, { graphCode: 100 }))).toBe(false);
+    expect(isThrottlingError(networkError('ECONNRESET'))).toBe(false);
+  });
+
+  test('retries throttling, server errors and transient network errors only', () => {
+    expect(isRetryableError(httpError(400, { graphCode: 4 }))).toBe(true);
+    expect(isRetryableError(httpError(503))).toBe(true);
+    expect(isRetryableError(networkError('ETIMEDOUT'))).toBe(true);
+    expect(isRetryableError(httpError(400, { graphCode: 190 }))).toBe(false);
+    expect(isRetryableError(httpError(404))).toBe(false);
+    expect(isRetryableError(networkError('ENOTFOUND'))).toBe(false);
+  });
+
+  test('reads Retry-After in seconds or as an HTTP date', () => {
+    expect(getRetryAfterSeconds(httpError(429, { retryAfter: '12' }))).toBe(12);
+    expect(getRetryAfterSeconds(httpError(429, { retryAfter: new Date(Date.now() + 30000).toUTCString() })))
+      .toBeGreaterThanOrEqual(29);
+    expect(getRetryAfterSeconds(httpError(429, { retryAfter: 'soon' }))).toBeNull();
+    expect(getRetryAfterSeconds(httpError(429))).toBeNull();
+  });
+});
+
+describe('CircuitBreaker', () => {
+  test('stays open for at least the cooldown', () => {
+    const clock = createClock();
+    const breaker = new CircuitBreaker({ name: 'Graph', cooldownMs: 60000, clock });
+
+    breaker.open(5000);
+    expect(breaker.isOpen()).toBe(true);
+    expect(breaker.retryAfterSeconds()).toBe(60);
+
+    breaker.open(120000);
+    expect(breaker.retryAfterSeconds()).toBe(120);
+  });
+
+  test('fails fast with a 503 while open', () => {
+    const breaker = new CircuitBreaker({ name: 'Graph', cooldownMs: 60000, clock: createClock() });
+    breaker.open();
+
+    expect(() => breaker.assertClosed()).toThrow(expect.objectContaining({ status: 503, retryAfter: 60 }));
+  });
+
+  test('lets a trial request through once the cooldown has passed', async () => {
+    const clock = createClock();
+    const circuitBreaker = new CircuitBreaker({ cooldownMs: 60000, clock });
+    const policy = new RetryPolicy({ maxAttempts: 1, circuitBreaker, clock });
+    circuitBreaker.open();
+
+    await clock.sleep(60000);
+    expect(circuitBreaker.isOpen()).toBe(false);
+    await expect(policy.execute(async () => 'ok')).resolves.toBe('ok');
+    expect(circuitBreaker.openUntil).toBe(0);
+  });
+
+  test('opens again when the trial request is still throttled', async () => {
+    const clock = createClock();
+    const circuitBreaker = new CircuitBreaker({ cooldownMs: 60000, clock });
+    const policy = new RetryPolicy({ maxAttempts: 1, circuitBreaker, clock });
+    circuitBreaker.open();
+    await clock.sleep(60000);
+
+    await expect(policy.execute(async () => { throw httpError(429); })).rejects.toMatchObject({ status: 503 });
+    expect(circuitBreaker.isOpen()).toBe(true);
+  });
+});
+
+describe('RetryPolicy', () => {
+  beforeEach(() => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('retries retryable failures with exponential backoff', async () => {
+    const clock = createClock();
+    const policy = new RetryPolicy({ maxAttempts: 3, baseDelaySeconds: 1, clock });
+    const operation = jest.fn()
+      .mockRejectedValueOnce(httpError(500))
+      .mockRejectedValueOnce(networkError('ECONNRESET'))
+      .mockResolvedValueOnce('ok');
+
+    await expect(policy.execute(operation)).resolves.toBe('ok');
+    expect(operation.mock.calls.map(([attempt]) => attempt)).toEqual([1, 2, 3]);
+    expect(clock.sleep.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000]);
+  });
+
+  test('prefers the Retry-After header over the base delay', async () => {
+    const clock = createClock();
+    const policy = new RetryPolicy({ baseDelaySeconds: 1, clock });
+    const operation = jest.fn()
+      .mockRejectedValueOnce(httpError(429, { retryAfter: '5' }))
+      .mockResolvedValueOnce('ok');
+
+    await policy.execute(operation);
+    expect(clock.sleep).toHaveBeenCalledWith(5000);
+  });
+
+  test('does not retry other failures', async () => {
+    const clock = createClock();
+    const policy = new RetryPolicy({ clock });
+    const error = httpError(400, { graphCode: 100 });
+    const operation = jest.fn().mockRejectedValue(error);
+
+    await expect(policy.execute(operation)).rejects.toBe(error);
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after the maximum number of attempts', async () => {
+    const clock = createClock();
+    const policy = new RetryPolicy({ maxAttempts: 2, baseDelaySeconds: 1, clock });
+    const error = httpError(502);
+    const operation = jest.fn().mockRejectedValue(error);
+
+    await expect(policy.execute(operation)).rejects.toBe(error);
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up when the next backoff would pass the deadline', async () => {
+    const clock = createClock();
+    const policy = new RetryPolicy({ maxAttempts: 10, deadlineMs: 10000, baseDelaySeconds: 2, clock });
+    const operation = jest.fn().mockRejectedValue(httpError(500));
+
+    await expect(policy.execute(operation)).rejects.toThrow('500');
+    // Waits 2s and 4s; a further 8s would end after the 10s budget
+    expect(clock.sleep.mock.calls.map(([ms]) => ms)).toEqual([2000, 4000]);
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+
+  test('opens the circuit when throttling outlasts the retries', async () => {
+    const clock = createClock();
+    const circuitBreaker = new CircuitBreaker({ name: 'Graph', cooldownMs: 60000, clock });
+    const policy = new RetryPolicy({ maxAttempts: 2, baseDelaySeconds: 1, circuitBreaker, clock });
+    const operation = jest.fn().mockRejectedValue(httpError(400, { graphCode: 17 }));
+
+    await expect(policy.execute(operation)).rejects.toMatchObject({ status: 503, retryAfter: 60 });
+    expect(circuitBreaker.isOpen()).toBe(true);
+
+    await expect(policy.execute(operation)).rejects.toMatchObject({ status: 503 });
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test('leaves the circuit closed for persistent server errors', async () => {
+    const clock = createClock();
+    const circuitBreaker = new CircuitBreaker({ clock });
+    const policy = new RetryPolicy({ maxAttempts: 2, baseDelaySeconds: 1, circuitBreaker, clock });
+
+    await expect(policy.execute(async () => { throw httpError(500); })).rejects.toThrow('500');
+    expect(circuitBreaker.isOpen()).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+// tests/utils/searchFilters.test.js
+const { MAX_PAGE_IDS, parseSearchFilters } = require('../../src/utils/searchFilters');
+
+const fieldsOf = (errors) => errors.map(error => error.field);
+
+describe('parseSearchFilters', () => {
+  test('normalizes list and enum filters', () => {
+    const { filters, errors } = parseSearchFilters({
+      countries: 'us, gb,US',
+      adType: 'political_and_issue_ads',
+      activeStatus: 'active',
+      mediaType: 'video',
+      publisherPlatforms: ['facebook', 'instagram'],
+      deliveryDateMin: '2024-01-01',
+      deliveryDateMax: '2024-01-31',
+      pageIds: '123,456',
+      languages: 'EN,es'
+    });
+
+    expect(errors).toEqual([]);
+    expect(filters).toEqual({
+      countries: ['US', 'GB'],
+      adType: 'POLITICAL_AND_ISSUE_ADS',
+      activeStatus: 'ACTIVE',
+      mediaType: 'VIDEO',
+      publisherPlatforms: ['FACEBOOK', 'INSTAGRAM'],
+      deliveryDateMin: '2024-01-01',
+      deliveryDateMax: '2024-01-31',
+      pageIds: ['123', '456'],
+      languages: ['en', 'es']
+    });
+  });
+
+  test('returns no filters for an empty query', () => {
+    expect(parseSearchFilters({})).toEqual({ filters: {}, errors: [] });
+  });
+
+  test('reports each invalid field with its value', () => {
+    const { filters, errors } = parseSearchFilters({
+      countries: 'USA',
+      adType: 'SHOES',
+      activeStatus: '',
+      mediaType: 'GIF',
+      publisherPlatforms: 'FACEBOOK,MYSPACE',
+      pageIds: 'abc',
+      languages: 'english'
+    });
+
+    expect(filters).toEqual({});
+    expect(fieldsOf(errors)).toEqual([
+      'countries', 'adType', 'activeStatus', 'mediaType', 'publisherPlatforms', 'pageIds', 'languages'
+    ]);
+    expect(errors[0]).toEqual({
+      field: 'countries',
+      value: 'USA',
+      message: 'Must be ISO 3166-1 alpha-2 country codes (e.g. US,GB) or ALL'
+    });
+  });
+
+  test('rejects impossible and reversed delivery dates', () => {
+    expect(fieldsOf(parseSearchFilters({ deliveryDateMin: '2024-02-30' }).errors)).toEqual(['deliveryDateMin']);
+    expect(fieldsOf(parseSearchFilters({ deliveryDateMax: '01/31/2024' }).errors)).toEqual(['deliveryDateMax']);
+
+    const { errors } = parseSearchFilters({ deliveryDateMin: '2024-02-01', deliveryDateMax: '2024-01-01' });
+    expect(errors).toEqual([{
+      field: 'deliveryDateMax',
+      value: '2024-01-01',
+      message: 'Must not be earlier than deliveryDateMin'
+    }]);
+  });
+
+  test('limits the number of page IDs', () => {
+    const pageIds = Array.from({ length: MAX_PAGE_IDS + 1 }, (_, index) => String(index + 1)).join(',');
+    expect(parseSearchFilters({ pageIds }).errors).toEqual([{
+      field: 'pageIds',
+      value: pageIds,
+      message: `At most ${MAX_PAGE_IDS} page IDs are allowed`
+    }]);
+  });
+
+  test('rejects empty lists', () => {
+    expect(fieldsOf(parseSearchFilters({ countries: ' , ', publisherPlatforms: '' }).errors))
+      .toEqual(['countries', 'publisherPlatforms']);
+  });
+});
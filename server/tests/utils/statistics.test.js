@@ -0,0 +1,69 @@
+// tests/utils/statistics.test.js
+const { normalCdf, studentTPValue, twoProportionZTest, welchTest, describe: describeSample } = require('../../src/utils/statistics');
+
+describe('normalCdf', () => {
+  test('matches standard normal quantiles', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(normalCdf(1.96)).toBeCloseTo(0.975, 4);
+    expect(normalCdf(-1.645)).toBeCloseTo(0.05, 4);
+  });
+});
+
+describe('studentTPValue', () => {
+  test('matches two-sided critical values of the t distribution', () => {
+    expect(studentTPValue(12.706, 1)).toBeCloseTo(0.05, 4);
+    expect(studentTPValue(2.571, 5)).toBeCloseTo(0.05, 4);
+    expect(studentTPValue(2.228, 10)).toBeCloseTo(0.05, 4);
+    expect(studentTPValue(2.0, 5)).toBeCloseTo(0.1019, 4);
+  });
+
+  test('approaches the normal distribution for many degrees of freedom', () => {
+    expect(studentTPValue(1.96, 1e6)).toBeCloseTo(0.05, 4);
+  });
+
+  test('returns 1 when undefined', () => {
+    expect(studentTPValue(0, 5)).toBe(1);
+    expect(studentTPValue(NaN, 5)).toBe(1);
+    expect(studentTPValue(2, 0)).toBe(1);
+  });
+});
+
+describe('twoProportionZTest', () => {
+  test('tests a difference in proportions with pooled variance', () => {
+    const { z, pValue } = twoProportionZTest(60, 100, 40, 100);
+    expect(z).toBeCloseTo(2.828, 3);
+    expect(pValue).toBeCloseTo(0.00468, 4);
+  });
+
+  test('returns a neutral result for empty or identical groups', () => {
+    expect(twoProportionZTest(0, 0, 3, 10)).toEqual({ z: 0, pValue: 1 });
+    expect(twoProportionZTest(0, 10, 0, 10)).toEqual({ z: 0, pValue: 1 });
+  });
+});
+
+describe('describe', () => {
+  test('computes the mean and sample variance', () => {
+    expect(describeSample([2, 4, 4, 4, 5, 5, 7, 9])).toEqual({ mean: 5, variance: 32 / 7 });
+    expect(describeSample([3])).toEqual({ mean: 3, variance: 0 });
+  });
+});
+
+describe('welchTest', () => {
+  test('uses Welch-Satterthwaite degrees of freedom', () => {
+    // Reference: R t.test(c(1,2,3,4,5), c(3,4,5,6,7,8))
+    const { t, degreesOfFreedom, pValue } = welchTest([1, 2, 3, 4, 5], [3, 4, 5, 6, 7, 8]);
+    expect(t).toBeCloseTo(-2.4019, 4);
+    expect(degreesOfFreedom).toBeCloseTo(8.9894, 4);
+    expect(pValue).toBeCloseTo(0.0398, 4);
+  });
+
+  test('is more conservative than the normal approximation for small groups', () => {
+    const { t, pValue } = welchTest([10, 12, 14, 11, 13], [8, 9, 11, 7, 10]);
+    expect(pValue).toBeGreaterThan(2 * (1 - normalCdf(Math.abs(t))));
+  });
+
+  test('returns a neutral result when the test is undefined', () => {
+    expect(welchTest([1], [2, 3]).pValue).toBe(1);
+    expect(welchTest([2, 2], [2, 2]).pValue).toBe(1);
+  });
+});
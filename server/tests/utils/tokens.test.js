@@ -0,0 +1,45 @@
+// tests/utils/tokens.test.js
+const { signToken, verifyToken } = require('../../src/utils/tokens');
+
+const SECRET = 'test-secret';
+
+describe('tokens', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('round-trips claims with issue and expiry times', () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    const claims = verifyToken(signToken({ sub: '42', role: 'pro' }, SECRET, 3600), SECRET);
+    expect(claims).toEqual({ sub: '42', role: 'pro', iat: 1704067200, exp: 1704070800 });
+  });
+
+  test('rejects expired tokens', () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    const token = signToken({ sub: '42' }, SECRET, 60);
+
+    jest.setSystemTime(new Date('2024-01-01T00:00:59Z'));
+    expect(verifyToken(token, SECRET)).not.toBeNull();
+    jest.setSystemTime(new Date('2024-01-01T00:01:00Z'));
+    expect(verifyToken(token, SECRET)).toBeNull();
+  });
+
+  test('rejects tokens signed with another secret', () => {
+    expect(verifyToken(signToken({ sub: '42' }, 'other-secret', 60), SECRET)).toBeNull();
+  });
+
+  test('rejects tampered claims', () => {
+    const [header, , signature] = signToken({ sub: '42', role: 'user' }, SECRET, 60).split('.');
+    const payload = Buffer.from(JSON.stringify({ sub: '42', role: 'admin', exp: 9999999999 })).toString('base64url');
+    expect(verifyToken(`${header}.${payload}.${signature}`, SECRET)).toBeNull();
+  });
+
+  test('rejects other algorithms and malformed tokens', () => {
+    const [, payload, signature] = signToken({ sub: '42' }, SECRET, 60).split('.');
+    const none = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+    expect(verifyToken(`${none}.${payload}.${signature}`, SECRET)).toBeNull();
+    expect(verifyToken(`${none}.${payload}.`, SECRET)).toBeNull();
+    expect(verifyToken('not-a-token', SECRET)).toBeNull();
+    expect(verifyToken(undefined, SECRET)).toBeNull();
+  });
+});
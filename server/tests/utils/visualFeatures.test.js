@@ -0,0 +1,195 @@
+// tests/utils/visualFeatures.test.js
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const {
+  decodeImage,
+  createThumbnail,
+  extractVisualFeatures,
+  aggregateVisualFeatures,
+  hammingDistance
+} = require('../../src/utils/visualFeatures');
+
+/**
+ * Build an RGBA image from a function of the pixel's position relative to the image size
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {Function} paint - (u, v) => [r, g, b, a] with u and v from 0 to 1
+ * @returns {Object} - { width, height, data }
+ */
+const createImage = (width, height, paint) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b, a = 255] = paint((x + 0.5) / width, (y + 0.5) / height);
+      data.set([r, g, b, a], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+const toPng = (image) => PNG.sync.write(image);
+const toJpeg = (image) => jpeg.encode(image, 90).data;
+
+const solid = (color) => () => color;
+// Shapes and gradients at positions relative to the image size, so every resolution shows the same picture
+const scene = (u, v) => {
+  const inCircle = (u - 0.3) ** 2 + (v - 0.35) ** 2 < 0.04;
+  const inBar = v > 0.7 && v < 0.85 && u > 0.5;
+  return inCircle ? [230, 40, 40] : inBar ? [20, 20, 120] : [Math.round(255 * u), 180, Math.round(255 * v)];
+};
+
+describe('extractVisualFeatures', () => {
+  test('describes a solid color image', () => {
+    const features = extractVisualFeatures(decodeImage(toPng(createImage(40, 40, solid([255, 0, 0])))));
+
+    expect(features).toMatchObject({
+      width: 40,
+      height: 40,
+      aspectRatio: { ratio: 1, format: '1:1' },
+      palette: [{ color: '#ff0000', share: 100 }],
+      brightness: 21.3,
+      contrast: 0,
+      textOverlayRatio: 0
+    });
+    expect(features.perceptualHash).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('measures brightness and contrast of a half-black image', () => {
+    const image = createImage(64, 64, (u, v) => (v < 0.5 ? [0, 0, 0] : [255, 255, 255]));
+    const features = extractVisualFeatures(image);
+
+    expect(features).toMatchObject({ brightness: 50, contrast: 100 });
+    expect(features.palette).toEqual([
+      { color: '#000000', share: 50 },
+      { color: '#ffffff', share: 50 }
+    ]);
+    // Two flat areas are not text
+    expect(features.textOverlayRatio).toBe(0);
+  });
+
+  test('composites transparent pixels over white', () => {
+    const features = extractVisualFeatures(createImage(10, 10, solid([0, 0, 0, 0])));
+
+    expect(features.palette).toEqual([{ color: '#ffffff', share: 100 }]);
+    expect(features.brightness).toBe(100);
+  });
+
+  test('matches the closest ad format', () => {
+    expect(extractVisualFeatures(createImage(90, 160, solid([0, 0, 0]))).aspectRatio).toEqual({ ratio: 0.56, format: '9:16' });
+    expect(extractVisualFeatures(createImage(191, 100, solid([0, 0, 0]))).aspectRatio).toEqual({ ratio: 1.91, format: '1.91:1' });
+    expect(extractVisualFeatures(createImage(80, 100, solid([0, 0, 0]))).aspectRatio).toEqual({ ratio: 0.8, format: '4:5' });
+  });
+
+  test('detects dense sharp edges as text overlay', () => {
+    // Thin dark strokes on a light band across the top quarter, like a caption
+    const image = createImage(160, 160, (u, v) => {
+      const stroke = Math.floor(u * 160) % 3 === 0 && Math.floor(v * 160) % 4 !== 0;
+      return v < 0.25 && stroke ? [0, 0, 0] : [250, 250, 250];
+    });
+
+    expect(extractVisualFeatures(image).textOverlayRatio).toBeCloseTo(25, 0);
+  });
+
+  test('recognizes skin tones', () => {
+    expect(extractVisualFeatures(createImage(20, 20, solid([224, 172, 140]))).people).toEqual({ skinRatio: 100, likely: true });
+    expect(extractVisualFeatures(createImage(20, 20, solid([40, 120, 220]))).people).toEqual({ skinRatio: 0, likely: false });
+  });
+});
+
+describe('perceptual hash', () => {
+  const hashOf = (image) => extractVisualFeatures(image).perceptualHash;
+
+  test('stays close for resized and recompressed copies', () => {
+    const original = hashOf(createImage(300, 300, scene));
+
+    expect(hammingDistance(original, hashOf(createImage(120, 120, scene)))).toBeLessThanOrEqual(4);
+    expect(hammingDistance(original, hashOf(decodeImage(toJpeg(createImage(200, 200, scene)))))).toBeLessThanOrEqual(4);
+  });
+
+  test('differs for a different picture', () => {
+    const original = hashOf(createImage(100, 100, scene));
+    const mirrored = hashOf(createImage(100, 100, (u, v) => scene(1 - u, 1 - v)));
+
+    expect(hammingDistance(original, mirrored)).toBeGreaterThan(16);
+  });
+
+  test('hammingDistance counts differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+    expect(hammingDistance('f0f0000000000000', '0ff0000000000001')).toBe(9);
+  });
+});
+
+describe('aggregateVisualFeatures', () => {
+  test('averages features and merges palettes by color bucket', () => {
+    const red = extractVisualFeatures(createImage(40, 40, solid([255, 0, 0])));
+    const darkRed = extractVisualFeatures(createImage(40, 40, solid([250, 10, 10])));
+    const story = extractVisualFeatures(createImage(90, 160, solid([0, 0, 0])));
+
+    const aggregate = aggregateVisualFeatures([red, darkRed, story]);
+    expect(aggregate.palette).toEqual([
+      { color: '#fd0505', share: 66.7 },
+      { color: '#000000', share: 33.3 }
+    ]);
+    expect(aggregate.formats).toEqual([{ format: '1:1', share: 66.7 }, { format: '9:16', share: 33.3 }]);
+    expect(aggregate.averageContrast).toBe(0);
+    expect(aggregate.peoplePresenceRate).toBe(0);
+  });
+});
+
+describe('decodeImage', () => {
+  test('decodes PNG and JPEG files to RGBA', () => {
+    const image = createImage(4, 2, solid([10, 20, 30]));
+
+    expect(decodeImage(toPng(image))).toMatchObject({ width: 4, height: 2, data: image.data });
+    expect(decodeImage(toJpeg(image))).toMatchObject({ width: 4, height: 2 });
+  });
+
+  test('rejects other formats with 415', () => {
+    expect(() => decodeImage(Buffer.from('GIF89a\x01\x00\x01\x00'))).toThrow(expect.objectContaining({ status: 415 }));
+    expect(() => decodeImage(Buffer.from('<html></html>'))).toThrow(expect.objectContaining({ status: 415 }));
+  });
+
+  test('rejects PNGs over the megapixel limit with 413 before decoding them', () => {
+    const png = toPng(createImage(2, 2, solid([0, 0, 0])));
+    png.writeUInt32BE(8000, 16);
+    png.writeUInt32BE(6000, 20);
+
+    expect(() => decodeImage(png)).toThrow(expect.objectContaining({ status: 413 }));
+  });
+
+  test('rejects JPEGs over the megapixel limit with 413', () => {
+    const image = toJpeg(createImage(2, 2, solid([0, 0, 0])));
+    // Baseline frame header: marker, length, precision, then height and width
+    const frame = image.indexOf(Buffer.from([0xff, 0xc0]));
+    image.writeUInt16BE(8000, frame + 5);
+    image.writeUInt16BE(8000, frame + 7);
+
+    expect(() => decodeImage(image)).toThrow(expect.objectContaining({
+      status: 413,
+      message: 'JPEG image exceeds the 40 megapixel limit'
+    }));
+  });
+
+  test('passes on other JPEG decoding errors', () => {
+    const image = toJpeg(createImage(2, 2, solid([0, 0, 0])));
+
+    expect(() => decodeImage(image.subarray(0, 20))).toThrow(expect.not.objectContaining({ status: 413 }));
+  });
+
+  test('rejects PNGs without a header chunk', () => {
+    const png = toPng(createImage(2, 2, solid([0, 0, 0])));
+    png.write('IDAT', 12, 'latin1');
+
+    expect(() => decodeImage(png)).toThrow('Invalid PNG: missing IHDR chunk');
+  });
+});
+
+describe('createThumbnail', () => {
+  test('shrinks the longer side and keeps the aspect ratio', () => {
+    const thumbnail = decodeImage(createThumbnail(toPng(createImage(200, 100, solid([0, 128, 255]))), 50));
+
+    expect(thumbnail).toMatchObject({ width: 50, height: 25 });
+    expect([...thumbnail.data.subarray(0, 3)].map(value => Math.round(value / 8))).toEqual([0, 16, 32]);
+  });
+});